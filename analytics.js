@@ -0,0 +1,243 @@
+// analytics.js
+// Exact round math derived from GameMath (engine.js): win probability, RTP, variance,
+// risk of ruin, and checks of Monte Carlo results against them.
+//
+// Per round, a bet of 1 cashing out at target step t returns
+//   X = multiplier(t) with probability p(t), 0 otherwise
+// where p(t) is the chance that the first t picks all miss the stop-points.
+// This holds for the "Any dot" rule. Other path rules can end rounds early at dead ends;
+// getRoundStatsWithDeadEnds mixes in those cashouts at the rates a simulation measured.
+// With a bet the stats depend on it: X is the payout the engine credits (whole cents, see
+// GameMath.getPayout) divided by the bet, and with payout limits (maxPayout / maxProfit)
+// a round whose win reaches the cap is cashed out there, before the target step.
+
+// Browser: engine.js is loaded by a <script> tag. Node: require it.
+const AnalyticsDeps = typeof module !== "undefined" && module.exports
+  ? require("./engine.js")
+  : window;
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26 erf, |error| < 1.5e-7)
+ * @param {number} x
+ * @returns {number}
+ */
+function normalCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided z value for a confidence level (0.90, 0.95, 0.99, 0.999)
+ * @param {number} confidence
+ * @returns {number}
+ */
+function getZScore(confidence) {
+  const table = { 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758, 0.999: 3.2905 };
+  if (!table[confidence]) {
+    throw new Error(`Unsupported confidence level: ${confidence}`);
+  }
+  return table[confidence];
+}
+
+/**
+ * Exact statistics of one round per unit bet
+ *
+ * @param {number} gridSize - See MathConfig.grids
+ * @param {number} stopPoints - Stop-points per round (defaults to the grid's count)
+ * @param {number} targetStep - Step the round cashes out at
+ * @param {Object} [profile] - Math profile (defaults to the active one)
+ * @param {number} [bet] - Bet per round, for the credited payout and the profile's payout limits;
+ *   omit for the unrounded multiplier without limits
+ * @returns {Object} { targetStep, cashoutStep, capped, winProbability, multiplier, rtp, variance, stdDev, edge }
+ *   cashoutStep is where the round actually cashes out (earlier than targetStep when capped)
+ */
+function getRoundStats(gridSize, stopPoints, targetStep, profile, bet) {
+  const { getStepProbability, getMultiplierForStep, getPayoutCap, getPayout } = AnalyticsDeps.GameMath;
+  const cap = bet > 0 ? getPayoutCap(bet, profile) : Infinity;
+
+  let winProbability = 1;
+  let cashoutStep = 0;
+  let multiplier = 0;
+  let capped = false;
+  while (cashoutStep < targetStep && !capped) {
+    cashoutStep++;
+    winProbability *= getStepProbability(cashoutStep, gridSize, stopPoints);
+    multiplier = getMultiplierForStep(cashoutStep, gridSize, stopPoints, profile, bet);
+    capped = bet * multiplier >= cap - 1e-9;
+  }
+
+  const paid = bet > 0 ? getPayout(bet, multiplier, profile) / bet : multiplier;
+  const rtp = winProbability * paid;
+  // E[X²] - E[X]²
+  const variance = winProbability * paid * paid - rtp * rtp;
+
+  return {
+    targetStep,
+    cashoutStep,
+    capped,
+    winProbability,
+    multiplier,
+    rtp,
+    variance,
+    stdDev: Math.sqrt(variance),
+    edge: 1 - rtp
+  };
+}
+
+/**
+ * Exact statistics of one round per unit bet under a path rule that can run out of moves.
+ * Whether a path dead-ends depends on the picks, never on the layout, so p(k) is the same
+ * for every rule and a dead-end cashout at step k pays what cashing out there always pays:
+ * with the same RTP on every step, dead ends leave the RTP unchanged. Only where rounds
+ * cash out moves, so the stats mix the steps by the rule's dead-end rate per step, taken
+ * from a simulation (the share of rounds that cleared step k and found no legal move).
+ *
+ * @param {Object} stats - Simulation statistics (simulation.js); uses stepsHistogram and deadEndSteps
+ * @param {number} gridSize
+ * @param {number} stopPoints
+ * @param {number} targetStep
+ * @param {Object} [profile]
+ * @param {number} [bet]
+ * @returns {Object} getRoundStats() of the target step, with winProbability, rtp, variance,
+ *   stdDev and edge over the mix of cashout steps
+ */
+function getRoundStatsWithDeadEnds(stats, gridSize, stopPoints, targetStep, profile, bet) {
+  const final = getRoundStats(gridSize, stopPoints, targetStep, profile, bet);
+  const histogram = stats.stepsHistogram || [];
+  const deadEnds = stats.deadEndSteps || [];
+
+  let open = 1; // Chance the path still has a legal move after the steps so far
+  let winProbability = 0;
+  let rtp = 0;
+  let secondMoment = 0;
+  const addCashout = (weight, round) => {
+    winProbability += weight * round.winProbability;
+    rtp += weight * round.rtp;
+    // E[X²] of a cashout at this step: p · paid² = rtp² / p
+    secondMoment += round.winProbability > 0 ? weight * round.rtp * round.rtp / round.winProbability : 0;
+  };
+
+  let cleared = histogram.reduce((total, count) => total + count, 0);
+  for (let step = 1; step < final.cashoutStep; step++) {
+    cleared -= histogram[step - 1] || 0; // Rounds that cleared this step
+    const rate = cleared > 0 ? (deadEnds[step] || 0) / cleared : 0;
+    addCashout(open * rate, getRoundStats(gridSize, stopPoints, step, profile, bet));
+    open *= 1 - rate;
+  }
+  addCashout(open, final);
+
+  const variance = Math.max(0, secondMoment - rtp * rtp);
+  return { ...final, winProbability, rtp, variance, stdDev: Math.sqrt(variance), edge: 1 - rtp };
+}
+
+/**
+ * Round statistics for every offered target step of a grid
+ *
+ * @param {number} gridSize
+ * @param {number} stopPoints
+ * @param {Object} [profile] - Math profile (defaults to the active one)
+ * @param {number} [bet] - Bet per round, for the credited payout and the profile's payout limits
+ * @returns {Object[]} getRoundStats() per step, step 1 first
+ */
+function getRtpTable(gridSize, stopPoints, profile, bet) {
+  const maxStep = AnalyticsDeps.GameMath.getMaxStep(gridSize, stopPoints);
+  const rows = [];
+  for (let step = 1; step <= maxStep; step++) {
+    rows.push(getRoundStats(gridSize, stopPoints, step, profile, bet));
+  }
+  return rows;
+}
+
+/**
+ * Probability of going broke (balance below one bet) within a number of flat-bet rounds.
+ * Uses the diffusion (Brownian first-passage) approximation of the balance walk,
+ * which is accurate once the bankroll is several bets deep.
+ *
+ * @param {Object} params
+ * @param {number} params.bankroll - Starting balance
+ * @param {number} params.bet - Flat bet per round
+ * @param {Object} params.round - getRoundStats() of the target step
+ * @param {number} [params.rounds] - Horizon; Infinity for eventual ruin
+ * @returns {number} 0..1
+ */
+function getRiskOfRuin({ bankroll, bet, round, rounds = Infinity }) {
+  // Distance to ruin in bets (falling below one bet, counting the losing bet that crosses it),
+  // per-round drift and variance of the net result
+  const distance = bankroll / bet;
+  const drift = round.rtp - 1;
+  const variance = round.variance;
+
+  if (distance <= 0) return 1;
+  if (variance === 0) {
+    return drift < 0 && rounds >= distance / -drift ? 1 : 0;
+  }
+
+  // Chance of ever hitting the barrier: certain for a house edge, exp(-2μa/σ²) otherwise
+  const eventual = drift < 0 ? 1 : Math.exp(-2 * drift * distance / variance);
+  if (!Number.isFinite(rounds)) return eventual;
+  if (rounds <= 0) return 0;
+
+  // P(τ ≤ n) = Φ((-a - μn)/σ√n) + exp(-2μa/σ²) · Φ((-a + μn)/σ√n)
+  const spread = Math.sqrt(variance * rounds);
+  const direct = normalCdf((-distance - drift * rounds) / spread);
+  // With a house edge the exp term can overflow while its Φ factor underflows to 0
+  const reflected = normalCdf((-distance + drift * rounds) / spread);
+  const weight = -2 * drift * distance / variance;
+  const mirror = reflected === 0 ? 0 : Math.exp(Math.min(weight, 700)) * reflected;
+
+  return Math.min(1, direct + mirror);
+}
+
+/**
+ * Check simulated RTP and hit rate against the exact values.
+ * A check passes when the exact value lies inside the simulated confidence interval.
+ *
+ * @param {Object} stats - Simulation statistics (simulation.js); uses totalRounds, wins,
+ *   totalWagered, totalWon and sumBetSquares
+ * @param {Object} round - getRoundStats() of the simulated target step
+ * @param {number} [confidence] - 0.90, 0.95, 0.99 or 0.999
+ * @returns {Object} { confidence, rtp, hitRate } - each { expected, observed, low, high, pass }
+ */
+function compareWithSimulation(stats, round, confidence = 0.95) {
+  const z = getZScore(confidence);
+
+  function check(expected, observed, standardError) {
+    const low = observed - z * standardError;
+    const high = observed + z * standardError;
+    return { expected, observed, low, high, pass: expected >= low && expected <= high };
+  }
+
+  const rounds = stats.totalRounds;
+  const hitRate = rounds > 0 ? stats.wins / rounds : 0;
+  const hitError = rounds > 0 ? Math.sqrt(round.winProbability * (1 - round.winProbability) / rounds) : Infinity;
+
+  // RTP = Σ payout / Σ bet; with varying bets its standard error is σ·√(Σb²)/Σb
+  const rtp = stats.totalWagered > 0 ? stats.totalWon / stats.totalWagered : 0;
+  const rtpError = stats.totalWagered > 0
+    ? round.stdDev * Math.sqrt(stats.sumBetSquares) / stats.totalWagered
+    : Infinity;
+
+  return {
+    confidence,
+    rtp: check(round.rtp, rtp, rtpError),
+    hitRate: check(round.winProbability, hitRate, hitError)
+  };
+}
+
+const DotsAnalytics = {
+  normalCdf,
+  getRoundStats,
+  getRoundStatsWithDeadEnds,
+  getRtpTable,
+  getRiskOfRuin,
+  compareWithSimulation
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DotsAnalytics;
+} else {
+  window.DotsAnalytics = DotsAnalytics;
+}
@@ -0,0 +1,145 @@
+// autobet.js
+// Advanced auto-bet strategies shared by game.js (auto mode) and simulation.js
+//
+// A strategy is a plain, JSON-serializable object (see DEFAULT_STRATEGY) so it can be
+// saved with the player's settings and passed unchanged to runSimulation.
+// createAutoBetRunner turns it into the bet / target step for each round of a sequence.
+
+const DEFAULT_STRATEGY = {
+  onWin: { action: "reset", percent: 0 },   // "reset" to the base bet, or "increase" by percent
+  onLoss: { action: "reset", percent: 0 },
+  stopOnProfit: 0,      // Stop when net profit of the sequence >= this (0 = off)
+  stopOnLoss: 0,        // Stop when net loss of the sequence >= this (0 = off)
+  stopOnSingleWin: 0,   // Stop after one round wins >= this above its bet (0 = off)
+  switchTarget: {
+    afterLosses: 0,     // Consecutive losses before switching (0 = off)
+    targetStep: 1       // Target step used until the next win
+  }
+};
+
+const STRATEGY_PRESETS = {
+  flat: {
+    label: "Flat",
+    strategy: DEFAULT_STRATEGY
+  },
+  martingale: {
+    label: "Martingale",
+    strategy: { ...DEFAULT_STRATEGY, onLoss: { action: "increase", percent: 100 } }
+  },
+  paroli: {
+    label: "Paroli",
+    strategy: { ...DEFAULT_STRATEGY, onWin: { action: "increase", percent: 100 } }
+  }
+};
+
+function toNonNegative(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+function normalizeAdjustment(adjustment) {
+  const action = adjustment && adjustment.action === "increase" ? "increase" : "reset";
+  const percent = Number(adjustment && adjustment.percent);
+  // Negative percentages decrease the bet, but never below zero
+  return { action, percent: Number.isFinite(percent) ? Math.max(-100, percent) : 0 };
+}
+
+/**
+ * Fill in missing fields and drop invalid values (e.g. from old saved settings or a form)
+ *
+ * @param {Object} strategy - Partial strategy
+ * @returns {Object} Complete strategy
+ */
+function normalizeStrategy(strategy) {
+  const source = strategy || {};
+  const switchTarget = source.switchTarget || {};
+
+  return {
+    onWin: normalizeAdjustment(source.onWin),
+    onLoss: normalizeAdjustment(source.onLoss),
+    stopOnProfit: toNonNegative(source.stopOnProfit),
+    stopOnLoss: toNonNegative(source.stopOnLoss),
+    stopOnSingleWin: toNonNegative(source.stopOnSingleWin),
+    switchTarget: {
+      afterLosses: Math.floor(toNonNegative(switchTarget.afterLosses)),
+      targetStep: Math.max(1, Math.floor(toNonNegative(switchTarget.targetStep)) || 1)
+    }
+  };
+}
+
+/**
+ * Track one auto-bet sequence and decide the next bet, target step and whether to stop.
+ * The runner's state is its plain data fields, so a saved copy assigned onto a new runner
+ * carries the sequence over a page reload.
+ *
+ * @param {Object} strategy - See DEFAULT_STRATEGY
+ * @param {Object} options
+ * @param {number} options.baseBet - Bet of the first round (and the "reset" bet)
+ * @param {number} options.baseTarget - Target step of the first round
+ * @param {number} options.minBet
+ * @param {number} options.maxBet
+ * @returns {Object} Runner: { bet, targetStep, baseBet, netProfit, lossStreak, record(result) }
+ */
+function createAutoBetRunner(strategy, { baseBet, baseTarget, minBet = 0, maxBet = Infinity }) {
+  const rules = normalizeStrategy(strategy);
+
+  function adjust(adjustment, bet) {
+    const next = adjustment.action === "increase" ? bet * (1 + adjustment.percent / 100) : baseBet;
+    return +Math.min(maxBet, Math.max(minBet, next)).toFixed(2);
+  }
+
+  const runner = {
+    bet: baseBet,
+    targetStep: baseTarget,
+    baseBet,
+    netProfit: 0,
+    lossStreak: 0,
+
+    /**
+     * @param {Object} result - { bet, payout } of the round that just ended
+     * @returns {Object} { bet, targetStep, stop } - stop is null or "profit" | "loss" | "singleWin"
+     */
+    record({ bet, payout }) {
+      const won = payout > 0;
+      runner.netProfit = +(runner.netProfit + payout - bet).toFixed(2);
+
+      if (won) {
+        runner.lossStreak = 0;
+        runner.bet = adjust(rules.onWin, bet);
+        runner.targetStep = baseTarget;
+      } else {
+        runner.lossStreak++;
+        runner.bet = adjust(rules.onLoss, bet);
+        if (rules.switchTarget.afterLosses > 0 && runner.lossStreak >= rules.switchTarget.afterLosses) {
+          runner.targetStep = rules.switchTarget.targetStep;
+        }
+      }
+
+      let stop = null;
+      if (rules.stopOnProfit > 0 && runner.netProfit >= rules.stopOnProfit) {
+        stop = "profit";
+      } else if (rules.stopOnLoss > 0 && -runner.netProfit >= rules.stopOnLoss) {
+        stop = "loss";
+      } else if (rules.stopOnSingleWin > 0 && won && +(payout - bet).toFixed(2) >= rules.stopOnSingleWin) {
+        stop = "singleWin";
+      }
+
+      return { bet: runner.bet, targetStep: runner.targetStep, stop };
+    }
+  };
+
+  return runner;
+}
+
+const DotsAutoBet = {
+  DEFAULT_STRATEGY,
+  STRATEGY_PRESETS,
+  normalizeStrategy,
+  createAutoBetRunner
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DotsAutoBet;
+} else {
+  window.DotsAutoBet = DotsAutoBet;
+}
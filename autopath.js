@@ -0,0 +1,144 @@
+// autopath.js
+// Planned routes for auto mode (instead of uniformly random dot picks)
+//
+// A route is an ordered list of node ids (row * gridSize + col, as in setupGrid).
+// Auto mode starts on the first route node and then steps to the next route node
+// it is allowed to take; path rules (engine.js) can make it skip ahead.
+// The auto path setting is a plain object so it can be saved with the player's settings:
+//   { preset: "random" | "spiral" | "snake" | "corners" | "custom", custom: { [gridSize]: nodeIds } }
+
+/**
+ * Clockwise spiral from the top-left corner inwards
+ * @param {number} gridSize
+ * @returns {number[]}
+ */
+function buildSpiralRoute(gridSize) {
+  const route = [];
+  let top = 0;
+  let bottom = gridSize - 1;
+  let left = 0;
+  let right = gridSize - 1;
+
+  while (top <= bottom && left <= right) {
+    for (let col = left; col <= right; col++) route.push(top * gridSize + col);
+    for (let row = top + 1; row <= bottom; row++) route.push(row * gridSize + right);
+    if (top < bottom) {
+      for (let col = right - 1; col >= left; col--) route.push(bottom * gridSize + col);
+    }
+    if (left < right) {
+      for (let row = bottom - 1; row > top; row--) route.push(row * gridSize + left);
+    }
+    top++;
+    bottom--;
+    left++;
+    right--;
+  }
+  return route;
+}
+
+/**
+ * Row by row, alternating direction (left to right, then right to left)
+ * @param {number} gridSize
+ * @returns {number[]}
+ */
+function buildSnakeRoute(gridSize) {
+  const route = [];
+  for (let row = 0; row < gridSize; row++) {
+    for (let i = 0; i < gridSize; i++) {
+      const col = row % 2 === 0 ? i : gridSize - 1 - i;
+      route.push(row * gridSize + col);
+    }
+  }
+  return route;
+}
+
+/**
+ * The four corners clockwise from the top-left, then the rest of the board as a spiral
+ * @param {number} gridSize
+ * @returns {number[]}
+ */
+function buildCornersRoute(gridSize) {
+  const last = gridSize - 1;
+  const corners = [0, last, last * gridSize + last, last * gridSize];
+  return corners.concat(buildSpiralRoute(gridSize).filter((id) => !corners.includes(id)));
+}
+
+const AUTO_PATH_PRESETS = {
+  random: { label: "Random", build: null },
+  spiral: { label: "Spiral", build: buildSpiralRoute },
+  snake: { label: "Snake", build: buildSnakeRoute },
+  corners: { label: "Corners first", build: buildCornersRoute },
+  custom: { label: "Drawn route", build: null }
+};
+
+const DEFAULT_AUTO_PATH = { preset: "random", custom: {} };
+
+/**
+ * Fill in missing fields and drop invalid values (e.g. from old saved settings)
+ *
+ * @param {Object} autoPath - Partial auto path setting
+ * @returns {Object} Complete auto path setting
+ */
+function normalizeAutoPath(autoPath) {
+  const source = autoPath || {};
+  const custom = {};
+
+  Object.keys(source.custom || {}).forEach((gridSize) => {
+    const size = parseInt(gridSize);
+    const nodeIds = source.custom[gridSize];
+    if (!(size > 0) || !Array.isArray(nodeIds)) return;
+    // Keep each id once, and only ids that exist on that grid
+    const valid = nodeIds.filter((id, index) =>
+      Number.isInteger(id) && id >= 0 && id < size * size && nodeIds.indexOf(id) === index
+    );
+    if (valid.length > 0) custom[size] = valid;
+  });
+
+  return {
+    preset: AUTO_PATH_PRESETS[source.preset] ? source.preset : DEFAULT_AUTO_PATH.preset,
+    custom
+  };
+}
+
+/**
+ * Route auto mode follows on a grid; empty for "random" or when no route was drawn for it
+ *
+ * @param {Object} autoPath - Normalized auto path setting
+ * @param {number} gridSize
+ * @returns {number[]}
+ */
+function getPlannedRoute(autoPath, gridSize) {
+  if (autoPath.preset === "custom") {
+    return (autoPath.custom[gridSize] || []).slice();
+  }
+  const preset = AUTO_PATH_PRESETS[autoPath.preset];
+  return preset && preset.build ? preset.build(gridSize) : [];
+}
+
+/**
+ * Next node to take along a route: the first route node that is not on the path yet
+ * and is currently allowed. Null when the route has nothing left to offer.
+ *
+ * @param {number[]} route - Planned route
+ * @param {number[]} pathNodeIds - Path so far
+ * @param {number[]} allowedIds - Nodes that may be taken now (engine.getLegalMoves(), or every node for the start)
+ * @returns {number|null}
+ */
+function pickRouteNode(route, pathNodeIds, allowedIds) {
+  const next = route.find((id) => !pathNodeIds.includes(id) && allowedIds.includes(id));
+  return next === undefined ? null : next;
+}
+
+const DotsAutoPath = {
+  AUTO_PATH_PRESETS,
+  DEFAULT_AUTO_PATH,
+  normalizeAutoPath,
+  getPlannedRoute,
+  pickRouteNode
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DotsAutoPath;
+} else {
+  window.DotsAutoPath = DotsAutoPath;
+}
@@ -0,0 +1,145 @@
+// board.js
+// Board helpers that don't need the canvas, shared by game.js and the tests: the keyboard
+// cursor, what the screen reader says about dots, tap-to-connect and play speed timing.
+//
+// Node ids are row * gridSize + col, as in setupGrid (game.js).
+
+// Animation and auto-play timing per play speed, in ms (a 0 line animation draws the line at once)
+const PLAY_SPEEDS = {
+  normal: { lineAnimation: 400, floatingMultiplier: 1500, autoStepDelay: 500, autoBetDelay: 1000 },
+  turbo: { lineAnimation: 120, floatingMultiplier: 600, autoStepDelay: 100, autoBetDelay: 250 },
+  // Auto rounds play every step back to back and only show the outcome
+  instant: { lineAnimation: 0, floatingMultiplier: 0, autoStepDelay: 0, autoBetDelay: 100 }
+};
+
+// Arrow key → [row, col] move of the keyboard cursor
+const CURSOR_MOVES = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1]
+};
+
+/**
+ * Where an arrow key puts the keyboard cursor. The first press only shows the cursor:
+ * at the end of the path, or mid-board before the path starts.
+ *
+ * @param {number|null} cursor - Node id under the cursor; null while it is hidden
+ * @param {number[]} move - [row, col] step (see CURSOR_MOVES); moves stop at the edge
+ * @param {number} gridSize
+ * @param {number[]} pathNodeIds
+ * @returns {number} Node id
+ */
+function moveBoardCursor(cursor, [dRow, dCol], gridSize, pathNodeIds) {
+  if (cursor === null) {
+    const lastNodeId = pathNodeIds[pathNodeIds.length - 1];
+    return lastNodeId !== undefined ? lastNodeId : Math.floor(gridSize / 2) * gridSize + Math.floor(gridSize / 2);
+  }
+  const row = Math.min(gridSize - 1, Math.max(0, Math.floor(cursor / gridSize) + dRow));
+  const col = Math.min(gridSize - 1, Math.max(0, (cursor % gridSize) + dCol));
+  return row * gridSize + col;
+}
+
+/**
+ * @param {number} nodeId
+ * @param {number} gridSize
+ * @returns {string} e.g. "Row 2, column 3"
+ */
+function describeBoardNode(nodeId, gridSize) {
+  return `Row ${Math.floor(nodeId / gridSize) + 1}, column ${(nodeId % gridSize) + 1}`;
+}
+
+/**
+ * @param {number} nodeId
+ * @param {number} gridSize
+ * @param {Object} round - What the board shows
+ * @param {number[]} round.stopPointIds - Revealed stop-points
+ * @param {number|null} round.startNodeId
+ * @param {number[]} round.pathNodeIds
+ * @param {Function|null} round.canConnect - (nodeId) → boolean while a move can be made, else null
+ * @returns {string} The dot and what it is to the round in play
+ */
+function describeCursorNode(nodeId, gridSize, { stopPointIds, startNodeId, pathNodeIds, canConnect }) {
+  let state = "";
+  if (stopPointIds.includes(nodeId)) {
+    state = "stop-point";
+  } else if (nodeId === startNodeId) {
+    state = "start of the path";
+  } else if (pathNodeIds.includes(nodeId)) {
+    state = "connected";
+  } else if (canConnect) {
+    state = canConnect(nodeId) ? "can connect" : "cannot connect";
+  }
+  const node = describeBoardNode(nodeId, gridSize);
+  return state ? `${node}, ${state}` : node;
+}
+
+/**
+ * @param {number[]} stopPointIds - Revealed layout
+ * @param {number} gridSize
+ * @returns {string}
+ */
+function describeStopPointLayout(stopPointIds, gridSize) {
+  const where = stopPointIds.map((id) => describeBoardNode(id, gridSize).toLowerCase()).join("; ");
+  return `Stop-point${stopPointIds.length === 1 ? " was" : "s were"} at ${where}.`;
+}
+
+/**
+ * Tap mode: whether a released press was a tap on a dot. A tap ends on the dot it started
+ * on; a press held into a long press only previewed the dot.
+ *
+ * @param {Object|null} press - { nodeId, longPress } of the press that ended
+ * @param {number|null} releasedNodeId - Dot under the release (findSnappedNode), or null
+ * @returns {boolean}
+ */
+function isTapRelease(press, releasedNodeId) {
+  return !!press && !press.longPress && releasedNodeId !== null && releasedNodeId === press.nodeId;
+}
+
+/**
+ * What a tap on a dot does. With confirmTaps the first tap only selects the dot and a
+ * second tap on it connects; a dot the path can't take drops the selection.
+ *
+ * @param {number} nodeId
+ * @param {Object} tap
+ * @param {boolean} tap.canConnect - The path can start on the dot or extend to it
+ * @param {boolean} tap.confirmTaps
+ * @param {number|null} tap.tapCandidate - Dot selected by the previous tap
+ * @returns {string} "clear", "select" or "connect"
+ */
+function getTapAction(nodeId, { canConnect, confirmTaps, tapCandidate }) {
+  if (!canConnect) return "clear";
+  if (confirmTaps && tapCandidate !== nodeId) return "select";
+  return "connect";
+}
+
+/**
+ * Timing of a play speed. Reduced motion draws lines at once (no flame) and keeps
+ * floating multipliers still.
+ *
+ * @param {string} speed - Key of PLAY_SPEEDS
+ * @param {boolean} reducedMotion - The player's OS asks for less motion (prefers-reduced-motion)
+ * @returns {Object} Entry of PLAY_SPEEDS
+ */
+function getPlaySpeedTiming(speed, reducedMotion) {
+  const timing = PLAY_SPEEDS[speed];
+  return reducedMotion ? { ...timing, lineAnimation: 0 } : timing;
+}
+
+const DotsBoard = {
+  PLAY_SPEEDS,
+  CURSOR_MOVES,
+  moveBoardCursor,
+  describeBoardNode,
+  describeCursorNode,
+  describeStopPointLayout,
+  isTapRelease,
+  getTapAction,
+  getPlaySpeedTiming
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DotsBoard;
+} else {
+  window.DotsBoard = DotsBoard;
+}
@@ -0,0 +1,322 @@
+// charts.js
+// Canvas charts for dev.html simulation results (no chart library, works offline):
+// balance over time (one line, or a p5/p50/p95 fan for batch runs), steps-reached
+// histogram and streak-length distribution.
+// Chart data comes from simulation.js runs with `record: true`.
+
+const CHART_COLORS = {
+  axis: '#2a2a3e',
+  text: '#a0a0c0',
+  line: '#00d9ff',
+  band: 'rgba(0, 217, 255, 0.18)',
+  baseline: 'rgba(255, 255, 255, 0.25)',
+  loss: '#ff6b6b',
+  win: '#51cf66'
+};
+
+const CHART_PADDING = { top: 24, right: 16, bottom: 30, left: 80 };
+const CHART_FAN_POINTS = 200; // Round positions the batch percentiles are taken at
+
+/**
+ * Size a canvas for its container and the device pixel ratio
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} height - CSS pixels
+ * @returns {Object} { ctx, width, height }
+ */
+function setupChartCanvas(canvas, height) {
+  const width = canvas.parentElement.clientWidth || 800;
+  const ratio = window.devicePixelRatio || 1;
+  canvas.style.width = width + 'px';
+  canvas.style.height = height + 'px';
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '12px system-ui, -apple-system, sans-serif';
+  return { ctx, width, height };
+}
+
+/**
+ * Value at a quantile of sorted numbers, interpolating between neighbours
+ * @param {number[]} sorted - Ascending
+ * @param {number} q - 0..1
+ * @returns {number}
+ */
+function getQuantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+/**
+ * Balance series of a result: one per session for merged batch/pool stats
+ * @param {Object} stats - Simulation statistics with chart data
+ * @returns {Array[]} Series of [round, balance] points
+ */
+function getBalanceSeriesList(stats) {
+  if (stats.balanceSeriesList) return stats.balanceSeriesList;
+  return stats.balanceSeries ? [stats.balanceSeries] : [];
+}
+
+/**
+ * Percentile balance paths across sessions. A session that ended early (broke,
+ * stop condition) or has not got that far yet counts with its last balance.
+ *
+ * @param {Array[]} seriesList - Series of [round, balance] points
+ * @param {number[]} quantiles - e.g. [0.05, 0.5, 0.95]
+ * @returns {Array[]} One series of [round, value] points per quantile
+ */
+function getPercentileSeries(seriesList, quantiles) {
+  const lastRound = Math.max(...seriesList.map((series) => series[series.length - 1][0]));
+  const count = Math.min(CHART_FAN_POINTS, Math.max(1, lastRound));
+  const cursors = seriesList.map(() => 0);
+  const result = quantiles.map(() => []);
+
+  for (let i = 0; i <= count; i++) {
+    const round = Math.round(lastRound * i / count);
+    const balances = seriesList.map((series, s) => {
+      // Last recorded point at or before this round (rounds only increase, so walk forward)
+      while (cursors[s] + 1 < series.length && series[cursors[s] + 1][0] <= round) cursors[s]++;
+      return series[cursors[s]][1];
+    }).sort((a, b) => a - b);
+
+    quantiles.forEach((q, index) => result[index].push([round, getQuantile(balances, q)]));
+  }
+  return result;
+}
+
+/**
+ * Evenly spaced axis values with round numbers (1, 2 or 5 × 10^n apart)
+ * @param {number} min
+ * @param {number} max
+ * @param {number} count - Roughly how many ticks
+ * @returns {number[]}
+ */
+function getChartTicks(min, max, count) {
+  const span = max - min || Math.abs(max) || 1;
+  const rough = span / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].map((m) => m * magnitude).find((s) => s >= rough);
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+    ticks.push(Math.abs(value) < step * 1e-9 ? 0 : value);
+  }
+  return ticks;
+}
+
+/**
+ * Axes, grid lines and tick labels; returns the value → pixel mapping
+ */
+function drawChartAxes(ctx, width, height, { xMin, xMax, yMin, yMax, formatX, formatY }) {
+  const left = CHART_PADDING.left;
+  const right = width - CHART_PADDING.right;
+  const top = CHART_PADDING.top;
+  const bottom = height - CHART_PADDING.bottom;
+  const x = (value) => left + (xMax > xMin ? (value - xMin) / (xMax - xMin) : 0.5) * (right - left);
+  const y = (value) => bottom - (yMax > yMin ? (value - yMin) / (yMax - yMin) : 0.5) * (bottom - top);
+
+  ctx.strokeStyle = CHART_COLORS.axis;
+  ctx.fillStyle = CHART_COLORS.text;
+  ctx.lineWidth = 1;
+
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  getChartTicks(yMin, yMax, 5).forEach((value) => {
+    ctx.beginPath();
+    ctx.moveTo(left, y(value));
+    ctx.lineTo(right, y(value));
+    ctx.stroke();
+    ctx.fillText(formatY(value), left - 8, y(value));
+  });
+
+  if (formatX) {
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    getChartTicks(xMin, xMax, 6).forEach((value) => {
+      ctx.fillText(formatX(value), x(value), bottom + 8);
+    });
+  }
+
+  return { x, y, left, right, top, bottom };
+}
+
+/**
+ * Legend entries in the top-right corner
+ * @param {Object[]} entries - { label, color }
+ */
+function drawChartLegend(ctx, width, entries) {
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  let x = width - CHART_PADDING.right;
+  entries.slice().reverse().forEach(({ label, color }) => {
+    x -= ctx.measureText(label).width + 22;
+    ctx.fillStyle = color;
+    ctx.fillRect(x, CHART_PADDING.top / 2 - 5, 10, 10);
+    ctx.fillStyle = CHART_COLORS.text;
+    ctx.fillText(label, x + 14, CHART_PADDING.top / 2);
+  });
+}
+
+/**
+ * Balance over time. One session draws its balance line; several sessions (a batch
+ * or a worker pool) draw the p5-p95 band with the median line.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} stats - Simulation statistics with chart data
+ */
+function drawBalanceChart(canvas, stats) {
+  const { ctx, width, height } = setupChartCanvas(canvas, 260);
+  const seriesList = getBalanceSeriesList(stats).filter((series) => series.length > 0);
+  if (seriesList.length === 0) return;
+
+  const fan = seriesList.length > 1;
+  const [low, median, high] = fan ? getPercentileSeries(seriesList, [0.05, 0.5, 0.95]) : [null, seriesList[0], null];
+  const shown = fan ? [low, median, high] : [median];
+  const values = shown.flat().map((point) => point[1]).concat(stats.startBalance);
+
+  const axes = drawChartAxes(ctx, width, height, {
+    xMin: 0,
+    xMax: Math.max(...shown.map((series) => series[series.length - 1][0])),
+    yMin: Math.min(...values),
+    yMax: Math.max(...values),
+    formatX: (value) => value.toLocaleString(),
+    formatY: formatCurrency
+  });
+
+  // Starting balance for reference
+  ctx.strokeStyle = CHART_COLORS.baseline;
+  ctx.setLineDash([4, 4]);
+  ctx.beginPath();
+  ctx.moveTo(axes.left, axes.y(stats.startBalance));
+  ctx.lineTo(axes.right, axes.y(stats.startBalance));
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  if (fan) {
+    ctx.fillStyle = CHART_COLORS.band;
+    ctx.beginPath();
+    high.forEach(([round, balance], i) => {
+      if (i === 0) ctx.moveTo(axes.x(round), axes.y(balance));
+      else ctx.lineTo(axes.x(round), axes.y(balance));
+    });
+    low.slice().reverse().forEach(([round, balance]) => ctx.lineTo(axes.x(round), axes.y(balance)));
+    ctx.closePath();
+    ctx.fill();
+    drawChartLegend(ctx, width, [
+      { label: `p50 of ${seriesList.length} runs`, color: CHART_COLORS.line },
+      { label: 'p5-p95', color: CHART_COLORS.band }
+    ]);
+  }
+
+  ctx.strokeStyle = CHART_COLORS.line;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  median.forEach(([round, balance], i) => {
+    if (i === 0) ctx.moveTo(axes.x(round), axes.y(balance));
+    else ctx.lineTo(axes.x(round), axes.y(balance));
+  });
+  ctx.stroke();
+}
+
+/**
+ * Bar chart of counts, one group of bars per label
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} data
+ * @param {string[]} data.labels - Category labels (x axis)
+ * @param {Object[]} data.groups - { label, color, values } with one value per category
+ * @param {number} [data.labelEvery] - Label only every n-th category (crowded axes)
+ */
+function drawBarChart(canvas, { labels, groups, labelEvery = 1 }) {
+  const { ctx, width, height } = setupChartCanvas(canvas, 220);
+  if (labels.length === 0) return;
+
+  const maxValue = Math.max(1, ...groups.flatMap((group) => group.values));
+  const axes = drawChartAxes(ctx, width, height, {
+    xMin: 0,
+    xMax: 1,
+    yMin: 0,
+    yMax: maxValue,
+    formatY: (value) => value.toLocaleString()
+  });
+
+  const slot = (axes.right - axes.left) / labels.length;
+  const barWidth = Math.max(1, (slot * 0.8) / groups.length);
+
+  labels.forEach((label, i) => {
+    const slotLeft = axes.left + i * slot + slot * 0.1;
+    groups.forEach((group, g) => {
+      const value = group.values[i] || 0;
+      ctx.fillStyle = group.color;
+      ctx.fillRect(slotLeft + g * barWidth, axes.y(value), barWidth, axes.bottom - axes.y(value));
+    });
+    if (i % labelEvery === 0) {
+      ctx.fillStyle = CHART_COLORS.text;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText(label, axes.left + (i + 0.5) * slot, axes.bottom + 8);
+    }
+  });
+
+  if (groups.length > 1) drawChartLegend(ctx, width, groups);
+}
+
+/**
+ * Rounds by number of safe steps reached. Wins reach the target step (or a dead end);
+ * losses stop on the step after the last safe one.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} stats - Simulation statistics with chart data
+ */
+function drawStepsChart(canvas, stats) {
+  const counts = stats.stepsHistogram || [];
+  drawBarChart(canvas, {
+    labels: counts.map((count, steps) => steps.toString()),
+    groups: [{ label: 'Rounds', color: CHART_COLORS.line, values: counts }],
+    labelEvery: Math.ceil(counts.length / 25)
+  });
+}
+
+/**
+ * Losing and winning streaks by length
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} stats - Simulation statistics with chart data
+ */
+function drawStreakChart(canvas, stats) {
+  const losses = stats.lossStreaks || [];
+  const wins = stats.winStreaks || [];
+  const length = Math.max(losses.length, wins.length);
+  // Streaks start at length 1
+  const labels = [];
+  for (let streak = 1; streak < length; streak++) labels.push(streak.toString());
+
+  drawBarChart(canvas, {
+    labels,
+    groups: [
+      { label: 'Losing streaks', color: CHART_COLORS.loss, values: losses.slice(1) },
+      { label: 'Winning streaks', color: CHART_COLORS.win, values: wins.slice(1) }
+    ],
+    labelEvery: Math.ceil(labels.length / 25)
+  });
+}
+
+const DotsCharts = {
+  getQuantile,
+  getBalanceSeriesList,
+  getPercentileSeries,
+  getChartTicks,
+  drawBalanceChart,
+  drawBarChart,
+  drawStepsChart,
+  drawStreakChart
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DotsCharts;
+} else {
+  window.DotsCharts = DotsCharts;
+}
@@ -0,0 +1,1076 @@
+// engine.js
+// Headless game engine: round logic, balance, stop-point layout and math.
+// No DOM access - game.js renders it, simulation.js drives it directly, and it loads under Node.
+
+// Browser: dependencies are loaded by <script> tags. Node: require them.
+const EngineDeps = typeof module !== "undefined" && module.exports
+  ? { DotsRng: require("./rng.js"), ProvablyFair: require("./fair.js") }
+  : window;
+
+// Math profile: the operator-level payout settings (see setMathProfile). Plain JSON so
+// markets can ship their own without code changes:
+//   name          - Label shown in dev tools
+//   rtp           - Return to player applied to the fair multipliers (0.94 = 94%)
+//   grids         - Per-grid overrides: { [gridSize]: { rtp, multipliers: { [stopPoints]: [step 1, step 2, ...] } } }
+//                   A multiplier table replaces the formula for that board, every offered step listed
+//   rounding      - { mode: "none" | "floor" | "round", decimals } applied to every multiplier,
+//                   so the displayed multiplier is the one paid
+//   maxMultiplier - Cap on any step's multiplier (null = no cap)
+//   maxPayout     - Most one round may pay out, in currency (null = no limit)
+//   maxProfit     - Most one round may win above its bet, in currency (null = no limit)
+//                   A round whose win reaches either limit is cashed out by the engine
+const DEFAULT_MATH_PROFILE = {
+  name: "Standard",
+  rtp: 0.94,
+  grids: {},
+  rounding: { mode: "none", decimals: 2 },
+  maxMultiplier: null,
+  maxPayout: null,
+  maxProfit: null
+};
+
+const ROUNDING_MODES = ["none", "floor", "round"];
+
+const MathConfig = {
+  // MINES-BASED MODEL: active math profile (RTP = 94% by default)
+  profile: DEFAULT_MATH_PROFILE,
+
+  // Highest RTP a profile may pay on any step; validateMathProfile rejects more
+  maxRtp: 0.99,
+
+  // Largest bet the tables take (game.js CONFIG, server.js BET_LIMITS); a profile's
+  // maxPayout must stay above it
+  maxBet: 500,
+
+  // Grid configurations (N×N boards). stopPoints is the default count;
+  // players can pick any count in getStopPointRange(gridSize).
+  grids: {
+    3: { total: 9, stopPoints: 1, name: "Classic" },
+    4: { total: 16, stopPoints: 2, name: "Advanced" },
+    5: { total: 25, stopPoints: 3, name: "Expert" },
+    6: { total: 36, stopPoints: 5, name: "Master" },
+    7: { total: 49, stopPoints: 7, name: "Elite" },
+    8: { total: 64, stopPoints: 10, name: "Legend" }
+  }
+};
+
+// ============================================================================
+// Grid helpers
+// ============================================================================
+
+/**
+ * @param {number} gridSize
+ * @returns {Object|null} - Grid config, or null for an unknown size
+ */
+function getGridConfig(gridSize) {
+  return MathConfig.grids[gridSize] || null;
+}
+
+/**
+ * Selectable stop-point counts for a grid.
+ * At least two safe nodes must remain so the max practical step is >= 1.
+ *
+ * @param {number} gridSize
+ * @returns {Object} { min, max }
+ */
+function getStopPointRange(gridSize) {
+  const gridConfig = getGridConfig(gridSize);
+  if (!gridConfig) {
+    return { min: 0, max: 0 };
+  }
+  return { min: 1, max: gridConfig.total - 2 };
+}
+
+/**
+ * Maximum practical step: safe cells - 1 (the last safe pick is excluded,
+ * its probability is too low to offer as a target)
+ *
+ * @param {number} gridSize
+ * @param {number} stopPoints - Defaults to the grid's stop-point count
+ * @returns {number}
+ */
+function getMaxStep(gridSize, stopPoints) {
+  const gridConfig = getGridConfig(gridSize);
+  if (!gridConfig) {
+    console.error(`Unknown grid size: ${gridSize}`);
+    return 0;
+  }
+  const count = stopPoints ?? gridConfig.stopPoints;
+  return Math.max(0, gridConfig.total - count - 1);
+}
+
+// ============================================================================
+// Path rules: which nodes a path may connect to next
+// ============================================================================
+
+// Moves are [rowDelta, colDelta] offsets from the last node; null = any unvisited node
+const PathRules = {
+  any: { label: "Any dot", offsets: null },
+  orthogonal: {
+    label: "Orthogonal",
+    offsets: [[-1, 0], [1, 0], [0, -1], [0, 1]]
+  },
+  king: {
+    label: "8 neighbours",
+    offsets: [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]
+  },
+  knight: {
+    label: "Knight moves",
+    offsets: [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]]
+  }
+};
+
+/**
+ * @returns {number} -1, 0 or 1: turn direction of a → b → c (0 = collinear)
+ */
+function orientation(a, b, c) {
+  return Math.sign((b.col - a.col) * (c.row - a.row) - (b.row - a.row) * (c.col - a.col));
+}
+
+/**
+ * @returns {boolean} - True if collinear point c lies within the bounding box of a-b
+ */
+function onSegment(a, b, c) {
+  return Math.min(a.col, b.col) <= c.col && c.col <= Math.max(a.col, b.col) &&
+    Math.min(a.row, b.row) <= c.row && c.row <= Math.max(a.row, b.row);
+}
+
+/**
+ * Segment intersection on grid coordinates, touching and overlapping included
+ */
+function segmentsIntersect(p1, p2, p3, p4) {
+  const o1 = orientation(p1, p2, p3);
+  const o2 = orientation(p1, p2, p4);
+  const o3 = orientation(p3, p4, p1);
+  const o4 = orientation(p3, p4, p2);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  if (o1 === 0 && onSegment(p1, p2, p3)) return true;
+  if (o2 === 0 && onSegment(p1, p2, p4)) return true;
+  if (o3 === 0 && onSegment(p3, p4, p1)) return true;
+  if (o4 === 0 && onSegment(p3, p4, p2)) return true;
+  return false;
+}
+
+/**
+ * Would the segment from the path's last node to `to` cross (or run along) the path?
+ *
+ * @param {Object[]} path - Path nodes as { row, col }, start first
+ * @param {Object} to - Candidate node { row, col }
+ * @returns {boolean}
+ */
+function crossesPath(path, to) {
+  const from = path[path.length - 1];
+
+  for (let i = 0; i < path.length - 1; i++) {
+    const a = path[i];
+    const b = path[i + 1];
+
+    if (i === path.length - 2) {
+      // Previous segment shares `from`: only doubling back along it counts
+      const prev = a;
+      const collinear = orientation(from, prev, to) === 0;
+      const sameDirection = (prev.col - from.col) * (to.col - from.col) + (prev.row - from.row) * (to.row - from.row) > 0;
+      if (collinear && sameDirection) return true;
+      continue;
+    }
+
+    if (segmentsIntersect(a, b, from, to)) return true;
+  }
+  return false;
+}
+
+// ============================================================================
+// MINES-BASED MODEL: Dynamic probability and progressive multiplier
+// ============================================================================
+
+/**
+ * Calculate step success probability dynamically (MINES model)
+ * Formula: safeRemaining / totalRemaining
+ *
+ * Path rules limit which nodes can be picked, not the odds: the layout is uniform,
+ * so every unrevealed node is equally likely to be a stop-point whichever moves are
+ * still reachable. A path that runs out of legal moves is cashed out by the engine at
+ * that step's multiplier, so the RTP holds too (test/path-rules.test.js measures both).
+ *
+ * @param {number} stepIndex - Current step (1-based)
+ * @param {number} gridSize - Grid size (see MathConfig.grids)
+ * @param {number} stopPoints - Stop-points on the board (defaults to the grid's count)
+ * @returns {number} - Probability of success for this step
+ */
+function getStepProbability(stepIndex, gridSize, stopPoints) {
+  const gridConfig = getGridConfig(gridSize);
+
+  if (!gridConfig) {
+    console.error(`Unknown grid size: ${gridSize}`);
+    return 0;
+  }
+
+  const totalCells = gridConfig.total;
+  stopPoints = stopPoints ?? gridConfig.stopPoints;
+  const safeCells = totalCells - stopPoints;
+
+  // Calculate remaining cells after (stepIndex - 1) steps
+  const totalRemaining = totalCells - (stepIndex - 1);
+  const safeRemaining = safeCells - (stepIndex - 1);
+
+  // Mines formula: probability = safeRemaining / totalRemaining
+  if (totalRemaining <= 0 || safeRemaining <= 0) {
+    return 0;
+  }
+
+  return safeRemaining / totalRemaining;
+}
+
+/**
+ * Calculate progressive multiplier for given step (MINES model)
+ * Formula: product of (1 / stepProbability) for each step, then * RTP -
+ * or the profile's multiplier table for the board - then the profile's cap and rounding.
+ * With a bet, the payout limits apply too (see getPayoutCap).
+ *
+ * @param {number} stepIndex - Target step (1-based)
+ * @param {number} gridSize - Grid size (see MathConfig.grids)
+ * @param {number} stopPoints - Stop-points on the board (defaults to the grid's count)
+ * @param {Object} [profile] - Math profile (defaults to the active one)
+ * @param {number} [bet] - Bet of the round; omit for the uncapped multiplier
+ * @returns {number} - Cumulative multiplier at this step
+ */
+function getMultiplierForStep(stepIndex, gridSize, stopPoints, profile = MathConfig.profile, bet = null) {
+  if (stepIndex === 0) return 0;
+
+  let multiplier = 1.0;
+  const table = getMultiplierTable(profile, gridSize, stopPoints);
+
+  if (table) {
+    multiplier = table[stepIndex - 1];
+    if (!(multiplier > 0)) {
+      console.error(`No multiplier for step ${stepIndex} in the "${profile.name}" table`);
+      return 0;
+    }
+  } else {
+    // Progressive multiplier calculation (step-by-step)
+    for (let step = 1; step <= stepIndex; step++) {
+      const stepProb = getStepProbability(step, gridSize, stopPoints);
+      if (stepProb === 0) {
+        console.error(`Invalid probability at step ${step}`);
+        return 0;
+      }
+
+      // Multiply by inverse probability
+      multiplier *= (1 / stepProb);
+    }
+
+    // Apply RTP ONCE at the end
+    multiplier *= getGridRtp(profile, gridSize);
+  }
+
+  if (profile.maxMultiplier) {
+    multiplier = Math.min(multiplier, profile.maxMultiplier);
+  }
+  multiplier = roundMultiplier(multiplier, profile.rounding);
+
+  // After rounding, so a capped round pays exactly the cap
+  if (bet > 0) {
+    multiplier = Math.min(multiplier, getPayoutCap(bet, profile) / bet);
+  }
+  return multiplier;
+}
+
+/**
+ * Most one round may pay at a bet: the lower of the profile's max payout and bet + max profit
+ *
+ * @param {number} bet
+ * @param {Object} [profile] - Math profile (defaults to the active one)
+ * @returns {number} - Infinity when the profile sets no limit
+ */
+function getPayoutCap(bet, profile = MathConfig.profile) {
+  let cap = Infinity;
+  if (profile.maxPayout) {
+    cap = Math.min(cap, profile.maxPayout);
+  }
+  if (profile.maxProfit) {
+    cap = Math.min(cap, bet + profile.maxProfit);
+  }
+  return cap;
+}
+
+/**
+ * What a cashout credits: bet × multiplier, at most the payout cap, in whole cents
+ * like the balance it is added to
+ *
+ * @param {number} bet
+ * @param {number} multiplier
+ * @param {Object} [profile] - Math profile (defaults to the active one)
+ * @returns {number}
+ */
+function getPayout(bet, multiplier, profile = MathConfig.profile) {
+  return +Math.min(bet * multiplier, getPayoutCap(bet, profile)).toFixed(2);
+}
+
+// ============================================================================
+// Math profiles
+// ============================================================================
+
+/**
+ * RTP a profile applies on a grid (its grid override, else its overall RTP)
+ * @param {Object} profile
+ * @param {number} gridSize
+ * @returns {number}
+ */
+function getGridRtp(profile, gridSize) {
+  const grid = profile.grids && profile.grids[gridSize];
+  return grid && grid.rtp !== undefined ? grid.rtp : profile.rtp;
+}
+
+/**
+ * Custom multiplier table of a board, if the profile has one
+ * @param {Object} profile
+ * @param {number} gridSize
+ * @param {number} [stopPoints] - Defaults to the grid's count
+ * @returns {number[]|null} Multipliers for step 1, 2, ...
+ */
+function getMultiplierTable(profile, gridSize, stopPoints) {
+  const grid = profile.grids && profile.grids[gridSize];
+  if (!grid || !grid.multipliers) return null;
+  const count = stopPoints ?? (getGridConfig(gridSize) || {}).stopPoints;
+  return grid.multipliers[count] || null;
+}
+
+/**
+ * Apply a profile's rounding rule
+ * @param {number} multiplier
+ * @param {Object} [rounding] - { mode, decimals }
+ * @returns {number}
+ */
+function roundMultiplier(multiplier, rounding) {
+  if (!rounding || rounding.mode === "none") return multiplier;
+  const scale = Math.pow(10, rounding.decimals);
+  // The epsilon keeps exact values like 1.41 from flooring to 1.40 through float error
+  return rounding.mode === "floor"
+    ? Math.floor(multiplier * scale + 1e-9) / scale
+    : Math.round(multiplier * scale) / scale;
+}
+
+/**
+ * Complete a partial profile with the defaults (e.g. { rtp: 0.96 })
+ * @param {Object} profile
+ * @returns {Object} New profile object
+ */
+function createMathProfile(profile = {}) {
+  return {
+    name: profile.name || "Custom",
+    rtp: profile.rtp ?? DEFAULT_MATH_PROFILE.rtp,
+    grids: profile.grids || {},
+    rounding: { ...DEFAULT_MATH_PROFILE.rounding, ...profile.rounding },
+    maxMultiplier: profile.maxMultiplier ?? null,
+    maxPayout: profile.maxPayout ?? null,
+    maxProfit: profile.maxProfit ?? null
+  };
+}
+
+/**
+ * Check a profile: its fields, its tables, and that no step of any board pays
+ * an effective RTP (win probability × multiplier) above the limit
+ *
+ * @param {Object} profile - Complete profile (createMathProfile)
+ * @param {Object} [options]
+ * @param {number} [options.maxRtp] - Defaults to MathConfig.maxRtp
+ * @param {number} [options.maxBet] - Largest bet the profile must pay out on; defaults to MathConfig.maxBet
+ * @returns {string[]} Problems found; empty when the profile is valid
+ */
+function validateMathProfile(profile, { maxRtp = MathConfig.maxRtp, maxBet = MathConfig.maxBet } = {}) {
+  const errors = [];
+  const isRtp = (value) => typeof value === "number" && value > 0 && value <= maxRtp;
+  const percent = (value) => `${+(value * 100).toFixed(4)}%`;
+
+  if (!profile || typeof profile !== "object") {
+    return ["Profile must be an object"];
+  }
+  if (typeof profile.name !== "string" || profile.name.trim() === "") {
+    errors.push("name must be a non-empty string");
+  }
+  if (!isRtp(profile.rtp)) {
+    errors.push(`rtp must be a number above 0 and at most ${maxRtp}`);
+  }
+  const rounding = profile.rounding || {};
+  if (!ROUNDING_MODES.includes(rounding.mode)) {
+    errors.push(`rounding.mode must be one of ${ROUNDING_MODES.join(", ")}`);
+  }
+  if (!Number.isInteger(rounding.decimals) || rounding.decimals < 0 || rounding.decimals > 6) {
+    errors.push("rounding.decimals must be a whole number from 0 to 6");
+  }
+  if (profile.maxMultiplier !== null && !(typeof profile.maxMultiplier === "number" && profile.maxMultiplier > 1)) {
+    errors.push("maxMultiplier must be null or a number above 1");
+  }
+  ["maxPayout", "maxProfit"].forEach((key) => {
+    if (profile[key] !== null && !(typeof profile[key] === "number" && profile[key] > 0)) {
+      errors.push(`${key} must be null or a positive amount`);
+    }
+  });
+  if (profile.maxPayout > 0 && profile.maxPayout <= maxBet) {
+    // placeBet refuses bets the cap does not pay above
+    errors.push(`maxPayout must be above the table's max bet of ${maxBet}`);
+  }
+
+  Object.keys(profile.grids || {}).forEach((gridSize) => {
+    const grid = profile.grids[gridSize];
+    if (!getGridConfig(gridSize)) {
+      errors.push(`grids.${gridSize}: unknown grid size`);
+      return;
+    }
+    if (grid.rtp !== undefined && !isRtp(grid.rtp)) {
+      errors.push(`grids.${gridSize}.rtp must be a number above 0 and at most ${maxRtp}`);
+    }
+    const { min, max } = getStopPointRange(gridSize);
+    Object.keys(grid.multipliers || {}).forEach((count) => {
+      const table = grid.multipliers[count];
+      const where = `grids.${gridSize}.multipliers.${count}`;
+      if (!(count >= min && count <= max)) {
+        errors.push(`${where}: stop-points must be ${min}-${max}`);
+        return;
+      }
+      const steps = getMaxStep(Number(gridSize), Number(count));
+      if (!Array.isArray(table) || table.length !== steps) {
+        errors.push(`${where}: list exactly ${steps} multipliers (one per offered step)`);
+        return;
+      }
+      if (!table.every((value, i) => typeof value === "number" && value > 0 && (i === 0 || value >= table[i - 1]))) {
+        errors.push(`${where}: multipliers must be positive and must not decrease`);
+      }
+    });
+  });
+  if (errors.length > 0) return errors;
+
+  // Effective RTP of every offered step; report the first offending step per board
+  Object.keys(MathConfig.grids).forEach((key) => {
+    const gridSize = Number(key);
+    const { min, max } = getStopPointRange(gridSize);
+    for (let count = min; count <= max; count++) {
+      let winProbability = 1;
+      for (let step = 1; step <= getMaxStep(gridSize, count); step++) {
+        winProbability *= getStepProbability(step, gridSize, count);
+        const rtp = winProbability * getMultiplierForStep(step, gridSize, count, profile);
+        if (rtp > maxRtp + 1e-9) {
+          errors.push(`${gridSize}x${gridSize}, ${count} stop-point${count === 1 ? "" : "s"}, step ${step}: RTP ${percent(rtp)} exceeds ${percent(maxRtp)}`);
+          break;
+        }
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Make a profile the active one (game, auto slider and simulator read it)
+ *
+ * @param {Object} profile - Complete or partial profile
+ * @returns {Object} The active profile
+ * @throws {Error} When the profile does not validate
+ */
+function setMathProfile(profile) {
+  const complete = createMathProfile(profile);
+  const errors = validateMathProfile(complete);
+  if (errors.length > 0) {
+    throw new Error(`Invalid math profile "${complete.name}": ${errors.join("; ")}`);
+  }
+  MathConfig.profile = complete;
+  return complete;
+}
+
+/**
+ * @returns {Object} The active math profile
+ */
+function getMathProfile() {
+  return MathConfig.profile;
+}
+
+// ============================================================================
+// DotsEngine
+// ============================================================================
+
+/**
+ * Seeds saved by an earlier session, checked before an engine plays under them
+ *
+ * @param {Object} seeds - From getSeedSnapshot()
+ * @returns {Object} { serverSeed, serverSeedHash, clientSeed, nonce, previous }
+ * @throws {Error} When the seeds are incomplete or the server seed does not match its hash
+ */
+function readSavedSeeds(seeds) {
+  const { serverSeed, serverSeedHash, clientSeed, nonce, previous = null } = seeds || {};
+  if (typeof serverSeed !== "string" || typeof clientSeed !== "string" || !Number.isInteger(nonce) || nonce < 0) {
+    throw new Error("Saved seeds are incomplete");
+  }
+  if (EngineDeps.ProvablyFair.sha256Hex(serverSeed) !== serverSeedHash) {
+    throw new Error("Saved server seed does not match its hash");
+  }
+  return { serverSeed, serverSeedHash, clientSeed, nonce, previous };
+}
+
+/**
+ * One player's game: balance, current round and provably fair seeds.
+ *
+ * Events (subscribe with on/off):
+ *   roundStarted   { bet, gridSize, stopPoints, nonce }
+ *   stepSuccess    { nodeId, stepIndex, multiplier }
+ *   stepFail       { nodeId, stepIndex, stopPointIds, pathNodeIds }
+ *   cashout        { payout, multiplier, stepIndex, reason, stopPointIds, pathNodeIds }
+ *                  reason: "player" | "deadEnd" (no legal moves left) | "cap" (win reached the payout cap)
+ *   balanceChanged { balance, delta }
+ *   seedsChanged   { serverSeedHash, clientSeed, nonce, previous }
+ *
+ * Node ids are row-major: 0 .. gridSize² - 1.
+ */
+class DotsEngine {
+  /**
+   * @param {Object} options
+   * @param {number} options.balance - Starting balance
+   * @param {number} options.gridSize - Initial grid size
+   * @param {number} options.stopPoints - Stop-points per round (defaults to the grid's count)
+   * @param {string} options.connectionRule - Key of PathRules
+   * @param {boolean} options.noCrossing - Forbid segments that cross the path
+   * @param {number} options.minBet
+   * @param {number} options.maxBet
+   * @param {Object} options.profile - Math profile for this engine (defaults to the active one);
+   *   lets the simulator compare profiles side by side
+   * @param {Object} options.rng - Optional RNG (rng.js) for the stop-point layout.
+   *   When omitted the layout is derived from provably fair seeds.
+   */
+  constructor({
+    balance = 0,
+    gridSize = 3,
+    stopPoints = null,
+    connectionRule = "any",
+    noCrossing = false,
+    minBet = 0,
+    maxBet = Infinity,
+    profile = null,
+    rng = null
+  } = {}) {
+    this.balance = balance;
+    this.gridSize = gridSize;
+    this.stopPointCount = MathConfig.grids[gridSize].stopPoints;
+    this.connectionRule = "any";
+    this.noCrossing = false;
+    this.minBet = minBet;
+    this.maxBet = maxBet;
+    this.profile = profile; // null = MathConfig.profile
+    this.rng = rng;
+    this.listeners = {};
+
+    this.active = false;
+    this.bet = 0;
+    this.pathNodeIds = [];
+    this.stepIndex = 0;
+    this.multiplier = 1.0;
+    this.stopPointIds = [];
+    this.roundNonce = null;
+
+    this.seeds = {
+      serverSeed: null,
+      serverSeedHash: null,
+      clientSeed: null,
+      nonce: 0,
+      previous: null // { serverSeed, serverSeedHash, clientSeed, rounds } after a rotation
+    };
+    if (!rng) {
+      this.rotateSeeds();
+    }
+    if (stopPoints !== null) {
+      this.setStopPointCount(stopPoints);
+    }
+    this.setPathRules({ connectionRule, noCrossing });
+  }
+
+  on(event, handler) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(handler);
+    return this;
+  }
+
+  off(event, handler) {
+    if (!this.listeners[event]) return this;
+    this.listeners[event] = this.listeners[event].filter((h) => h !== handler);
+    return this;
+  }
+
+  emit(event, payload) {
+    (this.listeners[event] || []).forEach((handler) => handler(payload));
+  }
+
+  /**
+   * @returns {number} Number of nodes on the current board
+   */
+  getTotalCells() {
+    return MathConfig.grids[this.gridSize].total;
+  }
+
+  setGridSize(gridSize) {
+    if (this.active) {
+      throw new Error("Cannot change grid size during a round");
+    }
+    if (!MathConfig.grids[gridSize]) {
+      throw new Error(`Unknown grid size: ${gridSize}`);
+    }
+    this.gridSize = gridSize;
+    // Each grid starts from its own default stop-point count
+    this.stopPointCount = MathConfig.grids[gridSize].stopPoints;
+  }
+
+  /**
+   * Choose how many stop-points the next rounds place (like the mine count in Mines)
+   * @param {number} count - Within getStopPointRange(gridSize)
+   */
+  setStopPointCount(count) {
+    if (this.active) {
+      throw new Error("Cannot change stop-points during a round");
+    }
+    const { min, max } = getStopPointRange(this.gridSize);
+    if (!Number.isInteger(count) || count < min || count > max) {
+      throw new Error(`Stop-points must be between ${min} and ${max} on ${this.gridSize}x${this.gridSize}`);
+    }
+    this.stopPointCount = count;
+  }
+
+  /**
+   * @param {Object} rules
+   * @param {string} rules.connectionRule - Key of PathRules (unchanged if omitted)
+   * @param {boolean} rules.noCrossing - Unchanged if omitted
+   */
+  setPathRules({ connectionRule = this.connectionRule, noCrossing = this.noCrossing } = {}) {
+    if (this.active) {
+      throw new Error("Cannot change path rules during a round");
+    }
+    if (!PathRules[connectionRule]) {
+      throw new Error(`Unknown connection rule: ${connectionRule}`);
+    }
+    this.connectionRule = connectionRule;
+    this.noCrossing = !!noCrossing;
+  }
+
+  /**
+   * Deduct the bet and fix the stop-point layout for a new round
+   * @param {number} bet
+   */
+  placeBet(bet) {
+    if (this.active) {
+      throw new Error("A round is already in progress");
+    }
+    if (!(bet >= this.minBet && bet <= this.maxBet)) {
+      throw new Error(`Bet must be between ${this.minBet} and ${this.maxBet}`);
+    }
+    if (bet > this.balance) {
+      throw new Error("Insufficient balance");
+    }
+    // A cap at or below the bet would cash out a winning step for less than the stake
+    if (!(getPayoutCap(bet, this.getProfile()) > bet)) {
+      throw new Error(`Bet must be below the max payout of ${this.getProfile().maxPayout}`);
+    }
+
+    this.active = true;
+    this.bet = bet;
+    this.pathNodeIds = [];
+    this.stepIndex = 0;
+    this.multiplier = 1.0;
+    this.placeStopPoints();
+
+    this.setBalance(+(this.balance - bet).toFixed(2));
+    this.emit("roundStarted", {
+      bet,
+      gridSize: this.gridSize,
+      stopPoints: this.stopPointCount,
+      nonce: this.roundNonce
+    });
+  }
+
+  /**
+   * Place the round's stop-points. The start pick is the first reveal, so every node is eligible.
+   */
+  placeStopPoints() {
+    const count = this.stopPointCount;
+    const totalCells = this.getTotalCells();
+
+    if (this.rng) {
+      const cells = [];
+      for (let id = 0; id < totalCells; id++) {
+        cells.push(id);
+      }
+      this.roundNonce = null;
+      this.stopPointIds = EngineDeps.DotsRng.sampleWithoutReplacement(this.rng, cells, count);
+      return;
+    }
+
+    const { serverSeed, clientSeed, nonce } = this.seeds;
+    this.roundNonce = nonce;
+    this.stopPointIds = EngineDeps.ProvablyFair.deriveStopPoints(serverSeed, clientSeed, nonce, totalCells, count);
+    this.seeds.nonce++;
+    this.emit("seedsChanged", this.getSeedInfo());
+  }
+
+  /**
+   * @param {number} nodeId
+   * @returns {boolean} - True if the node can be picked as the next step
+   */
+  isValidNextNode(nodeId) {
+    // Ids come from players and the network: 0.5 or "3" must never reach the layout check
+    if (!Number.isInteger(nodeId)) return false;
+    if (!this.active) return false;
+    if (nodeId < 0 || nodeId >= this.getTotalCells()) return false;
+    if (this.pathNodeIds.includes(nodeId)) return false;
+    // Any node can start the path
+    if (this.pathNodeIds.length === 0) return true;
+    return this.followsPathRules(this.pathNodeIds.map((id) => this.getNodePosition(id)), nodeId);
+  }
+
+  /**
+   * @returns {number[]} - Node ids the path may connect to next (empty when no round is active)
+   */
+  getLegalMoves() {
+    if (!this.active) return [];
+
+    const path = this.pathNodeIds.map((id) => this.getNodePosition(id));
+    const moves = [];
+    for (let id = 0; id < this.getTotalCells(); id++) {
+      if (this.pathNodeIds.includes(id)) continue;
+      if (path.length === 0 || this.followsPathRules(path, id)) {
+        moves.push(id);
+      }
+    }
+    return moves;
+  }
+
+  /**
+   * @param {Object[]} path - Current path as { row, col }, start first (non-empty)
+   * @param {number} nodeId - Unvisited candidate node
+   * @returns {boolean} - True if the connection rule and crossing rule allow the move
+   */
+  followsPathRules(path, nodeId) {
+    const from = path[path.length - 1];
+    const to = this.getNodePosition(nodeId);
+
+    const offsets = PathRules[this.connectionRule].offsets;
+    if (offsets && !offsets.some(([dRow, dCol]) => from.row + dRow === to.row && from.col + dCol === to.col)) {
+      return false;
+    }
+    return !(this.noCrossing && crossesPath(path, to));
+  }
+
+  /**
+   * @param {number} nodeId - Row-major node id
+   * @returns {Object} { row, col }
+   */
+  getNodePosition(nodeId) {
+    return { row: Math.floor(nodeId / this.gridSize), col: nodeId % this.gridSize };
+  }
+
+  /**
+   * Reveal one node. The first node of a round is the start of the path (step 1).
+   * A safe step whose win reaches the payout cap (capped), or that leaves no legal
+   * moves (deadEnd), cashes out the round.
+   *
+   * @param {number} nodeId
+   * @returns {Object} { success, nodeId, stepIndex, multiplier, deadEnd, capped, payout? }
+   */
+  step(nodeId) {
+    if (!this.isValidNextNode(nodeId)) {
+      throw new Error(`Invalid step to node ${nodeId}`);
+    }
+
+    const stepIndex = this.stepIndex + 1;
+    this.pathNodeIds.push(nodeId);
+
+    if (this.stopPointIds.includes(nodeId)) {
+      this.active = false;
+      this.stepIndex = 0;
+      this.multiplier = 1.0;
+      this.emit("stepFail", {
+        nodeId,
+        stepIndex,
+        stopPointIds: this.stopPointIds.slice(),
+        pathNodeIds: this.pathNodeIds.slice()
+      });
+      return { success: false, nodeId, stepIndex, multiplier: 0, deadEnd: false, capped: false };
+    }
+
+    this.stepIndex = stepIndex;
+    this.multiplier = getMultiplierForStep(stepIndex, this.gridSize, this.stopPointCount, this.getProfile(), this.bet);
+    this.emit("stepSuccess", { nodeId, stepIndex, multiplier: this.multiplier });
+
+    const result = { success: true, nodeId, stepIndex, multiplier: this.multiplier, deadEnd: false, capped: false };
+    if (this.bet * this.multiplier >= this.getPayoutCap() - 1e-9) {
+      result.capped = true;
+      result.payout = this.cashout("cap").payout;
+    } else if (this.getLegalMoves().length === 0) {
+      result.deadEnd = true;
+      result.payout = this.cashout("deadEnd").payout;
+    }
+    return result;
+  }
+
+  /**
+   * @returns {Object} Math profile this engine plays (its own, else the active one)
+   */
+  getProfile() {
+    return this.profile || MathConfig.profile;
+  }
+
+  /**
+   * @returns {number} Most the current round can pay (Infinity without payout limits)
+   */
+  getPayoutCap() {
+    return getPayoutCap(this.bet, this.getProfile());
+  }
+
+  /**
+   * Pay out bet × current multiplier (see getPayout) and end the round
+   * @param {string} reason - "player", or "deadEnd" / "cap" when the engine ends the round itself
+   * @returns {Object} { payout, multiplier, stepIndex, reason }
+   */
+  cashout(reason = "player") {
+    if (!this.active) {
+      throw new Error("No round in progress");
+    }
+    if (this.stepIndex === 0) {
+      throw new Error("Make at least one step before cashing out");
+    }
+
+    const multiplier = this.multiplier;
+    const stepIndex = this.stepIndex;
+    const payout = getPayout(this.bet, multiplier, this.getProfile());
+
+    this.active = false;
+    this.stepIndex = 0;
+    this.multiplier = 1.0;
+    this.setBalance(+(this.balance + payout).toFixed(2));
+    this.emit("cashout", {
+      payout,
+      multiplier,
+      stepIndex,
+      reason,
+      stopPointIds: this.stopPointIds.slice(),
+      pathNodeIds: this.pathNodeIds.slice()
+    });
+    return { payout, multiplier, stepIndex, reason };
+  }
+
+  /**
+   * The round in play as plain data, so it can outlive the page (see restoreRound).
+   * Holds the unrevealed layout and server seed: never show it to the player.
+   *
+   * @returns {Object|null} { bet, gridSize, stopPoints, connectionRule, noCrossing, nonce,
+   *   pathNodeIds, stepIndex, multiplier, stopPointIds, seeds }, or null between rounds
+   */
+  getRoundSnapshot() {
+    if (!this.active) return null;
+    return {
+      bet: this.bet,
+      gridSize: this.gridSize,
+      stopPoints: this.stopPointCount,
+      connectionRule: this.connectionRule,
+      noCrossing: this.noCrossing,
+      nonce: this.roundNonce,
+      pathNodeIds: this.pathNodeIds.slice(),
+      stepIndex: this.stepIndex,
+      multiplier: this.multiplier,
+      stopPointIds: this.stopPointIds.slice(),
+      seeds: this.getSeedSnapshot()
+    };
+  }
+
+  /**
+   * Put a saved round back in play. Its bet was deducted when it started, so the balance
+   * is left alone. The layout is checked against the seeds (see restoreStopPoints), the
+   * path replayed against it and the multiplier recomputed, so a snapshot that does not
+   * add up is refused and the engine stays as it was.
+   *
+   * @param {Object} snapshot - From getRoundSnapshot(); without seeds the current ones are kept
+   * @throws {Error} When a round is in progress or the snapshot is not a round in play
+   */
+  restoreRound(snapshot) {
+    if (this.active) {
+      throw new Error("A round is already in progress");
+    }
+    const board = {
+      gridSize: this.gridSize,
+      stopPointCount: this.stopPointCount,
+      connectionRule: this.connectionRule,
+      noCrossing: this.noCrossing
+    };
+    let seeds;
+
+    try {
+      if (!(snapshot.bet > 0)) {
+        throw new Error("Saved round has no bet");
+      }
+      this.setGridSize(snapshot.gridSize);
+      this.setStopPointCount(snapshot.stopPoints);
+      this.setPathRules({ connectionRule: snapshot.connectionRule, noCrossing: snapshot.noCrossing });
+
+      seeds = snapshot.seeds ? readSavedSeeds(snapshot.seeds) : this.seeds;
+      this.restoreStopPoints(snapshot, seeds);
+
+      this.active = true;
+      this.bet = snapshot.bet;
+      this.pathNodeIds = [];
+      (snapshot.pathNodeIds || []).forEach((nodeId) => {
+        if (!this.isValidNextNode(nodeId) || this.stopPointIds.includes(nodeId)) {
+          throw new Error(`Saved round has an invalid step to node ${nodeId}`);
+        }
+        this.pathNodeIds.push(nodeId);
+      });
+    } catch (error) {
+      Object.assign(this, board, { active: false, bet: 0, pathNodeIds: [], stopPointIds: [], roundNonce: null });
+      throw error;
+    }
+
+    this.stepIndex = this.pathNodeIds.length;
+    this.multiplier = this.stepIndex > 0
+      ? getMultiplierForStep(this.stepIndex, this.gridSize, this.stopPointCount, this.getProfile(), this.bet)
+      : 1.0;
+    if (snapshot.seeds) {
+      this.seeds = seeds;
+      this.emit("seedsChanged", this.getSeedInfo());
+    }
+  }
+
+  /**
+   * Put a saved round's layout back, refusing one placeStopPoints could not have placed:
+   * the board's count of distinct nodes, and under provably fair seeds exactly the layout
+   * they derive for the round's nonce (the last one the seeds moved past)
+   *
+   * @param {Object} snapshot - { stopPointIds, nonce } of the saved round
+   * @param {Object} seeds - Seeds the round was played under
+   * @throws {Error} When the layout does not match
+   */
+  restoreStopPoints(snapshot, seeds) {
+    const ids = snapshot.stopPointIds;
+    const totalCells = this.getTotalCells();
+    const count = this.stopPointCount;
+    if (!Array.isArray(ids) || ids.length !== count || new Set(ids).size !== count ||
+        !ids.every((id) => Number.isInteger(id) && id >= 0 && id < totalCells)) {
+      throw new Error(`Saved round must have ${count} distinct stop-points on the board`);
+    }
+
+    if (this.rng) {
+      this.roundNonce = null;
+    } else {
+      const nonce = snapshot.nonce;
+      if (!Number.isInteger(nonce) || nonce + 1 !== seeds.nonce) {
+        throw new Error("Saved round's nonce does not follow its seeds");
+      }
+      const derived = EngineDeps.ProvablyFair.deriveStopPoints(seeds.serverSeed, seeds.clientSeed, nonce, totalCells, count);
+      if (derived.some((id, i) => id !== ids[i])) {
+        throw new Error("Saved round's layout does not match its seeds");
+      }
+      this.roundNonce = nonce;
+    }
+    this.stopPointIds = ids.slice();
+  }
+
+  setBalance(balance) {
+    const delta = balance - this.balance;
+    this.balance = balance;
+    this.emit("balanceChanged", { balance, delta });
+  }
+
+  /**
+   * Reveal the current server seed and commit to a new one. Nonce restarts at 0.
+   */
+  rotateSeeds() {
+    if (this.active) {
+      throw new Error("Cannot rotate seeds during a round");
+    }
+
+    const seeds = this.seeds;
+    if (seeds.serverSeed) {
+      seeds.previous = {
+        serverSeed: seeds.serverSeed,
+        serverSeedHash: seeds.serverSeedHash,
+        clientSeed: seeds.clientSeed,
+        rounds: seeds.nonce
+      };
+    }
+
+    seeds.serverSeed = EngineDeps.ProvablyFair.generateSeed();
+    seeds.serverSeedHash = EngineDeps.ProvablyFair.sha256Hex(seeds.serverSeed);
+    if (!seeds.clientSeed) {
+      seeds.clientSeed = EngineDeps.ProvablyFair.generateSeed(8);
+    }
+    seeds.nonce = 0;
+    this.emit("seedsChanged", this.getSeedInfo());
+  }
+
+  setClientSeed(clientSeed) {
+    if (this.active) {
+      throw new Error("Cannot change client seed during a round");
+    }
+    this.seeds.clientSeed = clientSeed;
+    this.emit("seedsChanged", this.getSeedInfo());
+  }
+
+  /**
+   * The seeds as plain data, so a later session can play on under them (see restoreSeeds).
+   * Holds the unrevealed server seed: never show it to the player.
+   *
+   * @returns {Object} { serverSeed, serverSeedHash, clientSeed, nonce, previous }
+   */
+  getSeedSnapshot() {
+    return { ...this.seeds };
+  }
+
+  /**
+   * Play on under seeds an earlier session committed to, so the rounds it played stay
+   * verifiable once the server seed is revealed
+   *
+   * @param {Object} seeds - From getSeedSnapshot()
+   * @throws {Error} During a round, or when the seeds are incomplete or the server seed
+   *   does not match its hash
+   */
+  restoreSeeds(seeds) {
+    if (this.active) {
+      throw new Error("Cannot restore seeds during a round");
+    }
+    this.seeds = readSavedSeeds(seeds);
+    this.emit("seedsChanged", this.getSeedInfo());
+  }
+
+  /**
+   * @returns {Object} Public seed info - never includes the unrevealed server seed
+   */
+  getSeedInfo() {
+    return {
+      serverSeedHash: this.seeds.serverSeedHash,
+      clientSeed: this.seeds.clientSeed,
+      nonce: this.seeds.nonce,
+      previous: this.seeds.previous
+    };
+  }
+}
+
+const GameMath = {
+  getStepProbability,
+  getMultiplierForStep,
+  getGridConfig,
+  getStopPointRange,
+  getMaxStep,
+  getGridRtp,
+  getPayoutCap,
+  getPayout,
+  createMathProfile,
+  validateMathProfile,
+  setMathProfile,
+  getMathProfile,
+  DEFAULT_MATH_PROFILE,
+  CONFIG: MathConfig
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { DotsEngine, GameMath, PathRules };
+} else {
+  window.DotsEngine = DotsEngine;
+  window.PathRules = PathRules;
+  // ⚠️ DEVELOPER-ONLY API: Expose math functions for simulation
+  // DO NOT use this in production UI code
+  window.GameMath = GameMath;
+}
@@ -0,0 +1,268 @@
+// fair.js
+// Provably fair seed / commit / reveal scheme
+//
+// Each round's stop-point layout is derived from HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}:${cursor}`).
+// The player sees SHA-256(serverSeed) before betting, picks their own client seed,
+// and gets the server seed revealed when they rotate seeds, so every past round can be replayed.
+
+// Browser: rng.js is loaded by a <script> tag. Node: require it.
+const FairDeps = typeof module !== "undefined" && module.exports
+  ? { DotsRng: require("./rng.js") }
+  : window;
+
+// ============================================================================
+// SHA-256 / HMAC-SHA256 (synchronous, no dependencies)
+// ============================================================================
+
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+function utf8Bytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} Lowercase hex string
+ */
+function bytesToHex(bytes) {
+  let hex = "";
+  for (let i = 0; i < bytes.length; i++) {
+    hex += bytes[i].toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+/**
+ * SHA-256 digest
+ * @param {Uint8Array} message
+ * @returns {Uint8Array} 32-byte digest
+ */
+function sha256Bytes(message) {
+  const h = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ];
+
+  // Padding: message + 0x80 + zeros + 64-bit big-endian bit length
+  const bitLength = message.length * 8;
+  const paddedLength = Math.ceil((message.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(message);
+  padded[message.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (hh + S1 + ch + SHA256_K[i] + w[i]) >>> 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) >>> 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+
+    h[0] = (h[0] + a) >>> 0;
+    h[1] = (h[1] + b) >>> 0;
+    h[2] = (h[2] + c) >>> 0;
+    h[3] = (h[3] + d) >>> 0;
+    h[4] = (h[4] + e) >>> 0;
+    h[5] = (h[5] + f) >>> 0;
+    h[6] = (h[6] + g) >>> 0;
+    h[7] = (h[7] + hh) >>> 0;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  h.forEach((word, i) => digestView.setUint32(i * 4, word));
+  return digest;
+}
+
+function rotr(x, n) {
+  return (x >>> n) | (x << (32 - n));
+}
+
+/**
+ * @param {string} text
+ * @returns {string} Hex SHA-256 of the UTF-8 text
+ */
+function sha256Hex(text) {
+  return bytesToHex(sha256Bytes(utf8Bytes(text)));
+}
+
+/**
+ * HMAC-SHA256 (RFC 2104)
+ * @param {string} key
+ * @param {string} message
+ * @returns {Uint8Array} 32-byte MAC
+ */
+function hmacSha256Bytes(key, message) {
+  const blockSize = 64;
+  let keyBytes = utf8Bytes(key);
+  if (keyBytes.length > blockSize) {
+    keyBytes = sha256Bytes(keyBytes);
+  }
+
+  const inner = new Uint8Array(blockSize);
+  const outer = new Uint8Array(blockSize);
+  for (let i = 0; i < blockSize; i++) {
+    const k = keyBytes[i] || 0;
+    inner[i] = k ^ 0x36;
+    outer[i] = k ^ 0x5c;
+  }
+
+  const messageBytes = utf8Bytes(message);
+  const innerInput = new Uint8Array(blockSize + messageBytes.length);
+  innerInput.set(inner);
+  innerInput.set(messageBytes, blockSize);
+  const innerHash = sha256Bytes(innerInput);
+
+  const outerInput = new Uint8Array(blockSize + innerHash.length);
+  outerInput.set(outer);
+  outerInput.set(innerHash, blockSize);
+  return sha256Bytes(outerInput);
+}
+
+/**
+ * @param {string} key
+ * @param {string} message
+ * @returns {string} Hex HMAC-SHA256
+ */
+function hmacSha256Hex(key, message) {
+  return bytesToHex(hmacSha256Bytes(key, message));
+}
+
+// ============================================================================
+// Seeds and outcome derivation
+// ============================================================================
+
+/**
+ * Generate a random hex seed using the platform CSPRNG
+ * @param {number} byteLength - Seed size in bytes (default 32)
+ * @returns {string}
+ */
+function generateSeed(byteLength = 32) {
+  const bytes = new Uint8Array(byteLength);
+  crypto.getRandomValues(bytes);
+  return bytesToHex(bytes);
+}
+
+/**
+ * Provably fair RNG (see rng.js for the interface).
+ * Each HMAC(serverSeed, `${clientSeed}:${nonce}:${cursor}`) yields 32 bytes = 8 floats of 4 bytes each.
+ *
+ * @param {string} serverSeed
+ * @param {string} clientSeed
+ * @param {number} nonce
+ * @returns {{next: Function, kind: string}}
+ */
+function createFairRng(serverSeed, clientSeed, nonce) {
+  let cursor = 0;
+  let bytes = null;
+  let offset = 0;
+
+  return {
+    kind: "fair",
+    next() {
+      if (!bytes || offset >= bytes.length) {
+        bytes = hmacSha256Bytes(serverSeed, `${clientSeed}:${nonce}:${cursor}`);
+        offset = 0;
+        cursor++;
+      }
+      const value =
+        bytes[offset] / 256 +
+        bytes[offset + 1] / 256 ** 2 +
+        bytes[offset + 2] / 256 ** 3 +
+        bytes[offset + 3] / 256 ** 4;
+      offset += 4;
+      return value;
+    }
+  };
+}
+
+/**
+ * Derive the first `count` floats in [0, 1) of a round's fair RNG stream
+ *
+ * @param {string} serverSeed
+ * @param {string} clientSeed
+ * @param {number} nonce
+ * @param {number} count
+ * @returns {number[]}
+ */
+function deriveFloats(serverSeed, clientSeed, nonce, count) {
+  const rng = createFairRng(serverSeed, clientSeed, nonce);
+  const floats = [];
+  while (floats.length < count) {
+    floats.push(rng.next());
+  }
+  return floats;
+}
+
+/**
+ * Derive the stop-point layout for a round.
+ * Each float picks one of the remaining cells (like drawing mines without replacement).
+ *
+ * @param {string} serverSeed
+ * @param {string} clientSeed
+ * @param {number} nonce
+ * @param {number} totalCells - Number of nodes on the board (node ids 0..totalCells-1)
+ * @param {number} stopPoints - Number of stop-points to place
+ * @returns {number[]} Node ids of the stop-points, in draw order
+ */
+function deriveStopPoints(serverSeed, clientSeed, nonce, totalCells, stopPoints) {
+  const cells = [];
+  for (let id = 0; id < totalCells; id++) {
+    cells.push(id);
+  }
+
+  const rng = createFairRng(serverSeed, clientSeed, nonce);
+  return FairDeps.DotsRng.sampleWithoutReplacement(rng, cells, stopPoints);
+}
+
+const ProvablyFair = {
+  sha256Hex,
+  hmacSha256Hex,
+  generateSeed,
+  createFairRng,
+  deriveFloats,
+  deriveStopPoints
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ProvablyFair;
+} else {
+  window.ProvablyFair = ProvablyFair;
+}
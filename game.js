@@ -2,7 +2,6 @@
 
 const CONFIG = {
   gridSize: 3,
-  stopPointCount: 1,
   canvasSize: 600,
   padding: 60,
   dotRadius: 18,
@@ -12,15 +11,12 @@ const CONFIG = {
   minBet: 0.10,
   maxBet: 500,
   initialBalance: 100000,
-  
-  // MINES-BASED MODEL: House edge (RTP = 94%)
-  houseEdge: 0.94,
-  
-  // Grid configurations
-  grids: {
-    3: { total: 9, stopPoints: 1 },   // Classic: 9 cells, 1 stop
-    4: { total: 16, stopPoints: 2 }   // Advanced: 16 cells, 2 stops
-  }
+  historyRows: 20, // Rounds listed in My Bets
+  replayStepDelay: 350, // Pause between replayed steps (ms)
+  longPressDelay: 400, // Touch held this long (ms) highlights the dot it would pick
+  transport: "local", // "local" (in-page engine) or "remote" (round server, see transport.js)
+  apiUrl: "" // Round server base URL for the remote transport; "" = this page's origin
+  // Math (house edge, grid configurations, stop-point counts) lives in MathConfig in engine.js
 };
 
 const RoundState = {
@@ -37,6 +33,9 @@ const GameState = {
   bet: 1,
   roundState: RoundState.ROUND_END,
   gridSize: CONFIG.gridSize,
+  stopPointCount: null, // Stop-points per round, player-selectable; synced from the engine in init
+  connectionRule: "any", // Key of PathRules (engine.js): which dots the path may connect to next
+  noCrossing: false, // Forbid segments that cross the existing path
   nodes: [],
   startNodeId: null,
   pathNodeIds: [],
@@ -44,8 +43,19 @@ const GameState = {
   multiplier: 1.0,
   activePointerId: null,
   pointerPos: { x: 0, y: 0 },
+  inputMode: "drag", // "drag" (drag a line to the next dot) or "tap" (tap the next dot)
+  confirmTaps: false, // Tap mode: the first tap selects a dot, a second tap on it connects
+  tapCandidate: null, // Tap mode: node id selected and waiting for its confirming tap
+  highlightNodeId: null, // Node findSnappedNode would pick under a hovering mouse or a long press
+  pointerPress: null, // Press in progress: { pointerId, nodeId, longPress, timerId }
+  soundVolume: 0.6, // Master volume, 0-1
+  soundMuted: false,
+  themeKey: "default", // Key of the skin in use: "default" (the operator's theme) or a theme preset
+  playSpeed: "normal", // Key of DotsBoard.PLAY_SPEEDS
+  reducedMotion: false, // The player's OS asks for less motion (prefers-reduced-motion)
   hasActiveRound: false,
   failedNodeId: null,
+  stopPointIds: [], // Stop-point layout, revealed by the engine when the round ends
   revealedStopPoints: [],
   gameMode: "manual", // "manual" or "auto"
   targetStepIndex: 2, // Target step index for auto mode
@@ -53,23 +63,62 @@ const GameState = {
   numberOfBets: 0, // Number of auto bets (0 = infinite)
   currentBetCount: 0, // Current bet count in auto mode
   autoStopRequested: false, // Flag to stop auto mode after current round
+  autoStrategy: null, // Auto-bet strategy (autobet.js), set in init
+  autoRunner: null, // Strategy runner for the auto sequence in progress
+  autoPath: null, // Auto path setting (autopath.js): preset and drawn routes per grid, set in init
+  routeDraft: null, // Node ids of the auto route being drawn on the canvas (null when not drawing)
   animatingLine: false, // Whether line animation is in progress
   lineAnimationProgress: 0, // Animation progress (0 to 1)
   animatingToNode: null, // Target node for current animation
   animationStartTime: 0, // Animation start timestamp
   isAnimatingFail: false, // Whether current animation is for a failed step
-  floatingMultipliers: [] // Array of floating multiplier animations: {x, y, multiplier, startTime}
+  floatingMultipliers: [], // Array of floating multiplier animations: {x, y, multiplier, startTime}
+  pendingCashout: null, // Engine cashout (dead end, payout cap) that arrived while the last line was animating
+  currentRoundId: null, // Ledger id of the round in progress (see storage.js)
+  revealedSeedHash: null, // Hash of the last revealed server seed copied into the ledger
+  roundPaused: false, // Round restored after a reload, waiting for Resume round or Cash Out
+  keyboardCursor: null, // Node id under the keyboard cursor (arrow keys); null while playing by pointer
+  pendingAnnouncement: null, // Screen-reader messages of the current moment, read out together
+  replay: null, // My Bets replay in progress: { entry, index, timeoutId, done }
+  rng: null // RNG for auto-mode picks (see rng.js), set in init
 };
 
+// Headless engine (engine.js) owns the balance, round outcome and seeds.
+// GameState mirrors it for rendering via engine events.
+let engine;
+
+// Round transport (transport.js): bets, steps and cashouts go through it, so a round
+// server can own the outcome. engine is transport.engine (a mirror for remote play).
+let transport;
+
+// Wallet, settings and round ledger (storage.js)
+let store;
+
+// Step, fail and cashout cues (sound.js)
+let sound;
+
+// Skins the player can pick (themes.js), and the one the board and page are drawn with
+let themeChoices;
+let theme;
+
 let canvas, ctx;
-let balanceEl, betEl, multiplierEl, winEl, startBtn, cashoutBtn, stopBtn, statusText;
+let balanceEl, betEl, multiplierEl, winEl, startBtn, cashoutBtn, stopBtn, resumeBtn, statusText, roundNoticeEl, announcerEl;
 let betMinusBtn, betPlusBtn, betHalfBtn, betDoubleBtn;
-let gridToggleBtns;
+let gridToggleEl, gridToggleBtns, stopPointSelect, pathRuleSelect, noCrossingToggle;
 let modeTabBtns;
 let autoSection, targetMultiplierSlider, targetMultiplierValue, targetStepLabel;
 let numberOfBetsInput, numberOfBetsUp, numberOfBetsDown, numberOfBetsInfinity;
+let serverSeedHashEl, clientSeedInput, nonceValueEl, rotateSeedsBtn, previousSeedInfoEl;
+let historyListEl, historyDetailEl;
+let strategyPresetSelect, strategyInputs;
+let autoPathSelect, drawRouteBtn, autoPathHintEl;
+let inputModeSelect, confirmTapToggle;
+let muteToggle, volumeSlider, themeSelect, playSpeedSelect;
 
-function init() {
+/**
+ * @param {Object|null} operatorTheme - The deployment's theme.json (see themes.js)
+ */
+function init(operatorTheme) {
   canvas = document.getElementById("gameCanvas");
   ctx = canvas.getContext("2d");
 
@@ -80,12 +129,18 @@ function init() {
   startBtn = document.getElementById("startButton");
   cashoutBtn = document.getElementById("cashoutButton");
   stopBtn = document.getElementById("stopButton");
+  resumeBtn = document.getElementById("resumeButton");
   statusText = null; // Removed from UI
+  roundNoticeEl = document.getElementById("roundNotice");
+  announcerEl = document.getElementById("boardAnnouncer");
   betMinusBtn = document.getElementById("betMinus");
   betPlusBtn = document.getElementById("betPlus");
   betHalfBtn = document.getElementById("betHalf");
   betDoubleBtn = document.getElementById("betDouble");
-  gridToggleBtns = document.querySelectorAll(".grid-toggle-btn");
+  gridToggleEl = document.getElementById("gridToggle");
+  stopPointSelect = document.getElementById("stopPointSelect");
+  pathRuleSelect = document.getElementById("pathRuleSelect");
+  noCrossingToggle = document.getElementById("noCrossingToggle");
   modeTabBtns = document.querySelectorAll(".mode-tab");
   autoSection = document.getElementById("autoSection");
   targetMultiplierSlider = document.getElementById("targetMultiplierSlider");
@@ -95,13 +150,89 @@ function init() {
   numberOfBetsUp = document.getElementById("numberOfBetsUp");
   numberOfBetsDown = document.getElementById("numberOfBetsDown");
   numberOfBetsInfinity = document.getElementById("numberOfBetsInfinity");
-
+  serverSeedHashEl = document.getElementById("serverSeedHash");
+  clientSeedInput = document.getElementById("clientSeedInput");
+  nonceValueEl = document.getElementById("nonceValue");
+  rotateSeedsBtn = document.getElementById("rotateSeedsButton");
+  previousSeedInfoEl = document.getElementById("previousSeedInfo");
+  historyListEl = document.getElementById("historyList");
+  historyDetailEl = document.getElementById("historyDetail");
+  strategyPresetSelect = document.getElementById("strategyPreset");
+  strategyInputs = {
+    onWinAction: document.getElementById("onWinAction"),
+    onWinPercent: document.getElementById("onWinPercent"),
+    onLossAction: document.getElementById("onLossAction"),
+    onLossPercent: document.getElementById("onLossPercent"),
+    stopOnProfit: document.getElementById("stopOnProfit"),
+    stopOnLoss: document.getElementById("stopOnLoss"),
+    stopOnSingleWin: document.getElementById("stopOnSingleWin"),
+    switchAfterLosses: document.getElementById("switchAfterLosses"),
+    switchTargetStep: document.getElementById("switchTargetStep")
+  };
+  autoPathSelect = document.getElementById("autoPathSelect");
+  drawRouteBtn = document.getElementById("drawRouteButton");
+  autoPathHintEl = document.getElementById("autoPathHint");
+  inputModeSelect = document.getElementById("inputModeSelect");
+  confirmTapToggle = document.getElementById("confirmTapToggle");
+  muteToggle = document.getElementById("muteToggle");
+  volumeSlider = document.getElementById("volumeSlider");
+  themeSelect = document.getElementById("themeSelect");
+  playSpeedSelect = document.getElementById("playSpeedSelect");
+
+  // ?rngSeed=... replays auto-mode picks deterministically (developer repro)
+  const rngSeed = new URLSearchParams(window.location.search).get("rngSeed");
+  setRng(rngSeed !== null ? window.DotsRng.createSeededRng(rngSeed) : window.DotsRng.createCryptoRng());
+
+  store = window.DotsStorage.createBrowserStore();
+  const wallet = store.loadWallet();
+  GameState.balance = wallet ? wallet.balance : CONFIG.initialBalance;
+  GameState.autoStrategy = window.DotsAutoBet.normalizeStrategy(window.DotsAutoBet.DEFAULT_STRATEGY);
+  GameState.autoPath = window.DotsAutoPath.normalizeAutoPath(window.DotsAutoPath.DEFAULT_AUTO_PATH);
+  themeChoices = window.DotsThemes.getThemeChoices(operatorTheme);
+  restoreSettings(store.loadSettings());
+  applyTheme();
+  sound = window.DotsSound.createSoundEngine({ volume: GameState.soundVolume, muted: GameState.soundMuted });
+
+  transport = createTransport({
+    balance: GameState.balance,
+    gridSize: GameState.gridSize,
+    stopPoints: GameState.stopPointCount,
+    connectionRule: GameState.connectionRule,
+    noCrossing: GameState.noCrossing,
+    minBet: CONFIG.minBet,
+    maxBet: CONFIG.maxBet
+  });
+  engine = transport.engine;
+  attachEngineEvents();
+  // Remote play: balance and seeds come from the server; local play: the seeds the last
+  // visit saved. Then bring back a round that visit left unfinished, and reveal the seed
+  // its finished rounds were played under.
+  const savedRound = store.loadActiveRound();
+  transport.connect()
+    .then(() => recoverRound(savedRound).finally(revealPlayedSeed))
+    .catch(showTransportError);
+  GameState.stopPointCount = engine.stopPointCount;
+
+  setupGridToggle();
+  populateStopPointOptions();
+  populatePathRuleOptions();
+  updateGameModeName();
+  syncModeTabs();
   setupCanvas();
   setupGrid();
   attachUIEvents();
   attachPointerEvents();
+  attachKeyboardEvents();
   updateAutoSlider(); // Initialize auto slider
   updateNumberOfBetsDisplay(); // Initialize number of bets display
+  setupStrategyControls();
+  setupAutoPathControls();
+  setupInputModeControls();
+  setupSoundControls();
+  setupThemeControls();
+  setupPlaySpeedControls();
+  updateFairPanel(engine.getSeedInfo()); // Engine committed to its first server seed
+  renderHistoryPanel();
   resetRound();
   render();
 }
@@ -131,11 +262,17 @@ function setupCanvas() {
 
 function setupGrid() {
   GameState.nodes = [];
+  GameState.keyboardCursor = null;
   const gs = GameState.gridSize;
   const size = CONFIG.canvasSize;
   const pad = CONFIG.padding;
   const step = (size - pad * 2) / (gs - 1);
 
+  // Shrink dots on dense boards so neighbours never overlap
+  const scale = size / 600;
+  CONFIG.dotRadius = Math.min(18 * scale, step * 0.25);
+  CONFIG.snapRadius = Math.min(40 * scale, step * 0.5);
+
   let id = 0;
   for (let row = 0; row < gs; row++) {
     for (let col = 0; col < gs; col++) {
@@ -149,12 +286,7 @@ function setupGrid() {
 
 function attachUIEvents() {
   startBtn.addEventListener("click", () => {
-    if (GameState.roundState !== RoundState.ROUND_END) return;
-    if (GameState.bet > GameState.balance) {
-      setStatus("Insufficient balance");
-      return;
-    }
-    startRound();
+    requestBet();
   });
 
   cashoutBtn.addEventListener("click", () => {
@@ -167,12 +299,19 @@ function attachUIEvents() {
     });
   }
 
+  if (resumeBtn) {
+    resumeBtn.addEventListener("click", () => {
+      resumeRecoveredRound();
+    });
+  }
+
   betMinusBtn.addEventListener("click", () => {
     if (GameState.roundState !== RoundState.ROUND_END) return;
     const newBet = Math.max(0.10, GameState.bet - CONFIG.betStep);
     GameState.bet = +newBet.toFixed(2);
     betEl.value = GameState.bet.toFixed(2);
     updateHUD();
+    saveSettings();
   });
 
   betPlusBtn.addEventListener("click", () => {
@@ -181,6 +320,7 @@ function attachUIEvents() {
     GameState.bet = +newBet.toFixed(2);
     betEl.value = GameState.bet.toFixed(2);
     updateHUD();
+    saveSettings();
   });
 
   betHalfBtn.addEventListener("click", () => {
@@ -189,6 +329,7 @@ function attachUIEvents() {
     GameState.bet = +newBet.toFixed(2);
     betEl.value = GameState.bet.toFixed(2);
     updateHUD();
+    saveSettings();
   });
 
   betDoubleBtn.addEventListener("click", () => {
@@ -197,6 +338,7 @@ function attachUIEvents() {
     GameState.bet = +newBet.toFixed(2);
     betEl.value = GameState.bet.toFixed(2);
     updateHUD();
+    saveSettings();
   });
 
   betEl.addEventListener("input", () => {
@@ -222,34 +364,52 @@ function attachUIEvents() {
       betEl.value = GameState.bet.toFixed(2);
     }
     updateHUD();
+    saveSettings();
   });
 
   gridToggleBtns.forEach((btn) => {
     btn.addEventListener("click", () => {
       if (GameState.hasActiveRound) return;
+      stopReplay();
       const size = parseInt(btn.dataset.gridSize);
       if (size === GameState.gridSize) return;
+      cancelRouteDraft();
 
       gridToggleBtns.forEach((b) => b.classList.remove("active"));
       btn.classList.add("active");
 
+      engine.setGridSize(size);
       GameState.gridSize = size;
-      GameState.stopPointCount = size === 3 ? 1 : 2;
-      
-      // Update game mode name
-      const gameModeNameEl = document.getElementById("gameModeName");
-      if (gameModeNameEl) {
-        gameModeNameEl.textContent = size === 3 ? "Classic" : "Advanced";
-      }
+      GameState.stopPointCount = engine.stopPointCount;
       
+      updateGameModeName();
+      populateStopPointOptions();
       setupGrid();
       resetRound();
       if (GameState.gameMode === "auto") {
         updateAutoSlider();
       }
+      updateAutoPathControls(); // Drawn routes are per grid
+      saveSettings();
     });
   });
 
+  // Stop-point count selector
+  if (stopPointSelect) {
+    stopPointSelect.addEventListener("change", () => {
+      if (GameState.hasActiveRound) {
+        stopPointSelect.value = GameState.stopPointCount.toString();
+        return;
+      }
+      engine.setStopPointCount(parseInt(stopPointSelect.value));
+      GameState.stopPointCount = engine.stopPointCount;
+      if (GameState.gameMode === "auto") {
+        updateAutoSlider();
+      }
+      saveSettings();
+    });
+  }
+
   // Mode tabs
   modeTabBtns.forEach((btn) => {
     btn.addEventListener("click", () => {
@@ -274,13 +434,17 @@ function attachUIEvents() {
         }
         GameState.currentBetCount = 0; // Reset when switching to manual
         GameState.autoStopRequested = false; // Reset stop request
+        endAutoStrategy();
         // Hide stop button, show start button when switching to manual
         if (stopBtn) {
           stopBtn.style.display = "none";
           stopBtn.disabled = true;
         }
         if (startBtn) startBtn.style.display = "block";
+        cancelRouteDraft();
       }
+      saveSettings();
+      render(); // Show or hide the planned route
     });
   });
 
@@ -291,6 +455,7 @@ function attachUIEvents() {
       const stepIndex = parseInt(targetMultiplierSlider.value);
       GameState.targetStepIndex = stepIndex;
       updateAutoSlider();
+      saveSettings();
     });
   }
 
@@ -302,6 +467,7 @@ function attachUIEvents() {
       if (!isNaN(value) && value >= 0) {
         GameState.numberOfBets = value;
         updateNumberOfBetsDisplay();
+        saveSettings();
       }
     });
 
@@ -316,6 +482,7 @@ function attachUIEvents() {
         numberOfBetsInput.value = value.toString();
       }
       updateNumberOfBetsDisplay();
+      saveSettings();
     });
   }
 
@@ -326,6 +493,7 @@ function attachUIEvents() {
       GameState.numberOfBets = (GameState.numberOfBets || 0) + 1;
       numberOfBetsInput.value = GameState.numberOfBets.toString();
       updateNumberOfBetsDisplay();
+      saveSettings();
     });
   }
 
@@ -335,6 +503,7 @@ function attachUIEvents() {
       GameState.numberOfBets = Math.max(0, (GameState.numberOfBets || 0) - 1);
       numberOfBetsInput.value = GameState.numberOfBets.toString();
       updateNumberOfBetsDisplay();
+      saveSettings();
     });
   }
 
@@ -344,6 +513,57 @@ function attachUIEvents() {
       GameState.numberOfBets = 0;
       numberOfBetsInput.value = "0";
       updateNumberOfBetsDisplay();
+      saveSettings();
+    });
+  }
+
+  // Path rules
+  if (pathRuleSelect) {
+    pathRuleSelect.addEventListener("change", () => {
+      if (GameState.hasActiveRound) {
+        pathRuleSelect.value = GameState.connectionRule;
+        return;
+      }
+      engine.setPathRules({ connectionRule: pathRuleSelect.value });
+      GameState.connectionRule = engine.connectionRule;
+      saveSettings();
+      render();
+    });
+  }
+
+  if (noCrossingToggle) {
+    noCrossingToggle.addEventListener("change", () => {
+      if (GameState.hasActiveRound) {
+        noCrossingToggle.checked = GameState.noCrossing;
+        return;
+      }
+      engine.setPathRules({ noCrossing: noCrossingToggle.checked });
+      GameState.noCrossing = engine.noCrossing;
+      saveSettings();
+      render();
+    });
+  }
+
+  // Provably fair controls
+  if (clientSeedInput) {
+    clientSeedInput.addEventListener("change", () => {
+      if (GameState.hasActiveRound) {
+        clientSeedInput.value = engine.getSeedInfo().clientSeed;
+        return;
+      }
+      const value = clientSeedInput.value.trim();
+      if (value) {
+        engine.setClientSeed(value);
+      } else {
+        clientSeedInput.value = engine.getSeedInfo().clientSeed;
+      }
+    });
+  }
+
+  if (rotateSeedsBtn) {
+    rotateSeedsBtn.addEventListener("click", () => {
+      if (GameState.hasActiveRound || transport.busy) return;
+      transport.rotateSeeds().catch(showTransportError);
     });
   }
 }
@@ -356,8 +576,96 @@ function attachPointerEvents() {
   canvas.addEventListener("pointerleave", onPointerCancel);
 }
 
+/**
+ * Subscribe the renderer and sidebar to the engine
+ */
+function attachEngineEvents() {
+  engine.on("balanceChanged", ({ balance }) => {
+    GameState.balance = balance;
+    // A round server keeps its own wallet
+    if (transport.kind === "local") {
+      store.saveWallet({ balance });
+    }
+    updateHUD();
+  });
+  engine.on("stepSuccess", onEngineStepSuccess);
+  engine.on("stepFail", onEngineStepFail);
+  engine.on("cashout", onEngineCashout);
+  engine.on("seedsChanged", updateFairPanel);
+  engine.on("seedsChanged", recordRevealedSeed);
+
+  // Keep the round in play saved, so closing the tab does not lose its bet (recoverRound)
+  engine.on("stepSuccess", saveActiveRound);
+  engine.on("stepFail", () => store.saveActiveRound(null));
+  engine.on("cashout", () => store.saveActiveRound(null));
+}
+
+/**
+ * Local engine by default. ?transport=remote plays against a round server (server.js)
+ * at ?api=<url> (default CONFIG.apiUrl) as ?player=<id>.
+ *
+ * @param {Object} engineOptions - DotsEngine options
+ * @returns {Object} Transport (transport.js)
+ */
+function createTransport(engineOptions) {
+  const params = new URLSearchParams(window.location.search);
+  if ((params.get("transport") || CONFIG.transport) === "remote") {
+    return window.DotsTransport.createRemoteTransport({ ...engineOptions, balance: 0 }, {
+      apiUrl: params.get("api") ?? CONFIG.apiUrl,
+      playerId: params.get("player") || "demo"
+    });
+  }
+  return window.DotsTransport.createLocalTransport(engineOptions, { store });
+}
+
+/**
+ * Report a failed transport request. The round stays as it was, so the player can
+ * retry the move or cash out; auto mode stops stepping until then.
+ *
+ * @param {Error} error
+ */
+function showTransportError(error) {
+  console.error(error);
+  if (GameState.autoIntervalId) {
+    clearInterval(GameState.autoIntervalId);
+    GameState.autoIntervalId = null;
+  }
+  showRoundNotice(error.message);
+  setStatus(error.message);
+}
+
+/**
+ * Bet button (and the B key)
+ */
+function requestBet() {
+  if (GameState.roundState !== RoundState.ROUND_END || transport.busy) return;
+  if (GameState.bet > GameState.balance) {
+    setStatus("Insufficient balance");
+    announce("Insufficient balance");
+    return;
+  }
+  startRound();
+}
+
 function startRound() {
-  GameState.balance = +(GameState.balance - GameState.bet).toFixed(2);
+  stopReplay();
+  cancelRouteDraft();
+  startBtn.disabled = true;
+  showPayoutCap(false);
+  transport.placeBet(GameState.bet).then(onRoundStarted, (error) => {
+    startBtn.disabled = false;
+    showTransportError(error);
+    if (GameState.gameMode === "auto") {
+      endAutoSequence();
+    }
+  });
+}
+
+/**
+ * Set up the board once the bet is placed
+ */
+function onRoundStarted() {
+  recordRoundStart();
   GameState.roundState = RoundState.IDLE;
   GameState.hasActiveRound = true;
   GameState.pathNodeIds = [];
@@ -367,10 +675,13 @@ function startRound() {
   GameState.failedNodeId = null;
   GameState.startNodeId = null;
   GameState.revealedStopPoints = [];
+  GameState.stopPointIds = [];
   GameState.floatingMultipliers = []; // Clear floating multipliers
+  GameState.pendingCashout = null;
+  GameState.tapCandidate = null;
 
   cashoutBtn.disabled = false;
-  startBtn.disabled = true;
+  setFairControlsLocked(true);
   
   if (GameState.gameMode === "auto") {
     // Show stop button, hide start button in auto mode
@@ -381,33 +692,63 @@ function startRound() {
     if (startBtn) startBtn.style.display = "none";
     // Lock controls during auto mode
     setAutoControlsLocked(true);
+    // First bet of a sequence: start tracking the strategy
+    if (GameState.currentBetCount === 0) {
+      GameState.autoRunner = window.DotsAutoBet.createAutoBetRunner(GameState.autoStrategy, {
+        baseBet: GameState.bet,
+        baseTarget: GameState.targetStepIndex,
+        minBet: CONFIG.minBet,
+        maxBet: CONFIG.maxBet
+      });
+    }
     // Increment bet count for auto mode
     GameState.currentBetCount++;
-    // Auto mode: start with random first node
-    const availableNodes = GameState.nodes.filter(n => !GameState.pathNodeIds.includes(n.id));
-    if (availableNodes.length === 0) {
-      resetRound();
-      return;
-    }
-    const randomStartNode = availableNodes[Math.floor(Math.random() * availableNodes.length)];
-    GameState.pathNodeIds.push(randomStartNode.id);
-    GameState.startNodeId = randomStartNode.id;
-    setStatus("Auto mode: Playing...");
-    updateHUD();
-    render();
-    // Start auto game loop
-    startAutoGameLoop();
+    saveActiveRound(); // Now with the sequence's progress
+    playAutoRound();
   } else {
     // Manual mode: ensure start button is visible
     if (stopBtn) stopBtn.style.display = "none";
     if (startBtn) startBtn.style.display = "block";
-    const maxSteps = GameState.gridSize === 3 ? 7 : 13;
+    const maxSteps = getMaxStep(GameState.gridSize, GameState.stopPointCount);
     setStatus(`Draw to connect dots. Max ${maxSteps} steps. Cash out BEFORE failure to win.`);
+    announce(`Bet of $${GameState.bet.toFixed(2)} placed. Pick a start dot.`);
     updateHUD();
     render();
   }
 }
 
+/**
+ * Play the auto round in progress on from where it stands: pick the start node if
+ * there is none yet, then step until the target step
+ */
+function playAutoRound() {
+  if (GameState.pathNodeIds.length > 0) {
+    continueAutoRound();
+    return;
+  }
+  // Start on the planned route (random when there is none)
+  const autoStartNode = getAutoStartNode();
+  if (!autoStartNode) {
+    resetRound();
+    return;
+  }
+  resolveStartNode(autoStartNode).then((continues) => {
+    if (continues) continueAutoRound();
+  }, showTransportError);
+}
+
+function continueAutoRound() {
+  if (GameState.stepIndex >= getAutoTargetStep()) {
+    handleCashout();
+    return;
+  }
+  setStatus("Auto mode: Playing...");
+  updateHUD();
+  render();
+  // Start auto game loop
+  startAutoGameLoop();
+}
+
 function resetRound() {
   // Stop auto loop if running
   if (GameState.autoIntervalId) {
@@ -423,13 +764,17 @@ function resetRound() {
   GameState.activePointerId = null;
   GameState.startNodeId = null;
   GameState.failedNodeId = null;
+  GameState.stopPointIds = [];
   GameState.revealedStopPoints = [];
   GameState.currentBetCount = 0; // Reset bet count
   GameState.autoStopRequested = false; // Reset stop request
   GameState.floatingMultipliers = []; // Clear floating multipliers
+  GameState.pendingCashout = null;
+  GameState.tapCandidate = null;
 
   cashoutBtn.disabled = true;
   startBtn.disabled = false;
+  showPayoutCap(false);
   
   // Only hide stop button if not in auto mode
   if (GameState.gameMode !== "auto") {
@@ -447,7 +792,16 @@ function resetRound() {
 
 
 function onPointerDown(e) {
-  if (!GameState.hasActiveRound) return;
+  if (GameState.keyboardCursor !== null) {
+    // Playing by pointer: hide the keyboard cursor until the next arrow key
+    GameState.keyboardCursor = null;
+    render();
+  }
+  if (GameState.routeDraft) {
+    onRouteDraftPointerDown(e);
+    return;
+  }
+  if (!GameState.hasActiveRound || GameState.roundPaused) return;
   if (GameState.activePointerId !== null) return;
 
   const rect = canvas.getBoundingClientRect();
@@ -458,11 +812,21 @@ function onPointerDown(e) {
   GameState.pointerPos.y = y;
 
   const targetNode = findSnappedNode(x, y);
+  startPointerPress(e, targetNode);
+
+  if (GameState.inputMode === "tap") {
+    // Taps resolve on release, so a long press can preview the dot first
+    GameState.activePointerId = e.pointerId;
+    canvas.setPointerCapture(e.pointerId);
+    return;
+  }
   
   if (GameState.pathNodeIds.length === 0) {
-    if (!targetNode) return;
-    GameState.pathNodeIds.push(targetNode.id);
-    GameState.startNodeId = targetNode.id;
+    if (!targetNode || transport.busy) return;
+    // The start pick is the first reveal - stop dragging if it hits a stop-point
+    // (a round server answers later: drag from it meanwhile)
+    resolveStartNode(targetNode).catch(showTransportError);
+    if (!engine.active) return;
   }
 
   GameState.activePointerId = e.pointerId;
@@ -472,16 +836,35 @@ function onPointerDown(e) {
 }
 
 function onPointerMove(e) {
-  if (GameState.activePointerId !== e.pointerId) return;
   const rect = canvas.getBoundingClientRect();
-  GameState.pointerPos.x = e.clientX - rect.left;
-  GameState.pointerPos.y = e.clientY - rect.top;
+  const x = e.clientX - rect.left;
+  const y = e.clientY - rect.top;
+
+  // Hovering mouse, or a touch held past the long-press delay: highlight the dot it would pick
+  const press = GameState.pointerPress;
+  const hovering = e.pointerType === "mouse" && GameState.activePointerId === null;
+  if (hovering || (press && press.pointerId === e.pointerId && press.longPress)) {
+    setHighlightNode(findSnappedNode(x, y));
+  }
+
+  if (GameState.activePointerId !== e.pointerId) return;
+  GameState.pointerPos.x = x;
+  GameState.pointerPos.y = y;
+  if (GameState.routeDraft) {
+    addRouteDraftNode(findSnappedNode(GameState.pointerPos.x, GameState.pointerPos.y));
+    render();
+    return;
+  }
   if (GameState.roundState === RoundState.DRAGGING) {
     render();
   }
 }
 
 function onPointerUp(e) {
+  const press = endPointerPress(e.pointerId);
+  if (press && press.longPress) {
+    setHighlightNode(null);
+  }
   if (GameState.activePointerId !== e.pointerId) return;
 
   const rect = canvas.getBoundingClientRect();
@@ -491,6 +874,20 @@ function onPointerUp(e) {
   canvas.releasePointerCapture(e.pointerId);
   GameState.activePointerId = null;
 
+  if (GameState.routeDraft) {
+    addRouteDraftNode(findSnappedNode(x, y));
+    finishRouteDraft();
+    return;
+  }
+
+  if (GameState.inputMode === "tap") {
+    const tappedNode = findSnappedNode(x, y);
+    if (window.DotsBoard.isTapRelease(press, tappedNode ? tappedNode.id : null)) {
+      onNodeTapped(tappedNode);
+    }
+    return;
+  }
+
   if (!GameState.hasActiveRound) return;
   if (GameState.roundState !== RoundState.DRAGGING) return;
 
@@ -504,37 +901,31 @@ function onPointerUp(e) {
     return;
   }
 
-  if (!isValidNextNode(lastNode, targetNode)) {
+  if (!isValidNextNode(lastNode, targetNode) || transport.busy) {
     GameState.roundState = RoundState.IDLE;
     render();
     return;
   }
 
-  const stepIndex = GameState.stepIndex + 1;
-
-  const success = rollStepSuccess(stepIndex);
-
-  if (success) {
-    GameState.roundState = RoundState.STEP_SUCCESS;
-    onStepSuccess(targetNode, stepIndex);
-  } else {
-    GameState.roundState = RoundState.STEP_FAIL;
-    // Start animation before showing fail
-    GameState.animatingLine = true;
-    GameState.lineAnimationProgress = 0;
-    GameState.animatingToNode = targetNode;
-    GameState.animationStartTime = performance.now();
-    GameState.isAnimatingFail = true;
-    GameState.failedNodeId = targetNode.id;
-    // Don't add to pathNodeIds yet - wait for animation
-    animateLineConnection();
-  }
+  // Result arrives through the engine's stepSuccess / stepFail events
+  transport.step(targetNode.id).catch(showTransportError);
 }
 
 function onPointerCancel(e) {
+  // Also pointerleave: drop the hover or long-press highlight
+  if (!GameState.pointerPress || GameState.pointerPress.pointerId === e.pointerId) {
+    endPointerPress(e.pointerId);
+    setHighlightNode(null);
+  }
   if (GameState.activePointerId !== e.pointerId) return;
   canvas.releasePointerCapture(e.pointerId);
   GameState.activePointerId = null;
+  if (GameState.routeDraft) {
+    // Interrupted stroke: start the drawing over
+    GameState.routeDraft = [];
+    render();
+    return;
+  }
   if (!GameState.hasActiveRound) return;
   if (GameState.roundState === RoundState.DRAGGING) {
     GameState.roundState = RoundState.IDLE;
@@ -542,7 +933,162 @@ function onPointerCancel(e) {
   }
 }
 
-function onStepSuccess(targetNode, stepIndex) {
+/**
+ * Track a press for the long-press highlight (touch and pen; a mouse highlights on hover)
+ * @param {PointerEvent} e
+ * @param {Object|null} node - Snapped node under the press
+ */
+function startPointerPress(e, node) {
+  endPointerPress();
+  const press = { pointerId: e.pointerId, nodeId: node ? node.id : null, longPress: false, timerId: null };
+  if (e.pointerType !== "mouse") {
+    press.timerId = setTimeout(() => {
+      press.timerId = null;
+      press.longPress = true;
+      setHighlightNode(findSnappedNode(GameState.pointerPos.x, GameState.pointerPos.y));
+    }, CONFIG.longPressDelay);
+  }
+  GameState.pointerPress = press;
+}
+
+/**
+ * @param {number} [pointerId] - Only end the press of this pointer
+ * @returns {Object|null} The press that ended
+ */
+function endPointerPress(pointerId) {
+  const press = GameState.pointerPress;
+  if (!press || (pointerId !== undefined && press.pointerId !== pointerId)) return null;
+  if (press.timerId) clearTimeout(press.timerId);
+  GameState.pointerPress = null;
+  return press;
+}
+
+/**
+ * @param {Object|null} node
+ */
+function setHighlightNode(node) {
+  const id = node ? node.id : null;
+  if (id === GameState.highlightNodeId) return;
+  GameState.highlightNodeId = id;
+  render();
+}
+
+/**
+ * Tap mode: connect the tapped dot from the end of the path; with confirmTaps the first
+ * tap only selects it
+ *
+ * @param {Object} node
+ */
+function onNodeTapped(node) {
+  if (transport.busy || GameState.animatingLine || !engine.active) return;
+  const action = window.DotsBoard.getTapAction(node.id, {
+    canConnect: canConnectNode(node),
+    confirmTaps: GameState.confirmTaps,
+    tapCandidate: GameState.tapCandidate
+  });
+  if (action === "clear") {
+    GameState.tapCandidate = null;
+    render();
+    return;
+  }
+  if (action === "select") {
+    GameState.tapCandidate = node.id;
+    setStatus("Tap the dot again to connect");
+    announce(`${describeNode(node.id)} selected. Tap it again to connect.`);
+    render();
+    return;
+  }
+  connectNode(node);
+}
+
+/**
+ * @param {Object} node
+ * @returns {boolean} True if the node can start the path or extend it from its end
+ */
+function canConnectNode(node) {
+  if (GameState.pathNodeIds.length === 0) return true;
+  const lastNode = getNodeById(GameState.pathNodeIds[GameState.pathNodeIds.length - 1]);
+  return isValidNextNode(lastNode, node);
+}
+
+/**
+ * Start the path on the node or extend it to the node: what a finished drag does,
+ * for taps and the keyboard. Check canConnectNode first.
+ *
+ * @param {Object} node
+ */
+function connectNode(node) {
+  GameState.tapCandidate = null;
+  if (GameState.pathNodeIds.length === 0) {
+    resolveStartNode(node).catch(showTransportError);
+    return;
+  }
+  // Result arrives through the engine's stepSuccess / stepFail events
+  transport.step(node.id).catch(showTransportError);
+}
+
+/**
+ * Resolve the first pick of a round against the stop-point layout.
+ * Like the first tile in Mines, the start node is a reveal and counts as step 1.
+ *
+ * @param {Object} node - Node picked as the start of the path
+ * @returns {Promise<boolean>} - True if the start node is safe and the round continues
+ *   (false on a stop-point, or when the start has no legal moves and was cashed out)
+ */
+function resolveStartNode(node) {
+  return transport.step(node.id).then((result) => result.success && engine.active);
+}
+
+function onEngineStepSuccess({ nodeId, stepIndex, multiplier }) {
+  const node = getNodeById(nodeId);
+
+  if (GameState.pathNodeIds.length === 0) {
+    // Start node: nothing to connect yet, show the multiplier right away
+    GameState.pathNodeIds.push(node.id);
+    GameState.startNodeId = node.id;
+    GameState.stepIndex = stepIndex;
+    GameState.multiplier = multiplier;
+    addFloatingMultiplier(node, multiplier);
+
+    setStatus(`Step ${stepIndex} success. Multiplier: ${multiplier.toFixed(2)}×`);
+    announceStep(stepIndex, multiplier);
+    playStepSound(multiplier);
+    updateHUD();
+    render();
+    animateFloatingMultipliers();
+    return;
+  }
+
+  GameState.roundState = RoundState.STEP_SUCCESS;
+  onStepSuccess(node, stepIndex, multiplier);
+}
+
+function onEngineStepFail({ nodeId, stopPointIds }) {
+  const node = getNodeById(nodeId);
+
+  GameState.roundState = RoundState.STEP_FAIL;
+  GameState.failedNodeId = node.id;
+  GameState.stopPointIds = stopPointIds;
+
+  if (GameState.pathNodeIds.length === 0) {
+    // Start node hit a stop-point: no line to animate
+    GameState.pathNodeIds.push(node.id);
+    GameState.startNodeId = node.id;
+    onStepFail();
+    return;
+  }
+
+  // Start animation before showing fail
+  GameState.animatingLine = true;
+  GameState.lineAnimationProgress = 0;
+  GameState.animatingToNode = node;
+  GameState.animationStartTime = performance.now();
+  GameState.isAnimatingFail = true;
+  // Don't add to pathNodeIds yet - wait for animation
+  startLineAnimation();
+}
+
+function onStepSuccess(targetNode, stepIndex, multiplier) {
   GameState.stepIndex = stepIndex;
   
   // Start line animation
@@ -554,11 +1100,20 @@ function onStepSuccess(targetNode, stepIndex) {
   // Don't add to pathNodeIds yet - wait for animation to complete
   // GameState.pathNodeIds.push(targetNode.id);
   
-  GameState.multiplier = getMultiplierForStep(stepIndex);
+  GameState.multiplier = multiplier;
   GameState.roundState = RoundState.IDLE;
 
   // Start animation loop
-  animateLineConnection();
+  startLineAnimation();
+}
+
+/**
+ * Run the first frame of a step's line once the engine call that reported the step has
+ * returned: without animation the step completes in that frame, and its auto cashout
+ * must not land while the engine is still inside step()
+ */
+function startLineAnimation() {
+  Promise.resolve().then(animateLineConnection);
 }
 
 function onStepFail() {
@@ -573,23 +1128,16 @@ function onStepFail() {
   GameState.multiplier = 1.0;
   GameState.stepIndex = 0;
   
-  if (GameState.gridSize === 4) {
-    revealStopPoints();
-  } else {
-    // Classic (3x3): гарантированно показываем 1 stop-point (точку проигрыша)
-    if (GameState.failedNodeId !== null && GameState.failedNodeId !== undefined) {
-      GameState.revealedStopPoints = [GameState.failedNodeId];
-    } else {
-      // Если по какой-то причине failedNodeId не установлен, берем последнюю точку пути
-      const lastNodeId = GameState.pathNodeIds[GameState.pathNodeIds.length - 1];
-      if (lastNodeId !== null && lastNodeId !== undefined) {
-        GameState.failedNodeId = lastNodeId;
-        GameState.revealedStopPoints = [lastNodeId];
-      } else {
-        GameState.revealedStopPoints = [];
-      }
-    }
-  }
+  // The stop-point hit shows up (drawFailedNode) on the next frame
+  revealStopPoints();
+  sound.playFail({ quiet: GameState.gameMode === "auto" });
+  recordRoundEnd({
+    result: "fail",
+    pathNodeIds: GameState.pathNodeIds,
+    stopPointIds: GameState.stopPointIds,
+    multiplier: 0,
+    payout: 0
+  });
   
   cashoutBtn.disabled = true;
   startBtn.disabled = false;
@@ -598,151 +1146,758 @@ function onStepFail() {
   if (GameState.gameMode !== "auto") {
     if (stopBtn) stopBtn.style.display = "none";
     if (startBtn) startBtn.style.display = "block";
+    setFairControlsLocked(false);
   }
 
   setStatus("Step failed. Bet lost. Multiplier reset.");
+  announce(`Stop-point at ${describeNode(GameState.failedNodeId)}. Bet lost. ${describeStopPoints(GameState.stopPointIds)}`);
   updateHUD();
   render();
 
   // Auto mode: check if we need to start next bet
   if (GameState.gameMode === "auto") {
-    checkAndStartNextAutoBet();
+    checkAndStartNextAutoBet({ bet: engine.bet, payout: 0 });
   }
 }
 
-function revealStopPoints() {
-  const failedNode = GameState.failedNodeId;
-  const available = GameState.nodes
-    .map((n) => n.id)
-    .filter((id) => !GameState.pathNodeIds.includes(id) && id !== failedNode);
-  
-  shuffleArray(available);
-  // В режиме 4x4 теперь всего 2 стоп-точки (вместо 3)
-  // При попадании на одну, показываем еще 1 дополнительную
-  const additionalCount = 1;
-  const additional = available.slice(0, additionalCount);
-  
-  GameState.revealedStopPoints = [failedNode, ...additional];
-}
-
-function handleCashout() {
-  if (!GameState.hasActiveRound) return;
-  if (GameState.stepIndex === 0) {
-    setStatus("Make at least one step before cashing out");
-    return;
-  }
-  
-  // Stop auto loop if running
-  if (GameState.autoIntervalId) {
-    clearInterval(GameState.autoIntervalId);
-    GameState.autoIntervalId = null;
-  }
-
-  GameState.roundState = RoundState.CASHOUT;
-  const cashedMultiplier = GameState.multiplier;
-  const winAmount = GameState.bet * cashedMultiplier;
-  GameState.balance = +(GameState.balance + winAmount).toFixed(2);
-
-  GameState.hasActiveRound = false;
-  GameState.roundState = RoundState.ROUND_END;
-  GameState.multiplier = 1.0;
-  GameState.stepIndex = 0;
-  cashoutBtn.disabled = true;
-  startBtn.disabled = false;
-  
-  // Don't change button visibility here in auto mode - let checkAndStartNextAutoBet handle it
-  if (GameState.gameMode !== "auto") {
-    if (stopBtn) stopBtn.style.display = "none";
-    if (startBtn) startBtn.style.display = "block";
+/**
+ * @param {Object} info - Public seed info from engine.getSeedInfo()
+ */
+function updateFairPanel(info) {
+  if (serverSeedHashEl) serverSeedHashEl.textContent = info.serverSeedHash || "—";
+  if (clientSeedInput && document.activeElement !== clientSeedInput) {
+    clientSeedInput.value = info.clientSeed || "";
   }
-
-  setStatus(`Cashed out: $${winAmount.toFixed(2)} (×${cashedMultiplier.toFixed(2)})`);
-  updateHUD();
-  render();
-
-  // Auto mode: check if we need to start next bet
-  if (GameState.gameMode === "auto") {
-    checkAndStartNextAutoBet();
+  if (nonceValueEl) nonceValueEl.textContent = info.nonce.toString();
+
+  const previous = info.previous;
+  if (previousSeedInfoEl && previous) {
+    const rounds = previous.rounds > 0 ? `nonces 0–${previous.rounds - 1}` : "no rounds played";
+    previousSeedInfoEl.style.display = "block";
+    previousSeedInfoEl.textContent =
+      `Revealed server seed: ${previous.serverSeed} · client seed: ${previous.clientSeed} · ${rounds}`;
   }
 }
 
-// ============================================================================
-// MINES-BASED MODEL: Dynamic probability and progressive multiplier
-// ============================================================================
-
 /**
- * Calculate step success probability dynamically (MINES model)
- * Formula: safeRemaining / totalRemaining
- * 
- * @param {number} stepIndex - Current step (1-based)
- * @param {number} gridSize - Grid size (3 or 4), optional
- * @returns {number} - Probability of success for this step
+ * Keep a revealed server seed with the ledger rounds played under it, so each of them
+ * can still be checked on verify.html after later rotations
+ * @param {Object} info - Public seed info from engine.getSeedInfo()
  */
-function getStepProbability(stepIndex, gridSize = null) {
-  const size = gridSize !== null ? gridSize : (GameState ? GameState.gridSize : 3);
-  const gridConfig = CONFIG.grids[size];
-  
-  if (!gridConfig) {
-    console.error(`Unknown grid size: ${size}`);
-    return 0;
+function recordRevealedSeed({ previous }) {
+  if (!previous || !previous.serverSeed || previous.serverSeedHash === GameState.revealedSeedHash) return;
+  GameState.revealedSeedHash = previous.serverSeedHash;
+  store.updateRounds(
+    (entry) => entry.serverSeedHash === previous.serverSeedHash && !entry.serverSeed,
+    { serverSeed: previous.serverSeed }
+  );
+}
+
+/**
+ * Local play on load: reveal the server seed the last visit played rounds under, so they
+ * can be verified. A restored round keeps it committed until the player rotates or reloads.
+ *
+ * @returns {Promise|undefined}
+ */
+function revealPlayedSeed() {
+  if (transport.kind !== "local" || engine.active || engine.getSeedInfo().nonce === 0) return;
+  return transport.rotateSeeds();
+}
+
+/**
+ * Open a ledger entry for the round that was just bet
+ */
+function recordRoundStart() {
+  const seedInfo = engine.getSeedInfo();
+  const entry = store.appendRound({
+    timestamp: Date.now(),
+    status: "active",
+    mode: GameState.gameMode,
+    bet: GameState.bet,
+    gridSize: GameState.gridSize,
+    stopPoints: GameState.stopPointCount,
+    connectionRule: GameState.connectionRule,
+    noCrossing: GameState.noCrossing,
+    nonce: engine.roundNonce,
+    serverSeedHash: seedInfo.serverSeedHash,
+    clientSeed: seedInfo.clientSeed,
+    pathNodeIds: [],
+    stopPointIds: [],
+    multiplier: 0,
+    payout: 0
+  });
+  GameState.currentRoundId = entry.id;
+  saveActiveRound();
+  renderHistoryPanel();
+}
+
+/**
+ * Close the current ledger entry with the revealed layout and the outcome
+ * @param {Object} outcome - { result: "cashout" | "deadEnd" | "cap" | "fail", pathNodeIds, stopPointIds, multiplier, payout }
+ */
+function recordRoundEnd({ result, pathNodeIds, stopPointIds, multiplier, payout }) {
+  if (GameState.currentRoundId === null) return;
+  store.updateRound(GameState.currentRoundId, {
+    status: result,
+    endedAt: Date.now(),
+    pathNodeIds: pathNodeIds.slice(),
+    stopPointIds: stopPointIds.slice(),
+    multiplier,
+    payout
+  });
+  GameState.currentRoundId = null;
+  renderHistoryPanel();
+}
+
+/**
+ * Persist the player's bet and board choices
+ */
+function saveSettings() {
+  store.saveSettings({
+    bet: GameState.bet,
+    gridSize: GameState.gridSize,
+    stopPointCount: GameState.stopPointCount,
+    connectionRule: GameState.connectionRule,
+    noCrossing: GameState.noCrossing,
+    gameMode: GameState.gameMode,
+    targetStepIndex: GameState.targetStepIndex,
+    numberOfBets: GameState.numberOfBets,
+    autoStrategy: GameState.autoStrategy,
+    autoPath: GameState.autoPath,
+    inputMode: GameState.inputMode,
+    confirmTaps: GameState.confirmTaps,
+    soundVolume: GameState.soundVolume,
+    soundMuted: GameState.soundMuted,
+    themeKey: GameState.themeKey,
+    playSpeed: GameState.playSpeed
+  });
+}
+
+/**
+ * Apply saved settings to GameState, skipping anything no longer valid
+ * (e.g. a grid size removed from MathConfig)
+ *
+ * @param {Object|null} settings - From store.loadSettings()
+ */
+function restoreSettings(settings) {
+  if (!settings) return;
+
+  if (settings.bet >= CONFIG.minBet && settings.bet <= CONFIG.maxBet) {
+    GameState.bet = settings.bet;
   }
-  
-  const totalCells = gridConfig.total;
-  const stopPoints = gridConfig.stopPoints;
-  const safeCells = totalCells - stopPoints;
-  
-  // Calculate remaining cells after (stepIndex - 1) steps
-  const totalRemaining = totalCells - (stepIndex - 1);
-  const safeRemaining = safeCells - (stepIndex - 1);
-  
-  // Mines formula: probability = safeRemaining / totalRemaining
-  if (totalRemaining <= 0 || safeRemaining <= 0) {
-    return 0;
+  if (getGridConfig(settings.gridSize)) {
+    GameState.gridSize = settings.gridSize;
+    const { min, max } = getStopPointRange(settings.gridSize);
+    if (settings.stopPointCount >= min && settings.stopPointCount <= max) {
+      GameState.stopPointCount = settings.stopPointCount;
+    }
+  }
+  if (window.PathRules[settings.connectionRule]) {
+    GameState.connectionRule = settings.connectionRule;
+  }
+  GameState.noCrossing = !!settings.noCrossing;
+  if (settings.gameMode === "manual" || settings.gameMode === "auto") {
+    GameState.gameMode = settings.gameMode;
+  }
+  if (settings.targetStepIndex >= 1) {
+    GameState.targetStepIndex = settings.targetStepIndex;
+  }
+  if (settings.numberOfBets >= 0) {
+    GameState.numberOfBets = settings.numberOfBets;
+  }
+  if (settings.autoStrategy) {
+    GameState.autoStrategy = window.DotsAutoBet.normalizeStrategy(settings.autoStrategy);
+  }
+  if (settings.autoPath) {
+    GameState.autoPath = window.DotsAutoPath.normalizeAutoPath(settings.autoPath);
+  }
+  if (settings.inputMode === "drag" || settings.inputMode === "tap") {
+    GameState.inputMode = settings.inputMode;
+  }
+  GameState.confirmTaps = !!settings.confirmTaps;
+  if (settings.soundVolume >= 0 && settings.soundVolume <= 1) {
+    GameState.soundVolume = settings.soundVolume;
+  }
+  GameState.soundMuted = !!settings.soundMuted;
+  if (themeChoices[settings.themeKey]) {
+    GameState.themeKey = settings.themeKey;
+  }
+  if (window.DotsBoard.PLAY_SPEEDS[settings.playSpeed]) {
+    GameState.playSpeed = settings.playSpeed;
   }
-  
-  return safeRemaining / totalRemaining;
 }
 
 /**
- * Calculate progressive multiplier for given step (MINES model)
- * Formula: product of (1 / stepProbability) for each step, then * houseEdge
- * 
- * @param {number} stepIndex - Target step (1-based)
- * @param {number} gridSize - Grid size (3 or 4), optional
- * @returns {number} - Cumulative multiplier at this step
+ * Match the mode tabs and auto section to GameState.gameMode (after restoring settings)
  */
-function getMultiplierForStep(stepIndex, gridSize = null) {
-  if (stepIndex === 0) return 0;
-  
-  const size = gridSize !== null ? gridSize : (GameState ? GameState.gridSize : 3);
-  let multiplier = 1.0;
-  
-  // Progressive multiplier calculation (step-by-step)
-  for (let step = 1; step <= stepIndex; step++) {
-    const stepProb = getStepProbability(step, size);
-    if (stepProb === 0) {
-      console.error(`Invalid probability at step ${step}`);
-      return 0;
+function syncModeTabs() {
+  modeTabBtns.forEach((btn) => {
+    btn.classList.toggle("active", btn.textContent.toLowerCase() === GameState.gameMode);
+  });
+  if (autoSection) {
+    autoSection.style.display = GameState.gameMode === "auto" ? "block" : "none";
+  }
+}
+
+// ============================================================================
+// Round recovery: a closed tab or app switch does not lose the round in play
+// ============================================================================
+
+/**
+ * Save the round in play (after its bet and every safe step). The local engine's round
+ * is saved whole; a round server keeps its own, so then only the page's side is saved.
+ */
+function saveActiveRound() {
+  if (!engine.active || GameState.currentRoundId === null) return;
+  const runner = GameState.autoRunner;
+  store.saveActiveRound({
+    ledgerId: GameState.currentRoundId,
+    mode: GameState.gameMode,
+    nonce: engine.roundNonce,
+    serverSeedHash: engine.getSeedInfo().serverSeedHash,
+    round: transport.kind === "local" ? engine.getRoundSnapshot() : null,
+    auto: runner ? {
+      currentBetCount: GameState.currentBetCount,
+      runner: {
+        bet: runner.bet,
+        targetStep: runner.targetStep,
+        baseBet: runner.baseBet,
+        netProfit: runner.netProfit,
+        lossStreak: runner.lossStreak
+      }
+    } : null
+  });
+}
+
+/**
+ * Bring back the round the last visit left unfinished (its bet is already paid).
+ * It comes back paused, auto rounds included, until the player resumes or cashes out.
+ *
+ * @param {Object|null} saved - From store.loadActiveRound()
+ * @returns {Promise}
+ */
+function recoverRound(saved) {
+  return transport.resumeRound(saved && saved.round).then((restored) => {
+    if (restored) {
+      showRecoveredRound(saved);
+    } else {
+      store.saveActiveRound(null);
     }
-    
-    // Multiply by inverse probability
-    multiplier *= (1 / stepProb);
+  }, (error) => {
+    // A snapshot the engine refused stays refused; a round server may just be unreachable
+    if (transport.kind === "local") {
+      store.saveActiveRound(null);
+    }
+    throw new Error(`Could not restore the unfinished round (${error.message})`);
+  });
+}
+
+/**
+ * Put the restored round on the canvas, paused behind the Resume round button
+ * @param {Object|null} saved - The page's record of the round
+ */
+function showRecoveredRound(saved) {
+  // A round server may hold a round this page has no record of (played on another device)
+  const record = saved && saved.nonce === engine.roundNonce &&
+    saved.serverSeedHash === engine.getSeedInfo().serverSeedHash ? saved : null;
+
+  // Board and bet of the round
+  GameState.gridSize = engine.gridSize;
+  GameState.stopPointCount = engine.stopPointCount;
+  GameState.connectionRule = engine.connectionRule;
+  GameState.noCrossing = engine.noCrossing;
+  GameState.bet = engine.bet;
+  GameState.gameMode = record ? record.mode : "manual";
+  gridToggleBtns.forEach((btn) => {
+    btn.classList.toggle("active", parseInt(btn.dataset.gridSize) === GameState.gridSize);
+  });
+  updateGameModeName();
+  populateStopPointOptions();
+  populatePathRuleOptions();
+  syncModeTabs();
+  setupGrid();
+  betEl.value = GameState.bet.toFixed(2);
+
+  GameState.hasActiveRound = true;
+  GameState.roundState = RoundState.IDLE;
+  GameState.pathNodeIds = engine.pathNodeIds.slice();
+  GameState.startNodeId = GameState.pathNodeIds.length > 0 ? GameState.pathNodeIds[0] : null;
+  GameState.stepIndex = engine.stepIndex;
+  GameState.multiplier = engine.multiplier;
+
+  if (record) {
+    GameState.currentRoundId = record.ledgerId;
+  } else {
+    recordRoundStart();
   }
-  
-  // Apply house edge ONCE at the end
-  multiplier *= CONFIG.houseEdge;
-  
-  return multiplier;
+  if (GameState.gameMode === "auto" && record.auto) {
+    // Pick the auto sequence up where it was
+    GameState.currentBetCount = record.auto.currentBetCount;
+    GameState.autoRunner = Object.assign(window.DotsAutoBet.createAutoBetRunner(GameState.autoStrategy, {
+      baseBet: record.auto.runner.baseBet,
+      baseTarget: GameState.targetStepIndex,
+      minBet: CONFIG.minBet,
+      maxBet: CONFIG.maxBet
+    }), record.auto.runner);
+    setAutoControlsLocked(true);
+  }
+  saveActiveRound();
+
+  cashoutBtn.disabled = GameState.stepIndex === 0;
+  showPayoutCap(false);
+  setFairControlsLocked(true);
+  startBtn.disabled = true;
+  startBtn.style.display = "none";
+  if (stopBtn) stopBtn.style.display = "none";
+  if (resumeBtn) resumeBtn.style.display = "block";
+  GameState.roundPaused = true;
+
+  const where = GameState.stepIndex > 0
+    ? `at step ${GameState.stepIndex} (${GameState.multiplier.toFixed(2)}×)`
+    : `before its first step ($${GameState.bet.toFixed(2)} bet)`;
+  const choice = GameState.stepIndex > 0 ? "Resume it or cash out." : "Resume it to pick a start dot.";
+  const text = `${GameState.gameMode === "auto" ? "Auto play paused" : "Unfinished round restored"} ${where}. ${choice}`;
+  showRoundNotice(text);
+  setStatus(text);
+  updateHUD();
+  render();
+}
+
+/**
+ * Resume round: manual rounds wait for the next drag, auto rounds play on
+ */
+function resumeRecoveredRound() {
+  if (!GameState.roundPaused) return;
+  endRoundPause();
+
+  if (GameState.gameMode === "auto") {
+    if (stopBtn) {
+      stopBtn.style.display = "block";
+      stopBtn.disabled = false;
+    }
+    playAutoRound();
+  } else {
+    startBtn.style.display = "block";
+    setStatus("Draw to connect dots. Cash out BEFORE failure to win.");
+  }
+}
+
+function endRoundPause() {
+  GameState.roundPaused = false;
+  if (resumeBtn) resumeBtn.style.display = "none";
+  showRoundNotice("");
+}
+
+// ============================================================================
+// Keyboard and screen-reader play
+// ============================================================================
+
+/**
+ * On the focused board, arrow keys move the cursor and Enter / Space connect to its dot.
+ * B bets and C cashes out anywhere on the page except in form fields.
+ */
+function attachKeyboardEvents() {
+  canvas.addEventListener("keydown", onBoardKeyDown);
+  canvas.addEventListener("blur", () => {
+    GameState.keyboardCursor = null;
+    render();
+  });
+  document.addEventListener("keydown", onShortcutKeyDown);
+}
+
+function onBoardKeyDown(e) {
+  const move = window.DotsBoard.CURSOR_MOVES[e.key];
+  if (move) {
+    e.preventDefault();
+    moveKeyboardCursor(move);
+  } else if (e.key === "Enter" || e.key === " ") {
+    e.preventDefault();
+    if (!e.repeat) connectKeyboardCursor();
+  }
+}
+
+function onShortcutKeyDown(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+  const tag = e.target && e.target.tagName;
+  if (tag === "INPUT" || tag === "SELECT" || tag === "TEXTAREA") return;
+
+  const key = e.key.toLowerCase();
+  if (key === "b") {
+    // Only while the Bet button is there to press (not between auto bets)
+    if (startBtn.disabled || startBtn.style.display === "none") return;
+    requestBet();
+  } else if (key === "c") {
+    handleCashout();
+  }
+}
+
+/**
+ * @param {number[]} move - [row, col] step (see DotsBoard.CURSOR_MOVES)
+ */
+function moveKeyboardCursor(move) {
+  const cursor = window.DotsBoard.moveBoardCursor(GameState.keyboardCursor, move, GameState.gridSize, GameState.pathNodeIds);
+  GameState.keyboardCursor = cursor;
+  announce(window.DotsBoard.describeCursorNode(cursor, GameState.gridSize, {
+    stopPointIds: GameState.revealedStopPoints,
+    startNodeId: GameState.startNodeId,
+    pathNodeIds: GameState.pathNodeIds,
+    canConnect: GameState.hasActiveRound && !GameState.roundPaused ? (nodeId) => engine.isValidNextNode(nodeId) : null
+  }));
+  render();
+}
+
+/**
+ * Enter / Space: the keyboard version of dragging a line to the cursor's dot
+ */
+function connectKeyboardCursor() {
+  const node = GameState.keyboardCursor !== null ? getNodeById(GameState.keyboardCursor) : null;
+  if (!node) {
+    moveKeyboardCursor([0, 0]);
+    return;
+  }
+  if (!GameState.hasActiveRound) {
+    announce("No round in play. Press B to bet.");
+    return;
+  }
+  if (GameState.roundPaused) {
+    announce("The round is paused. Resume it or press C to cash out.");
+    return;
+  }
+  if (transport.busy || GameState.animatingLine || !engine.active) return;
+
+  if (!canConnectNode(node)) {
+    announce(`${describeNode(node.id)} cannot be connected to the path.`);
+    return;
+  }
+  connectNode(node);
+}
+
+/**
+ * @param {number} nodeId
+ * @returns {string} e.g. "Row 2, column 3"
+ */
+function describeNode(nodeId) {
+  return window.DotsBoard.describeBoardNode(nodeId, GameState.gridSize);
+}
+
+/**
+ * @param {number[]} stopPointIds - Revealed layout
+ * @returns {string}
+ */
+function describeStopPoints(stopPointIds) {
+  return window.DotsBoard.describeStopPointLayout(stopPointIds, GameState.gridSize);
+}
+
+function announceStep(stepIndex, multiplier) {
+  const win = GameState.bet * multiplier;
+  announce(`Step ${stepIndex} safe. Multiplier ${multiplier.toFixed(2)}×, win $${win.toFixed(2)}.`);
+}
+
+/**
+ * Read a message out through the live region. Messages of the same moment (a step that
+ * also cashed out) are joined, so a screen reader does not cut the first one off.
+ *
+ * @param {string} text
+ */
+function announce(text) {
+  if (!announcerEl) return;
+  if (GameState.pendingAnnouncement) {
+    GameState.pendingAnnouncement.push(text);
+    return;
+  }
+  GameState.pendingAnnouncement = [text];
+  setTimeout(() => {
+    announcerEl.textContent = GameState.pendingAnnouncement.join(" ");
+    GameState.pendingAnnouncement = null;
+  }, 0);
+}
+
+// ============================================================================
+// My Bets: round history and replay
+// ============================================================================
+
+/**
+ * List the most recent ledger entries, newest first
+ */
+function renderHistoryPanel() {
+  if (!historyListEl) return;
+
+  const rounds = store.getRounds().slice(-CONFIG.historyRows).reverse();
+  historyListEl.innerHTML = "";
+
+  if (rounds.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "history-empty";
+    empty.textContent = "No bets yet";
+    historyListEl.appendChild(empty);
+    return;
+  }
+
+  rounds.forEach((entry) => {
+    const finished = entry.status !== "active";
+    const profit = entry.payout - entry.bet;
+
+    const row = document.createElement("button");
+    row.type = "button";
+    row.className = "history-row";
+    row.disabled = !finished;
+    if (GameState.replay && GameState.replay.entry.id === entry.id) {
+      row.classList.add("selected");
+    }
+
+    const cells = [
+      new Date(entry.timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" }),
+      `${entry.gridSize}×${entry.gridSize}`,
+      `$${entry.bet.toFixed(2)}`,
+      finished ? `${entry.multiplier.toFixed(2)}×` : "…",
+      finished ? `${profit >= 0 ? "+" : "−"}$${Math.abs(profit).toFixed(2)}` : "in play"
+    ];
+    cells.forEach((text, index) => {
+      const cell = document.createElement("span");
+      cell.textContent = text;
+      if (index === cells.length - 1 && finished) {
+        cell.className = profit >= 0 ? "history-win" : "history-loss";
+      }
+      row.appendChild(cell);
+    });
+
+    row.addEventListener("click", () => startReplay(entry));
+    historyListEl.appendChild(row);
+  });
+}
+
+/**
+ * Describe the round being replayed (enough to check it on verify.html)
+ * @param {Object} entry - Ledger entry
+ */
+function showHistoryDetail(entry) {
+  if (!historyDetailEl) return;
+  const outcome = entry.status === "fail" ? "Hit a stop-point" :
+    entry.status === "deadEnd" ? "No legal moves - cashed out" :
+    entry.status === "cap" ? "Max win reached - cashed out" : "Cashed out";
+
+  const rule = window.PathRules[entry.connectionRule] || window.PathRules.any;
+
+  historyDetailEl.style.display = "block";
+  historyDetailEl.textContent =
+    `Round #${entry.id} · ${outcome} · ${entry.stopPoints} stop-point${entry.stopPoints === 1 ? "" : "s"} · ` +
+    `bet $${entry.bet.toFixed(2)} · ${rule.label}${entry.noCrossing ? ", no crossing" : ""} · ` +
+    `nonce ${entry.nonce ?? "—"} · client seed ${entry.clientSeed ?? "—"} · ` +
+    `server seed ${entry.serverSeed ?? "not revealed yet"} · ` +
+    `path ${entry.pathNodeIds.join(", ")} · stop-points ${entry.stopPointIds.join(", ")}`;
+}
+
+/**
+ * Replay a recorded round on the canvas with the live step animations
+ * @param {Object} entry - Finished ledger entry
+ */
+function startReplay(entry) {
+  if (GameState.hasActiveRound) return;
+  // Auto mode between bets: the next round is about to start
+  if (GameState.gameMode === "auto" && GameState.currentBetCount > 0) return;
+
+  stopReplay();
+  GameState.replay = { entry, index: 0, timeoutId: null, done: false };
+
+  if (entry.gridSize !== GameState.gridSize) {
+    GameState.gridSize = entry.gridSize;
+    setupGrid();
+  }
+  GameState.pathNodeIds = [];
+  GameState.startNodeId = null;
+  GameState.failedNodeId = null;
+  GameState.stopPointIds = entry.stopPointIds.slice();
+  GameState.revealedStopPoints = [];
+  GameState.floatingMultipliers = [];
+
+  showHistoryDetail(entry);
+  renderHistoryPanel();
+  setStatus(`Replaying round #${entry.id}`);
+  replayNextStep();
+}
+
+function replayNextStep() {
+  const replay = GameState.replay;
+  if (!replay) return;
+  replay.timeoutId = null;
+
+  const { entry } = replay;
+  if (replay.index >= entry.pathNodeIds.length) {
+    finishReplay();
+    return;
+  }
+
+  const node = getNodeById(entry.pathNodeIds[replay.index]);
+  const stepIndex = replay.index + 1;
+  const hit = entry.stopPointIds.includes(node.id);
+  replay.index++;
+  replay.multiplier = hit ? 0 : getMultiplierForStep(stepIndex, entry.gridSize, entry.stopPoints, undefined, entry.bet);
+
+  if (GameState.pathNodeIds.length === 0) {
+    // Start node: no line to animate
+    GameState.pathNodeIds.push(node.id);
+    GameState.startNodeId = node.id;
+    if (hit) {
+      GameState.failedNodeId = node.id;
+      finishReplay();
+      return;
+    }
+    onReplayStepAnimated(false);
+    return;
+  }
+
+  if (hit) {
+    GameState.failedNodeId = node.id;
+  }
+  GameState.animatingLine = true;
+  GameState.lineAnimationProgress = 0;
+  GameState.animatingToNode = node;
+  GameState.animationStartTime = performance.now();
+  GameState.isAnimatingFail = hit;
+  animateLineConnection();
+}
+
+/**
+ * Called once a replayed step has been drawn (from animateLineConnection for connected steps)
+ * @param {boolean} wasFail
+ */
+function onReplayStepAnimated(wasFail) {
+  const replay = GameState.replay;
+  if (!replay) return;
+
+  if (wasFail) {
+    finishReplay();
+    return;
+  }
+
+  const lastNode = getNodeById(GameState.pathNodeIds[GameState.pathNodeIds.length - 1]);
+  addFloatingMultiplier(lastNode, replay.multiplier);
+  render();
+  animateFloatingMultipliers();
+  replay.timeoutId = setTimeout(replayNextStep, CONFIG.replayStepDelay);
+}
+
+function finishReplay() {
+  const replay = GameState.replay;
+  if (!replay) return;
+  replay.done = true;
+  GameState.revealedStopPoints = replay.entry.stopPointIds.slice();
+  setStatus(`Replay of round #${replay.entry.id} finished`);
+  render();
+}
+
+/**
+ * Cancel any replay and put the live board (engine's grid size) back
+ */
+function stopReplay() {
+  const replay = GameState.replay;
+  if (!replay) return;
+
+  if (replay.timeoutId) {
+    clearTimeout(replay.timeoutId);
+  }
+  GameState.replay = null;
+  GameState.animatingLine = false;
+  GameState.animatingToNode = null;
+  GameState.isAnimatingFail = false;
+  GameState.pathNodeIds = [];
+  GameState.startNodeId = null;
+  GameState.failedNodeId = null;
+  GameState.stopPointIds = [];
+  GameState.revealedStopPoints = [];
+  GameState.floatingMultipliers = [];
+
+  if (GameState.gridSize !== engine.gridSize) {
+    GameState.gridSize = engine.gridSize;
+    setupGrid();
+  }
+  if (historyDetailEl) historyDetailEl.style.display = "none";
+  renderHistoryPanel();
+  render();
 }
 
 /**
- * Roll for step success using dynamic probability
- * @param {number} stepIndex - Current step (1-based)
- * @returns {boolean} - True if step succeeds, false if hits stop point
+ * Show the actual stop-point layout at the end of a round (win or loss)
  */
-function rollStepSuccess(stepIndex) {
-  const prob = getStepProbability(stepIndex);
-  return Math.random() < prob;
+function revealStopPoints() {
+  GameState.revealedStopPoints = [...GameState.stopPointIds];
+}
+
+function handleCashout() {
+  if (!GameState.hasActiveRound) return;
+  // The engine already ended the round if a failed step is still animating
+  if (!engine.active) return;
+  // A step is still on its way to the round server
+  if (transport.busy) return;
+  if (GameState.stepIndex === 0) {
+    setStatus("Make at least one step before cashing out");
+    announce("Make at least one step before cashing out");
+    return;
+  }
+  if (GameState.roundPaused) {
+    // Cashing out a restored auto round instead of resuming it ends the auto sequence
+    GameState.autoStopRequested = GameState.gameMode === "auto";
+    endRoundPause();
+  }
+  
+  // Stop auto loop if running
+  if (GameState.autoIntervalId) {
+    clearInterval(GameState.autoIntervalId);
+    GameState.autoIntervalId = null;
+  }
+
+  GameState.roundState = RoundState.CASHOUT;
+  // Payout arrives through the engine's cashout event
+  transport.cashout().catch((error) => {
+    GameState.roundState = RoundState.IDLE;
+    showTransportError(error);
+  });
+}
+
+function onEngineCashout(result) {
+  const { payout, multiplier, reason, stopPointIds, pathNodeIds } = result;
+
+  // Dead end on an animated step: finish drawing the line first
+  if (GameState.animatingLine) {
+    GameState.pendingCashout = result;
+    return;
+  }
+
+  GameState.stopPointIds = stopPointIds;
+  GameState.hasActiveRound = false;
+  GameState.roundState = RoundState.ROUND_END;
+  GameState.multiplier = 1.0;
+  GameState.stepIndex = 0;
+  revealStopPoints();
+  sound.playCashout({ quiet: GameState.gameMode === "auto" });
+  recordRoundEnd({ result: reason === "player" ? "cashout" : reason, pathNodeIds, stopPointIds, multiplier, payout });
+  cashoutBtn.disabled = true;
+  startBtn.disabled = false;
+  
+  // Don't change button visibility here in auto mode - let checkAndStartNextAutoBet handle it
+  if (GameState.gameMode !== "auto") {
+    if (stopBtn) stopBtn.style.display = "none";
+    if (startBtn) startBtn.style.display = "block";
+    setFairControlsLocked(false);
+  }
+
+  if (reason === "cap") {
+    showPayoutCap(true);
+    setStatus(`Max win of $${payout.toFixed(2)} reached. Cashed out automatically (×${multiplier.toFixed(2)})`);
+  } else if (reason === "deadEnd") {
+    setStatus(`No legal moves left. Cashed out: $${payout.toFixed(2)} (×${multiplier.toFixed(2)})`);
+  } else {
+    setStatus(`Cashed out: $${payout.toFixed(2)} (×${multiplier.toFixed(2)})`);
+  }
+  const why = reason === "cap" ? "Max win reached. " : reason === "deadEnd" ? "No legal moves left. " : "";
+  announce(`${why}Cashed out $${payout.toFixed(2)} at ${multiplier.toFixed(2)}×. ${describeStopPoints(stopPointIds)}`);
+  updateHUD();
+  render();
+
+  // Auto mode: check if we need to start next bet
+  if (GameState.gameMode === "auto") {
+    checkAndStartNextAutoBet({ bet: engine.bet, payout });
+  }
 }
 
 function findSnappedNode(x, y) {
@@ -762,7 +1917,7 @@ function isValidNextNode(lastNode, nextNode) {
   if (!lastNode || !nextNode) return false;
   if (lastNode.id === nextNode.id) return false;
   if (GameState.pathNodeIds.includes(nextNode.id)) return false;
-  return true;
+  return engine.isValidNextNode(nextNode.id);
 }
 
 // Auto mode functions
@@ -772,16 +1927,33 @@ function getRandomNextNode() {
   
   if (!lastNode) return null;
   
-  // Get all available (unvisited) nodes
-  const availableNodes = GameState.nodes.filter(
-    (n) => !GameState.pathNodeIds.includes(n.id)
-  );
-  
-  if (availableNodes.length === 0) return null;
+  // Get all nodes the path rules allow next
+  const availableNodes = engine.getLegalMoves().map(getNodeById);
   
-  // Randomly select one
-  const randomIndex = Math.floor(Math.random() * availableNodes.length);
-  return availableNodes[randomIndex];
+  // Randomly select one (null if none left)
+  return window.DotsRng.pickRandom(GameState.rng, availableNodes);
+}
+
+/**
+ * @returns {Object|null} Node auto mode starts on: the first node of the planned route,
+ *   or a random node when no route is planned
+ */
+function getAutoStartNode() {
+  const route = getPlannedAutoRoute();
+  const allIds = GameState.nodes.map((node) => node.id);
+  const routeId = window.DotsAutoPath.pickRouteNode(route, GameState.pathNodeIds, allIds);
+  if (routeId !== null) return getNodeById(routeId);
+  return window.DotsRng.pickRandom(GameState.rng, GameState.nodes);
+}
+
+/**
+ * @returns {Object|null} Next auto-mode node: the next legal node along the planned route,
+ *   or a random legal node once the route has none left
+ */
+function getAutoNextNode() {
+  const route = getPlannedAutoRoute();
+  const routeId = window.DotsAutoPath.pickRouteNode(route, GameState.pathNodeIds, engine.getLegalMoves());
+  return routeId !== null ? getNodeById(routeId) : getRandomNextNode();
 }
 
 function startAutoGameLoop() {
@@ -789,70 +1961,81 @@ function startAutoGameLoop() {
     clearInterval(GameState.autoIntervalId);
   }
   
-  const stepDelay = 500; // 500ms delay between steps
+  const stepDelay = getPlaySpeed().autoStepDelay; // Delay between steps
+  if (stepDelay <= 0) {
+    playAutoStepsNow();
+    return;
+  }
   
-  GameState.autoIntervalId = setInterval(() => {
-    if (!GameState.hasActiveRound) {
-      if (GameState.autoIntervalId) {
-        clearInterval(GameState.autoIntervalId);
-        GameState.autoIntervalId = null;
-      }
-      return;
-    }
-    
-    // Wait for animation to complete before next step
-    if (GameState.animatingLine) {
-      return;
-    }
-    
-    const nextNode = getRandomNextNode();
-    if (!nextNode) {
-      // No more nodes available, should not happen but handle gracefully
-      if (GameState.autoIntervalId) {
-        clearInterval(GameState.autoIntervalId);
-        GameState.autoIntervalId = null;
-      }
-      return;
+  GameState.autoIntervalId = setInterval(playAutoStep, stepDelay);
+}
+
+/**
+ * Instant play: step as soon as the previous step is in, until the round ends
+ */
+function playAutoStepsNow() {
+  const step = playAutoStep();
+  if (step) {
+    step.then((stepped) => {
+      if (stepped && GameState.hasActiveRound) playAutoStepsNow();
+    });
+  }
+}
+
+/**
+ * Take the next auto-mode step, unless the last one is still animating or on its way
+ * to the round server
+ *
+ * @returns {Promise<boolean>|null} Resolves true once the step is in (false after a
+ *   transport error); null when no step was taken
+ */
+function playAutoStep() {
+  if (!GameState.hasActiveRound) {
+    if (GameState.autoIntervalId) {
+      clearInterval(GameState.autoIntervalId);
+      GameState.autoIntervalId = null;
     }
-    
-    const lastNodeId = GameState.pathNodeIds[GameState.pathNodeIds.length - 1];
-    const lastNode = getNodeById(lastNodeId);
-    
-    if (!isValidNextNode(lastNode, nextNode)) {
-      if (GameState.autoIntervalId) {
-        clearInterval(GameState.autoIntervalId);
-        GameState.autoIntervalId = null;
-      }
-      return;
+    return null;
+  }
+  
+  // Wait for animation (and the round server) to complete before next step
+  if (GameState.animatingLine || transport.busy) {
+    return null;
+  }
+  
+  const nextNode = getAutoNextNode();
+  if (!nextNode) {
+    // No more nodes available, should not happen but handle gracefully
+    if (GameState.autoIntervalId) {
+      clearInterval(GameState.autoIntervalId);
+      GameState.autoIntervalId = null;
     }
-    
-    const stepIndex = GameState.stepIndex + 1;
-    const success = rollStepSuccess(stepIndex);
-    
-    if (success) {
-      onStepSuccess(nextNode, stepIndex);
-      // Continue loop if not cashed out
-      if (GameState.hasActiveRound && GameState.autoIntervalId) {
-        // Loop will continue on next iteration
-      }
-    } else {
-      // Start animation before showing fail
-      GameState.animatingLine = true;
-      GameState.lineAnimationProgress = 0;
-      GameState.animatingToNode = nextNode;
-      GameState.animationStartTime = performance.now();
-      GameState.isAnimatingFail = true;
-      GameState.failedNodeId = nextNode.id;
-      // Don't add to pathNodeIds yet - wait for animation
-      animateLineConnection();
+    return null;
+  }
+  
+  const lastNodeId = GameState.pathNodeIds[GameState.pathNodeIds.length - 1];
+  const lastNode = getNodeById(lastNodeId);
+  
+  if (!isValidNextNode(lastNode, nextNode)) {
+    if (GameState.autoIntervalId) {
+      clearInterval(GameState.autoIntervalId);
+      GameState.autoIntervalId = null;
     }
-  }, stepDelay);
+    return null;
+  }
+  
+  // Result arrives through the engine's stepSuccess / stepFail events;
+  // the loop continues on the next iteration unless the round ended
+  return transport.step(nextNode.id).then(() => true, (error) => {
+    showTransportError(error);
+    return false;
+  });
 }
 
 function updateAutoSlider() {
   if (!targetMultiplierSlider || !targetMultiplierValue || !targetStepLabel) return;
   
-  const maxStep = GameState.gridSize === 3 ? 7 : 13;
+  const maxStep = getMaxStep(GameState.gridSize, GameState.stopPointCount);
   targetMultiplierSlider.min = 1;
   targetMultiplierSlider.max = maxStep;
   
@@ -862,9 +2045,11 @@ function updateAutoSlider() {
   
   targetMultiplierSlider.value = GameState.targetStepIndex;
   
-  const targetMultiplier = getMultiplierForStep(GameState.targetStepIndex);
+  // Capped at the current bet: rounds cash out once the win reaches the payout cap
+  const targetMultiplier = getMultiplierForStep(GameState.targetStepIndex, GameState.gridSize, GameState.stopPointCount, undefined, GameState.bet);
+  const capped = GameState.bet * targetMultiplier >= getPayoutCap(GameState.bet) - 1e-9;
   targetMultiplierValue.textContent = `${targetMultiplier.toFixed(2)}×`;
-  targetStepLabel.textContent = `≈ Step ${GameState.targetStepIndex}`;
+  targetStepLabel.textContent = `≈ Step ${GameState.targetStepIndex}${capped ? " · max win" : ""}`;
 }
 
 function updateNumberOfBetsDisplay() {
@@ -895,9 +2080,19 @@ function updateNumberOfBetsDisplay() {
   }
 }
 
-function checkAndStartNextAutoBet() {
-  // Check if stop was requested
-  if (GameState.autoStopRequested) {
+/**
+ * @param {Object} roundResult - { bet, payout } of the round that just ended
+ */
+function checkAndStartNextAutoBet(roundResult) {
+  // Strategy: next bet / target step and its stop conditions
+  const decision = GameState.autoRunner ? GameState.autoRunner.record(roundResult) : null;
+  if (decision) {
+    GameState.bet = decision.bet;
+    updateHUD();
+  }
+
+  // Check if stop was requested (by the player or a strategy stop condition)
+  if (GameState.autoStopRequested || (decision && decision.stop)) {
     // Stop auto mode
     GameState.autoStopRequested = false;
     GameState.currentBetCount = 0;
@@ -917,8 +2112,18 @@ function checkAndStartNextAutoBet() {
     
     // Unlock controls when auto mode is stopped
     setAutoControlsLocked(false);
+    const netProfit = GameState.autoRunner ? GameState.autoRunner.netProfit : 0;
+    endAutoStrategy();
     
-    setStatus("Auto mode stopped");
+    if (decision && decision.stop === "profit") {
+      setStatus(`Auto mode stopped: profit target reached (+$${netProfit.toFixed(2)})`);
+    } else if (decision && decision.stop === "loss") {
+      setStatus(`Auto mode stopped: loss limit reached (−$${Math.abs(netProfit).toFixed(2)})`);
+    } else if (decision && decision.stop === "singleWin") {
+      setStatus(`Auto mode stopped: single win of +$${(roundResult.payout - roundResult.bet).toFixed(2)}`);
+    } else {
+      setStatus("Auto mode stopped");
+    }
     return;
   }
   
@@ -931,29 +2136,413 @@ function checkAndStartNextAutoBet() {
       stopBtn.style.display = "block";
       stopBtn.disabled = false;
     }
-    if (startBtn) startBtn.style.display = "none";
-    
-    // Small delay before next bet
-    setTimeout(() => {
-      if (GameState.gameMode === "auto" && !GameState.hasActiveRound && !GameState.autoStopRequested) {
-        startRound();
+    if (startBtn) startBtn.style.display = "none";
+    
+    // Small delay before next bet
+    setTimeout(() => {
+      if (GameState.gameMode === "auto" && !GameState.hasActiveRound && !GameState.autoStopRequested) {
+        startRound();
+      }
+    }, getPlaySpeed().autoBetDelay);
+  } else {
+    if (GameState.numberOfBets > 0 && GameState.currentBetCount >= GameState.numberOfBets) {
+      setStatus(`Auto mode: Completed ${GameState.numberOfBets} bet(s)`);
+    } else if (GameState.balance < GameState.bet) {
+      setStatus(`Auto mode stopped: balance too low for the next $${GameState.bet.toFixed(2)} bet`);
+    }
+    endAutoSequence();
+  }
+}
+
+/**
+ * Back to the Bet button once an auto sequence is done (or its next bet was refused)
+ */
+function endAutoSequence() {
+  // Reset bet count when done
+  GameState.currentBetCount = 0;
+  endAutoStrategy();
+  // Hide stop button when auto mode is done, show start button
+  if (stopBtn) {
+    stopBtn.style.display = "none";
+    stopBtn.disabled = true;
+  }
+  if (startBtn) startBtn.style.display = "block";
+  // Unlock controls when auto mode is done
+  setAutoControlsLocked(false);
+}
+
+/**
+ * Target step for the current auto round (the strategy may switch it after losses)
+ * @returns {number}
+ */
+function getAutoTargetStep() {
+  const target = GameState.autoRunner ? GameState.autoRunner.targetStep : GameState.targetStepIndex;
+  return Math.min(target, getMaxStep(GameState.gridSize, GameState.stopPointCount));
+}
+
+/**
+ * End the strategy of an auto sequence and go back to the bet the player chose
+ */
+function endAutoStrategy() {
+  if (!GameState.autoRunner) return;
+  GameState.bet = GameState.autoRunner.baseBet;
+  GameState.autoRunner = null;
+  updateHUD();
+}
+
+/**
+ * Drag or tap input, and whether taps need confirming; player preferences, so they can
+ * change mid-round
+ */
+function setupInputModeControls() {
+  if (inputModeSelect) {
+    inputModeSelect.value = GameState.inputMode;
+    inputModeSelect.addEventListener("change", () => {
+      GameState.inputMode = inputModeSelect.value === "tap" ? "tap" : "drag";
+      GameState.tapCandidate = null;
+      updateInputModeControls();
+      saveSettings();
+      render();
+    });
+  }
+  if (confirmTapToggle) {
+    confirmTapToggle.checked = GameState.confirmTaps;
+    confirmTapToggle.addEventListener("change", () => {
+      GameState.confirmTaps = confirmTapToggle.checked;
+      GameState.tapCandidate = null;
+      saveSettings();
+      render();
+    });
+  }
+  updateInputModeControls();
+}
+
+function updateInputModeControls() {
+  if (confirmTapToggle) {
+    confirmTapToggle.disabled = GameState.inputMode !== "tap";
+  }
+}
+
+/**
+ * Mute and master volume. Browsers only start audio from a user gesture, so the first
+ * click or key press unlocks it.
+ */
+function setupSoundControls() {
+  ["pointerdown", "keydown"].forEach((type) => {
+    document.addEventListener(type, () => sound.unlock());
+  });
+  if (muteToggle) {
+    muteToggle.checked = GameState.soundMuted;
+    muteToggle.addEventListener("change", () => {
+      GameState.soundMuted = muteToggle.checked;
+      sound.setMuted(GameState.soundMuted);
+      saveSettings();
+    });
+  }
+  if (volumeSlider) {
+    volumeSlider.value = String(Math.round(GameState.soundVolume * 100));
+    volumeSlider.addEventListener("input", () => {
+      GameState.soundVolume = Number(volumeSlider.value) / 100;
+      sound.setVolume(GameState.soundVolume);
+    });
+    // Save once the slider is released, not on every move
+    volumeSlider.addEventListener("change", () => {
+      saveSettings();
+      sound.playTick();
+    });
+  }
+}
+
+/**
+ * Theme picker: the operator's skin and the built-in ones, switchable at any time
+ */
+function setupThemeControls() {
+  if (!themeSelect) return;
+
+  themeSelect.innerHTML = "";
+  Object.keys(themeChoices).forEach((key) => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = themeChoices[key].name;
+    themeSelect.appendChild(option);
+  });
+  themeSelect.value = GameState.themeKey;
+  themeSelect.addEventListener("change", () => {
+    if (!themeChoices[themeSelect.value]) return;
+    GameState.themeKey = themeSelect.value;
+    applyTheme();
+    saveSettings();
+    render();
+  });
+}
+
+/**
+ * Use the skin of GameState.themeKey for the board and the page's CSS palette
+ */
+function applyTheme() {
+  theme = themeChoices[GameState.themeKey];
+  window.DotsThemes.applyThemeToDocument(theme);
+}
+
+/**
+ * Play speed (a player preference, so it can change mid-sequence: the next step or bet uses it)
+ * and the OS reduced-motion setting, followed while the page is open
+ */
+function setupPlaySpeedControls() {
+  if (playSpeedSelect) {
+    playSpeedSelect.value = GameState.playSpeed;
+    playSpeedSelect.addEventListener("change", () => {
+      if (!window.DotsBoard.PLAY_SPEEDS[playSpeedSelect.value]) return;
+      GameState.playSpeed = playSpeedSelect.value;
+      saveSettings();
+    });
+  }
+
+  const motionQuery = window.matchMedia ? window.matchMedia("(prefers-reduced-motion: reduce)") : null;
+  if (!motionQuery) return;
+  GameState.reducedMotion = motionQuery.matches;
+  if (motionQuery.addEventListener) {
+    motionQuery.addEventListener("change", (event) => {
+      GameState.reducedMotion = event.matches;
+      render();
+    });
+  }
+}
+
+/**
+ * Timing of the player's play speed, under their reduced-motion setting
+ * @returns {Object} See DotsBoard.getPlaySpeedTiming
+ */
+function getPlaySpeed() {
+  return window.DotsBoard.getPlaySpeedTiming(GameState.playSpeed, GameState.reducedMotion);
+}
+
+/**
+ * Step cue: a tone that rises with the multiplier towards the board's top multiplier,
+ * or a quiet tick while auto mode plays
+ *
+ * @param {number} multiplier - Multiplier the step reached
+ */
+function playStepSound(multiplier) {
+  if (GameState.gameMode === "auto") {
+    sound.playTick();
+    return;
+  }
+  const maxStep = getMaxStep(engine.gridSize, engine.stopPointCount);
+  const topMultiplier = getMultiplierForStep(maxStep, engine.gridSize, engine.stopPointCount, engine.getProfile(), engine.bet);
+  sound.playStep(multiplier, topMultiplier);
+}
+
+/**
+ * Fill the strategy preset list and inputs, and keep GameState.autoStrategy in sync with them
+ */
+function setupStrategyControls() {
+  if (!strategyPresetSelect) return;
+
+  const presets = window.DotsAutoBet.STRATEGY_PRESETS;
+  strategyPresetSelect.innerHTML = "";
+  Object.keys(presets).concat("custom").forEach((key) => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = key === "custom" ? "Custom" : presets[key].label;
+    strategyPresetSelect.appendChild(option);
+  });
+
+  writeStrategyInputs(GameState.autoStrategy);
+
+  strategyPresetSelect.addEventListener("change", () => {
+    if (GameState.hasActiveRound) return;
+    const preset = presets[strategyPresetSelect.value];
+    if (!preset) return;
+    GameState.autoStrategy = window.DotsAutoBet.normalizeStrategy(preset.strategy);
+    writeStrategyInputs(GameState.autoStrategy);
+    saveSettings();
+  });
+
+  Object.values(strategyInputs).forEach((input) => {
+    if (!input) return;
+    input.addEventListener("change", () => {
+      if (GameState.hasActiveRound) return;
+      GameState.autoStrategy = readStrategyInputs();
+      writeStrategyInputs(GameState.autoStrategy);
+      saveSettings();
+    });
+  });
+}
+
+/**
+ * @returns {Object} Normalized strategy from the auto section inputs
+ */
+function readStrategyInputs() {
+  return window.DotsAutoBet.normalizeStrategy({
+    onWin: { action: strategyInputs.onWinAction.value, percent: parseFloat(strategyInputs.onWinPercent.value) },
+    onLoss: { action: strategyInputs.onLossAction.value, percent: parseFloat(strategyInputs.onLossPercent.value) },
+    stopOnProfit: parseFloat(strategyInputs.stopOnProfit.value),
+    stopOnLoss: parseFloat(strategyInputs.stopOnLoss.value),
+    stopOnSingleWin: parseFloat(strategyInputs.stopOnSingleWin.value),
+    switchTarget: {
+      afterLosses: parseInt(strategyInputs.switchAfterLosses.value),
+      targetStep: parseInt(strategyInputs.switchTargetStep.value)
+    }
+  });
+}
+
+/**
+ * Show a strategy in the inputs and select the matching preset (or Custom)
+ * @param {Object} strategy - Normalized strategy
+ */
+function writeStrategyInputs(strategy) {
+  strategyInputs.onWinAction.value = strategy.onWin.action;
+  strategyInputs.onWinPercent.value = strategy.onWin.percent.toString();
+  strategyInputs.onWinPercent.disabled = strategy.onWin.action !== "increase";
+  strategyInputs.onLossAction.value = strategy.onLoss.action;
+  strategyInputs.onLossPercent.value = strategy.onLoss.percent.toString();
+  strategyInputs.onLossPercent.disabled = strategy.onLoss.action !== "increase";
+  strategyInputs.stopOnProfit.value = strategy.stopOnProfit.toString();
+  strategyInputs.stopOnLoss.value = strategy.stopOnLoss.toString();
+  strategyInputs.stopOnSingleWin.value = strategy.stopOnSingleWin.toString();
+  strategyInputs.switchAfterLosses.value = strategy.switchTarget.afterLosses.toString();
+  strategyInputs.switchTargetStep.value = strategy.switchTarget.targetStep.toString();
+
+  const presets = window.DotsAutoBet.STRATEGY_PRESETS;
+  const serialized = JSON.stringify(strategy);
+  strategyPresetSelect.value = Object.keys(presets).find((key) =>
+    JSON.stringify(window.DotsAutoBet.normalizeStrategy(presets[key].strategy)) === serialized
+  ) || "custom";
+}
+
+// ============================================================================
+// Auto paths: preset or drawn routes followed by auto mode
+// ============================================================================
+
+/**
+ * Fill the auto path list and wire the route drawing button
+ */
+function setupAutoPathControls() {
+  if (!autoPathSelect) return;
+
+  const presets = window.DotsAutoPath.AUTO_PATH_PRESETS;
+  autoPathSelect.innerHTML = "";
+  Object.keys(presets).forEach((key) => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = presets[key].label;
+    autoPathSelect.appendChild(option);
+  });
+
+  autoPathSelect.addEventListener("change", () => {
+    if (GameState.hasActiveRound) {
+      autoPathSelect.value = GameState.autoPath.preset;
+      return;
+    }
+    cancelRouteDraft();
+    GameState.autoPath = { ...GameState.autoPath, preset: autoPathSelect.value };
+    updateAutoPathControls();
+    saveSettings();
+    render();
+  });
+
+  if (drawRouteBtn) {
+    drawRouteBtn.addEventListener("click", () => {
+      if (GameState.hasActiveRound) return;
+      if (GameState.routeDraft) {
+        cancelRouteDraft();
+      } else {
+        startRouteDraft();
       }
-    }, 1000);
+    });
+  }
+
+  updateAutoPathControls();
+}
+
+/**
+ * Sync the auto path list, drawing button and hint with GameState
+ */
+function updateAutoPathControls() {
+  if (!autoPathSelect) return;
+
+  autoPathSelect.value = GameState.autoPath.preset;
+  if (drawRouteBtn) {
+    drawRouteBtn.textContent = GameState.routeDraft ? "Cancel" : "Draw route";
+    drawRouteBtn.classList.toggle("active", !!GameState.routeDraft);
+  }
+  if (!autoPathHintEl) return;
+
+  if (GameState.routeDraft) {
+    autoPathHintEl.textContent = "Drag across the dots in order";
+  } else if (GameState.autoPath.preset === "custom" && getPlannedAutoRoute().length === 0) {
+    autoPathHintEl.textContent = "No route drawn for this grid - picks are random";
+  } else if (GameState.autoPath.preset === "random") {
+    autoPathHintEl.textContent = "Random dot each step";
   } else {
-    // Reset bet count when done
-    GameState.currentBetCount = 0;
-    if (GameState.numberOfBets > 0 && GameState.currentBetCount >= GameState.numberOfBets) {
-      setStatus(`Auto mode: Completed ${GameState.numberOfBets} bet(s)`);
-    }
-    // Hide stop button when auto mode is done, show start button
-    if (stopBtn) {
-      stopBtn.style.display = "none";
-      stopBtn.disabled = true;
-    }
-    if (startBtn) startBtn.style.display = "block";
-    // Unlock controls when auto mode is done
-    setAutoControlsLocked(false);
+    autoPathHintEl.textContent = "Skips dots the path rules forbid";
+  }
+}
+
+/**
+ * @returns {number[]} Node ids auto mode follows on the current grid (empty = random picks)
+ */
+function getPlannedAutoRoute() {
+  return window.DotsAutoPath.getPlannedRoute(GameState.autoPath, GameState.gridSize);
+}
+
+/**
+ * Let the next canvas stroke draw the auto route instead of playing
+ */
+function startRouteDraft() {
+  stopReplay();
+  GameState.routeDraft = [];
+  updateAutoPathControls();
+  render();
+}
+
+/**
+ * Leave route drawing without changing the saved route
+ */
+function cancelRouteDraft() {
+  if (!GameState.routeDraft) return;
+  GameState.routeDraft = null;
+  updateAutoPathControls();
+  render();
+}
+
+/**
+ * Save the drawn stroke as this grid's route and select it
+ */
+function finishRouteDraft() {
+  const nodeIds = GameState.routeDraft;
+  GameState.routeDraft = null;
+  if (nodeIds.length > 0) {
+    GameState.autoPath = window.DotsAutoPath.normalizeAutoPath({
+      preset: "custom",
+      custom: { ...GameState.autoPath.custom, [GameState.gridSize]: nodeIds }
+    });
+    saveSettings();
   }
+  updateAutoPathControls();
+  render();
+}
+
+function onRouteDraftPointerDown(e) {
+  const rect = canvas.getBoundingClientRect();
+  GameState.pointerPos.x = e.clientX - rect.left;
+  GameState.pointerPos.y = e.clientY - rect.top;
+
+  GameState.routeDraft = [];
+  GameState.activePointerId = e.pointerId;
+  canvas.setPointerCapture(e.pointerId);
+  addRouteDraftNode(findSnappedNode(GameState.pointerPos.x, GameState.pointerPos.y));
+  render();
+}
+
+/**
+ * Append a node the route stroke passes over (each node at most once)
+ * @param {Object|null} node
+ */
+function addRouteDraftNode(node) {
+  if (!node || GameState.routeDraft.includes(node.id)) return;
+  GameState.routeDraft.push(node.id);
 }
 
 function stopAutoMode() {
@@ -988,6 +2577,32 @@ function setAutoControlsLocked(locked) {
     numberOfBetsInfinity.disabled = locked;
   }
   
+  setFairControlsLocked(locked);
+  
+  if (stopPointSelect) {
+    stopPointSelect.disabled = locked;
+  }
+  if (pathRuleSelect) {
+    pathRuleSelect.disabled = locked;
+  }
+  if (noCrossingToggle) {
+    noCrossingToggle.disabled = locked;
+  }
+  if (strategyPresetSelect) {
+    strategyPresetSelect.disabled = locked;
+    Object.values(strategyInputs).forEach((input) => {
+      if (input) input.disabled = locked;
+    });
+    // Percent fields only apply to "Increase by"
+    if (!locked) writeStrategyInputs(GameState.autoStrategy);
+  }
+  if (autoPathSelect) {
+    autoPathSelect.disabled = locked;
+  }
+  if (drawRouteBtn) {
+    drawRouteBtn.disabled = locked;
+  }
+  
   // Lock/unlock grid size toggle buttons
   if (gridToggleBtns) {
     gridToggleBtns.forEach(btn => {
@@ -1003,6 +2618,86 @@ function setAutoControlsLocked(locked) {
   }
 }
 
+/**
+ * Build one toggle button per grid in MathConfig.grids
+ */
+function setupGridToggle() {
+  if (!gridToggleEl) {
+    gridToggleBtns = [];
+    return;
+  }
+
+  gridToggleEl.innerHTML = "";
+  Object.keys(window.GameMath.CONFIG.grids).forEach((size) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "grid-toggle-btn";
+    btn.dataset.gridSize = size;
+    btn.textContent = `${size}×${size}`;
+    if (parseInt(size) === GameState.gridSize) {
+      btn.classList.add("active");
+    }
+    gridToggleEl.appendChild(btn);
+  });
+  gridToggleBtns = gridToggleEl.querySelectorAll(".grid-toggle-btn");
+}
+
+/**
+ * Fill the stop-point selector with the counts allowed on the current grid
+ */
+function populateStopPointOptions() {
+  if (!stopPointSelect) return;
+
+  const { min, max } = getStopPointRange(GameState.gridSize);
+  stopPointSelect.innerHTML = "";
+  for (let count = min; count <= max; count++) {
+    const option = document.createElement("option");
+    option.value = count;
+    option.textContent = count.toString();
+    stopPointSelect.appendChild(option);
+  }
+  stopPointSelect.value = GameState.stopPointCount.toString();
+}
+
+/**
+ * Fill the path rule selector from PathRules (engine.js)
+ */
+function populatePathRuleOptions() {
+  if (pathRuleSelect) {
+    pathRuleSelect.innerHTML = "";
+    Object.keys(window.PathRules).forEach((key) => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = window.PathRules[key].label;
+      pathRuleSelect.appendChild(option);
+    });
+    pathRuleSelect.value = GameState.connectionRule;
+  }
+  if (noCrossingToggle) {
+    noCrossingToggle.checked = GameState.noCrossing;
+  }
+}
+
+function updateGameModeName() {
+  const gameModeNameEl = document.getElementById("gameModeName");
+  if (!gameModeNameEl) return;
+  const gridConfig = getGridConfig(GameState.gridSize);
+  gameModeNameEl.textContent = gridConfig.name || `${GameState.gridSize}×${GameState.gridSize}`;
+}
+
+function setFairControlsLocked(locked) {
+  if (clientSeedInput) clientSeedInput.disabled = locked;
+  if (rotateSeedsBtn) rotateSeedsBtn.disabled = locked;
+}
+
+/**
+ * Swap the RNG used for auto-mode picks
+ * @param {Object} rng - Any RNG from rng.js (seeded, crypto, scripted, recording)
+ */
+function setRng(rng) {
+  GameState.rng = rng;
+}
+
 function getNodeById(id) {
   return GameState.nodes.find((n) => n.id === id);
 }
@@ -1023,6 +2718,32 @@ function updateHUD() {
   const winAmount =
     GameState.stepIndex > 0 ? GameState.bet * GameState.multiplier : 0;
   winEl.textContent = `$${winAmount.toFixed(2)}`;
+
+  // The capped target multiplier depends on the bet
+  updateAutoSlider();
+}
+
+/**
+ * Explain the math profile's payout cap on the Cash Out button and the line under it
+ * @param {boolean} reached - The round just ended was cashed out at the cap
+ */
+function showPayoutCap(reached) {
+  const cap = getPayoutCap(GameState.bet, engine.getProfile());
+  const limited = Number.isFinite(cap);
+
+  cashoutBtn.textContent = reached ? "Max win reached" : "Cash Out";
+  cashoutBtn.title = limited ? `Max win per round: $${cap.toFixed(2)}` : "";
+  showRoundNotice(reached ? `Max win per round is $${cap.toFixed(2)}, so the round was cashed out automatically.` : "");
+}
+
+/**
+ * Line under the round buttons (payout cap, round server errors); empty text hides it
+ * @param {string} text
+ */
+function showRoundNotice(text) {
+  if (!roundNoticeEl) return;
+  roundNoticeEl.style.display = text ? "block" : "none";
+  roundNoticeEl.textContent = text;
 }
 
 function setStatus(text) {
@@ -1039,6 +2760,7 @@ function render() {
   drawBackground();
   drawBackgroundGrid(); // Fine background grid for visual depth
   drawGridLines();
+  drawAutoRoute();
   drawPath();
   drawAnimatedLine();
   drawPreviewLine();
@@ -1057,13 +2779,14 @@ function drawBackground() {
     size * 0.5,
     size * 0.7
   );
-  gradient.addColorStop(0, "#0f1525");
-  gradient.addColorStop(0.5, "#0a0f1a");
-  gradient.addColorStop(1, "#050810");
+  const { board } = theme;
+  gradient.addColorStop(0, board.background[0]);
+  gradient.addColorStop(0.5, board.background[1]);
+  gradient.addColorStop(1, board.background[2]);
   ctx.fillStyle = gradient;
   ctx.fillRect(0, 0, size, size);
   
-  // Add subtle purple glow accents
+  // Add subtle glow accents
   const glow1 = ctx.createRadialGradient(
     size * 0.2,
     size * 0.3,
@@ -1072,8 +2795,8 @@ function drawBackground() {
     size * 0.3,
     size * 0.4
   );
-  glow1.addColorStop(0, "rgba(168, 85, 247, 0.15)");
-  glow1.addColorStop(1, "rgba(168, 85, 247, 0)");
+  glow1.addColorStop(0, board.glows[0]);
+  glow1.addColorStop(1, "rgba(0, 0, 0, 0)");
   ctx.fillStyle = glow1;
   ctx.fillRect(0, 0, size, size);
   
@@ -1085,18 +2808,19 @@ function drawBackground() {
     size * 0.7,
     size * 0.4
   );
-  glow2.addColorStop(0, "rgba(236, 72, 153, 0.1)");
-  glow2.addColorStop(1, "rgba(236, 72, 153, 0)");
+  glow2.addColorStop(0, board.glows[1]);
+  glow2.addColorStop(1, "rgba(0, 0, 0, 0)");
   ctx.fillStyle = glow2;
   ctx.fillRect(0, 0, size, size);
 }
 
 function drawBackgroundGrid() {
   const size = CONFIG.canvasSize;
-  const gridSpacing = 40; // Grid spacing for background texture
+  const gridSpacing = theme.board.textureSpacing; // Grid spacing for background texture
+  if (!(gridSpacing > 0)) return;
   
   ctx.lineWidth = 0.5;
-  ctx.strokeStyle = "rgba(168, 85, 247, 0.08)";
+  ctx.strokeStyle = theme.board.texture;
   ctx.lineCap = "butt";
   
   // Draw vertical lines
@@ -1119,9 +2843,9 @@ function drawBackgroundGrid() {
 function drawGridLines() {
   const nodes = GameState.nodes;
   const gs = GameState.gridSize;
-  ctx.lineWidth = 2;
-  ctx.strokeStyle = "rgba(168, 85, 247, 0.25)";
-  ctx.shadowColor = "rgba(168, 85, 247, 0.3)";
+  ctx.lineWidth = theme.board.gridLineWidth;
+  ctx.strokeStyle = theme.board.gridLine;
+  ctx.shadowColor = theme.board.gridGlow;
   ctx.shadowBlur = 8;
   ctx.lineCap = "round";
 
@@ -1156,21 +2880,26 @@ function drawGridLines() {
 
 function drawPath() {
   const ids = GameState.pathNodeIds;
+  // While dragging, drawPreviewLine highlights the legal nodes
+  if (GameState.roundState !== RoundState.DRAGGING) {
+    drawLegalMoves();
+  }
   if (ids.length < 2) return;
 
-  ctx.lineWidth = CONFIG.lineWidth;
+  const { line } = theme;
+  ctx.lineWidth = getLineWidth();
   ctx.lineJoin = "round";
   ctx.lineCap = "round";
-  ctx.shadowBlur = 9;
+  ctx.shadowBlur = line.glowBlur;
 
   // Check if the last node is a failed node (stop-point)
   const lastNodeId = ids[ids.length - 1];
   const isLastNodeFailed = GameState.failedNodeId !== null && lastNodeId === GameState.failedNodeId;
 
   if (isLastNodeFailed && ids.length >= 2) {
-    // Draw all segments except the last one in purple
-    ctx.strokeStyle = "#a855f7";
-    ctx.shadowColor = "rgba(168, 85, 247, 0.8)";
+    // Draw all segments except the last one in the line color
+    ctx.strokeStyle = line.color;
+    ctx.shadowColor = line.glow;
     ctx.beginPath();
     const first = getNodeById(ids[0]);
     ctx.moveTo(first.x, first.y);
@@ -1180,7 +2909,7 @@ function drawPath() {
     }
     ctx.stroke();
     
-    // Draw the last segment (to failed node) with gradient from purple to red
+    // Draw the last segment (to failed node) fading into the fail color
     const secondToLast = getNodeById(ids[ids.length - 2]);
     const lastNode = getNodeById(ids[ids.length - 1]);
     
@@ -1189,19 +2918,19 @@ function drawPath() {
       secondToLast.x, secondToLast.y,
       lastNode.x, lastNode.y
     );
-    gradient.addColorStop(0, "#a855f7"); // Purple at start
-    gradient.addColorStop(1, "#ef4444"); // Red at end
+    gradient.addColorStop(0, line.color);
+    gradient.addColorStop(1, line.failColor);
     
     ctx.strokeStyle = gradient;
-    ctx.shadowColor = "rgba(239, 68, 68, 0.8)";
+    ctx.shadowColor = line.failGlow;
     ctx.beginPath();
     ctx.moveTo(secondToLast.x, secondToLast.y);
     ctx.lineTo(lastNode.x, lastNode.y);
     ctx.stroke();
   } else {
-    // Draw all segments in purple
-    ctx.strokeStyle = "#a855f7";
-    ctx.shadowColor = "rgba(168, 85, 247, 0.8)";
+    // Draw all segments in the line color
+    ctx.strokeStyle = line.color;
+    ctx.shadowColor = line.glow;
     ctx.beginPath();
     const first = getNodeById(ids[0]);
     ctx.moveTo(first.x, first.y);
@@ -1230,13 +2959,13 @@ function drawAnimatedLine() {
   const currentX = lastNode.x + (targetNode.x - lastNode.x) * GameState.lineAnimationProgress;
   const currentY = lastNode.y + (targetNode.y - lastNode.y) * GameState.lineAnimationProgress;
   
-  // Draw the animated line (always purple during animation)
-  ctx.lineWidth = CONFIG.lineWidth;
+  // Draw the animated line (line color even when it leads into a stop-point)
+  ctx.lineWidth = getLineWidth();
   ctx.lineJoin = "round";
   ctx.lineCap = "round";
-  ctx.strokeStyle = "#a855f7";
-  ctx.shadowColor = "rgba(168, 85, 247, 0.8)";
-  ctx.shadowBlur = 12;
+  ctx.strokeStyle = theme.line.color;
+  ctx.shadowColor = theme.line.glow;
+  ctx.shadowBlur = theme.line.glowBlur + 3; // Brighter while it grows
   
   ctx.beginPath();
   ctx.moveTo(lastNode.x, lastNode.y);
@@ -1256,12 +2985,13 @@ function drawFlameEffect(x, y, targetX, targetY) {
   const distance = Math.sqrt(dx * dx + dy * dy);
   const angle = Math.atan2(dy, dx);
   
-  // Always use yellow/orange flame during animation (same for success and fail)
+  // Same flame during animation for success and fail
+  const { particles } = theme;
   const gradient = ctx.createRadialGradient(x, y, 0, x, y, 15);
-  gradient.addColorStop(0, "rgba(255, 255, 255, 1)");
-  gradient.addColorStop(0.3, "rgba(255, 200, 100, 0.9)");
-  gradient.addColorStop(0.6, "rgba(255, 150, 50, 0.7)");
-  gradient.addColorStop(1, "rgba(255, 100, 0, 0)");
+  gradient.addColorStop(0, particles.flame[0]);
+  gradient.addColorStop(0.3, particles.flame[1]);
+  gradient.addColorStop(0.6, particles.flame[2]);
+  gradient.addColorStop(1, particles.flame[3]);
   
   ctx.fillStyle = gradient;
   ctx.beginPath();
@@ -1270,15 +3000,15 @@ function drawFlameEffect(x, y, targetX, targetY) {
   
   // Draw small flame particles
   const time = performance.now() * 0.005;
-  for (let i = 0; i < 3; i++) {
+  for (let i = 0; i < particles.sparks.length; i++) {
     const offsetX = Math.cos(angle + Math.PI / 2 + time + i * 2) * 8;
     const offsetY = Math.sin(angle + Math.PI / 2 + time + i * 2) * 8;
     const particleX = x + offsetX;
     const particleY = y + offsetY;
     
     const particleGradient = ctx.createRadialGradient(particleX, particleY, 0, particleX, particleY, 6);
-    particleGradient.addColorStop(0, `rgba(255, ${200 + i * 20}, ${100 + i * 30}, 0.8)`);
-    particleGradient.addColorStop(1, "rgba(255, 100, 0, 0)");
+    particleGradient.addColorStop(0, particles.sparks[i]);
+    particleGradient.addColorStop(1, particles.sparkFade);
     
     ctx.fillStyle = particleGradient;
     ctx.beginPath();
@@ -1290,11 +3020,11 @@ function drawFlameEffect(x, y, targetX, targetY) {
 function animateLineConnection() {
   if (!GameState.animatingLine) return;
   
-  const animationDuration = 400; // milliseconds
+  const animationDuration = getPlaySpeed().lineAnimation; // milliseconds
   const currentTime = performance.now();
   const elapsed = currentTime - GameState.animationStartTime;
   
-  GameState.lineAnimationProgress = Math.min(elapsed / animationDuration, 1);
+  GameState.lineAnimationProgress = animationDuration > 0 ? Math.min(elapsed / animationDuration, 1) : 1;
   
   render();
   
@@ -1307,6 +3037,12 @@ function animateLineConnection() {
     GameState.lineAnimationProgress = 0;
     GameState.isAnimatingFail = false;
     
+    // My Bets replay: no game logic, just move on to the next recorded step
+    if (GameState.replay) {
+      onReplayStepAnimated(wasFail);
+      return;
+    }
+    
     if (wasFail) {
       // Handle fail after animation
       onStepFail();
@@ -1315,18 +3051,23 @@ function animateLineConnection() {
       // Add floating multiplier animation
       const lastNode = getNodeById(GameState.pathNodeIds[GameState.pathNodeIds.length - 1]);
       if (lastNode) {
-        GameState.floatingMultipliers.push({
-          x: lastNode.x,
-          y: lastNode.y,
-          multiplier: GameState.multiplier,
-          startTime: performance.now()
-        });
+        addFloatingMultiplier(lastNode, GameState.multiplier);
+      }
+      announceStep(GameState.stepIndex, GameState.multiplier);
+      playStepSound(GameState.multiplier);
+      
+      // Dead end or payout cap: the engine already cashed out this step
+      if (GameState.pendingCashout) {
+        const result = GameState.pendingCashout;
+        GameState.pendingCashout = null;
+        onEngineCashout(result);
+        animateFloatingMultipliers();
+        return;
       }
       
-      // Auto mode: check if target multiplier reached
+      // Auto mode: check if target step reached (a capped profile can repeat multipliers)
       if (GameState.gameMode === "auto") {
-        const targetMultiplier = getMultiplierForStep(GameState.targetStepIndex);
-        if (GameState.multiplier >= targetMultiplier) {
+        if (GameState.stepIndex >= getAutoTargetStep()) {
           // Auto cash out
           handleCashout();
           return;
@@ -1346,12 +3087,29 @@ function animateLineConnection() {
   }
 }
 
+/**
+ * Float the multiplier a step reached up from its dot (for the play speed's duration; none at 0)
+ * @param {Object} node
+ * @param {number} multiplier
+ */
+function addFloatingMultiplier(node, multiplier) {
+  const duration = getPlaySpeed().floatingMultiplier;
+  if (duration <= 0) return;
+  GameState.floatingMultipliers.push({
+    x: node.x,
+    y: node.y,
+    multiplier,
+    startTime: performance.now(),
+    duration
+  });
+}
+
 function animateFloatingMultipliers() {
   // Update and render floating multipliers
   const currentTime = performance.now();
   const hasActiveMultipliers = GameState.floatingMultipliers.some(fm => {
     const elapsed = currentTime - fm.startTime;
-    return elapsed < 1500; // animationDuration
+    return elapsed < fm.duration;
   });
   
   if (hasActiveMultipliers) {
@@ -1361,20 +3119,97 @@ function animateFloatingMultipliers() {
 }
 
 function drawPreviewLine() {
-  if (GameState.roundState !== RoundState.DRAGGING) return;
+  const tapping = GameState.inputMode === "tap" && GameState.hasActiveRound;
+  if (GameState.roundState !== RoundState.DRAGGING && !tapping) return;
   const ids = GameState.pathNodeIds;
   if (ids.length === 0) return;
 
+  drawLegalMoves();
+
   const lastNode = getNodeById(ids[ids.length - 1]);
-  ctx.lineWidth = CONFIG.lineWidth * 0.9;
-  ctx.strokeStyle = "rgba(168, 85, 247, 0.5)";
-  ctx.shadowColor = "rgba(168, 85, 247, 0.4)";
+  let end = GameState.pointerPos;
+  let illegal = false;
+  if (tapping) {
+    // Tap mode: line to the dot waiting for its confirming tap
+    if (GameState.tapCandidate === null) return;
+    end = getNodeById(GameState.tapCandidate);
+  } else {
+    // Dim the preview when it snaps to a node the path rules don't allow
+    const snapped = findSnappedNode(GameState.pointerPos.x, GameState.pointerPos.y);
+    illegal = snapped && snapped.id !== lastNode.id && !isValidNextNode(lastNode, snapped);
+  }
+  ctx.lineWidth = getLineWidth() * 0.9;
+  ctx.strokeStyle = illegal ? theme.line.previewIllegal : theme.line.preview;
+  ctx.shadowColor = illegal ? theme.line.previewIllegalGlow : theme.line.previewGlow;
   ctx.shadowBlur = 8;
   ctx.setLineDash([6, 6]);
   ctx.beginPath();
   ctx.moveTo(lastNode.x, lastNode.y);
-  ctx.lineTo(GameState.pointerPos.x, GameState.pointerPos.y);
+  ctx.lineTo(end.x, end.y);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.shadowBlur = 0;
+}
+
+/**
+ * Ghost of the auto route: the stroke being drawn, or the planned route in auto mode
+ */
+function drawAutoRoute() {
+  const drawing = !!GameState.routeDraft;
+  if (!drawing && (GameState.gameMode !== "auto" || GameState.replay)) return;
+
+  const ids = drawing ? GameState.routeDraft : getPlannedAutoRoute();
+  if (ids.length === 0) return;
+
+  const lineWidth = getLineWidth();
+  ctx.lineWidth = lineWidth * 0.6;
+  ctx.lineJoin = "round";
+  ctx.lineCap = "round";
+  ctx.strokeStyle = drawing ? theme.line.routeDraft : theme.line.route;
+  ctx.setLineDash([lineWidth, lineWidth]);
+  ctx.beginPath();
+  const first = getNodeById(ids[0]);
+  ctx.moveTo(first.x, first.y);
+  for (let i = 1; i < ids.length; i++) {
+    const node = getNodeById(ids[i]);
+    ctx.lineTo(node.x, node.y);
+  }
+  // Follow the pointer while the stroke is in progress
+  if (drawing && GameState.activePointerId !== null) {
+    ctx.lineTo(GameState.pointerPos.x, GameState.pointerPos.y);
+  }
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // Mark where the route starts
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(first.x, first.y, CONFIG.dotRadius + 6, 0, Math.PI * 2);
   ctx.stroke();
+}
+
+/**
+ * Ring the nodes the path may connect to next (only when a path rule restricts moves)
+ */
+function drawLegalMoves() {
+  if (!GameState.hasActiveRound || !engine.active || GameState.animatingLine) return;
+  if (GameState.pathNodeIds.length === 0) return;
+  if (GameState.connectionRule === "any" && !GameState.noCrossing) return;
+
+  const radius = CONFIG.dotRadius + 9;
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = theme.nodes.legal;
+  ctx.shadowColor = theme.nodes.legalGlow;
+  ctx.shadowBlur = 10;
+  ctx.setLineDash([4, 4]);
+
+  for (const id of engine.getLegalMoves()) {
+    const node = getNodeById(id);
+    ctx.beginPath();
+    ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
   ctx.setLineDash([]);
   ctx.shadowBlur = 0;
 }
@@ -1392,103 +3227,183 @@ function drawNodes() {
       drawRegularNode(node.x, node.y, size, isStart, inPath);
     }
   }
-}
 
-function drawRegularNode(x, y, radius, isStart, inPath) {
-  const outerR = radius + 4;
+  // Reduced motion: a still ring marks the dot just reached, in place of the flame
+  const ids = GameState.pathNodeIds;
+  if (GameState.reducedMotion && GameState.hasActiveRound && ids.length > 0) {
+    drawLatestNodeMark(getNodeById(ids[ids.length - 1]), size);
+  }
 
-  let baseColor = "#d8b4fe";
-  let centerColor = "#a855f7";
-  let glowColor = "#7c3aed";
-  let borderColor = "rgba(168, 85, 247, 0.3)";
+  const highlightNode = GameState.highlightNodeId !== null ? getNodeById(GameState.highlightNodeId) : null;
+  if (highlightNode) drawNodeHighlight(highlightNode, size);
+  const candidateNode = GameState.tapCandidate !== null && GameState.hasActiveRound ? getNodeById(GameState.tapCandidate) : null;
+  if (candidateNode) drawNodeHighlight(candidateNode, size);
 
-  if (inPath) {
-    // Connected nodes: brighter with white border and stronger glow
-    baseColor = "#f3e8ff";
-    centerColor = "#c084fc";
-    glowColor = "#a855f7";
-    borderColor = "rgba(255, 255, 255, 0.8)";
+  if (GameState.keyboardCursor !== null) {
+    const cursorNode = getNodeById(GameState.keyboardCursor);
+    if (cursorNode) drawFocusRing(cursorNode.x, cursorNode.y, size);
   }
+}
+
+/**
+ * Dot a pointer would pick (hover, long press) or a tap selected, in the legal-move color
+ * when the path can connect to it
+ */
+function drawNodeHighlight(node, radius) {
+  const legal = GameState.hasActiveRound && engine.active && canConnectNode(node) &&
+    !GameState.pathNodeIds.includes(node.id);
+  ctx.save();
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = legal ? theme.nodes.highlight : theme.nodes.highlightBlocked;
+  ctx.shadowColor = legal ? theme.nodes.highlightGlow : theme.nodes.highlightBlockedGlow;
+  ctx.shadowBlur = 12;
+  ctx.beginPath();
+  ctx.arc(node.x, node.y, radius + 7, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Still ring around the dot the path reached last
+ */
+function drawLatestNodeMark(node, radius) {
+  ctx.save();
+  ctx.shadowBlur = 0;
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = theme.line.color;
+  ctx.beginPath();
+  ctx.arc(node.x, node.y, radius + 7, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Keyboard cursor: a dark and a bright ring, visible on every dot style and background
+ */
+function drawFocusRing(x, y, radius) {
+  const ringR = radius + 10;
+  ctx.save();
+  ctx.shadowBlur = 0;
+  ctx.beginPath();
+  ctx.strokeStyle = theme.nodes.focusOutline;
+  ctx.lineWidth = 6;
+  ctx.arc(x, y, ringR, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.strokeStyle = theme.nodes.focus;
+  ctx.lineWidth = 3;
+  ctx.arc(x, y, ringR, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+}
+
+function drawRegularNode(x, y, radius, isStart, inPath) {
+  const outerR = radius + 4;
+  const { nodes } = theme;
 
+  // Connected nodes: brighter with a border and stronger glow
+  let colors = inPath ? nodes.path : nodes.idle;
   if (isStart && inPath) {
-    centerColor = "#10b981";
-    glowColor = "#059669";
-    borderColor = "rgba(16, 185, 129, 0.8)";
+    colors = { ...nodes.path, ...nodes.start };
   }
 
   // Draw shadow
   ctx.beginPath();
-  ctx.fillStyle = "rgba(5, 8, 16, 0.9)";
-  ctx.arc(x, y, outerR + 2, 0, Math.PI * 2);
+  ctx.fillStyle = nodes.backdrop;
+  traceNodeShape(x, y, outerR + 2);
   ctx.fill();
 
-  if (inPath) {
-    ctx.shadowColor = isStart ? "rgba(16, 185, 129, 0.9)" : "rgba(168, 85, 247, 0.9)";
-    ctx.shadowBlur = 20;
-  } else {
-    ctx.shadowColor = "rgba(168, 85, 247, 0.2)";
-    ctx.shadowBlur = 8;
-  }
+  ctx.shadowColor = colors.halo;
+  ctx.shadowBlur = inPath ? 20 : 8;
 
   // Draw outer glow ring
   const grad = ctx.createRadialGradient(x - 3, y - 4, 2, x, y, outerR);
-  grad.addColorStop(0, "#ffffff");
-  grad.addColorStop(0.35, baseColor);
-  grad.addColorStop(1, glowColor);
+  grad.addColorStop(0, nodes.shine);
+  grad.addColorStop(0.35, colors.base);
+  grad.addColorStop(1, colors.glow);
 
   ctx.beginPath();
   ctx.fillStyle = grad;
-  ctx.arc(x, y, outerR, 0, Math.PI * 2);
+  traceNodeShape(x, y, outerR);
   ctx.fill();
 
   // Draw center
   ctx.beginPath();
-  ctx.fillStyle = centerColor;
-  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = colors.center;
+  traceNodeShape(x, y, radius);
   ctx.fill();
 
-  // Add white border for connected nodes
+  // Add a border for connected nodes
   if (inPath) {
     ctx.lineWidth = 2;
-    ctx.strokeStyle = borderColor;
-    ctx.shadowColor = borderColor;
+    ctx.strokeStyle = colors.border;
+    ctx.shadowColor = colors.border;
     ctx.shadowBlur = 10;
     ctx.beginPath();
-    ctx.arc(x, y, radius + 1, 0, Math.PI * 2);
+    traceNodeShape(x, y, radius + 1);
     ctx.stroke();
     
     // Add bright highlight for connected nodes
     ctx.beginPath();
-    ctx.fillStyle = "rgba(255, 255, 255, 0.5)";
+    ctx.fillStyle = colors.spot;
     ctx.arc(x - radius * 0.3, y - radius * 0.3, radius * 0.35, 0, Math.PI * 2);
     ctx.fill();
     
     // Add outer glow ring for connected nodes
     ctx.beginPath();
-    ctx.strokeStyle = borderColor;
+    ctx.strokeStyle = colors.border;
     ctx.lineWidth = 1.5;
-    ctx.arc(x, y, outerR - 1, 0, Math.PI * 2);
+    traceNodeShape(x, y, outerR - 1);
     ctx.stroke();
   }
 
   ctx.shadowBlur = 0;
 }
 
+/**
+ * Add the theme's dot outline (nodes.shape) around x, y to the current path
+ * @param {number} radius - Circle radius; squares and diamonds get the same visual weight
+ */
+function traceNodeShape(x, y, radius) {
+  const shape = theme.nodes.shape;
+  if (shape === "square") {
+    const half = radius * 0.9;
+    ctx.rect(x - half, y - half, half * 2, half * 2);
+  } else if (shape === "diamond") {
+    const reach = radius * 1.2;
+    ctx.moveTo(x, y - reach);
+    ctx.lineTo(x + reach, y);
+    ctx.lineTo(x, y + reach);
+    ctx.lineTo(x - reach, y);
+    ctx.closePath();
+  } else {
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+  }
+}
+
+/**
+ * Line width of the path at the current board size
+ * @returns {number}
+ */
+function getLineWidth() {
+  return CONFIG.lineWidth * theme.line.widthScale;
+}
+
 function drawFloatingMultipliers() {
   const currentTime = performance.now();
-  const animationDuration = 1500; // 1.5 seconds
   const maxOffsetY = 60; // Maximum upward movement
   
   // Update and filter out expired multipliers
   GameState.floatingMultipliers = GameState.floatingMultipliers.filter(fm => {
     const elapsed = currentTime - fm.startTime;
-    return elapsed < animationDuration;
+    return elapsed < fm.duration;
   });
   
   // Draw each floating multiplier
   GameState.floatingMultipliers.forEach(fm => {
     const elapsed = currentTime - fm.startTime;
-    const progress = elapsed / animationDuration; // 0 to 1
+    // Reduced motion: the multiplier stays put at full size until it expires
+    const progress = GameState.reducedMotion ? 0 : elapsed / fm.duration; // 0 to 1
     
     // Calculate position (moves upward)
     const offsetY = -maxOffsetY * progress;
@@ -1511,16 +3426,17 @@ function drawFloatingMultipliers() {
     ctx.textBaseline = "middle";
     
     // Text shadow for better visibility
-    ctx.shadowColor = "rgba(0, 0, 0, 0.8)";
+    ctx.shadowColor = theme.particles.multiplierShadow;
     ctx.shadowBlur = 8;
     ctx.shadowOffsetX = 0;
     ctx.shadowOffsetY = 2;
     
-    // Draw text with gradient (greenish tones)
+    // Draw text with gradient
+    const textColors = theme.particles.multiplierText;
     const gradient = ctx.createLinearGradient(x - 30, y, x + 30, y);
-    gradient.addColorStop(0, "#a8ffa8");
-    gradient.addColorStop(0.5, "#7fff7f");
-    gradient.addColorStop(1, "#5aff5a");
+    gradient.addColorStop(0, textColors[0]);
+    gradient.addColorStop(0.5, textColors[1]);
+    gradient.addColorStop(1, textColors[2]);
     
     ctx.fillStyle = gradient;
     const multiplierText = `${fm.multiplier.toFixed(2)}×`;
@@ -1535,24 +3451,30 @@ function drawFailedNode(x, y, radius) {
   const bombRadius = radius * 0.75;
   const spikeLength = radius * 0.6;
   const spikeCount = 10;
+  const { stopPoint } = theme;
 
-  // Draw outer glow/halo (reddish-orange atmospheric glow)
+  // Draw outer glow/halo (atmospheric glow)
   const haloGradient = ctx.createRadialGradient(x, y, bombRadius, x, y, outerR + 8);
-  haloGradient.addColorStop(0, "rgba(255, 100, 0, 0.6)");
-  haloGradient.addColorStop(0.5, "rgba(255, 50, 0, 0.3)");
-  haloGradient.addColorStop(1, "rgba(255, 0, 0, 0)");
+  haloGradient.addColorStop(0, stopPoint.halo[0]);
+  haloGradient.addColorStop(0.5, stopPoint.halo[1]);
+  haloGradient.addColorStop(1, stopPoint.halo[2]);
   
   ctx.beginPath();
   ctx.fillStyle = haloGradient;
   ctx.arc(x, y, outerR + 8, 0, Math.PI * 2);
   ctx.fill();
 
-  // Draw dark shadow background
+  // Draw shadow background
   ctx.beginPath();
-  ctx.fillStyle = "rgba(10, 4, 14, 0.9)";
+  ctx.fillStyle = stopPoint.backdrop;
   ctx.arc(x, y, outerR + 2, 0, Math.PI * 2);
   ctx.fill();
 
+  if (stopPoint.icon === "cross") {
+    drawStopPointCross(x, y, radius);
+    return;
+  }
+
   // Draw spikes first (so they appear behind the glow)
   ctx.save();
   for (let i = 0; i < spikeCount; i++) {
@@ -1575,9 +3497,9 @@ function drawFailedNode(x, y, radius) {
       spikeBaseX, spikeBaseY,
       spikeTipX, spikeTipY
     );
-    spikeGradient.addColorStop(0, "#1a1a1a");
-    spikeGradient.addColorStop(0.7, "#2a2a2a");
-    spikeGradient.addColorStop(1, "#4a2a1a"); // Slight reddish tint at tip
+    spikeGradient.addColorStop(0, stopPoint.spike[0]);
+    spikeGradient.addColorStop(0.7, stopPoint.spike[1]);
+    spikeGradient.addColorStop(1, stopPoint.spike[2]);
     
     ctx.beginPath();
     ctx.moveTo(baseLeftX, baseLeftY);
@@ -1589,7 +3511,7 @@ function drawFailedNode(x, y, radius) {
     ctx.fill();
     
     // Add subtle edge highlight on spikes
-    ctx.strokeStyle = "rgba(100, 50, 0, 0.4)";
+    ctx.strokeStyle = stopPoint.spikeEdge;
     ctx.lineWidth = 1;
     ctx.stroke();
   }
@@ -1601,24 +3523,24 @@ function drawFailedNode(x, y, radius) {
     x - bombRadius * 0.2, y - bombRadius * 0.2, 0,
     x, y, bombRadius
   );
-  bombOuterGradient.addColorStop(0, "#2a1a1a");
-  bombOuterGradient.addColorStop(0.4, "#1a0a0a");
-  bombOuterGradient.addColorStop(1, "#0a0000");
+  bombOuterGradient.addColorStop(0, stopPoint.body[0]);
+  bombOuterGradient.addColorStop(0.4, stopPoint.body[1]);
+  bombOuterGradient.addColorStop(1, stopPoint.body[2]);
   
   ctx.beginPath();
   ctx.fillStyle = bombOuterGradient;
   ctx.arc(x, y, bombRadius, 0, Math.PI * 2);
   ctx.fill();
 
-  // Intense orange-red core glow (strongest at center)
+  // Intense core glow (strongest at center)
   const coreGlowGradient = ctx.createRadialGradient(
     x, y, 0,
     x, y, bombRadius * 0.8
   );
-  coreGlowGradient.addColorStop(0, "rgba(255, 150, 50, 1)");
-  coreGlowGradient.addColorStop(0.3, "rgba(255, 100, 0, 0.8)");
-  coreGlowGradient.addColorStop(0.6, "rgba(255, 50, 0, 0.4)");
-  coreGlowGradient.addColorStop(1, "rgba(255, 0, 0, 0)");
+  coreGlowGradient.addColorStop(0, stopPoint.core[0]);
+  coreGlowGradient.addColorStop(0.3, stopPoint.core[1]);
+  coreGlowGradient.addColorStop(0.6, stopPoint.core[2]);
+  coreGlowGradient.addColorStop(1, stopPoint.core[3]);
   
   ctx.beginPath();
   ctx.fillStyle = coreGlowGradient;
@@ -1627,12 +3549,12 @@ function drawFailedNode(x, y, radius) {
 
   // Bright center core
   ctx.beginPath();
-  ctx.fillStyle = "rgba(255, 200, 100, 0.9)";
+  ctx.fillStyle = stopPoint.center;
   ctx.arc(x, y, bombRadius * 0.3, 0, Math.PI * 2);
   ctx.fill();
 
   // Add shadow blur effect
-  ctx.shadowColor = "rgba(255, 100, 0, 0.8)";
+  ctx.shadowColor = stopPoint.glow;
   ctx.shadowBlur = 20;
   
   // Redraw spikes tips with glow illumination
@@ -1646,8 +3568,8 @@ function drawFailedNode(x, y, radius) {
       spikeTipX, spikeTipY, 0,
       spikeTipX, spikeTipY, spikeLength * 0.3
     );
-    tipGlow.addColorStop(0, "rgba(255, 150, 50, 0.6)");
-    tipGlow.addColorStop(1, "rgba(255, 50, 0, 0)");
+    tipGlow.addColorStop(0, stopPoint.tip[0]);
+    tipGlow.addColorStop(1, stopPoint.tip[1]);
     
     ctx.beginPath();
     ctx.fillStyle = tipGlow;
@@ -1658,26 +3580,46 @@ function drawFailedNode(x, y, radius) {
   ctx.shadowBlur = 0;
 }
 
+/**
+ * Stop-point marked with a bold cross (stopPoint.icon "cross"): recognisable by shape alone
+ */
+function drawStopPointCross(x, y, radius) {
+  const arm = radius * 0.6;
+  ctx.save();
+  ctx.lineCap = "round";
+  [[theme.stopPoint.markOutline, radius * 0.55], [theme.stopPoint.mark, radius * 0.35]].forEach(([color, width]) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    ctx.moveTo(x - arm, y - arm);
+    ctx.lineTo(x + arm, y + arm);
+    ctx.moveTo(x + arm, y - arm);
+    ctx.lineTo(x - arm, y + arm);
+    ctx.stroke();
+  });
+  ctx.restore();
+}
+
 function distance(x1, y1, x2, y2) {
   const dx = x2 - x1;
   const dy = y2 - y1;
   return Math.sqrt(dx * dx + dy * dy);
 }
 
-function shuffleArray(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-}
-
 window.addEventListener("load", () => {
-  init();
-  setTimeout(() => {
-    setupCanvas();
-    setupGrid();
-    render();
-  }, 100);
+  // The operator's math profile decides every multiplier shown, so load it first
+  // (with the operator's theme, which the first frame is drawn with)
+  Promise.all([
+    window.DotsMathProfiles.loadMathProfile(),
+    window.DotsThemes.loadTheme()
+  ]).then(([, operatorTheme]) => {
+    init(operatorTheme);
+    setTimeout(() => {
+      setupCanvas();
+      setupGrid();
+      render();
+    }, 100);
+  });
 });
 
 window.addEventListener("resize", () => {
@@ -1688,13 +3630,12 @@ window.addEventListener("resize", () => {
   }
 });
 
-// ⚠️ DEVELOPER-ONLY API: Expose math functions for simulation
-// DO NOT use this in production UI code
-// Note: rollStepSuccess is NOT exposed because it depends on GameState
-// Simulations should use getStepProbability() directly for stateless RNG
-window.GameMath = {
-  getStepProbability,
-  getMultiplierForStep,
-  CONFIG
+// ⚠️ DEVELOPER-ONLY API: Inject a seeded/scripted RNG to reproduce a round
+window.GameDebug = {
+  setRng,
+  getRng: () => GameState.rng,
+  getRounds: () => store.getRounds(),
+  // Wipe the saved wallet, settings and ledger (takes effect on reload)
+  clearStorage: () => store.clear()
 };
 
@@ -0,0 +1,89 @@
+// profiles.js
+// Math profile presets and loading of the operator's profile (see DEFAULT_MATH_PROFILE in engine.js)
+//
+// A deployment sets its market's payouts by shipping math-profile.json next to index.html;
+// pages load it on startup and fall back to the Standard profile when it is missing or invalid.
+
+// Browser: engine.js is loaded by a <script> tag. Node: require it.
+const ProfileDeps = typeof module !== "undefined" && module.exports
+  ? require("./engine.js")
+  : window;
+
+const MATH_PROFILE_URL = "math-profile.json";
+
+// Example profiles for dev.html and sim.js (--profile <key>)
+const MATH_PROFILE_PRESETS = {
+  standard: { name: "Standard", rtp: 0.94 },
+  high: { name: "High RTP (97%)", rtp: 0.97 },
+  perGrid: { name: "Per-grid RTP", rtp: 0.95, grids: { 3: { rtp: 0.96 }, 8: { rtp: 0.93 } } },
+  floored: {
+    name: "Floored and capped",
+    rtp: 0.94,
+    rounding: { mode: "floor", decimals: 2 },
+    maxMultiplier: 1000
+  },
+  capped: {
+    name: "Payout capped",
+    rtp: 0.94,
+    maxPayout: 10000,
+    maxProfit: 5000
+  },
+  table: {
+    name: "3x3 multiplier table",
+    rtp: 0.94,
+    grids: { 3: { multipliers: { 1: [1.05, 1.2, 1.4, 1.68, 2.1, 2.8, 4.2] } } },
+    rounding: { mode: "floor", decimals: 2 }
+  }
+};
+
+/**
+ * Complete profile of a preset
+ * @param {string} key - Key of MATH_PROFILE_PRESETS
+ * @returns {Object|null}
+ */
+function getProfilePreset(key) {
+  const preset = MATH_PROFILE_PRESETS[key];
+  return preset ? ProfileDeps.GameMath.createMathProfile(preset) : null;
+}
+
+/**
+ * Load and activate the operator's profile (browser only).
+ * Resolves with the active profile either way; a missing file keeps the current one,
+ * an invalid one is reported and ignored.
+ *
+ * @param {string} [url]
+ * @returns {Promise<Object>}
+ */
+function loadMathProfile(url = MATH_PROFILE_URL) {
+  const { GameMath } = ProfileDeps;
+  // Pages opened from file:// cannot fetch
+  if (typeof fetch === "undefined" || window.location.protocol === "file:") {
+    return Promise.resolve(GameMath.getMathProfile());
+  }
+
+  return fetch(url, { cache: "no-cache" })
+    .then((response) => {
+      if (!response.ok) {
+        console.warn(`No math profile at ${url} (HTTP ${response.status}), using "${GameMath.getMathProfile().name}"`);
+        return GameMath.getMathProfile();
+      }
+      return response.json().then((profile) => GameMath.setMathProfile(profile));
+    })
+    .catch((error) => {
+      console.error(`Math profile ${url} rejected, using "${GameMath.getMathProfile().name}":`, error.message);
+      return GameMath.getMathProfile();
+    });
+}
+
+const DotsMathProfiles = {
+  MATH_PROFILE_URL,
+  MATH_PROFILE_PRESETS,
+  getProfilePreset,
+  loadMathProfile
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DotsMathProfiles;
+} else {
+  window.DotsMathProfiles = DotsMathProfiles;
+}
@@ -0,0 +1,191 @@
+// rng.js
+// Pluggable random number generators shared by game.js and simulation.js
+//
+// Every RNG implements the same interface:
+//   rng.next() → float in [0, 1)
+//   rng.kind   → "seeded" | "crypto" | "scripted" | "recording" | "fair"
+// Game and simulation code never call Math.random() directly - they take an RNG,
+// so a round or a whole simulation can be replayed from a seed or a recorded value list.
+
+/**
+ * Hash any seed (number or string) into a 32-bit unsigned integer (FNV-1a)
+ * @param {number|string} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * SplitMix32 - expands one 32-bit seed into a well-mixed state sequence
+ * @param {number} seed
+ * @returns {Function} Generator of 32-bit unsigned integers
+ */
+function splitMix32(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x9e3779b9) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+}
+
+/**
+ * Seedable PRNG (xoshiro128**). Same seed → same sequence on every machine.
+ *
+ * @param {number|string} seed
+ * @returns {{next: Function, kind: string, seed: (number|string)}}
+ */
+function createSeededRng(seed) {
+  const expand = splitMix32(hashSeed(seed));
+  let a = expand();
+  let b = expand();
+  let c = expand();
+  let d = expand();
+
+  return {
+    kind: "seeded",
+    seed,
+    next() {
+      const result = Math.imul(rotl32(Math.imul(b, 5), 7), 9);
+      const t = b << 9;
+
+      c ^= a;
+      d ^= b;
+      b ^= c;
+      a ^= d;
+      c ^= t;
+      d = rotl32(d, 11);
+
+      return (result >>> 0) / 4294967296;
+    }
+  };
+}
+
+function rotl32(x, k) {
+  return (x << k) | (x >>> (32 - k));
+}
+
+/**
+ * Crypto-backed RNG using the platform CSPRNG (buffered for speed)
+ * @returns {{next: Function, kind: string}}
+ */
+function createCryptoRng() {
+  const buffer = new Uint32Array(256);
+  let index = buffer.length;
+
+  return {
+    kind: "crypto",
+    next() {
+      if (index >= buffer.length) {
+        crypto.getRandomValues(buffer);
+        index = 0;
+      }
+      return buffer[index++] / 4294967296;
+    }
+  };
+}
+
+/**
+ * Scripted RNG - replays a fixed list of values (e.g. recorded from a bad round)
+ *
+ * @param {number[]} values - Floats in [0, 1)
+ * @returns {{next: Function, kind: string, remaining: Function}}
+ */
+function createScriptedRng(values) {
+  let index = 0;
+
+  return {
+    kind: "scripted",
+    next() {
+      if (index >= values.length) {
+        throw new Error(`Scripted RNG exhausted after ${values.length} values`);
+      }
+      return values[index++];
+    },
+    remaining() {
+      return values.length - index;
+    }
+  };
+}
+
+/**
+ * Wrap an RNG and record every value it produces, so the run can be replayed
+ * later with createScriptedRng(recorder.values)
+ *
+ * @param {Object} source - Any RNG
+ * @returns {{next: Function, kind: string, values: number[]}}
+ */
+function createRecordingRng(source) {
+  const values = [];
+
+  return {
+    kind: "recording",
+    values,
+    next() {
+      const value = source.next();
+      values.push(value);
+      return value;
+    }
+  };
+}
+
+/**
+ * @param {Object} rng
+ * @param {number} max - Exclusive upper bound
+ * @returns {number} Integer in [0, max)
+ */
+function randomInt(rng, max) {
+  return Math.floor(rng.next() * max);
+}
+
+/**
+ * @param {Object} rng
+ * @param {Array} items
+ * @returns {*} Random element, or null for an empty array
+ */
+function pickRandom(rng, items) {
+  if (items.length === 0) return null;
+  return items[randomInt(rng, items.length)];
+}
+
+/**
+ * Draw `count` items without replacement, in draw order
+ *
+ * @param {Object} rng
+ * @param {Array} items
+ * @param {number} count
+ * @returns {Array}
+ */
+function sampleWithoutReplacement(rng, items, count) {
+  const remaining = items.slice();
+  const drawn = [];
+  for (let i = 0; i < count && remaining.length > 0; i++) {
+    drawn.push(remaining.splice(randomInt(rng, remaining.length), 1)[0]);
+  }
+  return drawn;
+}
+
+const DotsRng = {
+  createSeededRng,
+  createCryptoRng,
+  createScriptedRng,
+  createRecordingRng,
+  randomInt,
+  pickRandom,
+  sampleWithoutReplacement
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DotsRng;
+} else {
+  window.DotsRng = DotsRng;
+}
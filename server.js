@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+// server.js
+// Reference server for the round protocol in transport.js: it owns every player's balance,
+// seeds and stop-point layout, and plays rounds with the same DotsEngine as the game.
+// It also serves the game files, so the remote transport can be tried from one origin:
+//
+//   node server.js --port 8080
+//   open http://localhost:8080/?transport=remote
+//
+// Balances live in memory and reset when the server restarts. A production backend
+// implements the same endpoints on top of the wallet service.
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const { DotsEngine, GameMath, PathRules } = require("./engine.js");
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_BALANCE = 100000;
+const BET_LIMITS = { minBet: 0.10, maxBet: 500 }; // Same table limits as game.js
+const MAX_BODY_BYTES = 16 * 1024;
+
+// The only files served for non-API GETs: the pages and what they load. Nothing else in
+// the checkout (server code, git metadata, notes) leaves the machine.
+const GAME_FILES = new Set([
+  "index.html", "dev.html", "verify.html", "style.css", "theme.json", "math-profile.json",
+  "rng.js", "fair.js", "engine.js", "profiles.js", "storage.js", "transport.js", "autobet.js",
+  "autopath.js", "sound.js", "themes.js", "board.js", "game.js", "simulation.js", "sim-worker.js",
+  "analytics.js", "charts.js", "sweep.js", "sim-export.js"
+]);
+
+const STATIC_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8"
+};
+
+/**
+ * Error answered with an HTTP status
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @param {*} value - Field of a request body
+ * @param {string} name - Field name for the error
+ * @returns {number} value
+ * @throws {Error} 400 unless value is an integer
+ */
+function requireInteger(value, name) {
+  if (!Number.isInteger(value)) {
+    throw httpError(400, `${name} must be an integer`);
+  }
+  return value;
+}
+
+/**
+ * Check the field types of a round start body. The engine checks the ranges, but it
+ * trusts the types its callers pass, and this server's callers are anyone.
+ *
+ * @param {Object} body - POST /round/start body
+ * @throws {Error} 400 for a field of the wrong type
+ */
+function validateStartBody(body) {
+  // Whole cents only: the balance is kept in cents, so a fraction of one would be paid on but never charged
+  if (typeof body.bet !== "number" || !Number.isFinite(body.bet) || Math.abs(body.bet * 100 - Math.round(body.bet * 100)) > 1e-6) {
+    throw httpError(400, "bet must be an amount in whole cents");
+  }
+  requireInteger(body.gridSize, "gridSize");
+  requireInteger(body.stopPoints, "stopPoints");
+  if (typeof body.connectionRule !== "string" || !Object.prototype.hasOwnProperty.call(PathRules, body.connectionRule)) {
+    throw httpError(400, `connectionRule must be one of ${Object.keys(PathRules).join(", ")}`);
+  }
+  if (body.clientSeed != null && typeof body.clientSeed !== "string") {
+    throw httpError(400, "clientSeed must be a string");
+  }
+}
+
+/**
+ * Round protocol handlers over an in-memory player table
+ *
+ * @param {Object} options
+ * @param {number} options.startBalance - Balance of a player the server has not seen before
+ * @returns {Object} { handle(method, path, playerId, body) → response object }
+ */
+function createRoundService({ startBalance = DEFAULT_BALANCE } = {}) {
+  const players = new Map(); // playerId → { engine, roundId }
+  let nextRoundId = 1;
+
+  function getPlayer(playerId) {
+    if (!players.has(playerId)) {
+      players.set(playerId, {
+        engine: new DotsEngine({ balance: startBalance, ...BET_LIMITS }),
+        roundId: null
+      });
+    }
+    return players.get(playerId);
+  }
+
+  function getActiveRound(player) {
+    const { engine } = player;
+    if (!engine.active) return null;
+    return {
+      roundId: player.roundId,
+      bet: engine.bet,
+      gridSize: engine.gridSize,
+      stopPoints: engine.stopPointCount,
+      connectionRule: engine.connectionRule,
+      noCrossing: engine.noCrossing,
+      nonce: engine.roundNonce,
+      pathNodeIds: engine.pathNodeIds.slice(),
+      stepIndex: engine.stepIndex,
+      multiplier: engine.multiplier
+    };
+  }
+
+  /**
+   * @returns {Object} Player whose round in play has this id
+   * @throws {Error} 404 when there is no such round
+   */
+  function getRoundPlayer(playerId, roundId) {
+    requireInteger(roundId, "roundId");
+    const player = getPlayer(playerId);
+    if (!player.engine.active || player.roundId !== roundId) {
+      throw httpError(404, `Round ${roundId} is not in progress`);
+    }
+    return player;
+  }
+
+  /**
+   * Run an engine call, answering its rule errors (bad bet, illegal step) with 400
+   */
+  function play(action) {
+    try {
+      return action();
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+  }
+
+  const routes = {
+    "GET /balance": (playerId) => {
+      const player = getPlayer(playerId);
+      return {
+        balance: player.engine.balance,
+        seeds: player.engine.getSeedInfo(),
+        activeRound: getActiveRound(player)
+      };
+    },
+
+    "POST /round/start": (playerId, body) => {
+      const player = getPlayer(playerId);
+      const { engine } = player;
+      if (engine.active) {
+        throw httpError(409, `Round ${player.roundId} is already in progress`);
+      }
+      validateStartBody(body);
+      play(() => {
+        if (engine.gridSize !== body.gridSize) engine.setGridSize(body.gridSize);
+        engine.setStopPointCount(body.stopPoints);
+        engine.setPathRules({ connectionRule: body.connectionRule, noCrossing: body.noCrossing === true });
+        if (typeof body.clientSeed === "string" && body.clientSeed !== "" && body.clientSeed !== engine.seeds.clientSeed) {
+          engine.setClientSeed(body.clientSeed);
+        }
+        engine.placeBet(body.bet);
+      });
+      player.roundId = nextRoundId++;
+      return {
+        roundId: player.roundId,
+        bet: engine.bet,
+        nonce: engine.roundNonce,
+        balance: engine.balance,
+        seeds: engine.getSeedInfo()
+      };
+    },
+
+    "POST /round/step": (playerId, body) => {
+      const player = getRoundPlayer(playerId, body.roundId);
+      const { engine } = player;
+      requireInteger(body.nodeId, "nodeId");
+      const result = play(() => engine.step(body.nodeId));
+      const ended = !engine.active;
+      const response = { roundId: body.roundId, ...result, ended, balance: engine.balance };
+      if (ended) {
+        response.reason = !result.success ? "fail" : result.capped ? "cap" : "deadEnd";
+        response.stopPointIds = engine.stopPointIds.slice();
+      }
+      return response;
+    },
+
+    "POST /round/cashout": (playerId, body) => {
+      const player = getRoundPlayer(playerId, body.roundId);
+      const { engine } = player;
+      const result = play(() => engine.cashout());
+      return {
+        roundId: body.roundId,
+        ...result,
+        stopPointIds: engine.stopPointIds.slice(),
+        balance: engine.balance
+      };
+    },
+
+    "POST /seeds/rotate": (playerId) => {
+      const { engine } = getPlayer(playerId);
+      play(() => engine.rotateSeeds());
+      return { seeds: engine.getSeedInfo() };
+    }
+  };
+
+  return {
+    /**
+     * @param {string} method
+     * @param {string} pathname
+     * @param {string} playerId
+     * @param {*} body - Parsed JSON body ({} for GET)
+     * @returns {Object|null} Response object, or null when no route matches
+     * @throws {Error} With a status for protocol errors
+     */
+    handle(method, pathname, playerId, body) {
+      const route = routes[`${method} ${pathname}`];
+      if (!route) return null;
+      if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        throw httpError(400, "Request body must be a JSON object");
+      }
+      return route(playerId, body);
+    }
+  };
+}
+
+/**
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<Object>} Parsed JSON body ({} when empty)
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      text += chunk;
+      if (text.length > MAX_BODY_BYTES) {
+        // Stop buffering but keep the socket open, so the 400 can still reach the client;
+        // the rest of the body is drained and the connection closed once it is answered
+        request.removeAllListeners("data");
+        request.resume();
+        text = "";
+        reject(Object.assign(httpError(400, "Request body too large"), { closeConnection: true }));
+      }
+    });
+    request.on("end", () => {
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (error) {
+        reject(httpError(400, "Body is not valid JSON"));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+/**
+ * @param {string} url - Request target
+ * @returns {string} Its pathname
+ * @throws {Error} 400 when the target is not a valid URL (e.g. "http://[")
+ */
+function getPathname(url) {
+  try {
+    return new URL(url, "http://localhost").pathname;
+  } catch (error) {
+    throw httpError(400, "Malformed URL");
+  }
+}
+
+/**
+ * Serve one of the GAME_FILES from root (GET only)
+ * @returns {boolean} False when pathname is not a game file
+ * @throws {Error} 400 for a malformed escape in pathname
+ */
+function serveStatic(root, pathname, response) {
+  let name;
+  try {
+    name = pathname === "/" ? "index.html" : decodeURIComponent(pathname.slice(1));
+  } catch (error) {
+    throw httpError(400, "Malformed URL");
+  }
+  const file = path.join(root, name);
+  if (!GAME_FILES.has(name) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    return false;
+  }
+  response.writeHead(200, { "Content-Type": STATIC_TYPES[path.extname(file)] || "application/octet-stream" });
+  fs.createReadStream(file).pipe(response);
+  return true;
+}
+
+/**
+ * HTTP server for the round protocol plus the game files
+ *
+ * @param {Object} options
+ * @param {number} options.startBalance
+ * @param {string} options.root - Directory holding the GAME_FILES (defaults to this one)
+ * @returns {http.Server}
+ */
+function createRoundServer({ startBalance = DEFAULT_BALANCE, root = __dirname } = {}) {
+  const service = createRoundService({ startBalance });
+  const rootDir = path.resolve(root);
+
+  return http.createServer((request, response) => {
+    const send = (status, data) => {
+      response.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+      response.end(JSON.stringify(data));
+    };
+
+    // Pages served from elsewhere (another port, file://) may call the API too
+    response.setHeader("Access-Control-Allow-Origin", "*");
+    response.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Player-Id");
+    response.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    if (request.method === "OPTIONS") {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    const playerId = request.headers["x-player-id"] || "demo";
+    const body = request.method === "POST" ? readJsonBody(request) : Promise.resolve({});
+    body
+      .then((data) => {
+        const pathname = getPathname(request.url);
+        const result = service.handle(request.method, pathname, playerId, data);
+        if (result) {
+          send(200, result);
+        } else if (request.method !== "GET" || !serveStatic(rootDir, pathname, response)) {
+          send(404, { error: `Not found: ${request.method} ${pathname}` });
+        }
+      })
+      .catch((error) => {
+        if (!error.status) console.error(error);
+        if (error.closeConnection) {
+          response.setHeader("Connection", "close");
+          response.on("finish", () => request.destroy());
+        }
+        send(error.status || 500, { error: error.message });
+      });
+  });
+}
+
+/**
+ * Entry point: --port, --balance and --profile (math profile JSON, default math-profile.json)
+ * @param {string[]} args
+ * @returns {http.Server|null} Null after a usage error
+ */
+function main(args) {
+  const options = { port: DEFAULT_PORT, balance: DEFAULT_BALANCE, profile: path.join(__dirname, "math-profile.json") };
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, "");
+    if (!(key in options) || args[i + 1] === undefined) {
+      console.error("Usage: node server.js [--port 8080] [--balance 100000] [--profile math-profile.json]");
+      process.exitCode = 2;
+      return null;
+    }
+    options[key] = key === "profile" ? args[i + 1] : Number(args[i + 1]);
+  }
+
+  // Same payouts as the game pages, which load the same file
+  if (fs.existsSync(options.profile)) {
+    const profile = GameMath.setMathProfile(JSON.parse(fs.readFileSync(options.profile, "utf8")));
+    console.log(`Math profile: ${profile.name}`);
+  }
+
+  const server = createRoundServer({ startBalance: options.balance });
+  server.listen(options.port, () => {
+    console.log(`Round server on http://localhost:${options.port}/ (game: /?transport=remote)`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { createRoundService, createRoundServer, main };
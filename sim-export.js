@@ -0,0 +1,170 @@
+// sim-export.js
+// Export and import of dev.html simulation runs, so a run can be attached to a math
+// review and repeated exactly: the config and results as JSON, the per-round log as CSV.
+//
+// JSON file: { format: "dots-simulation", version: 2, exportedAt, config, result }
+//   config - everything needed to repeat the run: gridSize, stopPoints, connectionRule,
+//            noCrossing, strategy, bet, targetStep, rounds, startBalance, profile (math profile),
+//            seed, workers (sessions the rounds were split into) and runs (batch size)
+//            Version 1 files had a single houseEdge (RTP factor) instead of the profile.
+//   result - the run's statistics (simulation.js), without the round log
+// Depends on simulation.js (ROUND_LOG_COLUMNS) and, for validation, engine.js and autobet.js.
+
+// Browser: dependencies are loaded by <script> tags. Node: require them.
+const SimExportDeps = typeof module !== 'undefined' && module.exports
+  ? { ...require('./engine.js'), DotsAutoBet: require('./autobet.js'), SimulationEngine: require('./simulation.js') }
+  : window;
+
+const SIM_EXPORT_FORMAT = 'dots-simulation';
+const SIM_EXPORT_VERSION = 2;
+
+/**
+ * Build the JSON export of a finished run
+ *
+ * @param {Object} config - Run config (see the file header); seed must be the one actually used
+ * @param {Object} stats - Final statistics from startSimulationJob
+ * @returns {Object} Export object, ready for JSON.stringify
+ */
+function buildSimulationExport(config, stats) {
+  const { roundLog, roundLogList, ...result } = stats;
+
+  return {
+    format: SIM_EXPORT_FORMAT,
+    version: SIM_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    config: { ...config, seed: String(config.seed) },
+    result
+  };
+}
+
+/**
+ * Read and validate the config of an exported run
+ *
+ * @param {string} text - Contents of a JSON export
+ * @returns {Object} Config to run again
+ * @throws {Error} When the file is not a simulation export or the config is invalid
+ */
+function parseSimulationExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a JSON file');
+  }
+  if (!data || data.format !== SIM_EXPORT_FORMAT || !data.config) {
+    throw new Error('Not a simulation export');
+  }
+  if (data.version > SIM_EXPORT_VERSION) {
+    throw new Error(`Export version ${data.version} is newer than this page supports (${SIM_EXPORT_VERSION})`);
+  }
+
+  const config = data.config;
+  const { GameMath, PathRules, DotsAutoBet } = SimExportDeps;
+  const isInteger = (value, min) => Number.isInteger(value) && value >= min;
+
+  if (!GameMath.CONFIG.grids[config.gridSize]) {
+    throw new Error(`Unknown grid size: ${config.gridSize}`);
+  }
+  const { min, max } = GameMath.getStopPointRange(config.gridSize);
+  if (!isInteger(config.stopPoints, min) || config.stopPoints > max) {
+    throw new Error(`Stop-points must be ${min}-${max} on a ${config.gridSize}x${config.gridSize} grid`);
+  }
+  if (!PathRules[config.connectionRule]) {
+    throw new Error(`Unknown path rule: ${config.connectionRule}`);
+  }
+  const maxStep = GameMath.getMaxStep(config.gridSize, config.stopPoints);
+  if (!isInteger(config.targetStep, 1) || config.targetStep > maxStep) {
+    throw new Error(`Target step must be 1-${maxStep}`);
+  }
+  if (!(config.bet > 0) || !(config.startBalance >= config.bet)) {
+    throw new Error('Bet must be positive and no more than the starting balance');
+  }
+  if (!isInteger(config.rounds, 1) || !isInteger(config.workers, 1) || !isInteger(config.runs, 1)) {
+    throw new Error('Rounds, workers and runs must be positive whole numbers');
+  }
+  const profile = GameMath.createMathProfile(data.version === 1
+    ? { name: `RTP ${config.houseEdge}`, rtp: config.houseEdge }
+    : config.profile);
+  const profileErrors = GameMath.validateMathProfile(profile);
+  if (profileErrors.length > 0) {
+    throw new Error(`Invalid math profile: ${profileErrors.join('; ')}`);
+  }
+  if (config.seed === undefined || config.seed === null || config.seed === '') {
+    throw new Error('The export has no seed, so the run cannot be repeated');
+  }
+
+  return {
+    gridSize: config.gridSize,
+    stopPoints: config.stopPoints,
+    connectionRule: config.connectionRule,
+    noCrossing: config.noCrossing === true,
+    strategy: DotsAutoBet.normalizeStrategy(config.strategy),
+    bet: config.bet,
+    targetStep: config.targetStep,
+    rounds: config.rounds,
+    startBalance: config.startBalance,
+    profile,
+    seed: String(config.seed),
+    workers: config.workers,
+    runs: config.runs
+  };
+}
+
+/**
+ * Per-round log as CSV, one row per round; `session` tells pool or batch sessions apart
+ *
+ * @param {Object} stats - Final statistics of a run with logRounds
+ * @returns {string|null} CSV text, or null when the run kept no log
+ */
+function getRoundLogCsv(stats) {
+  const logs = stats.roundLogList || (stats.roundLog ? [stats.roundLog] : null);
+  if (!logs) return null;
+
+  const lines = [['session', ...SimExportDeps.SimulationEngine.ROUND_LOG_COLUMNS].join(',')];
+  logs.forEach((log, index) => {
+    log.forEach((entry) => lines.push([index + 1, ...entry].join(',')));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * File name for an export, e.g. "dots-sim-4x4-step3-seed42.json"
+ * @param {Object} config
+ * @param {string} extension
+ * @returns {string}
+ */
+function getSimulationFileName(config, extension) {
+  const seed = String(config.seed).replace(/[^\w-]+/g, '_');
+  return `dots-sim-${config.gridSize}x${config.gridSize}-step${config.targetStep}-seed${seed}.${extension}`;
+}
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} fileName
+ * @param {string} text
+ * @param {string} type - MIME type
+ */
+function downloadTextFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+const DotsSimExport = {
+  buildSimulationExport,
+  parseSimulationExport,
+  getRoundLogCsv,
+  getSimulationFileName,
+  downloadTextFile
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DotsSimExport;
+} else {
+  window.DotsSimExport = DotsSimExport;
+}
@@ -0,0 +1,35 @@
+// sim-worker.js
+// Web Worker for dev.html simulations (started by startSimulationJob in simulation.js)
+//
+// Messages in:  { type: "run", params, chunkSize }
+// Messages out: { type: "progress", stats } while running, then { type: "done", stats },
+//               or { type: "error", message }
+// The shared scripts export to `window`; in a worker that is the worker global.
+
+self.window = self;
+importScripts('rng.js', 'fair.js', 'engine.js', 'autobet.js', 'simulation.js');
+
+const PROGRESS_INTERVAL = 100; // Minimum ms between progress messages
+
+self.onmessage = ({ data }) => {
+  if (data.type !== 'run') return;
+
+  try {
+    const run = createSimulationRun(data.params);
+    let lastReport = 0;
+
+    // The page cancels by terminating the worker, so the loop never needs to yield
+    while (!run.done) {
+      run.runRounds(data.chunkSize);
+      const now = performance.now();
+      if (now - lastReport >= PROGRESS_INTERVAL && !run.done) {
+        self.postMessage({ type: 'progress', stats: run.getStats() });
+        lastReport = now;
+      }
+    }
+
+    self.postMessage({ type: 'done', stats: run.getStats() });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
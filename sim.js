@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+// sim.js
+// Command-line simulation runner: plays rounds with the same engine and statistics as
+// dev.html and checks the measured RTP against the math profile's exact RTP for the target step.
+//
+//   node sim.js --grid 4 --target 5 --rounds 1e7 --seed 42 --json
+//   node sim.js --profile market.json --grid 5 --target 4
+//
+// The RTP check passes when the exact RTP lies inside the measured RTP's confidence
+// interval, so its tolerance narrows as the run grows (or use a fixed --tolerance).
+// Exit codes: 0 RTP within tolerance, 1 RTP outside tolerance, 2 invalid arguments.
+
+const fs = require("fs");
+const { GameMath, PathRules } = require("./engine.js");
+const { STRATEGY_PRESETS } = require("./autobet.js");
+const { MATH_PROFILE_PRESETS, getProfilePreset } = require("./profiles.js");
+const { getRoundStatsWithDeadEnds, compareWithSimulation } = require("./analytics.js");
+const { createSimulationRun } = require("./simulation.js");
+
+const CHUNK_ROUNDS = 100000; // Rounds between progress updates
+const CONFIDENCE_LEVELS = [0.9, 0.95, 0.99, 0.999]; // Those analytics.js has z-scores for
+
+// Command-line options: flag → { key, parse, help }; flags without parse are switches
+const CLI_OPTIONS = {
+  "--grid": { key: "gridSize", parse: parseInteger, help: "Grid size, 3-8 (default 3)" },
+  "--stop-points": { key: "stopPoints", parse: parseInteger, help: "Stop-points per round (default: the grid's count)" },
+  "--target": { key: "targetStep", parse: parseInteger, help: "Target step to cash out at (default 3)" },
+  "--rounds": { key: "rounds", parse: parseInteger, help: "Rounds to play; accepts 1e7 (default 100000)" },
+  "--bet": { key: "bet", parse: parseNumber, help: "Bet per round (default 1)" },
+  "--balance": { key: "startBalance", parse: parseNumber, help: "Starting balance (default: rounds × bet, so the balance never runs out)" },
+  "--rule": { key: "connectionRule", parse: String, help: `Path rule: ${Object.keys(PathRules).join(", ")} (default any)` },
+  "--no-crossing": { key: "noCrossing", help: "Forbid path segments that cross" },
+  "--strategy": { key: "strategy", parse: String, help: `Auto-bet preset: ${Object.keys(STRATEGY_PRESETS).join(", ")} (default flat)` },
+  "--profile": { key: "profile", parse: String, help: `Math profile: a JSON file or a preset (${Object.keys(MATH_PROFILE_PRESETS).join(", ")}; default standard)` },
+  "--rtp": { key: "rtp", parse: parseNumber, help: "Override the profile's RTP on every grid (e.g. 0.96)" },
+  "--seed": { key: "seed", parse: String, help: "RNG seed for a repeatable run (default: random)" },
+  "--confidence": { key: "confidence", parse: parseNumber, help: `Confidence level of the RTP check: ${CONFIDENCE_LEVELS.join(", ")} (default 0.99)` },
+  "--tolerance": { key: "tolerance", parse: parseNumber, help: "Fixed allowed |measured RTP - exact RTP| instead of the confidence interval" },
+  "--json": { key: "json", help: "Print the config, statistics and RTP check as JSON" },
+  "--help": { key: "help", help: "Show this help" }
+};
+
+/**
+ * Whole number, allowing exponent notation ("1e7")
+ * @param {string} text
+ * @returns {number}
+ */
+function parseInteger(text) {
+  const value = Number(text);
+  if (!Number.isInteger(value)) throw new Error(`not a whole number: ${text}`);
+  return value;
+}
+
+/**
+ * @param {string} text
+ * @returns {number}
+ */
+function parseNumber(text) {
+  const value = Number(text);
+  if (text.trim() === "" || !Number.isFinite(value)) throw new Error(`not a number: ${text}`);
+  return value;
+}
+
+/**
+ * Math profile from --profile (preset key or JSON file) and --rtp
+ *
+ * @param {string} [source]
+ * @param {number} [rtp]
+ * @returns {Object} Complete, validated profile
+ * @throws {Error} When the file cannot be read or the profile is invalid
+ */
+function readSimProfile(source = "standard", rtp) {
+  let profile = getProfilePreset(source);
+  if (!profile) {
+    try {
+      profile = GameMath.createMathProfile(JSON.parse(fs.readFileSync(source, "utf8")));
+    } catch (error) {
+      throw new Error(`--profile: ${source} is neither a preset nor a readable JSON file (${error.message})`);
+    }
+  }
+  if (rtp !== undefined) {
+    profile = { ...profile, name: `${profile.name}, RTP ${rtp}`, rtp, grids: {} };
+  }
+  const errors = GameMath.validateMathProfile(profile);
+  if (errors.length > 0) {
+    throw new Error(`Invalid math profile "${profile.name}": ${errors.join("; ")}`);
+  }
+  return profile;
+}
+
+/**
+ * Parse command-line arguments into a run config, filling in defaults and validating it
+ *
+ * @param {string[]} args - process.argv without node and the script
+ * @returns {Object} Config: simulation parameters plus confidence, tolerance (null = from the
+ *   confidence interval), json and help
+ * @throws {Error} On unknown flags or invalid values
+ */
+function parseSimArgs(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    // Accept both "--grid 4" and "--grid=4"
+    const [flag, inline] = args[i].split(/=(.*)/s);
+    const option = CLI_OPTIONS[flag];
+    if (!option) throw new Error(`Unknown option: ${args[i]}`);
+
+    if (!option.parse) {
+      options[option.key] = true;
+      continue;
+    }
+    const text = inline !== undefined ? inline : args[++i];
+    if (text === undefined) throw new Error(`${flag} needs a value`);
+    try {
+      options[option.key] = option.parse(text);
+    } catch (error) {
+      throw new Error(`${flag}: ${error.message}`);
+    }
+  }
+  if (options.help) return options;
+
+  const gridSize = options.gridSize ?? 3;
+  if (!GameMath.CONFIG.grids[gridSize]) {
+    throw new Error(`--grid must be one of ${Object.keys(GameMath.CONFIG.grids).join(", ")}`);
+  }
+  const { min, max } = GameMath.getStopPointRange(gridSize);
+  const stopPoints = options.stopPoints ?? GameMath.getGridConfig(gridSize).stopPoints;
+  if (stopPoints < min || stopPoints > max) {
+    throw new Error(`--stop-points must be ${min}-${max} on a ${gridSize}x${gridSize} grid`);
+  }
+  const maxStep = GameMath.getMaxStep(gridSize, stopPoints);
+  const targetStep = options.targetStep ?? Math.min(3, maxStep);
+  if (targetStep < 1 || targetStep > maxStep) {
+    throw new Error(`--target must be 1-${maxStep} on this board`);
+  }
+  const rounds = options.rounds ?? 100000;
+  const bet = options.bet ?? 1;
+  if (rounds < 1) throw new Error("--rounds must be at least 1");
+  if (bet <= 0) throw new Error("--bet must be positive");
+  const connectionRule = options.connectionRule ?? "any";
+  if (!PathRules[connectionRule]) throw new Error(`Unknown path rule: ${connectionRule}`);
+  const preset = STRATEGY_PRESETS[options.strategy ?? "flat"];
+  if (!preset) throw new Error(`Unknown strategy: ${options.strategy}`);
+  const profile = readSimProfile(options.profile, options.rtp);
+  const confidence = options.confidence ?? 0.99;
+  if (!CONFIDENCE_LEVELS.includes(confidence)) {
+    throw new Error(`--confidence must be one of ${CONFIDENCE_LEVELS.join(", ")}`);
+  }
+  if (options.tolerance !== undefined && options.tolerance < 0) {
+    throw new Error("--tolerance must not be negative");
+  }
+
+  return {
+    gridSize,
+    stopPoints,
+    targetStep,
+    rounds,
+    bet,
+    startBalance: options.startBalance ?? rounds * bet,
+    connectionRule,
+    noCrossing: options.noCrossing === true,
+    strategy: preset.strategy,
+    profile,
+    seed: options.seed ?? null,
+    confidence,
+    tolerance: options.tolerance ?? null,
+    json: options.json === true,
+    help: false
+  };
+}
+
+/**
+ * Help text listing every option
+ * @returns {string}
+ */
+function getSimUsage() {
+  const lines = Object.keys(CLI_OPTIONS).map((flag) => {
+    const option = CLI_OPTIONS[flag];
+    const name = option.parse ? `${flag} <value>` : flag;
+    return `  ${name.padEnd(24)}${option.help}`;
+  });
+  return [
+    "Usage: node sim.js [options]",
+    "",
+    ...lines,
+    "",
+    "Exit codes: 0 RTP within tolerance, 1 RTP outside tolerance, 2 invalid arguments"
+  ].join("\n");
+}
+
+/**
+ * Play the configured rounds
+ *
+ * @param {Object} config - From parseSimArgs()
+ * @param {Function} [onProgress] - (roundsPlayed, rounds) after each chunk
+ * @returns {Object} Statistics (same shape as runSimulation in simulation.js)
+ */
+function runSimConfig(config, onProgress) {
+  const { confidence, tolerance, json, help, ...params } = config;
+  const run = createSimulationRun(params);
+  while (!run.done) {
+    run.runRounds(CHUNK_ROUNDS);
+    if (onProgress) onProgress(run.getStats().totalRounds, params.rounds);
+  }
+  return run.getStats();
+}
+
+/**
+ * Compare measured RTP - what the engine credited - with the profile's exact RTP for the
+ * target step at the bet, cent rounding and payout cap included, and dead-end cashouts
+ * mixed in at the rates the run measured (getRoundStatsWithDeadEnds in analytics.js).
+ * The tolerance is the half-width of the measured RTP's confidence interval
+ * (compareWithSimulation) unless config.tolerance fixes it. Strategies that switch
+ * target steps mix in other steps - with a profile whose steps differ in RTP, set a
+ * fixed tolerance. Strategies that change the bet also move the cent rounding and a
+ * profile's payout cap.
+ *
+ * @param {Object} stats
+ * @param {Object} config - From parseSimArgs()
+ * @returns {Object} { expected, observed, difference, tolerance, confidence, pass }
+ *   confidence is null with a fixed tolerance
+ */
+function checkRtp(stats, config) {
+  const { gridSize, stopPoints, targetStep, profile, bet, confidence } = config;
+  const round = getRoundStatsWithDeadEnds(stats, gridSize, stopPoints, targetStep, profile, bet);
+  const interval = compareWithSimulation(stats, round, confidence).rtp;
+  const fixed = config.tolerance !== null && config.tolerance !== undefined;
+  const tolerance = fixed ? config.tolerance : interval.high - interval.observed;
+  const difference = stats.rtp - round.rtp;
+  return {
+    expected: round.rtp,
+    observed: stats.rtp,
+    difference,
+    tolerance,
+    confidence: fixed ? null : confidence,
+    pass: Math.abs(difference) <= tolerance
+  };
+}
+
+/**
+ * Plain-text report of a run
+ * @returns {string}
+ */
+function formatSimReport(config, stats, check) {
+  const pct = (value) => (value * 100).toFixed(4) + "%";
+  const money = (value) => value.toFixed(2);
+  const cap = GameMath.getPayoutCap(config.bet, config.profile);
+  const rows = [
+    ["Board", `${config.gridSize}x${config.gridSize}, ${stats.stopPoints} stop-points, rule ${config.connectionRule}${config.noCrossing ? ", no crossing" : ""}`],
+    ["Math profile", config.profile.name],
+    ["Target step", config.targetStep],
+    ["Payout cap", Number.isFinite(cap) ? `${money(cap)} per round at a ${money(config.bet)} bet` : "none"],
+    ["Seed", stats.seed],
+    ["Rounds", `${stats.totalRounds.toLocaleString()} of ${stats.roundsRequested.toLocaleString()}${stats.stopReason ? ` (stopped: ${stats.stopReason})` : ""}`],
+    ["Total wagered", money(stats.totalWagered)],
+    ["Total won", money(stats.totalWon)],
+    ["Balance", `${money(stats.startBalance)} → ${money(stats.endBalance)} (${money(stats.netPnL)})`],
+    ["Win rate", pct(stats.winRate)],
+    ["Max drawdown", pct(stats.maxDrawdown)],
+    ["Longest losing streak", stats.longestLosingStreak],
+    ["Largest win", money(stats.maxWin)],
+    ["RTP", `${pct(check.observed)} (expected ${pct(check.expected)} ± ${pct(check.tolerance)}, ${check.confidence === null ? "fixed tolerance" : `${check.confidence * 100}% confidence`})`],
+    ["Check", check.pass ? "PASS" : "FAIL"]
+  ];
+  return rows.map(([label, value]) => `${(label + ":").padEnd(24)}${value}`).join("\n");
+}
+
+/**
+ * Entry point
+ * @param {string[]} args
+ * @returns {number} Exit code
+ */
+function main(args) {
+  let config;
+  try {
+    config = parseSimArgs(args);
+  } catch (error) {
+    console.error(`sim.js: ${error.message}\n\n${getSimUsage()}`);
+    return 2;
+  }
+  if (config.help) {
+    console.log(getSimUsage());
+    return 0;
+  }
+
+  // Progress on an interactive terminal only, so logs and pipes stay clean
+  const showProgress = process.stderr.isTTY;
+  const stats = runSimConfig(config, showProgress ? (played, rounds) => {
+    process.stderr.write(`\r${((played / rounds) * 100).toFixed(1)}% · ${played.toLocaleString()} rounds`);
+  } : null);
+  if (showProgress) process.stderr.write("\n");
+
+  const check = checkRtp(stats, config);
+  if (config.json) {
+    const { confidence, tolerance, json, help, ...params } = config;
+    console.log(JSON.stringify({ config: { ...params, seed: stats.seed }, stats, rtpCheck: check }, null, 2));
+  } else {
+    console.log(formatSimReport(config, stats, check));
+  }
+  return check.pass ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseSimArgs, runSimConfig, checkRtp, main };
@@ -1,85 +1,84 @@
 // simulation.js
 // Developer-only simulation logic that reuses existing game math
+// The simulation core loads under Node too (sim.js); the UI parts only run in dev.html.
+
+// Browser: dependencies are loaded by <script> tags. Node: require them.
+const SimulationDeps = typeof module !== "undefined" && module.exports
+  ? { ...require("./engine.js"), DotsRng: require("./rng.js"), DotsAutoBet: require("./autobet.js") }
+  : window;
 
 /**
  * Get maximum practical step for a given grid size
  * MINES model: max practical step = safe cells - 1
  * (exclude the last step with very low probability)
  * 
- * @param {number} gridSize - 3 or 4
+ * @param {number} gridSize - See GameMath.CONFIG.grids
+ * @param {number} [stopPoints] - Stop-points per round (defaults to the grid's count)
  * @returns {number} Maximum practical step index
  */
-function getMaxStepForGrid(gridSize) {
-  const gridConfig = window.GameMath.CONFIG.grids[gridSize];
-  
-  if (!gridConfig) {
-    console.error(`Unknown grid size: ${gridSize}`);
-    return 0;
-  }
-  
-  // Max practical step = safe cells - 1
-  // 3x3: 8 safe cells → max step 7 (exclude step 8 with 50% probability)
-  // 4x4: 14 safe cells → max step 13 (exclude step 14 with 33% probability)
-  return gridConfig.total - gridConfig.stopPoints - 1;
+function getMaxStepForGrid(gridSize, stopPoints) {
+  // 3x3 with 1 stop: 8 safe cells → max step 7 (exclude step 8 with 50% probability)
+  // 4x4 with 2 stops: 14 safe cells → max step 13 (exclude step 14 with 33% probability)
+  return SimulationDeps.GameMath.getMaxStep(gridSize, stopPoints);
 }
 
 /**
  * Simulates ONE round of gameplay headlessly (no UI)
- * Uses pure math model - does NOT depend on GameState
+ * Drives the real DotsEngine - same layout, step and payout rules as the live game
  * 
  * @param {Object} params
- * @param {number} params.gridSize - 3 or 4
+ * @param {DotsEngine} params.engine - Engine holding the simulated balance
  * @param {number} params.bet - Bet amount
  * @param {number} params.targetStep - Target step to cash out at
- * @returns {Object} { win: boolean, payout: number, multiplier?: number, stepsReached: number }
+ * @param {Object} params.rng - RNG from rng.js used for node picks (seeded for repeatable runs)
+ * @returns {Object} { win: boolean, payout: number, multiplier?: number, stepsReached: number, deadEnd: boolean }
  */
-function simulateRound({ gridSize, bet, targetStep }) {
-  let stepIndex = 0;
-  
+function simulateRound({ engine, bet, targetStep, rng }) {
   // DYNAMIC: Get max step from CONFIG multipliers (single source of truth)
-  const maxStep = getMaxStepForGrid(gridSize);
+  const maxStep = getMaxStepForGrid(engine.gridSize, engine.stopPointCount);
   
   // Validate target step - cannot exceed game's maximum
   if (targetStep > maxStep) {
-    console.warn(`Target step ${targetStep} exceeds max ${maxStep} for ${gridSize}x${gridSize}. Clamping to ${maxStep}.`);
+    console.warn(`Target step ${targetStep} exceeds max ${maxStep} for ${engine.gridSize}x${engine.gridSize}. Clamping to ${maxStep}.`);
     targetStep = maxStep;
   }
   
+  engine.placeBet(bet);
+  
   while (true) {
-    stepIndex++;
+    // Random legal node, like auto mode
+    const result = engine.step(SimulationDeps.DotsRng.pickRandom(rng, engine.getLegalMoves()));
     
-    // Check if we've exceeded max possible steps
-    if (stepIndex > maxStep) {
+    if (!result.success) {
+      // Failed step - lose entire bet
       return { 
         win: false, 
         payout: 0, 
-        stepsReached: stepIndex - 1 
+        stepsReached: result.stepIndex - 1,
+        deadEnd: false
       };
     }
     
-    // PURE FUNCTION: Pass gridSize explicitly (no GameState dependency)
-    const probability = window.GameMath.getStepProbability(stepIndex, gridSize);
-    
-    // Roll success using pure RNG
-    const success = Math.random() < probability;
-    
-    if (!success) {
-      // Failed step - lose entire bet
-      return { 
-        win: false, 
-        payout: 0, 
-        stepsReached: stepIndex - 1 
+    // Dead end or payout cap - the engine already cashed out
+    if (result.deadEnd || result.capped) {
+      return {
+        win: true,
+        payout: result.payout,
+        multiplier: result.multiplier,
+        stepsReached: result.stepIndex,
+        deadEnd: result.deadEnd
       };
     }
     
     // Successful step - check if we've reached target
-    if (stepIndex >= targetStep) {
-      const multiplier = window.GameMath.getMultiplierForStep(stepIndex, gridSize);
+    if (result.stepIndex >= targetStep) {
+      const { payout, multiplier } = engine.cashout();
       return {
         win: true,
-        payout: bet * multiplier,
-        multiplier: multiplier,
-        stepsReached: stepIndex
+        payout,
+        multiplier,
+        stepsReached: result.stepIndex,
+        deadEnd: false
       };
     }
     
@@ -88,22 +87,84 @@ function simulateRound({ gridSize, bet, targetStep }) {
 }
 
 /**
- * Runs multiple simulation rounds and aggregates statistics
- * 
- * @param {Object} params
- * @param {number} params.rounds - Number of rounds to simulate
- * @param {number} params.startBalance - Starting balance
- * @param {number} params.bet - Bet amount per round
- * @param {number} params.gridSize - 3 or 4
- * @param {number} params.targetStep - Target step to cash out at
- * @returns {Object} Statistics object
+ * Resolve the RNG of a run: an explicit rng, a seeded one, or a fresh random seed
+ *
+ * @param {number|string} [seed]
+ * @param {Object} [rng]
+ * @returns {Object} RNG from rng.js
+ */
+function resolveSimulationRng(seed, rng) {
+  if (rng) return rng;
+  if (seed === undefined || seed === null || seed === '') {
+    seed = SimulationDeps.DotsRng.randomInt(SimulationDeps.DotsRng.createCryptoRng(), 0x100000000);
+  }
+  return SimulationDeps.DotsRng.createSeededRng(seed);
+}
+
+// Fields of a per-round log entry (logRounds), in order - also the CSV export's columns
+const ROUND_LOG_COLUMNS = ['round', 'bet', 'targetStep', 'stepsReached', 'multiplier', 'payout', 'balance'];
+
+/**
+ * Add count arrays element-wise (histograms indexed by steps or streak length)
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+function addCounts(a, b) {
+  const sum = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    sum.push((a[i] || 0) + (b[i] || 0));
+  }
+  return sum;
+}
+
+/**
+ * Incremental simulation: plays rounds in chunks so callers (the worker, the
+ * main-thread fallback) can report partial statistics between chunks.
+ * Takes the same parameters as runSimulation.
+ *
+ * @param {Object} params - See runSimulation
+ * @returns {Object} Run: { runRounds(count), getStats(), done }
  */
-function runSimulation({ rounds, startBalance, bet, gridSize, targetStep }) {
+function createSimulationRun({
+  rounds,
+  startBalance,
+  bet,
+  gridSize,
+  stopPoints,
+  connectionRule = 'any',
+  noCrossing = false,
+  targetStep,
+  profile = null,
+  strategy = null,
+  minBet = 0.10,
+  maxBet = 500,
+  record = false,
+  seriesPoints = 400,
+  logRounds = 0,
+  seed,
+  rng
+}) {
+  rng = resolveSimulationRng(seed, rng);
+  const mathProfile = profile || SimulationDeps.GameMath.getMathProfile();
+  
+  // Same RNG places the stop-points and picks the path, so a seed fixes the whole run
+  const engine = new SimulationDeps.DotsEngine({
+    balance: startBalance,
+    gridSize,
+    stopPoints: stopPoints ?? null,
+    connectionRule,
+    noCrossing,
+    profile: mathProfile,
+    rng
+  });
+  
   let balance = startBalance;
   let peakBalance = balance;
   let maxDrawdown = 0;
   
   let totalWagered = 0;
+  let sumBetSquares = 0; // Σ bet², for the RTP confidence interval (analytics.js)
   let totalWon = 0;
   let wins = 0;
   let losses = 0;
@@ -112,72 +173,471 @@ function runSimulation({ rounds, startBalance, bet, gridSize, targetStep }) {
   let longestLosingStreak = 0;
   
   let roundsCompleted = 0;
+  let largestBet = 0;
+  let stopReason = null;
+  
+  // Rounds per number of safe steps, and dead-end cashouts per step: how often a path
+  // rule runs out of moves (see getRoundStatsWithDeadEnds in analytics.js)
+  const stepsHistogram = [];
+  const deadEndSteps = [];
+  
+  // Chart data (record: true): balance every `seriesInterval` rounds as [round, balance],
+  // and completed streaks per length
+  const seriesInterval = Math.max(1, Math.ceil(rounds / seriesPoints));
+  const balanceSeries = [[0, startBalance]];
+  const lossStreaks = [];
+  const winStreaks = [];
+  let currentWinningStreak = 0;
   
-  for (let i = 0; i < rounds; i++) {
-    // Stop if insufficient balance
-    if (balance < bet) {
-      console.warn(`Simulation stopped at round ${i + 1}/${rounds} - insufficient balance`);
-      break;
+  // Per-round log of the first `logRounds` rounds, entries as in ROUND_LOG_COLUMNS
+  const roundLog = [];
+  
+  // Same strategy runner as auto mode decides each round's bet and target step
+  const runner = SimulationDeps.DotsAutoBet.createAutoBetRunner(strategy || SimulationDeps.DotsAutoBet.DEFAULT_STRATEGY, {
+    baseBet: bet,
+    baseTarget: targetStep,
+    minBet,
+    maxBet
+  });
+  
+  /**
+   * Chart data so far, counting the streak in progress and the latest balance
+   */
+  function getChartData() {
+    const series = balanceSeries.slice();
+    if (series[series.length - 1][0] !== roundsCompleted) {
+      series.push([roundsCompleted, balance]);
     }
+    const fill = (counts) => Array.from(counts, (count) => count || 0);
+    const openLoss = [];
+    const openWin = [];
+    if (currentLosingStreak > 0) openLoss[currentLosingStreak] = 1;
+    if (currentWinningStreak > 0) openWin[currentWinningStreak] = 1;
     
-    // Deduct bet
-    balance -= bet;
-    totalWagered += bet;
-    
-    // Simulate round using REAL game logic
-    const result = simulateRound({ gridSize, bet, targetStep });
+    return {
+      balanceSeries: series,
+      lossStreaks: addCounts(fill(lossStreaks), fill(openLoss)),
+      winStreaks: addCounts(fill(winStreaks), fill(openWin))
+    };
+  }
+  
+  const run = {
+    done: rounds <= 0,
     
-    if (result.win) {
-      // Win: add payout to balance
-      balance += result.payout;
-      totalWon += result.payout;
-      wins++;
-      maxWin = Math.max(maxWin, result.payout);
-      currentLosingStreak = 0;
-    } else {
-      // Loss: bet is already deducted, no payout
-      losses++;
-      currentLosingStreak++;
-      longestLosingStreak = Math.max(longestLosingStreak, currentLosingStreak);
-    }
+    /**
+     * Play up to `count` more rounds (fewer if the run ends)
+     * @param {number} count
+     */
+    runRounds(count) {
+      const last = Math.min(rounds, roundsCompleted + count);
+      
+      while (!run.done && roundsCompleted < last) {
+        const roundBet = runner.bet;
+        
+        // Stop if insufficient balance
+        if (balance < roundBet) {
+          console.warn(`Simulation stopped at round ${roundsCompleted + 1}/${rounds} - insufficient balance`);
+          stopReason = 'balance';
+          break;
+        }
+        
+        totalWagered += roundBet;
+        sumBetSquares += roundBet * roundBet;
+        largestBet = Math.max(largestBet, roundBet);
+        
+        // Simulate round using REAL game logic (engine deducts the bet and pays out)
+        const result = simulateRound({ engine, bet: roundBet, targetStep: runner.targetStep, rng });
+        balance = engine.balance;
+        
+        if (result.win) {
+          // The engine's payout is what it credited (whole cents), so RTP is what players are paid
+          totalWon += result.payout;
+          wins++;
+          maxWin = Math.max(maxWin, result.payout);
+          if (record && currentLosingStreak > 0) {
+            lossStreaks[currentLosingStreak] = (lossStreaks[currentLosingStreak] || 0) + 1;
+          }
+          currentLosingStreak = 0;
+          currentWinningStreak++;
+        } else {
+          // Loss: bet is already deducted, no payout
+          losses++;
+          currentLosingStreak++;
+          longestLosingStreak = Math.max(longestLosingStreak, currentLosingStreak);
+          if (record && currentWinningStreak > 0) {
+            winStreaks[currentWinningStreak] = (winStreaks[currentWinningStreak] || 0) + 1;
+          }
+          currentWinningStreak = 0;
+        }
+        
+        // Track drawdown
+        peakBalance = Math.max(peakBalance, balance);
+        if (peakBalance > 0) {
+          const drawdown = (peakBalance - balance) / peakBalance;
+          maxDrawdown = Math.max(maxDrawdown, drawdown);
+        }
+        
+        roundsCompleted++;
+        
+        if (roundLog.length < logRounds) {
+          roundLog.push([roundsCompleted, roundBet, runner.targetStep, result.stepsReached,
+            result.multiplier || 0, result.payout, balance]);
+        }
+        
+        stepsHistogram[result.stepsReached] = (stepsHistogram[result.stepsReached] || 0) + 1;
+        if (result.deadEnd) {
+          deadEndSteps[result.stepsReached] = (deadEndSteps[result.stepsReached] || 0) + 1;
+        }
+        if (record && roundsCompleted % seriesInterval === 0) {
+          balanceSeries.push([roundsCompleted, balance]);
+        }
+        
+        // Strategy stop conditions (profit / loss / single win)
+        const decision = runner.record({ bet: roundBet, payout: result.payout });
+        if (decision.stop) {
+          stopReason = decision.stop;
+          break;
+        }
+      }
+      
+      run.done = stopReason !== null || roundsCompleted >= rounds;
+    },
     
-    // Track drawdown
-    peakBalance = Math.max(peakBalance, balance);
-    if (peakBalance > 0) {
-      const drawdown = (peakBalance - balance) / peakBalance;
-      maxDrawdown = Math.max(maxDrawdown, drawdown);
+    /**
+     * @returns {Object} Statistics of the rounds played so far
+     */
+    getStats() {
+      const netPnL = balance - startBalance;
+      const netPnLPercent = (netPnL / startBalance) * 100;
+      const rtp = totalWagered > 0 ? (totalWon / totalWagered) : 0;
+      const winRate = roundsCompleted > 0 ? (wins / roundsCompleted) : 0;
+      const charts = record ? getChartData() : {};
+      // The log only goes out with the final stats - progress reports stay small
+      const log = logRounds > 0 && run.done ? { roundLog } : {};
+      
+      return {
+        ...charts,
+        ...log,
+        startBalance,
+        endBalance: balance,
+        netPnL,
+        netPnLPercent,
+        totalWagered,
+        sumBetSquares,
+        totalWon,
+        stepsHistogram: Array.from(stepsHistogram, (count) => count || 0),
+        deadEndSteps: Array.from(deadEndSteps, (count) => count || 0),
+        rtp,
+        rtpPercent: rtp * 100,
+        totalRounds: roundsCompleted,
+        roundsRequested: rounds,
+        done: run.done,
+        wins,
+        losses,
+        winRate,
+        winRatePercent: winRate * 100,
+        maxWin,
+        maxDrawdown,
+        maxDrawdownPercent: maxDrawdown * 100,
+        longestLosingStreak,
+        largestBet,
+        stopReason,
+        stopPoints: engine.stopPointCount,
+        profileName: mathProfile.name,
+        seed: rng.seed ?? null
+      };
     }
-    
-    roundsCompleted++;
-  }
+  };
   
-  // Calculate final statistics
-  const netPnL = balance - startBalance;
-  const netPnLPercent = (netPnL / startBalance) * 100;
+  return run;
+}
+
+/**
+ * Runs multiple simulation rounds and aggregates statistics
+ * 
+ * @param {Object} params
+ * @param {number} params.rounds - Number of rounds to simulate
+ * @param {number} params.startBalance - Starting balance
+ * @param {number} params.bet - Base bet (first round, and the bet a strategy resets to)
+ * @param {number} params.gridSize - See GameMath.CONFIG.grids
+ * @param {number} [params.stopPoints] - Stop-points per round (defaults to the grid's count)
+ * @param {string} [params.connectionRule] - Key of PathRules (default "any")
+ * @param {boolean} [params.noCrossing] - Forbid segments that cross the path
+ * @param {number} params.targetStep - Target step to cash out at
+ * @param {Object} [params.profile] - Math profile (engine.js; defaults to the active one)
+ * @param {Object} [params.strategy] - Auto-bet strategy (autobet.js); flat betting if omitted
+ * @param {number} [params.minBet] - Bet limits applied to strategy adjustments (game defaults)
+ * @param {number} [params.maxBet]
+ * @param {boolean} [params.record] - Also return chart data: balanceSeries ([round, balance],
+ *   about seriesPoints of them), lossStreaks and winStreaks (counts by length)
+ * @param {number} [params.seriesPoints] - Balance samples to keep (default 400)
+ * @param {number} [params.logRounds] - Keep a per-round log (roundLog, entries as in
+ *   ROUND_LOG_COLUMNS) of this many rounds from the start; included once the run is done
+ * @param {number|string} [params.seed] - Seed for a repeatable run (random if omitted)
+ * @param {Object} [params.rng] - RNG from rng.js; overrides seed
+ * @returns {Object} Statistics object (includes the seed used, when seeded). stepsHistogram
+ *   counts rounds by safe steps reached, deadEndSteps dead-end cashouts by step.
+ */
+function runSimulation(params) {
+  const run = createSimulationRun(params);
+  run.runRounds(params.rounds);
+  return run.getStats();
+}
+
+/**
+ * Combine the statistics of independent sessions (pool workers or batch runs).
+ * Totals add up; drawdown, streak and largest bet are the worst single session,
+ * and the balance is the starting balance plus every session's P&L.
+ * Recorded chart data: histograms add up, balance series are kept per session (balanceSeriesList),
+ * and so are round logs (roundLogList).
+ *
+ * @param {Object[]} parts - Stats from createSimulationRun().getStats()
+ * @param {Object} [options]
+ * @param {boolean} [options.average] - Average the P&L instead (batch runs each play their own bankroll)
+ * @returns {Object} Statistics in the same shape
+ */
+function mergeSimulationStats(parts, { average = false } = {}) {
+  if (parts.length === 1) return parts[0];
+  
+  const sum = (key) => parts.reduce((total, part) => total + part[key], 0);
+  const max = (key) => parts.reduce((best, part) => Math.max(best, part[key]), 0);
+  
+  const startBalance = parts[0].startBalance;
+  const netPnL = average ? sum('netPnL') / parts.length : sum('netPnL');
+  const totalWagered = sum('totalWagered');
+  const totalWon = sum('totalWon');
+  const totalRounds = sum('totalRounds');
+  const wins = sum('wins');
   const rtp = totalWagered > 0 ? (totalWon / totalWagered) : 0;
-  const winRate = roundsCompleted > 0 ? (wins / roundsCompleted) : 0;
+  const winRate = totalRounds > 0 ? (wins / totalRounds) : 0;
+  const maxDrawdown = max('maxDrawdown');
+  const stopped = parts.find((part) => part.stopReason !== null);
+  const recorded = parts.every((part) => part.balanceSeries);
+  const countsOf = (key) => parts.reduce((total, part) => addCounts(total, part[key] || []), []);
+  const charts = recorded ? {
+    balanceSeriesList: parts.map((part) => part.balanceSeries),
+    lossStreaks: countsOf('lossStreaks'),
+    winStreaks: countsOf('winStreaks')
+  } : {};
+  const logs = parts.every((part) => part.roundLog)
+    ? { roundLogList: parts.map((part) => part.roundLog) }
+    : {};
   
   return {
+    ...charts,
+    ...logs,
     startBalance,
-    endBalance: balance,
+    endBalance: startBalance + netPnL,
     netPnL,
-    netPnLPercent,
+    netPnLPercent: (netPnL / startBalance) * 100,
     totalWagered,
+    sumBetSquares: sum('sumBetSquares'),
     totalWon,
+    stepsHistogram: countsOf('stepsHistogram'),
+    deadEndSteps: countsOf('deadEndSteps'),
     rtp,
     rtpPercent: rtp * 100,
-    totalRounds: roundsCompleted,
+    totalRounds,
+    roundsRequested: sum('roundsRequested'),
+    done: parts.every((part) => part.done),
     wins,
-    losses,
+    losses: sum('losses'),
     winRate,
     winRatePercent: winRate * 100,
-    maxWin,
+    maxWin: max('maxWin'),
     maxDrawdown,
     maxDrawdownPercent: maxDrawdown * 100,
-    longestLosingStreak
+    longestLosingStreak: max('longestLosingStreak'),
+    largestBet: max('largestBet'),
+    stopReason: stopped ? stopped.stopReason : null,
+    stopPoints: parts[0].stopPoints,
+    profileName: parts[0].profileName,
+    seed: parts.map((part) => part.seed).join(', ')
   };
 }
 
+/**
+ * Share of a run that is finished, counting sessions that stopped early as complete
+ * @param {Object[]} parts - Latest stats per session
+ * @returns {number} 0..1
+ */
+function getSimulationProgress(parts) {
+  const requested = parts.reduce((total, part) => total + part.roundsRequested, 0);
+  const finished = parts.reduce((total, part) => total + (part.done ? part.roundsRequested : part.totalRounds), 0);
+  return requested > 0 ? finished / requested : 1;
+}
+
+/**
+ * Run a simulation off the main thread, streaming partial statistics.
+ * Uses Web Workers (sim-worker.js) - several when `workers` > 1, each playing an
+ * independent session with its own seed - and falls back to chunked runs on the
+ * main thread where workers are unavailable (e.g. pages opened from file://).
+ *
+ * With `runs` > 1 the job is a batch: that many sessions of the full round count,
+ * each with its own seed, played `workers` at a time.
+ *
+ * @param {Object} params - See runSimulation (rng is not supported; pass a seed)
+ * @param {Object} options
+ * @param {number} [options.workers] - Pool size (1 = a single session, same result as runSimulation)
+ * @param {number} [options.runs] - Independent sessions of params.rounds each (batch)
+ * @param {number} [options.chunkSize] - Rounds between progress reports
+ * @param {Function} [options.onProgress] - (stats, fraction) with merged partial stats
+ * @returns {Object} Job: { promise → { stats, cancelled }, cancel(), seed } - seed is the
+ *   one used (random when params.seed is blank); pass it back in to repeat the job
+ */
+function startSimulationJob(params, { workers = 1, runs = 1, chunkSize = 5000, onProgress } = {}) {
+  // Resolve the seed up front so the run can be repeated, including pool sessions
+  let seed = params.seed;
+  if (seed === undefined || seed === null || seed === '') {
+    seed = SimulationDeps.DotsRng.randomInt(SimulationDeps.DotsRng.createCryptoRng(), 0x100000000);
+  }
+  
+  const sessions = [];
+  if (runs > 1) {
+    for (let i = 0; i < runs; i++) {
+      sessions.push({ ...params, seed: `${seed}-${i + 1}` });
+    }
+  } else {
+    const count = Math.max(1, Math.min(workers, params.rounds));
+    for (let i = 0; i < count; i++) {
+      // Spread the remainder over the first sessions
+      const rounds = Math.floor(params.rounds / count) + (i < params.rounds % count ? 1 : 0);
+      sessions.push({ ...params, rounds, seed: count === 1 ? seed : `${seed}-${i + 1}` });
+    }
+  }
+  if (params.logRounds > 0) {
+    // Share the round log between the sessions so batches don't multiply its size
+    const logRounds = Math.ceil(params.logRounds / sessions.length);
+    sessions.forEach((session) => { session.logRounds = logRounds; });
+  }
+  const concurrency = Math.max(1, Math.min(workers, sessions.length));
+  const merge = (parts) => mergeSimulationStats(parts, { average: runs > 1 });
+  
+  const latest = sessions.map((session) => ({
+    roundsRequested: session.rounds,
+    totalRounds: 0,
+    done: false
+  }));
+  const threads = [];
+  let nextSession = 0;
+  let cancelled = false;
+  let settle = null;
+  
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  
+  // Sessions that have reported real numbers (queued batch runs have not)
+  function getReported() {
+    return latest.filter((part) => part.stopPoints !== undefined);
+  }
+  
+  function report(index, stats) {
+    const finished = stats.done && !latest[index].done;
+    latest[index] = stats;
+    if (onProgress) onProgress(merge(getReported()), getSimulationProgress(latest));
+    if (latest.every((part) => part.done)) {
+      settle.resolve({ stats: merge(latest), cancelled: false });
+    } else if (finished) {
+      startNextSession();
+    }
+  }
+  
+  function fail(error) {
+    threads.forEach((thread) => thread.stop());
+    settle.reject(error);
+  }
+  
+  /**
+   * Chunked run on the main thread, yielding between chunks to keep the page responsive
+   */
+  function startLocalSession(session, index) {
+    let stopped = false;
+    const run = createSimulationRun(session);
+    
+    function next() {
+      if (stopped) return;
+      try {
+        run.runRounds(chunkSize);
+        report(index, run.getStats());
+        if (!run.done) setTimeout(next, 0);
+      } catch (error) {
+        fail(error);
+      }
+    }
+    setTimeout(next, 0);
+    
+    return { stop() { stopped = true; } };
+  }
+  
+  function startWorkerSession(session, index) {
+    const worker = new Worker('sim-worker.js');
+    let received = false;
+    
+    worker.onmessage = ({ data }) => {
+      received = true;
+      if (data.type === 'error') {
+        fail(new Error(data.message));
+        return;
+      }
+      report(index, data.stats);
+      if (data.type === 'done') worker.terminate();
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      worker.terminate();
+      if (!received && !cancelled) {
+        // The worker script could not load (some browsers block workers on file://)
+        console.warn('Simulation worker failed to start, simulating on the main thread');
+        threads[index] = startLocalSession(session, index);
+        return;
+      }
+      fail(new Error(event.message || 'Simulation worker failed'));
+    };
+    worker.postMessage({ type: 'run', params: session, chunkSize });
+    
+    return { stop() { worker.terminate(); } };
+  }
+  
+  function startNextSession() {
+    if (cancelled || nextSession >= sessions.length) return;
+    const index = nextSession++;
+    const session = sessions[index];
+    let thread = null;
+    if (typeof Worker !== 'undefined') {
+      try {
+        thread = startWorkerSession(session, index);
+      } catch (error) {
+        console.warn('Web Workers unavailable, simulating on the main thread', error);
+      }
+    }
+    threads[index] = thread || startLocalSession(session, index);
+  }
+  
+  for (let i = 0; i < concurrency; i++) {
+    startNextSession();
+  }
+  
+  return {
+    promise,
+    seed,
+    
+    /**
+     * Stop every session; the promise resolves with the statistics reported so far
+     */
+    cancel() {
+      if (cancelled) return;
+      cancelled = true;
+      threads.forEach((thread) => thread.stop());
+      const reported = getReported();
+      settle.resolve({ stats: reported.length > 0 ? merge(reported) : null, cancelled: true });
+    }
+  };
+}
+
+// Rounds of per-round log kept for the CSV export (shared between pool and batch sessions)
+const SIMULATION_LOG_ROUNDS = 100000;
+
 /**
  * Formats currency values (with safe fallback for undefined)
  */
@@ -213,70 +673,563 @@ function displayResults(results) {
   document.getElementById('statMaxDrawdown').textContent = formatPercent(results.maxDrawdownPercent);
   document.getElementById('statMaxWin').textContent = formatCurrency(results.maxWin);
   document.getElementById('statLongestStreak').textContent = (results.longestLosingStreak ?? 0);
+  document.getElementById('statMaxBet').textContent = formatCurrency(results.largestBet);
   document.getElementById('statTotalRounds').textContent = (results.totalRounds ?? 0).toLocaleString();
   
   // Show results panel
   document.getElementById('resultsPanel').style.display = 'block';
+  
+  if (results.lossStreaks && window.DotsCharts) {
+    renderResultCharts(results);
+  }
+}
+
+/**
+ * Draw the balance, steps-reached and streak charts of the results panel
+ * @param {Object} results - Statistics recorded with `record: true`
+ */
+function renderResultCharts(results) {
+  const charts = window.DotsCharts;
+  const runs = charts.getBalanceSeriesList(results).length;
+  
+  document.getElementById('balanceChartTitle').textContent = runs > 1
+    ? `Balance Over Time (p5 / p50 / p95 of ${runs} sessions)`
+    : 'Balance Over Time';
+  charts.drawBalanceChart(document.getElementById('balanceChart'), results);
+  charts.drawStepsChart(document.getElementById('stepsChart'), results);
+  charts.drawStreakChart(document.getElementById('streakChart'), results);
+}
+
+/**
+ * Fill the analytic table: exact values for every target step of the selected board,
+ * with risk of ruin for the form's bankroll, bet and round count
+ *
+ * @param {Object} params - From readSimulationForm()
+ */
+function renderAnalyticTable(params) {
+  const { gridSize, stopPoints, targetStep, bet, startBalance, rounds } = params;
+  const body = document.getElementById('analyticBody');
+  const rows = window.DotsAnalytics.getRtpTable(gridSize, stopPoints, params.profile, bet);
+  
+  body.innerHTML = '';
+  rows.forEach((round) => {
+    const ruin = window.DotsAnalytics.getRiskOfRuin({ bankroll: startBalance, bet, round, rounds });
+    const row = document.createElement('tr');
+    if (round.targetStep === targetStep) row.className = 'selected';
+    [
+      round.targetStep.toString(),
+      round.multiplier.toFixed(4) + 'x',
+      formatPercent(round.winProbability * 100, 4),
+      formatPercent(round.rtp * 100, 4),
+      round.stdDev.toFixed(4),
+      formatPercent(ruin * 100, 2)
+    ].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+  
+  let note = `${params.profile.name} profile · ${gridSize}x${gridSize}, ${stopPoints} stop-point${stopPoints === 1 ? '' : 's'} · ` +
+    `risk of ruin: ${formatCurrency(startBalance)} bankroll, ${formatCurrency(bet)} flat bet, ` +
+    `${rounds.toLocaleString()} rounds (diffusion approximation)`;
+  if (params.connectionRule !== 'any' || params.noCrossing) {
+    note += ' · path rules can end rounds early at dead ends, so real hit rates run higher';
+  }
+  const firstCapped = rows.find((round) => round.capped);
+  if (firstCapped) {
+    note += ` · payout cap ${formatCurrency(window.GameMath.getPayoutCap(bet, params.profile))} at this bet: ` +
+      `rounds cash out at step ${firstCapped.cashoutStep} at the latest`;
+  }
+  document.getElementById('analyticNote').textContent = note;
+}
+
+/**
+ * Show simulated RTP and hit rate next to the exact values, with confidence intervals
+ *
+ * @param {Object} stats - Simulation statistics (possibly partial)
+ * @param {Object} params - Parameters of the run
+ * @param {number} confidence - 0.90, 0.95, 0.99 or 0.999
+ */
+function displayComparison(stats, params, confidence) {
+  // Dead-end cashouts (path rules) mixed in at the rates the run measured
+  const round = window.DotsAnalytics.getRoundStatsWithDeadEnds(stats, params.gridSize, params.stopPoints,
+    params.targetStep, params.profile, params.bet);
+  const result = window.DotsAnalytics.compareWithSimulation(stats, round, confidence);
+  // A strategy that switches target steps mixes rounds with different odds, and one that
+  // changes the bet moves the payout cap
+  const mixedTargets = params.strategy && params.strategy.switchTarget.afterLosses > 0;
+  const hasLimits = params.profile.maxPayout || params.profile.maxProfit;
+  const mixedBets = hasLimits && params.strategy &&
+    (params.strategy.onWin.action === 'increase' || params.strategy.onLoss.action === 'increase');
+  const pct = (value) => formatPercent(value * 100, 3);
+  
+  const rows = [
+    { label: 'RTP', check: result.rtp, applies: !mixedTargets && !mixedBets },
+    { label: 'Hit Rate', check: result.hitRate, applies: !mixedTargets && !mixedBets }
+  ];
+  
+  const body = document.getElementById('comparisonBody');
+  body.innerHTML = '';
+  rows.forEach(({ label, check, applies }) => {
+    const row = document.createElement('tr');
+    [label, pct(check.expected), pct(check.observed), `${pct(check.low)} – ${pct(check.high)}`].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    
+    const verdict = document.createElement('td');
+    if (!applies) {
+      verdict.textContent = 'n/a';
+    } else {
+      verdict.textContent = check.pass ? 'PASS' : 'FAIL';
+      verdict.className = check.pass ? 'pass' : 'fail';
+    }
+    row.appendChild(verdict);
+    body.appendChild(row);
+  });
+  
+  document.getElementById('comparisonCiLabel').textContent = `${confidence * 100}% CI`;
+  document.getElementById('comparisonNote').textContent =
+    `PASS when the analytic value lies inside the simulated ${confidence * 100}% confidence interval` +
+    (mixedTargets ? ' · not checked: the strategy switches target steps' : '') +
+    (!mixedTargets && mixedBets ? ' · not checked: the strategy changes the bet, and with it the payout cap' : '') +
+    (params.connectionRule !== 'any' || params.noCrossing ? ' · expected values mix in dead-end cashouts at the simulated rate' : '');
+}
+
+/**
+ * Read the simulation parameters of dev.html
+ * @returns {Object} Parameters for runSimulation / startSimulationJob
+ */
+function readSimulationForm() {
+  const value = (id) => document.getElementById(id).value;
+  
+  return {
+    gridSize: parseInt(value('gridMode')),
+    stopPoints: parseInt(value('stopPoints')),
+    connectionRule: value('pathRule'),
+    noCrossing: document.getElementById('noCrossing').checked,
+    strategy: readStrategyForm(),
+    bet: parseFloat(value('betAmount')),
+    targetStep: parseInt(value('targetStep')),
+    rounds: parseInt(value('numRounds')),
+    startBalance: parseFloat(value('startBalance')),
+    seed: value('rngSeed').trim(),
+    // Math profile panel: the page's active profile
+    profile: window.GameMath.getMathProfile()
+  };
 }
 
 /**
- * UI Event Handlers
+ * Read the auto-bet strategy fields of dev.html
+ * @returns {Object} Normalized strategy
  */
-document.addEventListener('DOMContentLoaded', () => {
+function readStrategyForm() {
+  const value = (id) => document.getElementById(id).value;
+  
+  return window.DotsAutoBet.normalizeStrategy({
+    onWin: { action: value('onWinAction'), percent: parseFloat(value('onWinPercent')) },
+    onLoss: { action: value('onLossAction'), percent: parseFloat(value('onLossPercent')) },
+    stopOnProfit: parseFloat(value('stopOnProfit')),
+    stopOnLoss: parseFloat(value('stopOnLoss')),
+    stopOnSingleWin: parseFloat(value('stopOnSingleWin')),
+    switchTarget: {
+      afterLosses: parseInt(value('switchAfterLosses')),
+      targetStep: parseInt(value('switchTargetStep'))
+    }
+  });
+}
+
+/**
+ * Fill the strategy fields of dev.html from a strategy
+ * @param {Object} strategy
+ */
+function writeStrategyForm(strategy) {
+  const set = (id, value) => { document.getElementById(id).value = value; };
+  const normalized = window.DotsAutoBet.normalizeStrategy(strategy);
+  
+  set('onWinAction', normalized.onWin.action);
+  set('onWinPercent', normalized.onWin.percent);
+  set('onLossAction', normalized.onLoss.action);
+  set('onLossPercent', normalized.onLoss.percent);
+  set('stopOnProfit', normalized.stopOnProfit);
+  set('stopOnLoss', normalized.stopOnLoss);
+  set('stopOnSingleWin', normalized.stopOnSingleWin);
+  set('switchAfterLosses', normalized.switchTarget.afterLosses);
+  set('switchTargetStep', normalized.switchTarget.targetStep);
+}
+
+/**
+ * UI Event Handlers (dev.html only - this file is also loaded by sim-worker.js)
+ */
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => {
   const gridModeEl = document.getElementById('gridMode');
+  const stopPointsEl = document.getElementById('stopPoints');
+  const pathRuleEl = document.getElementById('pathRule');
+  const noCrossingEl = document.getElementById('noCrossing');
+  const strategyPresetEl = document.getElementById('strategyPreset');
   const targetStepEl = document.getElementById('targetStep');
+  const confidenceEl = document.getElementById('confidenceLevel');
+  const workerPoolEl = document.getElementById('workerPool');
+  const batchRunsEl = document.getElementById('batchRuns');
   const runBtn = document.getElementById('runBtn');
+  const cancelBtn = document.getElementById('cancelBtn');
   const progressEl = document.getElementById('progress');
+  const progressTextEl = document.getElementById('progressText');
+  const progressFillEl = document.getElementById('progressFill');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const importBtn = document.getElementById('importBtn');
+  const importFileEl = document.getElementById('importFile');
+  let activeJob = null; // startSimulationJob() in progress
+  let lastRun = null; // { config, stats } of the last completed run, for export
+  
+  /**
+   * Workers in the optional pool: one per logical core
+   */
+  function getPoolSize() {
+    return Math.max(1, navigator.hardwareConcurrency || 1);
+  }
+  
+  document.getElementById('workerPoolSize').textContent = getPoolSize().toString();
+  
+  /**
+   * Populate grid mode dropdown from GameMath.CONFIG.grids
+   */
+  function populateGridOptions() {
+    const grids = window.GameMath.CONFIG.grids;
+    
+    gridModeEl.innerHTML = '';
+    Object.keys(grids).forEach((size) => {
+      const option = document.createElement('option');
+      option.value = size;
+      option.textContent = `${size}x${size} (${grids[size].name})`;
+      gridModeEl.appendChild(option);
+    });
+  }
+  
+  /**
+   * Populate path rule dropdown from PathRules
+   */
+  function populatePathRuleOptions() {
+    pathRuleEl.innerHTML = '';
+    Object.keys(window.PathRules).forEach((key) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = window.PathRules[key].label;
+      pathRuleEl.appendChild(option);
+    });
+  }
+  
+  /**
+   * Populate stop-point dropdown with the counts allowed on the grid (grid default selected)
+   */
+  function populateStopPointOptions(gridSize) {
+    const { min, max } = window.GameMath.getStopPointRange(gridSize);
+    
+    stopPointsEl.innerHTML = '';
+    for (let count = min; count <= max; count++) {
+      const option = document.createElement('option');
+      option.value = count;
+      option.textContent = count.toString();
+      stopPointsEl.appendChild(option);
+    }
+    stopPointsEl.value = window.GameMath.getGridConfig(gridSize).stopPoints.toString();
+  }
   
   /**
    * Populate target step dropdown with step numbers and multipliers
    * MINES model: Calculate multipliers dynamically
    */
-  function populateTargetStepOptions(gridSize) {
-    // DYNAMIC: Calculate max step from grid config
-    const maxStep = getMaxStepForGrid(gridSize);
+  function populateTargetStepOptions(gridSize, stopPoints) {
+    // DYNAMIC: Calculate max step from grid config and stop-point count
+    const maxStep = getMaxStepForGrid(gridSize, stopPoints);
     
     // Clear existing options
     targetStepEl.innerHTML = '';
     
     // Add options for each step (calculate multipliers dynamically)
     for (let step = 1; step <= maxStep; step++) {
-      const multiplier = window.GameMath.getMultiplierForStep(step, gridSize);
+      const multiplier = window.GameMath.getMultiplierForStep(step, gridSize, stopPoints);
       const option = document.createElement('option');
       option.value = step;
       option.textContent = `Step ${step} — ${multiplier.toFixed(2)}x`;
       targetStepEl.appendChild(option);
     }
     
-    // Set default to step 3
-    targetStepEl.value = '3';
+    // Set default to step 3 (or the max step on very risky boards)
+    targetStepEl.value = Math.min(3, maxStep).toString();
   }
   
-  // Initialize dropdown on page load
+  /**
+   * Populate strategy presets; picking one fills in the strategy fields
+   */
+  function populateStrategyPresets() {
+    const presets = window.DotsAutoBet.STRATEGY_PRESETS;
+    
+    strategyPresetEl.innerHTML = '';
+    Object.keys(presets).forEach((key) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = presets[key].label;
+      strategyPresetEl.appendChild(option);
+    });
+    writeStrategyForm(window.DotsAutoBet.DEFAULT_STRATEGY);
+  }
+  
+  strategyPresetEl.addEventListener('change', () => {
+    writeStrategyForm(window.DotsAutoBet.STRATEGY_PRESETS[strategyPresetEl.value].strategy);
+  });
+  
+  // Initialize dropdowns on page load
   if (window.GameMath) {
-    populateTargetStepOptions(parseInt(gridModeEl.value));
+    populateGridOptions();
+    populatePathRuleOptions();
+    populateStrategyPresets();
+    populateStopPointOptions(parseInt(gridModeEl.value));
+    populateTargetStepOptions(parseInt(gridModeEl.value), parseInt(stopPointsEl.value));
   }
   
-  // Update target step dropdown when grid mode changes
+  // Update stop-point and target step dropdowns when grid mode changes
   gridModeEl.addEventListener('change', () => {
     const gridSize = parseInt(gridModeEl.value);
-    populateTargetStepOptions(gridSize);
+    populateStopPointOptions(gridSize);
+    populateTargetStepOptions(gridSize, parseInt(stopPointsEl.value));
+    renderAnalyticTable(readSimulationForm());
+  });
+  
+  // Update target step dropdown when the stop-point count changes
+  stopPointsEl.addEventListener('change', () => {
+    populateTargetStepOptions(parseInt(gridModeEl.value), parseInt(stopPointsEl.value));
+    renderAnalyticTable(readSimulationForm());
+  });
+  
+  // Keep the analytic table in step with everything else it depends on
+  [targetStepEl, pathRuleEl, noCrossingEl, document.getElementById('betAmount'),
+    document.getElementById('startBalance'), document.getElementById('numRounds')].forEach((el) => {
+    el.addEventListener('change', () => renderAnalyticTable(readSimulationForm()));
   });
+  renderAnalyticTable(readSimulationForm());
+  
+  /**
+   * Math profile panel: presets fill the JSON editor, Apply validates and activates it
+   */
+  const profilePresetEl = document.getElementById('profilePreset');
+  const profileJsonEl = document.getElementById('profileJson');
+  const profileErrorsEl = document.getElementById('profileErrors');
+  
+  function populateProfilePresets() {
+    const presets = window.DotsMathProfiles.MATH_PROFILE_PRESETS;
+    
+    profilePresetEl.innerHTML = '';
+    Object.keys(presets).forEach((key) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = presets[key].name;
+      profilePresetEl.appendChild(option);
+    });
+  }
+  
+  /**
+   * Show the active profile in the editor; target step multipliers and the analytic
+   * table follow it (the selected target step is kept)
+   */
+  function showActiveProfile() {
+    const profile = window.GameMath.getMathProfile();
+    const targetStep = targetStepEl.value;
+    
+    profileJsonEl.value = JSON.stringify(profile, null, 2);
+    profileErrorsEl.innerHTML = '';
+    const limits = [
+      profile.maxPayout ? `max payout ${formatCurrency(profile.maxPayout)}` : '',
+      profile.maxProfit ? `max profit ${formatCurrency(profile.maxProfit)}` : ''
+    ].filter(Boolean);
+    document.getElementById('profileStatus').textContent =
+      `Active profile: ${profile.name}` + (limits.length > 0 ? ` · ${limits.join(', ')} per round` : '');
+    
+    populateTargetStepOptions(parseInt(gridModeEl.value), parseInt(stopPointsEl.value));
+    if ([...targetStepEl.children].some((option) => option.value === targetStep)) {
+      targetStepEl.value = targetStep;
+    }
+    renderAnalyticTable(readSimulationForm());
+  }
+  
+  function showProfileErrors(errors) {
+    profileErrorsEl.innerHTML = '';
+    errors.forEach((error) => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      profileErrorsEl.appendChild(item);
+    });
+  }
+  
+  profilePresetEl.addEventListener('change', () => {
+    const profile = window.DotsMathProfiles.getProfilePreset(profilePresetEl.value);
+    profileJsonEl.value = JSON.stringify(profile, null, 2);
+    profileErrorsEl.innerHTML = '';
+  });
+  
+  document.getElementById('profileApplyBtn').addEventListener('click', () => {
+    if (activeJob) return;
+    let profile;
+    try {
+      profile = window.GameMath.createMathProfile(JSON.parse(profileJsonEl.value));
+    } catch (error) {
+      showProfileErrors([`Invalid JSON: ${error.message}`]);
+      return;
+    }
+    const errors = window.GameMath.validateMathProfile(profile);
+    if (errors.length > 0) {
+      showProfileErrors(errors);
+      return;
+    }
+    window.GameMath.setMathProfile(profile);
+    showActiveProfile();
+  });
+  
+  populateProfilePresets();
+  showActiveProfile();
+  // The deployment's math-profile.json, when served
+  window.DotsMathProfiles.loadMathProfile().then(showActiveProfile);
+  
+  /**
+   * Show the progress bar and text
+   * @param {number} fraction - 0..1
+   * @param {string} text
+   */
+  function setProgress(fraction, text) {
+    progressFillEl.style.width = (fraction * 100).toFixed(1) + '%';
+    progressTextEl.textContent = text;
+  }
+  
+  function setRunning(running) {
+    runBtn.disabled = running;
+    importBtn.disabled = running;
+    cancelBtn.classList.toggle('hidden', !running);
+    cancelBtn.disabled = !running;
+    exportJsonBtn.disabled = running || !lastRun;
+    exportCsvBtn.disabled = running || !lastRun || !window.DotsSimExport.getRoundLogCsv(lastRun.stats);
+  }
+  
+  /**
+   * Select a value in a dropdown, adding it as an option when the list lacks it
+   * (imported configs can use round counts or batch sizes the form does not offer)
+   */
+  function selectValue(selectEl, value, label) {
+    const exists = [...selectEl.children].some((option) => option.value === value.toString());
+    if (!exists) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      selectEl.appendChild(option);
+    }
+    selectEl.value = value.toString();
+  }
+  
+  /**
+   * Show an imported config in the form
+   * @param {Object} config - From DotsSimExport.parseSimulationExport()
+   */
+  function writeSimulationForm(config) {
+    const set = (id, value) => { document.getElementById(id).value = value.toString(); };
+    
+    window.GameMath.setMathProfile(config.profile);
+    showActiveProfile();
+    gridModeEl.value = config.gridSize.toString();
+    populateStopPointOptions(config.gridSize);
+    stopPointsEl.value = config.stopPoints.toString();
+    populateTargetStepOptions(config.gridSize, config.stopPoints);
+    targetStepEl.value = config.targetStep.toString();
+    pathRuleEl.value = config.connectionRule;
+    noCrossingEl.checked = config.noCrossing;
+    writeStrategyForm(config.strategy);
+    set('betAmount', config.bet);
+    set('startBalance', config.startBalance);
+    set('rngSeed', config.seed);
+    selectValue(document.getElementById('numRounds'), config.rounds, config.rounds.toLocaleString());
+    selectValue(batchRunsEl, config.runs, config.runs.toString());
+    workerPoolEl.checked = config.workers > 1;
+    renderAnalyticTable(readSimulationForm());
+  }
+  
+  /**
+   * Run a simulation and show it in the results panel; completed runs can be exported
+   * @param {Object} config - Run config (see sim-export.js); a blank seed picks a random one
+   */
+  function startRun(config) {
+    const { workers, runs, ...params } = config;
+    const confidence = parseFloat(confidenceEl.value);
+    
+    // Disable button and show progress
+    lastRun = null;
+    setRunning(true);
+    progressEl.classList.remove('hidden');
+    setProgress(0, runs > 1
+      ? `Running ${runs} × ${params.rounds.toLocaleString()} rounds...`
+      : `Running ${params.rounds.toLocaleString()} rounds...`);
+    
+    const startTime = performance.now();
+    const job = startSimulationJob({ ...params, record: true, logRounds: SIMULATION_LOG_ROUNDS }, {
+      workers,
+      runs,
+      onProgress: (stats, fraction) => {
+        // Results panel updates live with the partial statistics
+        displayResults(stats);
+        displayComparison(stats, params, confidence);
+        setProgress(fraction, `Running... ${(fraction * 100).toFixed(1)}% · ${stats.totalRounds.toLocaleString()} rounds`);
+      }
+    });
+    activeJob = job;
+    
+    job.promise
+      .then(({ stats, cancelled }) => {
+        const duration = ((performance.now() - startTime) / 1000).toFixed(2);
+        console.log('Simulation', cancelled ? 'cancelled' : 'completed', 'in', duration, 'seconds');
+        console.log('Results:', stats);
+        
+        if (!stats) {
+          setProgress(0, '✗ Cancelled');
+          return;
+        }
+        displayResults(stats);
+        displayComparison(stats, params, confidence);
+        
+        const seedText = ` · seed ${stats.seed}`;
+        const stopText = stats.stopReason ? ` · stopped: ${stats.stopReason}` : '';
+        if (cancelled) {
+          setProgress(getSimulationProgress([stats]),
+            `✗ Cancelled after ${stats.totalRounds.toLocaleString()} rounds (${duration}s)${seedText}`);
+        } else {
+          // The job's seed (not the form's, which may be blank) makes the export repeatable
+          lastRun = { config: { ...config, seed: job.seed }, stats };
+          setProgress(1, `✓ Completed in ${duration}s${seedText}${stopText}`);
+        }
+      })
+      .catch((error) => {
+        console.error('Simulation error:', error);
+        alert('Simulation failed: ' + error.message);
+        setProgress(0, '✗ Error occurred');
+      })
+      .finally(() => {
+        activeJob = null;
+        setRunning(false);
+      });
+  }
   
   // Run simulation
-  runBtn.addEventListener('click', async () => {
+  runBtn.addEventListener('click', () => {
     // Validate GameMath API is available
     if (!window.GameMath) {
-      alert('ERROR: GameMath API not available. Make sure game.js is loaded.');
+      alert('ERROR: GameMath API not available. Make sure engine.js is loaded.');
       return;
     }
+    if (activeJob) return;
     
     // Get parameters
-    const gridSize = parseInt(gridModeEl.value);
-    const bet = parseFloat(document.getElementById('betAmount').value);
-    const targetStep = parseInt(targetStepEl.value);
-    const rounds = parseInt(document.getElementById('numRounds').value);
-    const startBalance = parseFloat(document.getElementById('startBalance').value);
+    const params = readSimulationForm();
+    const { bet, startBalance } = params;
     
     // Validate bet and balance only (target step is always valid from dropdown)
     if (bet < 0.10) {
@@ -289,49 +1242,73 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
     
-    // Disable button and show progress
-    runBtn.disabled = true;
-    progressEl.classList.remove('hidden');
-    progressEl.textContent = `Running ${rounds.toLocaleString()} rounds...`;
+    startRun({
+      ...params,
+      workers: workerPoolEl.checked ? getPoolSize() : 1,
+      runs: parseInt(batchRunsEl.value)
+    });
+  });
+  
+  cancelBtn.addEventListener('click', () => {
+    if (!activeJob) return;
+    cancelBtn.disabled = true;
+    activeJob.cancel();
+  });
+  
+  exportJsonBtn.addEventListener('click', () => {
+    if (!lastRun) return;
+    const data = window.DotsSimExport.buildSimulationExport(lastRun.config, lastRun.stats);
+    window.DotsSimExport.downloadTextFile(
+      window.DotsSimExport.getSimulationFileName(lastRun.config, 'json'),
+      JSON.stringify(data, null, 2),
+      'application/json'
+    );
+  });
+  
+  exportCsvBtn.addEventListener('click', () => {
+    const csv = lastRun && window.DotsSimExport.getRoundLogCsv(lastRun.stats);
+    if (!csv) return;
+    window.DotsSimExport.downloadTextFile(
+      window.DotsSimExport.getSimulationFileName(lastRun.config, 'csv'),
+      csv,
+      'text/csv'
+    );
+  });
+  
+  // Import: load an exported config into the form and run it again with the same seed
+  importBtn.addEventListener('click', () => importFileEl.click());
+  
+  importFileEl.addEventListener('change', () => {
+    const file = importFileEl.files[0];
+    importFileEl.value = '';
+    if (!file || activeJob) return;
     
-    // Run simulation asynchronously to allow UI update
-    setTimeout(() => {
-      try {
-        const startTime = performance.now();
-        
-        const results = runSimulation({
-          rounds,
-          startBalance,
-          bet,
-          gridSize,
-          targetStep
-        });
-        
-        const endTime = performance.now();
-        const duration = ((endTime - startTime) / 1000).toFixed(2);
-        
-        console.log('Simulation completed in', duration, 'seconds');
-        console.log('Results:', results);
-        
-        // Display results
-        displayResults(results);
-        
-        // Update progress
-        progressEl.textContent = `✓ Completed in ${duration}s`;
-        
-      } catch (error) {
-        console.error('Simulation error:', error);
-        alert('Simulation failed: ' + error.message);
-        progressEl.textContent = '✗ Error occurred';
-      } finally {
-        runBtn.disabled = false;
-      }
-    }, 50);
+    file.text()
+      .then((text) => {
+        const config = window.DotsSimExport.parseSimulationExport(text);
+        writeSimulationForm(config);
+        startRun(config);
+      })
+      .catch((error) => {
+        console.error('Import error:', error);
+        alert('Import failed: ' + error.message);
+      });
   });
 });
 
-// Export functions for use in other pages (e.g., dev.html)
-window.SimulationEngine = {
+// Export functions for use in other pages (e.g., dev.html) and under Node (sim.js)
+const SimulationEngine = {
+  ROUND_LOG_COLUMNS,
+  readStrategyForm,
+  createSimulationRun,
+  mergeSimulationStats,
+  startSimulationJob,
   runSimulation: runSimulation,
   getMaxStepForGrid: getMaxStepForGrid
 };
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SimulationEngine;
+} else {
+  window.SimulationEngine = SimulationEngine;
+}
@@ -0,0 +1,207 @@
+// sound.js
+// Game sounds, synthesized with Web Audio (no audio files to load)
+//
+//   const sound = createSoundEngine({ volume: 0.6, muted: false });
+//   sound.volume, sound.muted         → current master settings
+//   sound.setVolume(volume)           → 0-1
+//   sound.setMuted(muted)
+//   sound.unlock()                    → call from a user gesture: browsers start audio suspended
+//   sound.playStep(multiplier, top)   → rising tone, higher the closer multiplier is to top
+//   sound.playTick()                  → short click for auto-mode steps
+//   sound.playFail({ quiet })         → explosion
+//   sound.playCashout({ quiet })      → chime
+// Without Web Audio (old browsers, Node) every call does nothing.
+
+const SOUND_CONFIG = {
+  stepBaseFrequency: 392, // G4: the first step of a round
+  stepRangeSemitones: 24, // Pitch climb from the first step to the top multiplier
+  chimeFrequencies: [1046.5, 1318.5, 1568], // C6 E6 G6
+  quietGain: 0.35 // Auto-mode cues relative to manual play
+};
+
+/**
+ * @param {number} volume
+ * @returns {number} Volume clamped to 0-1 (0 for anything that is not a number)
+ */
+function clampVolume(volume) {
+  return Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : 0;
+}
+
+/**
+ * Frequency of the step tone: climbs on a log scale with the multiplier, so every board
+ * spans the same range from its first step to its top multiplier
+ *
+ * @param {number} multiplier - Multiplier the step reached
+ * @param {number} topMultiplier - Multiplier of the board's last step
+ * @returns {number} Hz
+ */
+function getStepFrequency(multiplier, topMultiplier) {
+  const span = Math.log(Math.max(topMultiplier, 1.0001));
+  const position = Math.min(1, Math.max(0, Math.log(Math.max(multiplier, 1)) / span));
+  return SOUND_CONFIG.stepBaseFrequency * Math.pow(2, (position * SOUND_CONFIG.stepRangeSemitones) / 12);
+}
+
+/**
+ * @param {Object} options
+ * @param {number} options.volume - Master volume, 0-1
+ * @param {boolean} options.muted
+ * @param {Function} options.AudioContext - Defaults to the browser's (window.AudioContext)
+ * @returns {Object} Sound engine (see the file header)
+ */
+function createSoundEngine({ volume = 0.6, muted = false, AudioContext: AudioContextClass = null } = {}) {
+  const ContextClass = AudioContextClass
+    || (typeof window !== "undefined" && (window.AudioContext || window.webkitAudioContext))
+    || null;
+  let context = null;
+  let master = null;
+  let noiseBuffer = null;
+
+  const sound = {
+    volume: clampVolume(volume),
+    muted: !!muted,
+
+    setVolume(value) {
+      sound.volume = clampVolume(value);
+      applyVolume();
+    },
+
+    setMuted(value) {
+      sound.muted = !!value;
+      applyVolume();
+    },
+
+    unlock() {
+      const audio = getContext();
+      if (audio && audio.state === "suspended") {
+        audio.resume().catch(() => {});
+      }
+    },
+
+    playStep(multiplier, topMultiplier) {
+      const audio = getAudibleContext();
+      if (!audio) return;
+      const frequency = getStepFrequency(multiplier, topMultiplier);
+      playTone(audio, { type: "triangle", frequency, endFrequency: frequency * 1.5, duration: 0.18, gain: 0.3 });
+      playTone(audio, { type: "sine", frequency: frequency * 2, start: 0.03, duration: 0.12, gain: 0.1 });
+    },
+
+    playTick() {
+      const audio = getAudibleContext();
+      if (!audio) return;
+      playTone(audio, { type: "square", frequency: 1800, endFrequency: 1200, duration: 0.03, gain: 0.05 });
+    },
+
+    playFail({ quiet = false } = {}) {
+      const audio = getAudibleContext();
+      if (!audio) return;
+      const level = quiet ? SOUND_CONFIG.quietGain : 1;
+      const t0 = audio.currentTime;
+
+      // Noise burst whose brightness falls away, over a low thump
+      const noise = audio.createBufferSource();
+      noise.buffer = getNoiseBuffer(audio);
+      const filter = audio.createBiquadFilter();
+      filter.type = "lowpass";
+      filter.frequency.setValueAtTime(3000, t0);
+      filter.frequency.exponentialRampToValueAtTime(80, t0 + 0.6);
+      const envelope = audio.createGain();
+      envelope.gain.setValueAtTime(0.7 * level, t0);
+      envelope.gain.exponentialRampToValueAtTime(0.0001, t0 + 0.7);
+      noise.connect(filter);
+      filter.connect(envelope);
+      envelope.connect(master);
+      noise.start(t0);
+      noise.stop(t0 + 0.7);
+
+      playTone(audio, { type: "sine", frequency: 120, endFrequency: 40, duration: 0.5, gain: 0.6 * level });
+    },
+
+    playCashout({ quiet = false } = {}) {
+      const audio = getAudibleContext();
+      if (!audio) return;
+      const level = quiet ? SOUND_CONFIG.quietGain : 1;
+      SOUND_CONFIG.chimeFrequencies.forEach((frequency, i) => {
+        playTone(audio, { type: "sine", frequency, start: i * 0.07, duration: 0.45, gain: 0.22 * level });
+        playTone(audio, { type: "triangle", frequency: frequency * 2, start: i * 0.07, duration: 0.2, gain: 0.05 * level });
+      });
+    }
+  };
+
+  /**
+   * Create the context on first use (null without Web Audio)
+   */
+  function getContext() {
+    if (!context && ContextClass) {
+      context = new ContextClass();
+      master = context.createGain();
+      master.connect(context.destination);
+      applyVolume();
+    }
+    return context;
+  }
+
+  /**
+   * Context to play on, or null when muted or not yet unlocked by a gesture
+   */
+  function getAudibleContext() {
+    if (sound.muted || sound.volume === 0) return null;
+    const audio = getContext();
+    return audio && audio.state === "running" ? audio : null;
+  }
+
+  function applyVolume() {
+    if (master) {
+      master.gain.value = sound.muted ? 0 : sound.volume;
+    }
+  }
+
+  /**
+   * One oscillator note with a short attack and an exponential decay
+   */
+  function playTone(audio, { type, frequency, endFrequency = frequency, start = 0, duration, gain }) {
+    const t0 = audio.currentTime + start;
+    const oscillator = audio.createOscillator();
+    const envelope = audio.createGain();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, t0);
+    if (endFrequency !== frequency) {
+      oscillator.frequency.exponentialRampToValueAtTime(endFrequency, t0 + duration);
+    }
+    envelope.gain.setValueAtTime(0.0001, t0);
+    envelope.gain.exponentialRampToValueAtTime(gain, t0 + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, t0 + duration);
+    oscillator.connect(envelope);
+    envelope.connect(master);
+    oscillator.start(t0);
+    oscillator.stop(t0 + duration + 0.02);
+  }
+
+  /**
+   * One second of white noise, built once per context
+   */
+  function getNoiseBuffer(audio) {
+    if (!noiseBuffer) {
+      noiseBuffer = audio.createBuffer(1, audio.sampleRate, audio.sampleRate);
+      const data = noiseBuffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = Math.random() * 2 - 1;
+      }
+    }
+    return noiseBuffer;
+  }
+
+  return sound;
+}
+
+const DotsSound = {
+  SOUND_CONFIG,
+  clampVolume,
+  getStepFrequency,
+  createSoundEngine
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DotsSound;
+} else {
+  window.DotsSound = DotsSound;
+}
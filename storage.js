@@ -0,0 +1,191 @@
+// storage.js
+// Persistence for the wallet, player settings and the round ledger
+//
+// Every store implements the same interface:
+//   store.kind                     → "local" | "memory"
+//   store.loadWallet()             → { balance } or null
+//   store.saveWallet({ balance })
+//   store.loadSettings()           → settings object or null
+//   store.saveSettings(settings)
+//   store.appendRound(entry)       → entry with its new id
+//   store.updateRound(id, patch)   → updated entry, or null if it was dropped
+//   store.updateRounds(match, patch) → entries match(entry) picked, updated in one write
+//   store.getRounds()              → ledger entries, oldest first
+//   store.loadActiveRound()        → the round in play when the page last saved it, or null
+//   store.saveActiveRound(round)   → null clears it (the round ended)
+//   store.loadSeeds()              → the local engine's seeds (engine.getSeedSnapshot()), or null
+//   store.saveSeeds(seeds)         → includes the unrevealed server seed
+//   store.clear()
+// game.js only talks to this interface, so a backend-backed store can replace it.
+
+const STORAGE_PREFIX = "connectDots.";
+
+/**
+ * In-memory stand-in for window.localStorage (same getItem/setItem/removeItem API)
+ * @returns {Object}
+ */
+function createMemoryBacking() {
+  const items = {};
+
+  return {
+    getItem(key) {
+      return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null;
+    },
+    setItem(key, value) {
+      items[key] = String(value);
+    },
+    removeItem(key) {
+      delete items[key];
+    }
+  };
+}
+
+/**
+ * Store backed by a localStorage-like object. Values are kept as JSON.
+ *
+ * @param {Object} backing - window.localStorage or createMemoryBacking()
+ * @param {Object} options
+ * @param {string} options.kind - Reported as store.kind
+ * @param {number} options.maxRounds - Oldest ledger entries are dropped beyond this
+ * @returns {Object} Store
+ */
+function createLocalStore(backing, { kind = "local", maxRounds = 1000 } = {}) {
+  function read(key, fallback) {
+    const raw = backing.getItem(STORAGE_PREFIX + key);
+    if (raw === null) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn(`Ignoring corrupt stored value for ${key}`, error);
+      return fallback;
+    }
+  }
+
+  function write(key, value) {
+    backing.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  }
+
+  return {
+    kind,
+
+    loadWallet() {
+      return read("wallet", null);
+    },
+
+    saveWallet({ balance }) {
+      write("wallet", { balance });
+    },
+
+    loadSettings() {
+      return read("settings", null);
+    },
+
+    saveSettings(settings) {
+      write("settings", settings);
+    },
+
+    appendRound(entry) {
+      const rounds = read("rounds", []);
+      const id = read("roundSeq", 0) + 1;
+      const stored = { ...entry, id };
+
+      rounds.push(stored);
+      if (rounds.length > maxRounds) {
+        rounds.splice(0, rounds.length - maxRounds);
+      }
+      write("roundSeq", id);
+      write("rounds", rounds);
+      return stored;
+    },
+
+    updateRound(id, patch) {
+      const rounds = read("rounds", []);
+      const index = rounds.findIndex((round) => round.id === id);
+      if (index === -1) return null;
+
+      rounds[index] = { ...rounds[index], ...patch };
+      write("rounds", rounds);
+      return rounds[index];
+    },
+
+    updateRounds(match, patch) {
+      const rounds = read("rounds", []);
+      const updated = [];
+      rounds.forEach((round, index) => {
+        if (!match(round)) return;
+        rounds[index] = { ...round, ...patch };
+        updated.push(rounds[index]);
+      });
+      if (updated.length > 0) write("rounds", rounds);
+      return updated;
+    },
+
+    getRounds() {
+      return read("rounds", []);
+    },
+
+    loadActiveRound() {
+      return read("activeRound", null);
+    },
+
+    saveActiveRound(round) {
+      if (round) {
+        write("activeRound", round);
+      } else {
+        backing.removeItem(STORAGE_PREFIX + "activeRound");
+      }
+    },
+
+    loadSeeds() {
+      return read("seeds", null);
+    },
+
+    saveSeeds(seeds) {
+      write("seeds", seeds);
+    },
+
+    clear() {
+      ["wallet", "settings", "rounds", "roundSeq", "activeRound", "seeds"].forEach((key) => {
+        backing.removeItem(STORAGE_PREFIX + key);
+      });
+    }
+  };
+}
+
+/**
+ * Store that lives only as long as the page (or Node process)
+ * @param {Object} options - See createLocalStore
+ * @returns {Object} Store
+ */
+function createMemoryStore(options = {}) {
+  return createLocalStore(createMemoryBacking(), { ...options, kind: "memory" });
+}
+
+/**
+ * localStorage when the browser allows it (private modes may throw), memory otherwise
+ * @param {Object} options - See createLocalStore
+ * @returns {Object} Store
+ */
+function createBrowserStore(options = {}) {
+  try {
+    const probe = STORAGE_PREFIX + "probe";
+    window.localStorage.setItem(probe, "1");
+    window.localStorage.removeItem(probe);
+    return createLocalStore(window.localStorage, options);
+  } catch (error) {
+    console.warn("localStorage unavailable, progress will not survive a reload", error);
+    return createMemoryStore(options);
+  }
+}
+
+const DotsStorage = {
+  createLocalStore,
+  createMemoryStore,
+  createBrowserStore
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DotsStorage;
+} else {
+  window.DotsStorage = DotsStorage;
+}
@@ -0,0 +1,422 @@
+// sweep.js
+// Developer-only parameter sweep for dev.html: simulates every combination of grid size,
+// target step, RTP and bet size, then shows the results as a sortable table and heatmap.
+// Depends on simulation.js (startSimulationJob, getMaxStepForGrid, format helpers).
+// The sweep itself loads under Node too; the table, heatmap and panel only run in dev.html.
+
+// Browser: dependencies are loaded by <script> tags. Node: require them.
+const SweepDeps = typeof module !== 'undefined' && module.exports
+  ? { ...require('./engine.js'), DotsRng: require('./rng.js'), SimulationEngine: require('./simulation.js') }
+  : window;
+
+// Result columns that can be sorted, and the metrics the heatmap can show
+const SWEEP_COLUMNS = [
+  { key: 'gridSize', label: 'Grid', format: (row) => `${row.gridSize}x${row.gridSize}` },
+  { key: 'stopPoints', label: 'Stop-Points', format: (row) => row.stopPoints.toString() },
+  { key: 'targetStep', label: 'Target Step', format: (row) => row.targetStep.toString() },
+  { key: 'multiplier', label: 'Multiplier', format: (row) => row.multiplier.toFixed(2) + 'x' },
+  { key: 'profileRtp', label: 'Profile RTP', format: (row) => row.profileRtp.toString() },
+  { key: 'bet', label: 'Bet', format: (row) => formatCurrency(row.bet) },
+  { key: 'totalRounds', label: 'Rounds', format: (row) => row.totalRounds.toLocaleString() },
+  { key: 'rtp', label: 'RTP', format: (row) => formatPercent(row.rtp * 100), metric: true },
+  { key: 'winRate', label: 'Win Rate', format: (row) => formatPercent(row.winRate * 100), metric: true },
+  { key: 'maxDrawdown', label: 'Max Drawdown', format: (row) => formatPercent(row.maxDrawdown * 100), metric: true },
+  { key: 'longestLosingStreak', label: 'Longest Losing Streak', format: (row) => row.longestLosingStreak.toString(), metric: true }
+];
+
+const SWEEP_MAX_COMBOS = 2000; // Guard against typos like "0.9-100" producing huge sweeps
+
+/**
+ * Parse a list of numbers: "1, 5, 25"
+ * @param {string} text
+ * @returns {number[]} Unique values in input order (invalid entries dropped)
+ */
+function parseNumberList(text) {
+  const values = text.split(',')
+    .map((part) => parseFloat(part.trim()))
+    .filter((value) => Number.isFinite(value) && value > 0);
+  return values.filter((value, index) => values.indexOf(value) === index);
+}
+
+/**
+ * Parse target steps: "all", or steps and ranges such as "1-5, 8"
+ * @param {string} text
+ * @returns {number[]|null} Sorted steps, or null for every step of each grid
+ */
+function parseStepList(text) {
+  if (text.trim() === '' || text.trim().toLowerCase() === 'all') return null;
+
+  const steps = new Set();
+  text.split(',').forEach((part) => {
+    const [from, to] = part.split('-').map((value) => parseInt(value.trim()));
+    if (!(from >= 1)) return;
+    const last = to >= from ? to : from;
+    for (let step = from; step <= last; step++) steps.add(step);
+  });
+  return [...steps].sort((a, b) => a - b);
+}
+
+/**
+ * Every combination of the sweep ranges. Stop-points use each grid's default count;
+ * steps above a grid's max practical step are skipped.
+ *
+ * @param {Object} ranges
+ * @param {number[]} ranges.gridSizes
+ * @param {number[]|null} ranges.steps - null = every step
+ * @param {number[]} ranges.rtps - RTP values; each runs the active math profile with that RTP on every grid
+ * @param {number[]} ranges.bets
+ * @returns {Object[]} { gridSize, stopPoints, targetStep, profileRtp, profile, bet }
+ */
+function buildSweepCombos({ gridSizes, steps, rtps, bets }) {
+  const combos = [];
+
+  gridSizes.forEach((gridSize) => {
+    const stopPoints = SweepDeps.GameMath.getGridConfig(gridSize).stopPoints;
+    const maxStep = SweepDeps.SimulationEngine.getMaxStepForGrid(gridSize, stopPoints);
+    const gridSteps = (steps || Array.from({ length: maxStep }, (_, i) => i + 1))
+      .filter((step) => step <= maxStep);
+
+    rtps.forEach((profileRtp) => {
+      // Keeps the active rounding and cap; per-grid RTPs and tables would override the swept value
+      const profile = SweepDeps.GameMath.createMathProfile({
+        ...SweepDeps.GameMath.getMathProfile(),
+        name: `RTP ${profileRtp}`,
+        rtp: profileRtp,
+        grids: {}
+      });
+      bets.forEach((bet) => {
+        gridSteps.forEach((targetStep) => {
+          combos.push({ gridSize, stopPoints, targetStep, profileRtp, profile, bet });
+        });
+      });
+    });
+  });
+  return combos;
+}
+
+/**
+ * Simulate the combinations one after another (each may use the worker pool).
+ * Every combination uses the same seed, so differences come from the parameters.
+ *
+ * @param {Object[]} combos - From buildSweepCombos()
+ * @param {Object} base - Shared runSimulation parameters (rounds, startBalance, path rules, strategy, seed)
+ * @param {Object} options
+ * @param {number} [options.workers] - Worker pool size per combination
+ * @param {Function} [options.onResult] - (row, index) after each combination
+ * @param {Function} [options.onProgress] - (fraction) across the whole sweep
+ * @returns {Object} Job: { promise → { rows, cancelled, seed }, cancel() }
+ */
+function startSweepJob(combos, base, { workers = 1, onResult, onProgress } = {}) {
+  let seed = base.seed;
+  if (seed === undefined || seed === null || seed === '') {
+    seed = SweepDeps.DotsRng.randomInt(SweepDeps.DotsRng.createCryptoRng(), 0x100000000);
+  }
+
+  const rows = [];
+  let current = null;
+  let cancelled = false;
+
+  async function runAll() {
+    for (let index = 0; index < combos.length; index++) {
+      const combo = combos[index];
+      current = SweepDeps.SimulationEngine.startSimulationJob({ ...base, ...combo, seed }, {
+        workers,
+        onProgress: (stats, fraction) => {
+          if (onProgress) onProgress((index + fraction) / combos.length);
+        }
+      });
+
+      const { stats } = await current.promise;
+      if (cancelled) break;
+
+      const row = {
+        ...combo,
+        multiplier: SweepDeps.GameMath.getMultiplierForStep(combo.targetStep, combo.gridSize, combo.stopPoints, combo.profile, combo.bet),
+        totalRounds: stats.totalRounds,
+        rtp: stats.rtp,
+        winRate: stats.winRate,
+        maxDrawdown: stats.maxDrawdown,
+        longestLosingStreak: stats.longestLosingStreak
+      };
+      rows.push(row);
+      if (onResult) onResult(row, index);
+      if (onProgress) onProgress((index + 1) / combos.length);
+    }
+    return { rows, cancelled, seed };
+  }
+
+  return {
+    promise: runAll(),
+
+    /**
+     * Stop after cancelling the combination in progress; finished rows are kept
+     */
+    cancel() {
+      cancelled = true;
+      if (current) current.cancel();
+    }
+  };
+}
+
+/**
+ * @param {Object[]} rows
+ * @param {string} key - Column key
+ * @param {number} direction - 1 ascending, -1 descending
+ * @returns {Object[]} New sorted array
+ */
+function sortSweepRows(rows, key, direction) {
+  return rows.slice().sort((a, b) => (a[key] - b[key]) * direction);
+}
+
+/**
+ * Render the results table; clicking a header calls onSort(key)
+ *
+ * @param {Object[]} rows
+ * @param {Object} sort - { key, direction }
+ * @param {Function} onSort
+ */
+function renderSweepTable(rows, sort, onSort) {
+  const head = document.getElementById('sweepHead');
+  const body = document.getElementById('sweepBody');
+
+  head.innerHTML = '';
+  SWEEP_COLUMNS.forEach((column) => {
+    const th = document.createElement('th');
+    const arrow = sort.key === column.key ? (sort.direction > 0 ? ' ▲' : ' ▼') : '';
+    th.textContent = column.label + arrow;
+    th.className = 'sortable';
+    th.addEventListener('click', () => onSort(column.key));
+    head.appendChild(th);
+  });
+
+  body.innerHTML = '';
+  sortSweepRows(rows, sort.key, sort.direction).forEach((row) => {
+    const tr = document.createElement('tr');
+    SWEEP_COLUMNS.forEach((column) => {
+      const td = document.createElement('td');
+      td.textContent = column.format(row);
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+}
+
+/**
+ * Heatmap: one column per target step, one row per grid / RTP / bet series,
+ * colored from the lowest (blue) to the highest (red) value of the metric
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object[]} rows
+ * @param {string} metricKey - Key of a metric column in SWEEP_COLUMNS
+ */
+function drawSweepHeatmap(canvas, rows, metricKey) {
+  const column = SWEEP_COLUMNS.find((c) => c.key === metricKey);
+  const seriesLabel = (row) => `${row.gridSize}x${row.gridSize} · ${row.profileRtp} · ${formatCurrency(row.bet)}`;
+  const series = [...new Set(rows.map(seriesLabel))];
+  const steps = [...new Set(rows.map((row) => row.targetStep))].sort((a, b) => a - b);
+
+  const labelWidth = 190;
+  const headerHeight = 28;
+  const cellHeight = 30;
+  const width = Math.max(labelWidth + steps.length * 40, canvas.parentElement.clientWidth || 800);
+  const cellWidth = (width - labelWidth) / Math.max(1, steps.length);
+  const height = headerHeight + series.length * cellHeight;
+
+  const ratio = window.devicePixelRatio || 1;
+  canvas.style.width = width + 'px';
+  canvas.style.height = height + 'px';
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const values = rows.map((row) => row[metricKey]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  ctx.font = '12px system-ui, -apple-system, sans-serif';
+  ctx.textBaseline = 'middle';
+
+  // Step headers
+  ctx.fillStyle = '#a0a0c0';
+  ctx.textAlign = 'center';
+  steps.forEach((step, i) => {
+    ctx.fillText(`Step ${step}`, labelWidth + (i + 0.5) * cellWidth, headerHeight / 2);
+  });
+
+  series.forEach((label, rowIndex) => {
+    const y = headerHeight + rowIndex * cellHeight;
+    ctx.fillStyle = '#a0a0c0';
+    ctx.textAlign = 'left';
+    ctx.fillText(label, 0, y + cellHeight / 2);
+
+    rows.filter((row) => seriesLabel(row) === label).forEach((row) => {
+      const x = labelWidth + steps.indexOf(row.targetStep) * cellWidth;
+      const t = max > min ? (row[metricKey] - min) / (max - min) : 0.5;
+      // Blue (low) → red (high)
+      ctx.fillStyle = `hsl(${Math.round(220 - t * 220)}, 70%, ${Math.round(30 + t * 15)}%)`;
+      ctx.fillRect(x + 1, y + 1, cellWidth - 2, cellHeight - 2);
+      ctx.fillStyle = '#ffffff';
+      ctx.textAlign = 'center';
+      ctx.fillText(column.format(row), x + cellWidth / 2, y + cellHeight / 2);
+    });
+  });
+}
+
+/**
+ * UI Event Handlers (dev.html sweep panel)
+ */
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => {
+  const gridsEl = document.getElementById('sweepGrids');
+  const metricEl = document.getElementById('sweepMetric');
+  const runBtn = document.getElementById('sweepRunBtn');
+  const cancelBtn = document.getElementById('sweepCancelBtn');
+  const progressEl = document.getElementById('sweepProgress');
+  const progressTextEl = document.getElementById('sweepProgressText');
+  const progressFillEl = document.getElementById('sweepProgressFill');
+  const resultsEl = document.getElementById('sweepResults');
+  const heatmapEl = document.getElementById('sweepHeatmap');
+
+  let rows = [];
+  let sort = { key: 'rtp', direction: -1 };
+  let activeJob = null;
+
+  // One checkbox per grid in MathConfig.grids
+  const grids = window.GameMath.CONFIG.grids;
+  Object.keys(grids).forEach((size) => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-option';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = size;
+    input.checked = size === '3' || size === '4';
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(` ${size}x${size}`));
+    gridsEl.appendChild(label);
+  });
+
+  SWEEP_COLUMNS.filter((column) => column.metric).forEach((column) => {
+    const option = document.createElement('option');
+    option.value = column.key;
+    option.textContent = column.label;
+    metricEl.appendChild(option);
+  });
+  metricEl.value = 'rtp';
+
+  function refresh() {
+    if (rows.length === 0) return;
+    resultsEl.style.display = 'block';
+    renderSweepTable(rows, sort, (key) => {
+      sort = { key, direction: sort.key === key ? -sort.direction : -1 };
+      refresh();
+    });
+    drawSweepHeatmap(heatmapEl, rows, metricEl.value);
+  }
+
+  function setProgress(fraction, text) {
+    progressFillEl.style.width = (fraction * 100).toFixed(1) + '%';
+    progressTextEl.textContent = text;
+  }
+
+  function setRunning(running) {
+    runBtn.disabled = running;
+    cancelBtn.classList.toggle('hidden', !running);
+    cancelBtn.disabled = !running;
+  }
+
+  metricEl.addEventListener('change', refresh);
+
+  runBtn.addEventListener('click', () => {
+    if (activeJob) return;
+
+    const gridSizes = [...gridsEl.querySelectorAll('input')]
+      .filter((input) => input.checked)
+      .map((input) => parseInt(input.value));
+    const rtps = parseNumberList(document.getElementById('sweepRtps').value);
+    const bets = parseNumberList(document.getElementById('sweepBets').value);
+    const combos = buildSweepCombos({
+      gridSizes,
+      steps: parseStepList(document.getElementById('sweepSteps').value),
+      rtps,
+      bets
+    });
+
+    if (combos.length === 0) {
+      alert('Pick at least one grid, target step, RTP and bet size');
+      return;
+    }
+    if (combos.length > SWEEP_MAX_COMBOS) {
+      alert(`${combos.length.toLocaleString()} combinations - narrow the ranges (max ${SWEEP_MAX_COMBOS.toLocaleString()})`);
+      return;
+    }
+
+    // Everything except the swept parameters comes from the main form
+    const base = readSimulationForm();
+    base.rounds = parseInt(document.getElementById('sweepRounds').value);
+    if (base.startBalance < Math.max(...bets)) {
+      alert('Starting balance must be at least equal to the largest bet');
+      return;
+    }
+    const workers = document.getElementById('workerPool').checked
+      ? Math.max(1, navigator.hardwareConcurrency || 1)
+      : 1;
+
+    rows = [];
+    resultsEl.style.display = 'none';
+    setRunning(true);
+    progressEl.classList.remove('hidden');
+    setProgress(0, `Running ${combos.length} combinations...`);
+
+    const startTime = performance.now();
+    activeJob = startSweepJob(combos, base, {
+      workers,
+      onResult: (row, index) => {
+        rows.push(row);
+        refresh();
+        setProgress((index + 1) / combos.length, `Running... ${index + 1} / ${combos.length} combinations`);
+      },
+      onProgress: (fraction) => {
+        progressFillEl.style.width = (fraction * 100).toFixed(1) + '%';
+      }
+    });
+
+    activeJob.promise
+      .then(({ cancelled, seed }) => {
+        const duration = ((performance.now() - startTime) / 1000).toFixed(2);
+        const done = `${rows.length} / ${combos.length} combinations in ${duration}s · seed ${seed}`;
+        setProgress(rows.length / combos.length, cancelled ? `✗ Cancelled after ${done}` : `✓ Completed ${done}`);
+      })
+      .catch((error) => {
+        console.error('Sweep error:', error);
+        alert('Sweep failed: ' + error.message);
+        setProgress(0, '✗ Error occurred');
+      })
+      .finally(() => {
+        activeJob = null;
+        setRunning(false);
+      });
+  });
+
+  cancelBtn.addEventListener('click', () => {
+    if (!activeJob) return;
+    cancelBtn.disabled = true;
+    activeJob.cancel();
+  });
+});
+
+const DotsSweep = {
+  SWEEP_COLUMNS,
+  SWEEP_MAX_COMBOS,
+  parseNumberList,
+  parseStepList,
+  buildSweepCombos,
+  startSweepJob,
+  sortSweepRows
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DotsSweep;
+} else {
+  window.DotsSweep = DotsSweep;
+}
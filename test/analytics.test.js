@@ -0,0 +1,107 @@
+// test/analytics.test.js
+// Exact round math against the simulator, and the risk-of-ruin approximation.
+// Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalCdf, getRoundStats, getRtpTable, getRiskOfRuin, compareWithSimulation } = require("../analytics.js");
+const { runSimulation, ROUND_LOG_COLUMNS } = require("../simulation.js");
+const { GameMath } = require("../engine.js");
+
+/**
+ * Mean and variance per unit bet of a simulation's round log
+ */
+function sampleMoments(stats, bet) {
+  const payout = ROUND_LOG_COLUMNS.indexOf("payout");
+  const returns = stats.roundLog.map((entry) => entry[payout] / bet);
+  const mean = returns.reduce((total, value) => total + value, 0) / returns.length;
+  const variance = returns.reduce((total, value) => total + (value - mean) ** 2, 0) / (returns.length - 1);
+  return { mean, variance };
+}
+
+test("RTP and variance of a 3x3 round match the simulator", () => {
+  const rounds = 20000;
+  [[1, 1], [1, 3], [2, 4]].forEach(([stopPoints, targetStep]) => {
+    const stats = runSimulation({ rounds, startBalance: rounds * 100, bet: 100, gridSize: 3, stopPoints, targetStep, logRounds: rounds, seed: `analytic-${targetStep}` });
+    const round = getRoundStats(3, stopPoints, targetStep, undefined, 100);
+    const { mean, variance } = sampleMoments(stats, 100);
+    const where = `${stopPoints} stop-point(s), step ${targetStep}`;
+
+    // Four standard errors of the mean, and of the variance of a two-valued payout
+    assert.ok(Math.abs(mean - round.rtp) < 4 * round.stdDev / Math.sqrt(rounds), `${where}: RTP ${mean} vs ${round.rtp}`);
+    const p = round.winProbability;
+    const varianceError = round.multiplier ** 2 * Math.abs(1 - 2 * p) * Math.sqrt(p * (1 - p) / rounds) + 1e-3;
+    assert.ok(Math.abs(variance - round.variance) < 4 * varianceError, `${where}: variance ${variance} vs ${round.variance}`);
+    assert.equal(stats.rtp, stats.totalWon / stats.totalWagered);
+
+    const check = compareWithSimulation(stats, round, 0.999);
+    assert.ok(check.rtp.pass && check.hitRate.pass, JSON.stringify(check));
+  });
+});
+
+test("the exact stats follow the step math", () => {
+  const round = getRoundStats(3, 1, 2);
+  assert.ok(Math.abs(round.winProbability - 7 / 9) < 1e-12);
+  assert.ok(Math.abs(round.multiplier - 0.94 * 9 / 7) < 1e-12);
+  assert.ok(Math.abs(round.rtp - 0.94) < 1e-12);
+  assert.ok(Math.abs(round.variance - (7 / 9) * (0.94 * 9 / 7) ** 2 + 0.94 ** 2) < 1e-12);
+  assert.ok(Math.abs(round.edge - 0.06) < 1e-12);
+
+  const table = getRtpTable(4, 2);
+  assert.equal(table.length, GameMath.getMaxStep(4, 2));
+  table.forEach((row, i) => {
+    assert.equal(row.targetStep, i + 1);
+    assert.ok(Math.abs(row.rtp - 0.94) < 1e-9);
+    if (i > 0) assert.ok(row.winProbability < table[i - 1].winProbability && row.variance > table[i - 1].variance);
+  });
+});
+
+test("a payout cap cashes the round out early in the exact stats too", () => {
+  const profile = GameMath.createMathProfile({ maxProfit: 10 });
+  // 100 at step 2 (1.2086×) would win 20.86: the cap ends the round there at 110
+  const round = getRoundStats(3, 1, 5, profile, 100);
+  assert.deepEqual([round.cashoutStep, round.capped, round.multiplier], [2, true, 1.1]);
+  assert.ok(Math.abs(round.rtp - 7 / 9 * 1.1) < 1e-12);
+});
+
+test("risk of ruin stays in range and follows the bankroll and horizon", () => {
+  const round = getRoundStats(4, 2, 3);
+  const risk = (bankroll, rounds) => getRiskOfRuin({ bankroll, bet: 1, round, rounds });
+  assert.equal(risk(0, 100), 1);
+  assert.equal(risk(100), 1, "a house edge ruins every bankroll eventually");
+  assert.equal(risk(100, 0), 0);
+  assert.ok(risk(50, 1000) > risk(100, 1000));
+  assert.ok(risk(100, 2000) > risk(100, 1000));
+
+  const playerEdge = { ...round, rtp: 1.05 };
+  const eventual = getRiskOfRuin({ bankroll: 20, bet: 1, round: playerEdge });
+  assert.ok(eventual > 0 && eventual < 1);
+  assert.ok(getRiskOfRuin({ bankroll: 20, bet: 1, round: playerEdge, rounds: 1e9 }) <= eventual + 1e-9);
+  assert.equal(getRiskOfRuin({ bankroll: 10, bet: 1, round: { rtp: 0.9, variance: 0 }, rounds: 150 }), 1);
+  assert.equal(getRiskOfRuin({ bankroll: 10, bet: 1, round: { rtp: 0.9, variance: 0 }, rounds: 50 }), 0);
+});
+
+test("risk of ruin is close to how often simulated sessions go broke", () => {
+  const round = getRoundStats(4, 2, 3);
+  const sessions = 400;
+  const warn = console.warn;
+  console.warn = () => {};
+  let ruined = 0;
+  try {
+    for (let i = 0; i < sessions; i++) {
+      const stats = runSimulation({ rounds: 1500, startBalance: 100, bet: 1, gridSize: 4, targetStep: 3, seed: `ruin-${i}` });
+      if (stats.endBalance < 1) ruined++;
+    }
+  } finally {
+    console.warn = warn;
+  }
+  const expected = getRiskOfRuin({ bankroll: 100, bet: 1, round, rounds: 1500 });
+  // Two standard errors of 400 sessions, plus a point or two for the diffusion approximation
+  assert.ok(Math.abs(ruined / sessions - expected) < 0.06, `${ruined / sessions} broke, expected ${expected}`);
+});
+
+test("normalCdf matches the standard normal table", () => {
+  [[0, 0.5], [1, 0.841345], [-1.96, 0.024998], [2.5758, 0.995]].forEach(([x, p]) => {
+    assert.ok(Math.abs(normalCdf(x) - p) < 1e-5, `Φ(${x})`);
+  });
+});
@@ -0,0 +1,75 @@
+// test/autobet.test.js
+// Auto-bet strategies: bet adjustment, stop conditions and bet limits. Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_STRATEGY, STRATEGY_PRESETS, normalizeStrategy, createAutoBetRunner } = require("../autobet.js");
+
+const WIN = (bet) => ({ bet, payout: +(bet * 2).toFixed(2) });
+const LOSS = (bet) => ({ bet, payout: 0 });
+
+test("on win and on loss reset the bet or change it by a percentage", () => {
+  const martingale = createAutoBetRunner(STRATEGY_PRESETS.martingale.strategy, { baseBet: 1, baseTarget: 3 });
+  assert.deepEqual([LOSS(1), LOSS(2), LOSS(4)].map((round) => martingale.record(round).bet), [2, 4, 8]);
+  assert.equal(martingale.record(WIN(8)).bet, 1);
+
+  const paroli = createAutoBetRunner(STRATEGY_PRESETS.paroli.strategy, { baseBet: 1, baseTarget: 3 });
+  assert.deepEqual([WIN(1), WIN(2)].map((round) => paroli.record(round).bet), [2, 4]);
+  assert.equal(paroli.record(LOSS(4)).bet, 1);
+
+  const decrease = createAutoBetRunner({ onLoss: { action: "increase", percent: -25 } }, { baseBet: 10, baseTarget: 1 });
+  assert.deepEqual([LOSS(10), LOSS(7.5)].map((round) => decrease.record(round).bet), [7.5, 5.63]);
+});
+
+test("adjusted bets stay within the min and max bet", () => {
+  const runner = createAutoBetRunner(STRATEGY_PRESETS.martingale.strategy, { baseBet: 100, baseTarget: 1, minBet: 0.1, maxBet: 300 });
+  assert.equal(runner.record(LOSS(100)).bet, 200);
+  assert.equal(runner.record(LOSS(200)).bet, 300);
+  assert.equal(runner.record(LOSS(300)).bet, 300);
+
+  const shrinking = createAutoBetRunner({ onLoss: { action: "increase", percent: -1000 } }, { baseBet: 1, baseTarget: 1, minBet: 0.1 });
+  assert.equal(shrinking.record(LOSS(1)).bet, 0.1);
+});
+
+test("the sequence stops at its profit target, its loss limit or a big single win", () => {
+  const profit = createAutoBetRunner({ stopOnProfit: 2 }, { baseBet: 1, baseTarget: 1 });
+  assert.equal(profit.record(WIN(1)).stop, null);
+  assert.equal(profit.record(WIN(1)).stop, "profit");
+  assert.equal(profit.netProfit, 2);
+
+  const loss = createAutoBetRunner({ stopOnLoss: 3 }, { baseBet: 1, baseTarget: 1 });
+  assert.deepEqual([LOSS(1), LOSS(1), LOSS(1)].map((round) => loss.record(round).stop), [null, null, "loss"]);
+
+  // The threshold is what the round won above its bet: 10 back on a bet of 9 is a 1 win
+  const singleWin = createAutoBetRunner({ stopOnSingleWin: 5 }, { baseBet: 9, baseTarget: 1 });
+  assert.equal(singleWin.record({ bet: 9, payout: 10 }).stop, null);
+  assert.equal(singleWin.record({ bet: 9, payout: 13.99 }).stop, null);
+  assert.equal(singleWin.record({ bet: 9, payout: 14 }).stop, "singleWin");
+  assert.equal(singleWin.record(LOSS(9)).stop, null);
+});
+
+test("a run of losses switches the target step until the next win", () => {
+  const runner = createAutoBetRunner({ switchTarget: { afterLosses: 2, targetStep: 1 } }, { baseBet: 1, baseTarget: 4 });
+  assert.deepEqual([LOSS(1), LOSS(1), LOSS(1)].map((round) => runner.record(round).targetStep), [4, 1, 1]);
+  assert.equal(runner.lossStreak, 3);
+  assert.equal(runner.record(WIN(1)).targetStep, 4);
+  assert.equal(runner.lossStreak, 0);
+});
+
+test("saved or typed strategies are completed and cleaned", () => {
+  assert.deepEqual(normalizeStrategy(null), DEFAULT_STRATEGY);
+  assert.deepEqual(normalizeStrategy({
+    onWin: { action: "double", percent: 50 },
+    onLoss: { action: "increase", percent: "x" },
+    stopOnProfit: -5,
+    stopOnLoss: "12",
+    switchTarget: { afterLosses: 2.7, targetStep: 0 }
+  }), {
+    onWin: { action: "reset", percent: 50 },
+    onLoss: { action: "increase", percent: 0 },
+    stopOnProfit: 0,
+    stopOnLoss: 12,
+    stopOnSingleWin: 0,
+    switchTarget: { afterLosses: 2, targetStep: 1 }
+  });
+});
@@ -0,0 +1,63 @@
+// test/autopath.test.js
+// Planned auto-mode routes under every path rule. Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { AUTO_PATH_PRESETS, normalizeAutoPath, getPlannedRoute, pickRouteNode } = require("../autopath.js");
+const { DotsEngine, GameMath, PathRules } = require("../engine.js");
+const DotsRng = require("../rng.js");
+
+const GRID_SIZES = Object.keys(GameMath.CONFIG.grids).map(Number);
+const PLANNED = Object.keys(AUTO_PATH_PRESETS).filter((preset) => AUTO_PATH_PRESETS[preset].build);
+
+test("every planned preset visits each node of the board once", () => {
+  PLANNED.forEach((preset) => {
+    GRID_SIZES.forEach((gridSize) => {
+      const route = getPlannedRoute({ preset, custom: {} }, gridSize);
+      assert.deepEqual(route.slice().sort((a, b) => a - b), [...Array(gridSize * gridSize).keys()], `${preset} ${gridSize}x${gridSize}`);
+    });
+  });
+  assert.deepEqual(getPlannedRoute({ preset: "spiral", custom: {} }, 3), [0, 1, 2, 5, 8, 7, 6, 3, 4]);
+  assert.deepEqual(getPlannedRoute({ preset: "snake", custom: {} }, 3), [0, 1, 2, 5, 4, 3, 6, 7, 8]);
+  assert.deepEqual(getPlannedRoute({ preset: "corners", custom: {} }, 3), [0, 2, 8, 6, 1, 5, 7, 3, 4]);
+});
+
+test("routes followed as auto mode does give legal, non-repeating moves under every path rule", () => {
+  PLANNED.concat("custom").forEach((preset) => {
+    const autoPath = normalizeAutoPath({ preset, custom: { 4: [5, 6, 10, 9, 0, 15] } });
+    GRID_SIZES.forEach((gridSize) => {
+      Object.keys(PathRules).forEach((connectionRule) => {
+        [false, true].forEach((noCrossing) => {
+          const where = `${preset} ${gridSize}x${gridSize} ${connectionRule}${noCrossing ? " no crossing" : ""}`;
+          const engine = new DotsEngine({ balance: 10, gridSize, connectionRule, noCrossing, rng: DotsRng.createSeededRng(1) });
+          engine.placeBet(1);
+          engine.stopPointIds = []; // Every pick is safe, so the route is followed to its end
+          const route = getPlannedRoute(autoPath, gridSize);
+
+          let nodeId = pickRouteNode(route, engine.pathNodeIds, engine.getLegalMoves());
+          while (engine.active && nodeId !== null && engine.stepIndex < GameMath.getMaxStep(gridSize)) {
+            assert.ok(engine.isValidNextNode(nodeId), `${where}: node ${nodeId} after ${engine.pathNodeIds}`);
+            engine.step(nodeId);
+            nodeId = engine.active ? pickRouteNode(route, engine.pathNodeIds, engine.getLegalMoves()) : null;
+          }
+          assert.equal(new Set(engine.pathNodeIds).size, engine.pathNodeIds.length, where);
+          assert.ok(engine.pathNodeIds.every((id) => route.includes(id)), where);
+          if (route.length > 0) assert.equal(engine.pathNodeIds[0], route[0], where);
+        });
+      });
+    });
+  });
+});
+
+test("a route stops offering nodes when none of its nodes is allowed", () => {
+  assert.equal(pickRouteNode([0, 1, 2], [0], [1, 2]), 1);
+  assert.equal(pickRouteNode([0, 1, 2], [0, 1], [5]), null);
+  assert.equal(pickRouteNode([], [], [0, 1]), null);
+});
+
+test("saved auto path settings keep only drawn routes that fit their board", () => {
+  assert.deepEqual(normalizeAutoPath({ preset: "zigzag", custom: { 3: [0, 4, 4, 9, 1.5, 8], 4: [], x: [1] } }),
+    { preset: "random", custom: { 3: [0, 4, 8] } });
+  assert.deepEqual(getPlannedRoute(normalizeAutoPath({ preset: "custom", custom: { 3: [4, 0] } }), 4), []);
+  assert.deepEqual(getPlannedRoute(normalizeAutoPath({ preset: "random" }), 4), []);
+});
@@ -0,0 +1,152 @@
+// test/board.test.js
+// Board helpers without the canvas: keyboard cursor, screen-reader descriptions, taps
+// and play speeds.
+// Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { DotsEngine } = require("../engine.js");
+const DotsRng = require("../rng.js");
+const {
+  PLAY_SPEEDS, CURSOR_MOVES, moveBoardCursor, describeBoardNode, describeCursorNode, describeStopPointLayout,
+  isTapRelease, getTapAction, getPlaySpeedTiming
+} = require("../board.js");
+
+const { ArrowUp, ArrowDown, ArrowLeft, ArrowRight } = CURSOR_MOVES;
+
+test("the first arrow key shows the cursor at the end of the path, or mid-board", () => {
+  assert.equal(moveBoardCursor(null, ArrowRight, 3, []), 4);
+  assert.equal(moveBoardCursor(null, ArrowRight, 4, []), 10);
+  assert.equal(moveBoardCursor(null, ArrowDown, 4, [0, 5, 6]), 6);
+});
+
+test("arrow keys move one dot and stop at the edges", () => {
+  assert.equal(moveBoardCursor(4, ArrowUp, 3, []), 1);
+  assert.equal(moveBoardCursor(4, ArrowDown, 3, []), 7);
+  assert.equal(moveBoardCursor(4, ArrowLeft, 3, []), 3);
+  assert.equal(moveBoardCursor(4, ArrowRight, 3, []), 5);
+  assert.equal(moveBoardCursor(0, ArrowUp, 3, []), 0);
+  assert.equal(moveBoardCursor(0, ArrowLeft, 3, []), 0);
+  assert.equal(moveBoardCursor(2, ArrowRight, 3, []), 2);
+  assert.equal(moveBoardCursor(8, ArrowDown, 3, []), 8);
+  assert.equal(moveBoardCursor(5, [0, 0], 3, [1]), 5);
+});
+
+test("dots are read out by row and column", () => {
+  assert.equal(describeBoardNode(0, 4), "Row 1, column 1");
+  assert.equal(describeBoardNode(6, 4), "Row 2, column 3");
+  assert.equal(describeBoardNode(24, 5), "Row 5, column 5");
+  assert.equal(describeStopPointLayout([7], 3), "Stop-point was at row 3, column 2.");
+  assert.equal(describeStopPointLayout([0, 15], 4), "Stop-points were at row 1, column 1; row 4, column 4.");
+});
+
+test("the cursor's dot says what it is to the round", () => {
+  const round = { stopPointIds: [8], startNodeId: 0, pathNodeIds: [0, 1], canConnect: (nodeId) => nodeId === 2 };
+  assert.equal(describeCursorNode(8, 3, round), "Row 3, column 3, stop-point");
+  assert.equal(describeCursorNode(0, 3, round), "Row 1, column 1, start of the path");
+  assert.equal(describeCursorNode(1, 3, round), "Row 1, column 2, connected");
+  assert.equal(describeCursorNode(2, 3, round), "Row 1, column 3, can connect");
+  assert.equal(describeCursorNode(4, 3, round), "Row 2, column 2, cannot connect");
+  assert.equal(describeCursorNode(4, 3, { ...round, canConnect: null }), "Row 2, column 2");
+});
+
+test("arrow keys reach every dot the engine lets the path take", () => {
+  const engine = new DotsEngine({ balance: 100, gridSize: 5, connectionRule: "king", rng: DotsRng.createSeededRng("board") });
+  engine.placeBet(1);
+  engine.stopPointIds = [0, 4, 20]; // Corners, away from the start
+  engine.step(12);
+  const round = { stopPointIds: [], startNodeId: 12, pathNodeIds: [12], canConnect: (nodeId) => engine.isValidNextNode(nodeId) };
+
+  assert.deepEqual(engine.getLegalMoves(), [6, 7, 8, 11, 13, 16, 17, 18]);
+  engine.getLegalMoves().forEach((target) => {
+    let cursor = moveBoardCursor(null, ArrowUp, 5, round.pathNodeIds);
+    for (let i = 0; i < 8 && cursor !== target; i++) {
+      const rowMove = Math.sign(Math.floor(target / 5) - Math.floor(cursor / 5));
+      cursor = moveBoardCursor(cursor, rowMove ? [rowMove, 0] : [0, Math.sign(target % 5 - cursor % 5)], 5, round.pathNodeIds);
+    }
+    assert.equal(cursor, target);
+    assert.match(describeCursorNode(cursor, 5, round), /, can connect$/);
+  });
+});
+
+test("a tap is a short press released on the dot it started on", () => {
+  assert.equal(isTapRelease({ nodeId: 4, longPress: false }, 4), true);
+  assert.equal(isTapRelease({ nodeId: 0, longPress: false }, 0), true);
+  assert.equal(isTapRelease({ nodeId: 4, longPress: true }, 4), false);
+  assert.equal(isTapRelease({ nodeId: 4, longPress: false }, 5), false);
+  assert.equal(isTapRelease({ nodeId: 4, longPress: false }, null), false);
+  assert.equal(isTapRelease({ nodeId: null, longPress: false }, null), false);
+  assert.equal(isTapRelease(null, 4), false);
+});
+
+test("taps connect at once, or select first when taps need confirming", () => {
+  assert.equal(getTapAction(4, { canConnect: true, confirmTaps: false, tapCandidate: null }), "connect");
+  assert.equal(getTapAction(4, { canConnect: false, confirmTaps: false, tapCandidate: null }), "clear");
+
+  assert.equal(getTapAction(4, { canConnect: true, confirmTaps: true, tapCandidate: null }), "select");
+  assert.equal(getTapAction(4, { canConnect: true, confirmTaps: true, tapCandidate: 4 }), "connect");
+  assert.equal(getTapAction(5, { canConnect: true, confirmTaps: true, tapCandidate: 4 }), "select");
+  assert.equal(getTapAction(5, { canConnect: false, confirmTaps: true, tapCandidate: 4 }), "clear");
+});
+
+test("tapping dots one after another only ever connects legal moves", () => {
+  [false, true].forEach((confirmTaps) => {
+    const engine = new DotsEngine({ balance: 100, gridSize: 4, connectionRule: "orthogonal", rng: DotsRng.createSeededRng("taps") });
+    engine.placeBet(1);
+    engine.stopPointIds = [12, 15];
+    let tapCandidate = null;
+    const connected = [];
+
+    const tap = (nodeId) => {
+      const canConnect = engine.isValidNextNode(nodeId);
+      const action = getTapAction(nodeId, { canConnect, confirmTaps, tapCandidate });
+      tapCandidate = action === "select" ? nodeId : null;
+      if (action === "connect") {
+        assert.ok(canConnect);
+        connected.push(nodeId);
+        engine.step(nodeId);
+      }
+      return action;
+    };
+
+    // Tap every dot in order, confirming selections with a second tap
+    [...Array(16).keys()].forEach((nodeId) => {
+      if (!engine.active) return;
+      if (tap(nodeId) === "select") assert.equal(tap(nodeId), "connect");
+    });
+
+    // Along the top and down the right edge into the stop-point; every other tap is refused
+    assert.deepEqual(connected, [0, 1, 2, 3, 7, 11, 15]);
+    assert.deepEqual(engine.pathNodeIds, connected);
+    assert.equal(engine.active, false);
+  });
+});
+
+test("faster play speeds shorten every delay, and instant skips the animations", () => {
+  const { normal, turbo, instant } = PLAY_SPEEDS;
+  Object.keys(normal).forEach((key) => {
+    assert.ok(turbo[key] < normal[key], `turbo ${key}`);
+    assert.ok(instant[key] <= turbo[key], `instant ${key}`);
+  });
+  assert.equal(instant.lineAnimation, 0);
+  assert.equal(instant.floatingMultiplier, 0);
+  assert.equal(instant.autoStepDelay, 0);
+  assert.ok(instant.autoBetDelay > 0, "a gap between auto bets keeps the outcome on screen");
+});
+
+test("reduced motion draws lines at once but keeps the speed's pace", () => {
+  assert.equal(getPlaySpeedTiming("normal", false), PLAY_SPEEDS.normal);
+  Object.keys(PLAY_SPEEDS).forEach((speed) => {
+    assert.deepEqual(getPlaySpeedTiming(speed, true), { ...PLAY_SPEEDS[speed], lineAnimation: 0 });
+  });
+  assert.equal(PLAY_SPEEDS.normal.lineAnimation, 400);
+});
+
+test("the play speed picker offers every speed", () => {
+  const html = fs.readFileSync(path.join(__dirname, "..", "index.html"), "utf8");
+  const select = /<select id="playSpeedSelect"[^>]*>([\s\S]*?)<\/select>/.exec(html)[1];
+  const options = [...select.matchAll(/<option value="(\w+)">/g)].map((match) => match[1]);
+  assert.deepEqual(options, Object.keys(PLAY_SPEEDS));
+});
@@ -0,0 +1,101 @@
+// test/charts.test.js
+// Chart data recorded by simulations and the helpers that turn it into balance fans and axes.
+// Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSimulationRun, runSimulation, mergeSimulationStats } = require("../simulation.js");
+const { getQuantile, getBalanceSeriesList, getPercentileSeries, getChartTicks } = require("../charts.js");
+
+const PARAMS = { rounds: 1000, startBalance: 1000, bet: 1, gridSize: 4, targetStep: 3, seed: "charts", record: true, seriesPoints: 50 };
+
+const sumCounts = (counts) => counts.reduce((total, count) => total + count, 0);
+const sumLengths = (counts) => counts.reduce((total, count, length) => total + count * length, 0);
+
+test("a recorded run samples its balance from the start to the last round", () => {
+  const stats = runSimulation(PARAMS);
+  const series = stats.balanceSeries;
+
+  assert.equal(series.length, 51);
+  assert.deepEqual(series[0], [0, 1000]);
+  assert.deepEqual(series.at(-1), [1000, stats.endBalance]);
+  assert.ok(series.every(([round], i) => i === 0 || round - series[i - 1][0] === 20));
+});
+
+test("steps and streak counts add up to the run's rounds, wins and losses", () => {
+  const stats = runSimulation(PARAMS);
+
+  assert.equal(sumCounts(stats.stepsHistogram), stats.totalRounds);
+  assert.equal(stats.stepsHistogram.length, PARAMS.targetStep + 1);
+  assert.equal(stats.stepsHistogram[PARAMS.targetStep], stats.wins);
+  assert.equal(sumLengths(stats.winStreaks), stats.wins);
+  assert.equal(sumLengths(stats.lossStreaks), stats.losses);
+  assert.equal(stats.lossStreaks.length - 1, stats.longestLosingStreak);
+});
+
+test("mid-run stats count the streak in progress and the latest balance", () => {
+  const run = createSimulationRun(PARAMS);
+  run.runRounds(333);
+  const stats = run.getStats();
+
+  assert.deepEqual(stats.balanceSeries.at(-1), [333, stats.endBalance]);
+  assert.equal(sumLengths(stats.winStreaks) + sumLengths(stats.lossStreaks), 333);
+});
+
+test("unrecorded runs leave the chart data out", () => {
+  const stats = runSimulation({ ...PARAMS, record: false });
+  assert.equal(stats.balanceSeries, undefined);
+  assert.equal(stats.lossStreaks, undefined);
+  assert.equal(sumCounts(stats.stepsHistogram), stats.totalRounds);
+});
+
+test("merged sessions keep a balance series each and add up their counts", () => {
+  const parts = ["a", "b", "c"].map((seed) => runSimulation({ ...PARAMS, seed }));
+  const merged = mergeSimulationStats(parts, { average: true });
+
+  assert.deepEqual(getBalanceSeriesList(merged), parts.map((part) => part.balanceSeries));
+  assert.deepEqual(getBalanceSeriesList(parts[0]), [parts[0].balanceSeries]);
+  assert.deepEqual(getBalanceSeriesList({}), []);
+  assert.equal(sumCounts(merged.stepsHistogram), 3000);
+  assert.equal(sumLengths(merged.lossStreaks), parts.reduce((total, part) => total + part.losses, 0));
+});
+
+test("quantiles interpolate between neighbouring values", () => {
+  const sorted = [10, 20, 30, 40, 50];
+  assert.equal(getQuantile(sorted, 0), 10);
+  assert.equal(getQuantile(sorted, 0.5), 30);
+  assert.equal(getQuantile(sorted, 1), 50);
+  assert.equal(getQuantile(sorted, 0.1), 14);
+  assert.equal(getQuantile([7], 0.95), 7);
+});
+
+test("percentile paths hold a finished session at its last balance", () => {
+  const seriesList = [
+    [[0, 100], [10, 150], [20, 200]],
+    [[0, 100], [10, 50], [20, 0]],
+    [[0, 100], [5, 0]] // Broke at round 5
+  ];
+  const [low, median, high] = getPercentileSeries(seriesList, [0, 0.5, 1]);
+
+  assert.equal(median.length, 21);
+  assert.deepEqual(median[0], [0, 100]);
+  assert.deepEqual(low[5], [5, 0]);
+  assert.deepEqual(median[10], [10, 50]);
+  assert.deepEqual(high[20], [20, 200]);
+  assert.deepEqual(low[20], [20, 0]);
+});
+
+test("percentile paths take at most 200 round positions", () => {
+  const long = [[0, 100], [5000, 300], [10000, 200]];
+  const [median] = getPercentileSeries([long, long], [0.5]);
+  assert.equal(median.length, 201);
+  assert.deepEqual(median[100], [5000, 300]);
+  assert.deepEqual(median[200], [10000, 200]);
+});
+
+test("axis ticks fall on round 1, 2 or 5 steps", () => {
+  assert.deepEqual(getChartTicks(0, 100, 5), [0, 20, 40, 60, 80, 100]);
+  assert.deepEqual(getChartTicks(950, 1020, 4), [960, 980, 1000, 1020]);
+  assert.deepEqual(getChartTicks(-1, 1, 4), [-1, -0.5, 0, 0.5, 1]);
+  assert.deepEqual(getChartTicks(0, 3, 3), [0, 1, 2, 3]);
+});
@@ -0,0 +1,213 @@
+// test/engine.test.js
+// DotsEngine round rules. Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DotsEngine, GameMath } = require("../engine.js");
+const DotsRng = require("../rng.js");
+
+/**
+ * Engine with a round in play on a 3x3 board whose only stop-point is node 8
+ */
+function startRound(options = {}, bet = 100) {
+  const engine = new DotsEngine({ balance: 1000, gridSize: 3, rng: DotsRng.createSeededRng(1), ...options });
+  engine.placeBet(bet);
+  engine.stopPointIds = [8];
+  return engine;
+}
+
+test("step rejects node ids that are not integers", () => {
+  const engine = startRound();
+  for (const nodeId of [0.5, "3", NaN, null, undefined, Infinity]) {
+    assert.throws(() => engine.step(nodeId), /Invalid step/, `step(${String(nodeId)})`);
+  }
+  assert.deepEqual(engine.pathNodeIds, []);
+
+  engine.step(0);
+  for (const nodeId of [1.5, "1"]) {
+    assert.throws(() => engine.step(nodeId), /Invalid step/, `step(${String(nodeId)})`);
+  }
+  assert.deepEqual(engine.pathNodeIds, [0]);
+  assert.equal(engine.stepIndex, 1);
+});
+
+test("step rejects nodes off the board, revisits and moves the path rule forbids", () => {
+  const engine = startRound({ connectionRule: "orthogonal" });
+  assert.throws(() => engine.step(-1), /Invalid step/);
+  assert.throws(() => engine.step(9), /Invalid step/);
+  engine.step(0);
+  assert.throws(() => engine.step(0), /Invalid step/);
+  assert.throws(() => engine.step(4), /Invalid step/);
+  assert.deepEqual(engine.getLegalMoves(), [1, 3]);
+});
+
+test("a stop-point ends the round and keeps the bet", () => {
+  const engine = startRound();
+  assert.equal(engine.balance, 900);
+  engine.step(0);
+  const result = engine.step(8);
+  assert.equal(result.success, false);
+  assert.equal(engine.active, false);
+  assert.equal(engine.balance, 900);
+});
+
+test("cashout credits bet × multiplier in whole cents and returns what it credited", () => {
+  const engine = new DotsEngine({ balance: 10, gridSize: 4, rng: DotsRng.createSeededRng(1) });
+  engine.placeBet(1);
+  engine.stopPointIds = [15, 14];
+  [0, 1, 2, 3, 4].forEach((nodeId) => engine.step(nodeId));
+  const { payout, multiplier } = engine.cashout();
+  assert.notEqual(multiplier * 1, payout, "step 5 on 4x4 pays a fraction of a cent");
+  assert.equal(payout, +multiplier.toFixed(2));
+  assert.equal(engine.balance, +(9 + payout).toFixed(2));
+  assert.throws(() => engine.cashout(), /No round in progress/);
+});
+
+test("a path with no legal moves left is cashed out", () => {
+  const engine = startRound({ connectionRule: "knight" });
+  engine.stopPointIds = [0];
+  // The centre has no knight moves on 3x3
+  const result = engine.step(4);
+  assert.equal(result.deadEnd, true);
+  assert.equal(engine.active, false);
+  assert.ok(result.payout > 0);
+});
+
+test("a step whose win reaches maxPayout cashes out at the cap", () => {
+  const engine = startRound({ profile: GameMath.createMathProfile({ maxPayout: 600 }) }, 500);
+  const cashouts = [];
+  engine.on("cashout", (event) => cashouts.push(event));
+
+  // Step 1 pays 1.0575× (528.75); step 2 would pay 1.2086× (604.29), over the cap
+  assert.equal(engine.step(0).capped, false);
+  const result = engine.step(1);
+  assert.deepEqual([result.success, result.capped, result.deadEnd, result.payout], [true, true, false, 600]);
+  assert.equal(result.multiplier, 1.2);
+  assert.equal(engine.active, false);
+  assert.equal(engine.balance, 1100);
+  assert.deepEqual(cashouts.map(({ reason, payout }) => [reason, payout]), [["cap", 600]]);
+});
+
+test("a step whose profit reaches maxProfit cashes out at bet + maxProfit", () => {
+  const engine = startRound({ profile: GameMath.createMathProfile({ maxProfit: 10 }) });
+  assert.equal(engine.step(0).payout, undefined);
+  const result = engine.step(1);
+  assert.deepEqual([result.capped, result.payout, result.multiplier], [true, 110, 1.1]);
+  assert.equal(engine.balance, 1010);
+});
+
+test("with a bet, the step multiplier is clamped to what the cap pays", () => {
+  const profile = GameMath.createMathProfile({ maxPayout: 1000, maxProfit: 10 });
+  assert.ok(Math.abs(GameMath.getMultiplierForStep(2, 3, 1, profile) - 0.94 * 9 / 7) < 1e-12);
+  assert.equal(GameMath.getMultiplierForStep(2, 3, 1, profile, 100), 1.1);
+  assert.equal(GameMath.getMultiplierForStep(1, 3, 1, profile, 100), 0.94 * 9 / 8);
+  // maxPayout binds once bet + maxProfit is above it
+  assert.equal(GameMath.getMultiplierForStep(2, 3, 1, profile, 995), 1000 / 995);
+  assert.equal(GameMath.getPayoutCap(100, profile), 110);
+  assert.equal(GameMath.getPayoutCap(995, profile), 1000);
+});
+
+test("a bet the max payout does not pay above is refused", () => {
+  const profile = GameMath.createMathProfile({ maxPayout: 50 });
+  for (const bet of [100, 50]) {
+    const engine = new DotsEngine({ balance: 1000, gridSize: 3, profile, rng: DotsRng.createSeededRng(1) });
+    assert.throws(() => engine.placeBet(bet), /below the max payout of 50/, `bet ${bet}`);
+    assert.deepEqual([engine.active, engine.balance], [false, 1000]);
+  }
+  const engine = new DotsEngine({ balance: 1000, gridSize: 3, profile, rng: DotsRng.createSeededRng(1) });
+  engine.placeBet(49.99);
+  assert.equal(engine.active, true);
+});
+
+test("a profile whose maxPayout is not above the table's max bet does not validate", () => {
+  const errors = (changes) => GameMath.validateMathProfile(GameMath.createMathProfile(changes));
+  assert.deepEqual(errors({ maxPayout: 500 }), ["maxPayout must be above the table's max bet of 500"]);
+  assert.deepEqual(errors({ maxPayout: 500.01 }), []);
+  assert.deepEqual(GameMath.validateMathProfile(GameMath.createMathProfile({ maxPayout: 50 }), { maxBet: 20 }), []);
+});
+
+test("validateMathProfile reports every field, table and RTP problem", () => {
+  const errors = (changes, options) => GameMath.validateMathProfile(GameMath.createMathProfile(changes), options);
+  assert.deepEqual(errors({}), []);
+  assert.deepEqual(GameMath.validateMathProfile(null), ["Profile must be an object"]);
+  assert.deepEqual(errors({ name: " ", rtp: 1, rounding: { mode: "ceil", decimals: 7 }, maxMultiplier: 1, maxPayout: -1, maxProfit: "5" }), [
+    "name must be a non-empty string",
+    "rtp must be a number above 0 and at most 0.99",
+    "rounding.mode must be one of none, floor, round",
+    "rounding.decimals must be a whole number from 0 to 6",
+    "maxMultiplier must be null or a number above 1",
+    "maxPayout must be null or a positive amount",
+    "maxProfit must be null or a positive amount"
+  ]);
+  assert.deepEqual(errors({ rounding: { decimals: 1.5 } }), ["rounding.decimals must be a whole number from 0 to 6"]);
+  assert.deepEqual(errors({
+    grids: {
+      9: {},
+      3: { rtp: 0, multipliers: { 8: [1], 1: [1, 2] } },
+      4: { multipliers: { 2: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 11] } },
+      5: { multipliers: { 3: [0, ...Array(20).fill(1)] } }
+    }
+  }), [
+    "grids.3.rtp must be a number above 0 and at most 0.99",
+    "grids.3.multipliers.1: list exactly 7 multipliers (one per offered step)",
+    "grids.3.multipliers.8: stop-points must be 1-7",
+    "grids.4.multipliers.2: multipliers must be positive and must not decrease",
+    "grids.5.multipliers.3: multipliers must be positive and must not decrease",
+    "grids.9: unknown grid size"
+  ]);
+
+  // Step 7 on 3x3 with 1 stop-point wins 2 in 9 times: 4.5× is an RTP of 100%
+  assert.deepEqual(errors({ grids: { 3: { multipliers: { 1: [1.05, 1.2, 1.4, 1.6, 2, 2.5, 4.5] } } } }),
+    ["3x3, 1 stop-point, step 7: RTP 100% exceeds 99%"]);
+  assert.deepEqual(errors({}, { maxRtp: 0.9 }), [
+    "rtp must be a number above 0 and at most 0.9"
+  ]);
+  assert.equal(errors({ rtp: 0.9, grids: { 4: { rtp: 0.92 } } }, { maxRtp: 0.91 })[0], "grids.4.rtp must be a number above 0 and at most 0.91");
+});
+
+test("rounding floors or rounds every multiplier to the profile's decimals", () => {
+  // Step 2 on 3x3 with 1 stop-point: 0.94 × 9 / 7 = 1.20857…
+  const multiplier = (rounding) => GameMath.getMultiplierForStep(2, 3, 1, GameMath.createMathProfile({ rounding }));
+  assert.ok(Math.abs(multiplier({ mode: "none" }) - 0.94 * 9 / 7) < 1e-12);
+  assert.equal(multiplier({ mode: "floor", decimals: 2 }), 1.2);
+  assert.equal(multiplier({ mode: "round", decimals: 2 }), 1.21);
+  assert.equal(multiplier({ mode: "floor", decimals: 3 }), 1.208);
+  assert.equal(multiplier({ mode: "round", decimals: 3 }), 1.209);
+  assert.equal(multiplier({ mode: "round", decimals: 0 }), 1);
+  // Exact values survive floor despite float error (1.41 × 100 = 140.99999…)
+  const table = GameMath.createMathProfile({ rounding: { mode: "floor", decimals: 2 }, grids: { 3: { multipliers: { 1: [1.05, 1.2, 1.41, 1.6, 2, 2.5, 4] } } } });
+  assert.equal(GameMath.getMultiplierForStep(3, 3, 1, table), 1.41);
+});
+
+test("a grid's table and RTP override the computed multipliers, and maxMultiplier caps them", () => {
+  const profile = GameMath.createMathProfile({
+    maxMultiplier: 3,
+    grids: {
+      3: { multipliers: { 1: [1.05, 1.2, 1.4, 1.6, 2, 2.5, 4] } },
+      4: { rtp: 0.9 }
+    }
+  });
+  assert.deepEqual([1, 3, 6].map((step) => GameMath.getMultiplierForStep(step, 3, 1, profile)), [1.05, 1.4, 2.5]);
+  assert.equal(GameMath.getMultiplierForStep(7, 3, 1, profile), 3);
+  // Other stop-point counts on 3x3 keep the formula
+  assert.ok(Math.abs(GameMath.getMultiplierForStep(1, 3, 2, profile) - 0.94 * 9 / 7) < 1e-12);
+  assert.ok(Math.abs(GameMath.getMultiplierForStep(1, 4, 2, profile) - 0.9 * 16 / 14) < 1e-12);
+  assert.equal(GameMath.getMultiplierForStep(13, 4, 2, profile), 3);
+
+  const engine = new DotsEngine({ balance: 100, gridSize: 3, profile, rng: DotsRng.createSeededRng(1) });
+  engine.placeBet(10);
+  engine.stopPointIds = [8];
+  assert.equal(engine.step(0).multiplier, 1.05);
+});
+
+test("setMathProfile refuses an invalid profile and keeps the active one", (t) => {
+  const active = GameMath.getMathProfile();
+  t.after(() => GameMath.setMathProfile(active));
+  assert.throws(() => GameMath.setMathProfile({ name: "Greedy", rtp: 1.2 }),
+    /^Error: Invalid math profile "Greedy": rtp must be a number above 0 and at most 0.99$/);
+  assert.equal(GameMath.getMathProfile(), active);
+
+  const applied = GameMath.setMathProfile({ rtp: 0.96 });
+  assert.deepEqual([applied.name, applied.rtp, GameMath.getMathProfile()], ["Custom", 0.96, applied]);
+  assert.ok(Math.abs(GameMath.getMultiplierForStep(1, 3, 1) - 0.96 * 9 / 8) < 1e-12);
+});
@@ -0,0 +1,54 @@
+// test/fair.test.js
+// Provably fair hashing and layout derivation. Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const ProvablyFair = require("../fair.js");
+
+test("SHA-256 matches the FIPS 180-2 vectors", () => {
+  assert.equal(ProvablyFair.sha256Hex(""), "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855");
+  assert.equal(ProvablyFair.sha256Hex("abc"), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+  assert.equal(ProvablyFair.sha256Hex("abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq"),
+    "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1");
+});
+
+test("HMAC-SHA256 matches RFC 4231 and node:crypto", () => {
+  assert.equal(ProvablyFair.hmacSha256Hex("Jefe", "what do ya want for nothing?"),
+    "5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843");
+  // Keys longer than the 64-byte block are hashed first; multi-byte UTF-8 in the message
+  const key = "k".repeat(100);
+  const message = "client-seed:7:0 · ünïcode";
+  assert.equal(ProvablyFair.hmacSha256Hex(key, message),
+    crypto.createHmac("sha256", key).update(message).digest("hex"));
+});
+
+test("layouts follow the documented derivation", () => {
+  // Independent implementation of the scheme in fair.js: 4 bytes per float from
+  // HMAC(serverSeed, `${clientSeed}:${nonce}:${cursor}`), each picking one remaining cell
+  function derive(serverSeed, clientSeed, nonce, totalCells, stopPoints) {
+    const cells = Array.from({ length: totalCells }, (_, id) => id);
+    const drawn = [];
+    for (let i = 0; i < stopPoints; i++) {
+      const bytes = crypto.createHmac("sha256", serverSeed).update(`${clientSeed}:${nonce}:${Math.floor(i / 8)}`).digest();
+      const offset = (i % 8) * 4;
+      const float = bytes.readUInt32BE(offset) / 2 ** 32;
+      drawn.push(cells.splice(Math.floor(float * cells.length), 1)[0]);
+    }
+    return drawn;
+  }
+
+  assert.deepEqual(ProvablyFair.deriveStopPoints("server-seed", "client-seed", 0, 16, 2), [7, 11]);
+  assert.deepEqual(ProvablyFair.deriveStopPoints("server-seed", "client-seed", 1, 64, 10), [42, 12, 48, 46, 32, 57, 37, 35, 8, 6]);
+  for (let nonce = 0; nonce < 20; nonce++) {
+    assert.deepEqual(ProvablyFair.deriveStopPoints("server-seed", "client-seed", nonce, 64, 12),
+      derive("server-seed", "client-seed", nonce, 64, 12), `nonce ${nonce}`);
+  }
+});
+
+test("generated seeds are hex of the requested length and differ", () => {
+  const a = ProvablyFair.generateSeed();
+  assert.match(a, /^[0-9a-f]{64}$/);
+  assert.match(ProvablyFair.generateSeed(8), /^[0-9a-f]{16}$/);
+  assert.notEqual(ProvablyFair.generateSeed(), a);
+});
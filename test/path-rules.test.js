@@ -0,0 +1,60 @@
+// test/path-rules.test.js
+// Path rules leave the step odds and the RTP alone: how many moves are still reachable
+// never changes the chance that the next dot is safe. Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GameMath } = require("../engine.js");
+const { parseSimArgs, runSimConfig, checkRtp } = require("../sim.js");
+const { getRoundStats, getRoundStatsWithDeadEnds } = require("../analytics.js");
+
+// A bet of 100 keeps cent rounding out of the RTP, so every step pays the profile's 94%
+const BOARDS = [
+  ["--grid", "3", "--target", "3", "--rule", "knight"],
+  ["--grid", "4", "--target", "5", "--rule", "orthogonal"],
+  ["--grid", "4", "--target", "5", "--rule", "king", "--no-crossing"]
+];
+
+BOARDS.forEach((args) => {
+  test(`${args.join(" ")}: safe-step odds and RTP match the any-dot math`, () => {
+    const config = parseSimArgs([...args, "--rounds", "1e5", "--bet", "100", "--seed", "2026"]);
+    const stats = runSimConfig(config);
+    const deadEnds = stats.deadEndSteps.reduce((total, count) => total + count, 0);
+    assert.ok(deadEnds > 0, "the rule should run paths out of moves");
+
+    // Rounds ending on k - 1 safe steps dead-ended there or hit a stop-point on step k;
+    // every round that cleared k - 1 without a dead end picked a dot for step k
+    const histogram = stats.stepsHistogram;
+    let cleared = stats.totalRounds;
+    for (let step = 1; step <= config.targetStep; step++) {
+      const deadEnded = stats.deadEndSteps[step - 1] || 0;
+      const attempts = cleared - deadEnded;
+      const failed = (histogram[step - 1] || 0) - deadEnded;
+      cleared -= histogram[step - 1] || 0;
+      const expected = GameMath.getStepProbability(step, config.gridSize, config.stopPoints);
+      const observed = 1 - failed / attempts;
+      const error = Math.sqrt(expected * (1 - expected) / attempts);
+      assert.ok(Math.abs(observed - expected) < 4 * error,
+        `step ${step}: ${observed.toFixed(5)} safe, expected ${expected.toFixed(5)} ± ${(4 * error).toFixed(5)}`);
+    }
+
+    const check = checkRtp(stats, config);
+    assert.ok(Math.abs(check.expected - config.profile.rtp) < 1e-4, `expected RTP ${check.expected}`);
+    assert.ok(check.pass, JSON.stringify(check));
+  });
+});
+
+test("dead-end rates move where rounds cash out, not the RTP", () => {
+  const target = getRoundStats(4, 2, 5);
+  const free = getRoundStatsWithDeadEnds({ stepsHistogram: [10, 20, 30], deadEndSteps: [] }, 4, 2, 5);
+  assert.deepEqual([free.winProbability, free.rtp], [target.winProbability, target.rtp]);
+  assert.ok(Math.abs(free.variance - target.variance) < 1e-12);
+
+  // Half the paths that clear step 2 dead-end there
+  const stats = { stepsHistogram: [0, 0, 100, 0, 0, 100], deadEndSteps: [0, 0, 100] };
+  const mixed = getRoundStatsWithDeadEnds(stats, 4, 2, 5);
+  const step2 = getRoundStats(4, 2, 2);
+  assert.ok(Math.abs(mixed.winProbability - (step2.winProbability + target.winProbability) / 2) < 1e-12);
+  assert.ok(Math.abs(mixed.rtp - 0.94) < 1e-12);
+  assert.ok(mixed.stdDev < target.stdDev);
+});
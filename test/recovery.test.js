@@ -0,0 +1,124 @@
+// test/recovery.test.js
+// Rounds in play that outlive the page: snapshots, restores and resuming through a
+// transport. Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DotsEngine } = require("../engine.js");
+const { createLocalTransport, createRemoteTransport } = require("../transport.js");
+const { createRoundService } = require("../server.js");
+const DotsStorage = require("../storage.js");
+
+/**
+ * Local engine two safe steps into a 4x4 round, as the page saves it
+ */
+function playTwoSteps() {
+  const engine = new DotsEngine({ balance: 100, gridSize: 4, connectionRule: "king" });
+  engine.placeBet(10);
+  const [first, second] = [0, 1, 4, 5].filter((id) => !engine.stopPointIds.includes(id));
+  engine.step(first);
+  engine.step(second);
+  return engine;
+}
+
+test("a saved round comes back where it was, without charging the bet again", async () => {
+  const played = playTwoSteps();
+  const store = DotsStorage.createMemoryStore();
+  store.saveActiveRound({ round: played.getRoundSnapshot() });
+
+  const transport = createLocalTransport({ balance: played.balance });
+  assert.equal(await transport.resumeRound(store.loadActiveRound().round), true);
+  const { engine } = transport;
+  assert.equal(engine.active, true);
+  assert.equal(engine.balance, 90);
+  assert.deepEqual(engine.pathNodeIds, played.pathNodeIds);
+  assert.deepEqual([engine.gridSize, engine.connectionRule, engine.stepIndex, engine.multiplier],
+    [4, "king", 2, played.multiplier]);
+  assert.deepEqual(engine.getSeedInfo(), played.getSeedInfo());
+
+  const { payout } = await transport.cashout();
+  assert.equal(payout, +(10 * played.multiplier).toFixed(2));
+  assert.equal(engine.balance, +(90 + payout).toFixed(2));
+});
+
+test("a snapshot that does not add up is refused and leaves the engine as it was", () => {
+  const snapshot = playTwoSteps().getRoundSnapshot();
+  // Two safe nodes off the path: a layout these seeds did not derive
+  const otherLayout = [...Array(16).keys()]
+    .filter((id) => !snapshot.pathNodeIds.includes(id) && !snapshot.stopPointIds.includes(id))
+    .slice(0, 2);
+  const broken = [
+    { ...snapshot, bet: 0 },
+    { ...snapshot, gridSize: 9 },
+    { ...snapshot, pathNodeIds: [snapshot.stopPointIds[0]] },
+    { ...snapshot, pathNodeIds: [0, 0] },
+    { ...snapshot, pathNodeIds: [0, 15] },
+    { ...snapshot, pathNodeIds: [0.5] },
+    { ...snapshot, stopPointIds: [] },
+    { ...snapshot, stopPointIds: [snapshot.stopPointIds[0], snapshot.stopPointIds[0]] },
+    { ...snapshot, stopPointIds: [snapshot.stopPointIds[0], 16] },
+    { ...snapshot, stopPointIds: otherLayout },
+    { ...snapshot, nonce: snapshot.nonce + 1 },
+    { ...snapshot, seeds: { ...snapshot.seeds, serverSeed: "tampered" } },
+    { ...snapshot, seeds: null }
+  ];
+  broken.forEach((saved) => {
+    const engine = new DotsEngine({ balance: 90, gridSize: 3 });
+    const seeds = engine.getSeedInfo();
+    assert.throws(() => engine.restoreRound(saved), Error, JSON.stringify(saved));
+    assert.deepEqual([engine.active, engine.gridSize, engine.balance, engine.pathNodeIds, engine.stopPointIds], [false, 3, 90, [], []]);
+    assert.deepEqual(engine.getSeedInfo(), seeds);
+  });
+});
+
+test("a snapshot without seeds is checked against the engine's own", () => {
+  const played = playTwoSteps();
+  const { seeds, ...snapshot } = played.getRoundSnapshot();
+  const engine = new DotsEngine({ balance: 90 });
+  engine.restoreSeeds(seeds);
+  engine.restoreRound(snapshot);
+  assert.deepEqual([engine.active, engine.stopPointIds, engine.roundNonce], [true, played.stopPointIds, played.roundNonce]);
+});
+
+test("without a saved round nothing is resumed", async () => {
+  const transport = createLocalTransport({ balance: 100 });
+  assert.equal(await transport.resumeRound(null), false);
+  assert.equal(transport.engine.active, false);
+});
+
+test("a round server's round in play is resumed without its layout", async () => {
+  const service = createRoundService({ startBalance: 100 });
+  // fetch stand-in that answers from the service, like server.js does over HTTP
+  const fetch = (url, { method, headers, body }) => {
+    let status = 200;
+    let data;
+    try {
+      data = service.handle(method, new URL(url).pathname, headers["X-Player-Id"], body ? JSON.parse(body) : {});
+    } catch (error) {
+      status = error.status || 500;
+      data = { error: error.message };
+    }
+    return Promise.resolve({ ok: status === 200, status, json: () => Promise.resolve(data) });
+  };
+
+  const first = createRemoteTransport({ gridSize: 3 }, { apiUrl: "http://test", playerId: "p1", fetch });
+  await first.connect();
+  // New rounds until the centre start is safe (8 in 9 are)
+  let stepped = null;
+  for (let round = 0; round < 20 && !(stepped && stepped.success); round++) {
+    await first.placeBet(5);
+    stepped = await first.step(4);
+  }
+  assert.ok(stepped.success);
+  const balance = first.engine.balance;
+
+  const second = createRemoteTransport({ gridSize: 3 }, { apiUrl: "http://test", playerId: "p1", fetch });
+  await second.connect();
+  assert.equal(await second.resumeRound(), true);
+  assert.deepEqual([second.engine.active, second.engine.pathNodeIds, second.engine.stopPointIds], [true, [4], []]);
+  assert.equal(second.engine.balance, balance);
+
+  const { payout } = await second.cashout();
+  assert.equal(second.engine.stopPointIds.length, 1);
+  assert.equal(second.engine.balance, +(balance + payout).toFixed(2));
+});
@@ -0,0 +1,180 @@
+// test/server.test.js
+// Round protocol of the reference server. Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("node:net");
+const { createRoundService, createRoundServer } = require("../server.js");
+const { GameMath } = require("../engine.js");
+
+const START = { bet: 100, gridSize: 3, stopPoints: 1, connectionRule: "any", noCrossing: false, clientSeed: "test" };
+
+/**
+ * @returns {Object} { status, message } of the protocol error handle() throws
+ */
+function protocolError(service, method, path, body) {
+  try {
+    service.handle(method, path, "p1", body);
+  } catch (error) {
+    return { status: error.status, message: error.message };
+  }
+  assert.fail(`${method} ${path} ${JSON.stringify(body)} was accepted`);
+}
+
+test("a round plays through start, step and cashout", () => {
+  const service = createRoundService({ startBalance: 1000 });
+  const start = service.handle("POST", "/round/start", "p1", START);
+  assert.equal(start.balance, 900);
+
+  const step = service.handle("POST", "/round/step", "p1", { roundId: start.roundId, nodeId: 0 });
+  if (!step.success) {
+    // Start node was the stop-point (1 in 9): the round is over and the layout revealed
+    assert.deepEqual([step.ended, step.reason, step.stopPointIds], [true, "fail", [0]]);
+    return;
+  }
+
+  const cashout = service.handle("POST", "/round/cashout", "p1", { roundId: start.roundId });
+  assert.equal(cashout.balance, +(900 + cashout.payout).toFixed(2));
+  assert.equal(cashout.stopPointIds.length, 1);
+  assert.equal(service.handle("GET", "/balance", "p1", {}).activeRound, null);
+});
+
+test("steps to node ids that are not integers are refused", () => {
+  const service = createRoundService({ startBalance: 1000 });
+  const { roundId } = service.handle("POST", "/round/start", "p1", START);
+  for (const nodeId of [0.5, 1.5, "3", null, undefined]) {
+    assert.equal(protocolError(service, "POST", "/round/step", { roundId, nodeId }).status, 400, `nodeId ${String(nodeId)}`);
+  }
+  const round = service.handle("GET", "/balance", "p1", {}).activeRound;
+  assert.deepEqual(round.pathNodeIds, []);
+  assert.equal(service.handle("GET", "/balance", "p1", {}).balance, 900);
+});
+
+test("round ids must be integers", () => {
+  const service = createRoundService({ startBalance: 1000 });
+  const { roundId } = service.handle("POST", "/round/start", "p1", START);
+  assert.equal(protocolError(service, "POST", "/round/step", { roundId: String(roundId), nodeId: 0 }).status, 400);
+  assert.equal(protocolError(service, "POST", "/round/cashout", {}).status, 400);
+  assert.equal(protocolError(service, "POST", "/round/step", { roundId: roundId + 1, nodeId: 0 }).status, 404);
+});
+
+test("a start body with fields of the wrong type is refused", () => {
+  const service = createRoundService({ startBalance: 1000 });
+  const bodies = [
+    { ...START, bet: "100" },
+    { ...START, bet: 0.105 },
+    { ...START, bet: NaN },
+    { ...START, gridSize: "3" },
+    { ...START, stopPoints: 1.5 },
+    { ...START, connectionRule: "constructor" },
+    { ...START, clientSeed: 42 }
+  ];
+  bodies.forEach((body) => {
+    assert.equal(protocolError(service, "POST", "/round/start", body).status, 400, JSON.stringify(body));
+  });
+  assert.equal(service.handle("GET", "/balance", "p1", {}).balance, 1000);
+});
+
+test("a body that is not a JSON object is refused with 400", () => {
+  const service = createRoundService({ startBalance: 1000 });
+  for (const body of [null, [], "x", 3]) {
+    assert.equal(protocolError(service, "POST", "/round/step", body).status, 400, JSON.stringify(body));
+    assert.equal(protocolError(service, "POST", "/round/start", body).status, 400, JSON.stringify(body));
+  }
+});
+
+test("a step that reaches the payout cap ends the round as capped", (t) => {
+  // The server plays the active profile, as after `node server.js --profile`
+  GameMath.setMathProfile({ maxPayout: 600 });
+  t.after(() => GameMath.setMathProfile(GameMath.DEFAULT_MATH_PROFILE));
+  const service = createRoundService({ startBalance: 100000 });
+
+  // New rounds until nodes 0 and 1 are both safe (7 in 9 layouts): 500 × 1.2086 is over 600
+  let step = null;
+  for (let round = 0; round < 20 && !(step && step.success); round++) {
+    const { roundId } = service.handle("POST", "/round/start", "p1", { ...START, bet: 500 });
+    step = service.handle("POST", "/round/step", "p1", { roundId, nodeId: 0 });
+    if (step.success) step = service.handle("POST", "/round/step", "p1", { roundId, nodeId: 1 });
+  }
+  assert.ok(step.success);
+  assert.deepEqual([step.capped, step.ended, step.reason, step.payout, step.multiplier], [true, true, "cap", 600, 1.2]);
+  assert.equal(step.stopPointIds.length, 1);
+  assert.equal(step.balance, service.handle("GET", "/balance", "p1", {}).balance);
+  assert.equal(service.handle("GET", "/balance", "p1", {}).activeRound, null);
+});
+
+test("a second start while a round is in play is refused with 409", () => {
+  const service = createRoundService({ startBalance: 1000 });
+  service.handle("POST", "/round/start", "p1", START);
+  assert.equal(protocolError(service, "POST", "/round/start", START).status, 409);
+});
+
+test("HTTP: only the game's own files are served", async (t) => {
+  const server = createRoundServer({ startBalance: 1000 });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const get = (path) => fetch(`http://127.0.0.1:${server.address().port}${path}`);
+
+  for (const path of ["/", "/index.html", "/engine.js", "/theme.json"]) {
+    assert.equal((await get(path)).status, 200, path);
+  }
+  for (const path of ["/.git/config", "/server.js", "/requests.jsonl", "/test/server.test.js", "/%2e%2e/etc/passwd", "/nope.js"]) {
+    assert.equal((await get(path)).status, 404, path);
+  }
+
+  const malformed = await get("/%E0%A4%A");
+  assert.equal(malformed.status, 400);
+  assert.deepEqual(await malformed.json(), { error: "Malformed URL" });
+});
+
+test("HTTP: malformed JSON bodies are answered with 400", async (t) => {
+  const server = createRoundServer({ startBalance: 1000 });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const post = (path, body) => fetch(`http://127.0.0.1:${server.address().port}${path}`, { method: "POST", body });
+
+  for (const body of ["null", "{", "[1]", "\"x\""]) {
+    const response = await post("/round/step", body);
+    assert.equal(response.status, 400, body);
+    assert.ok((await response.json()).error, body);
+  }
+  assert.equal((await post("/round/start", JSON.stringify(START))).status, 200);
+});
+
+test("HTTP: a request target that is not a URL is answered with 400", async (t) => {
+  const server = createRoundServer({ startBalance: 1000 });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  // fetch cannot send this target, so write the request by hand
+  const reply = await new Promise((resolve, reject) => {
+    const socket = net.connect(port, "127.0.0.1", () => {
+      socket.end("GET http://[ HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n");
+    });
+    let text = "";
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk) => { text += chunk; });
+    socket.on("end", () => resolve(text));
+    socket.on("error", reject);
+  });
+  assert.match(reply, /^HTTP\/1\.1 400 /);
+  assert.match(reply, /\r\n\{"error":"Malformed URL"\}\r\n/);
+  assert.equal((await fetch(`http://127.0.0.1:${port}/balance`)).status, 200);
+});
+
+test("HTTP: an oversized body is answered with 400 before the connection closes", async (t) => {
+  const server = createRoundServer({ startBalance: 1000 });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  for (const size of [20 * 1024, 1024 * 1024]) {
+    const response = await fetch(`${url}/round/start`, { method: "POST", body: JSON.stringify({ ...START, pad: "x".repeat(size) }) });
+    assert.equal(response.status, 400, `${size} bytes`);
+    assert.equal(response.headers.get("connection"), "close");
+    assert.deepEqual(await response.json(), { error: "Request body too large" });
+  }
+  const balance = await (await fetch(`${url}/balance`)).json();
+  assert.deepEqual([balance.balance, balance.activeRound], [1000, null]);
+});
@@ -0,0 +1,110 @@
+// test/sim-export.test.js
+// Simulation exports: a JSON export imports back to a config that repeats the run,
+// broken or incompatible files are refused, and the round log comes out as CSV.
+// Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GameMath } = require("../engine.js");
+const { DEFAULT_STRATEGY } = require("../autobet.js");
+const { ROUND_LOG_COLUMNS, startSimulationJob } = require("../simulation.js");
+const { buildSimulationExport, parseSimulationExport, getRoundLogCsv, getSimulationFileName } = require("../sim-export.js");
+
+const CONFIG = {
+  gridSize: 4,
+  stopPoints: 2,
+  connectionRule: "king",
+  noCrossing: true,
+  strategy: { ...DEFAULT_STRATEGY, onLoss: { action: "increase", percent: 50 } },
+  bet: 2,
+  targetStep: 3,
+  rounds: 1500,
+  startBalance: 1000,
+  profile: GameMath.createMathProfile({ name: "Review", rtp: 0.95, maxPayout: 5000 }),
+  seed: 42,
+  workers: 2,
+  runs: 1
+};
+
+/**
+ * Run a config as dev.html does: recorded, with a round log
+ * @returns {Promise<Object>} Final statistics
+ */
+async function runConfig({ workers, runs, ...params }) {
+  const { stats } = await startSimulationJob({ ...params, record: true, logRounds: 20 }, { workers, runs }).promise;
+  return stats;
+}
+
+const exportText = (config, stats) => JSON.stringify(buildSimulationExport(config, stats));
+
+test("an imported export repeats the run it came from", async () => {
+  const stats = await runConfig(CONFIG);
+  const data = JSON.parse(exportText(CONFIG, stats));
+
+  assert.equal(data.format, "dots-simulation");
+  assert.equal(data.version, 2);
+  assert.equal(data.config.seed, "42");
+  assert.equal(data.result.roundLog, undefined);
+  assert.equal(data.result.roundLogList, undefined);
+
+  const config = parseSimulationExport(JSON.stringify(data));
+  assert.deepEqual(config, { ...CONFIG, seed: "42" });
+
+  const again = JSON.parse(exportText(config, await runConfig(config)));
+  assert.deepEqual(again.result, data.result);
+});
+
+test("imports fill in what older or sparser files leave out", () => {
+  const { profile, ...rest } = CONFIG;
+  const version1 = { format: "dots-simulation", version: 1, config: { ...rest, houseEdge: 0.9, strategy: undefined, noCrossing: "yes" } };
+  const config = parseSimulationExport(JSON.stringify(version1));
+
+  assert.equal(config.profile.rtp, 0.9);
+  assert.equal(config.profile.name, "RTP 0.9");
+  assert.equal(config.noCrossing, false);
+  assert.deepEqual(config.strategy, DEFAULT_STRATEGY);
+});
+
+test("files that are not usable exports are refused with the reason", () => {
+  const withConfig = (changes, data = {}) => JSON.stringify({
+    format: "dots-simulation", version: 2, ...data, config: { ...CONFIG, ...changes }
+  });
+  const cases = [
+    ["{ nope", "Not a JSON file"],
+    [JSON.stringify({ format: "other", config: CONFIG }), "Not a simulation export"],
+    [withConfig({}, { version: 3 }), "Export version 3 is newer than this page supports (2)"],
+    [withConfig({ gridSize: 9 }), "Unknown grid size: 9"],
+    [withConfig({ stopPoints: 0 }), /^Stop-points must be \d+-\d+ on a 4x4 grid$/],
+    [withConfig({ connectionRule: "teleport" }), "Unknown path rule: teleport"],
+    [withConfig({ targetStep: 99 }), /^Target step must be 1-\d+$/],
+    [withConfig({ bet: 2000 }), "Bet must be positive and no more than the starting balance"],
+    [withConfig({ rounds: 1.5 }), "Rounds, workers and runs must be positive whole numbers"],
+    [withConfig({ workers: 0 }), "Rounds, workers and runs must be positive whole numbers"],
+    [withConfig({ profile: { name: "Greedy", rtp: 1.2 } }), /^Invalid math profile: /],
+    [withConfig({ seed: "" }), "The export has no seed, so the run cannot be repeated"]
+  ];
+
+  cases.forEach(([text, message]) => {
+    assert.throws(() => parseSimulationExport(text), message instanceof RegExp ? { message } : new Error(message));
+  });
+});
+
+test("the round log exports as CSV with a session column", async () => {
+  const stats = await runConfig({ ...CONFIG, workers: 1 });
+  const lines = getRoundLogCsv(stats).trimEnd().split("\n");
+
+  assert.equal(lines[0], ["session", ...ROUND_LOG_COLUMNS].join(","));
+  assert.equal(lines.length, 21);
+  assert.equal(lines[1], ["1", ...stats.roundLog[0]].join(","));
+
+  const pooled = await runConfig(CONFIG);
+  const sessions = getRoundLogCsv(pooled).trimEnd().split("\n").slice(1).map((line) => line.split(",")[0]);
+  assert.deepEqual([...new Set(sessions)], ["1", "2"]);
+
+  assert.equal(getRoundLogCsv({ totalRounds: 10 }), null);
+});
+
+test("file names carry the grid, target step and a filesystem-safe seed", () => {
+  assert.equal(getSimulationFileName(CONFIG, "json"), "dots-sim-4x4-step3-seed42.json");
+  assert.equal(getSimulationFileName({ ...CONFIG, seed: "math review/#7" }, "csv"), "dots-sim-4x4-step3-seedmath_review_7.csv");
+});
@@ -0,0 +1,89 @@
+// test/sim-worker.test.js
+// Simulation jobs: chunked runs, the worker's messages, pools and cancelling.
+// Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { createSimulationRun, runSimulation, mergeSimulationStats, startSimulationJob } = require("../simulation.js");
+
+const PARAMS = { rounds: 3000, startBalance: 3000, bet: 1, gridSize: 4, targetStep: 3, seed: "worker" };
+
+/**
+ * Run sim-worker.js as a browser would: its own global, with importScripts and postMessage
+ * @returns {Object} { post(data), messages }
+ */
+function loadWorker() {
+  const messages = [];
+  const scope = vm.createContext({ console, performance });
+  scope.self = scope;
+  scope.importScripts = (...files) => files.forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, "..", file), "utf8"), scope, { filename: file });
+  });
+  scope.postMessage = (message) => messages.push(JSON.parse(JSON.stringify(message)));
+  vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "sim-worker.js"), "utf8"), scope, { filename: "sim-worker.js" });
+  return { post: (data) => scope.onmessage({ data }), messages };
+}
+
+test("a run played in chunks ends where one pass does", () => {
+  const run = createSimulationRun(PARAMS);
+  const totals = [];
+  while (!run.done) {
+    run.runRounds(700);
+    totals.push(run.getStats().totalRounds);
+  }
+  assert.deepEqual(totals, [700, 1400, 2100, 2800, 3000]);
+  assert.deepEqual(run.getStats(), runSimulation(PARAMS));
+});
+
+test("the worker answers a run with its final statistics, or an error", () => {
+  const worker = loadWorker();
+  worker.post({ type: "run", params: PARAMS, chunkSize: 500 });
+  const last = worker.messages[worker.messages.length - 1];
+  assert.equal(last.type, "done");
+  assert.deepEqual(last.stats, JSON.parse(JSON.stringify(runSimulation(PARAMS))));
+  worker.messages.slice(0, -1).forEach((message) => {
+    assert.equal(message.type, "progress");
+    assert.ok(message.stats.totalRounds < PARAMS.rounds && !message.stats.done);
+  });
+
+  worker.post({ type: "run", params: { ...PARAMS, gridSize: 9 }, chunkSize: 500 });
+  assert.equal(worker.messages[worker.messages.length - 1].type, "error");
+  const count = worker.messages.length;
+  worker.post({ type: "ping" });
+  assert.equal(worker.messages.length, count);
+});
+
+test("a job reports rising progress and a single session matches runSimulation", async () => {
+  const fractions = [];
+  const job = startSimulationJob(PARAMS, { chunkSize: 1000, onProgress: (stats, fraction) => fractions.push(fraction) });
+  const { stats, cancelled } = await job.promise;
+  assert.equal(cancelled, false);
+  assert.equal(job.seed, "worker");
+  assert.deepEqual(fractions, [1 / 3, 2 / 3, 1]);
+  assert.deepEqual(stats, runSimulation(PARAMS));
+});
+
+test("a worker pool splits the rounds over seeded sessions and merges them", async () => {
+  const { stats } = await startSimulationJob({ ...PARAMS, rounds: 1000 }, { workers: 3 }).promise;
+  assert.equal(stats.totalRounds, 1000);
+  assert.equal(stats.seed, "worker-1, worker-2, worker-3");
+  const sessions = [[334, "worker-1"], [333, "worker-2"], [333, "worker-3"]]
+    .map(([rounds, seed]) => runSimulation({ ...PARAMS, rounds, seed }));
+  assert.deepEqual(stats, mergeSimulationStats(sessions));
+});
+
+test("cancelling keeps the statistics reported so far", async () => {
+  let job = null;
+  job = startSimulationJob({ ...PARAMS, rounds: 100000 }, {
+    chunkSize: 1000,
+    onProgress: (stats) => {
+      if (stats.totalRounds >= 2000) job.cancel();
+    }
+  });
+  const { stats, cancelled } = await job.promise;
+  assert.equal(cancelled, true);
+  assert.equal(stats.totalRounds, 2000);
+});
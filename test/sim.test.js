@@ -0,0 +1,43 @@
+// test/sim.test.js
+// Command-line runner: arguments and the RTP check. Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSimArgs, runSimConfig, checkRtp } = require("../sim.js");
+const { getRoundStats } = require("../analytics.js");
+
+test("arguments fill in defaults and reject bad values", () => {
+  const config = parseSimArgs(["--grid", "4", "--rounds=1e3"]);
+  assert.equal(config.gridSize, 4);
+  assert.equal(config.rounds, 1000);
+  assert.equal(config.confidence, 0.99);
+  assert.equal(config.tolerance, null);
+
+  assert.throws(() => parseSimArgs(["--grid", "9"]), /--grid/);
+  assert.throws(() => parseSimArgs(["--confidence", "0.5"]), /--confidence/);
+  assert.throws(() => parseSimArgs(["--tolerance", "-1"]), /--tolerance/);
+  assert.throws(() => parseSimArgs(["--bogus"]), /Unknown option/);
+});
+
+test("the RTP check expects what the engine credits, in whole cents", () => {
+  // Step 5 on 4x4 pays 2.0508× at a bet of 1: the engine credits 2.05
+  const config = parseSimArgs(["--grid", "4", "--target", "5", "--rounds", "2e4", "--seed", "42"]);
+  const check = checkRtp(runSimConfig(config), config);
+  const round = getRoundStats(4, 2, 5, config.profile);
+  assert.ok(Math.abs(round.rtp - 0.94) < 1e-9);
+  assert.equal(check.expected, round.winProbability * 2.05);
+  assert.ok(check.pass, JSON.stringify(check));
+});
+
+test("the tolerance is the confidence interval, narrowing as the run grows", () => {
+  const small = parseSimArgs(["--rounds", "2e3", "--seed", "1"]);
+  const large = parseSimArgs(["--rounds", "2e4", "--seed", "1"]);
+  const smallCheck = checkRtp(runSimConfig(small), small);
+  const largeCheck = checkRtp(runSimConfig(large), large);
+  assert.equal(smallCheck.confidence, 0.99);
+  assert.ok(largeCheck.tolerance < smallCheck.tolerance / 2);
+
+  const fixed = parseSimArgs(["--rounds", "2e3", "--seed", "1", "--tolerance", "0.001"]);
+  const fixedCheck = checkRtp(runSimConfig(fixed), fixed);
+  assert.deepEqual([fixedCheck.tolerance, fixedCheck.confidence], [0.001, null]);
+});
@@ -0,0 +1,19 @@
+// test/simulation.test.js
+// Simulator statistics against the balance the engine keeps. Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runSimulation } = require("../simulation.js");
+
+test("total won is what the engine credited", () => {
+  const stats = runSimulation({ rounds: 20000, startBalance: 20000, bet: 1, gridSize: 4, targetStep: 5, seed: 42 });
+  assert.equal(stats.totalRounds, 20000);
+  const credited = stats.endBalance - stats.startBalance + stats.totalWagered;
+  assert.ok(Math.abs(stats.totalWon - credited) < 1e-6, `won ${stats.totalWon}, credited ${credited}`);
+  assert.equal(stats.rtp, stats.totalWon / stats.totalWagered);
+});
+
+test("a seed repeats a run", () => {
+  const params = { rounds: 2000, startBalance: 2000, bet: 1, gridSize: 5, targetStep: 4, connectionRule: "king", seed: "abc" };
+  assert.deepEqual(runSimulation(params), runSimulation(params));
+});
@@ -0,0 +1,204 @@
+// test/sound.test.js
+// Sound engine against a recording stand-in for Web Audio: pitch, volume, mute and
+// which notes each cue plays. Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SOUND_CONFIG, clampVolume, getStepFrequency, createSoundEngine } = require("../sound.js");
+
+/**
+ * AudioParam that records its scheduled values
+ */
+function createParam(value = 0) {
+  const param = { value, events: [] };
+  param.setValueAtTime = (v, time) => param.events.push(["set", v, time]);
+  param.exponentialRampToValueAtTime = (v, time) => param.events.push(["ramp", v, time]);
+  return param;
+}
+
+/**
+ * AudioContext stand-in: every context it creates is kept in FakeAudioContext.instances
+ */
+class FakeAudioContext {
+  constructor() {
+    this.state = "suspended";
+    this.currentTime = 10;
+    this.sampleRate = 100;
+    this.destination = { node: "destination" };
+    this.oscillators = [];
+    this.sources = [];
+    this.gains = [];
+    this.buffers = 0;
+    this.resumes = 0;
+    FakeAudioContext.instances.push(this);
+  }
+
+  resume() {
+    this.resumes++;
+    this.state = "running";
+    return Promise.resolve();
+  }
+
+  createGain() {
+    const node = { gain: createParam(1), connect: (target) => { node.target = target; } };
+    this.gains.push(node);
+    return node;
+  }
+
+  createOscillator() {
+    const node = {
+      type: null,
+      frequency: createParam(),
+      connect: (target) => { node.target = target; },
+      start: (time) => { node.startTime = time; },
+      stop: (time) => { node.stopTime = time; }
+    };
+    this.oscillators.push(node);
+    return node;
+  }
+
+  createBufferSource() {
+    const node = { connect() {}, start: (time) => { node.startTime = time; }, stop() {} };
+    this.sources.push(node);
+    return node;
+  }
+
+  createBiquadFilter() {
+    return { type: null, frequency: createParam(), connect() {} };
+  }
+
+  createBuffer(channels, length) {
+    this.buffers++;
+    const data = new Float32Array(length);
+    return { getChannelData: () => data };
+  }
+}
+FakeAudioContext.instances = [];
+
+/**
+ * Sound engine on a fresh fake context, unlocked as a first click would
+ * @returns {Object} { sound, audio, master }
+ */
+function createUnlockedSound(options = {}) {
+  FakeAudioContext.instances = [];
+  const sound = createSoundEngine({ ...options, AudioContext: FakeAudioContext });
+  sound.unlock();
+  const audio = FakeAudioContext.instances[0];
+  return { sound, audio, master: audio.gains[0] };
+}
+
+/** Peak level each note's envelope ramps up to */
+const peakGains = (audio) => audio.gains.slice(1).map((envelope) => envelope.gain.events[1][1]);
+
+test("volume is clamped to 0-1", () => {
+  assert.equal(clampVolume(0.4), 0.4);
+  assert.equal(clampVolume(1.5), 1);
+  assert.equal(clampVolume(-0.2), 0);
+  assert.equal(clampVolume(NaN), 0);
+  assert.equal(clampVolume("0.5"), 0);
+  assert.equal(createSoundEngine({ volume: 3 }).volume, 1);
+});
+
+test("the step tone climbs two octaves from the first step to the top multiplier", () => {
+  const base = SOUND_CONFIG.stepBaseFrequency;
+  assert.equal(getStepFrequency(1, 20), base);
+  assert.ok(Math.abs(getStepFrequency(20, 20) - base * 4) < 1e-9);
+  assert.ok(Math.abs(getStepFrequency(Math.sqrt(20), 20) - base * 2) < 1e-9);
+  assert.equal(getStepFrequency(50, 20), getStepFrequency(20, 20));
+  assert.equal(getStepFrequency(0.5, 20), base);
+  assert.ok(Number.isFinite(getStepFrequency(1, 1)));
+
+  const climb = [1.2, 1.5, 2, 4, 8].map((multiplier) => getStepFrequency(multiplier, 8));
+  assert.ok(climb.every((frequency, i) => i === 0 || frequency > climb[i - 1]));
+});
+
+test("without Web Audio every call does nothing", () => {
+  const sound = createSoundEngine({ volume: 0.5 });
+  sound.unlock();
+  sound.playStep(2, 10);
+  sound.playTick();
+  sound.playFail();
+  sound.playCashout();
+  sound.setVolume(0.2);
+  sound.setMuted(true);
+  assert.equal(sound.volume, 0.2);
+  assert.equal(sound.muted, true);
+});
+
+test("audio starts on the first gesture and stays silent until then", () => {
+  FakeAudioContext.instances = [];
+  const sound = createSoundEngine({ volume: 0.5, AudioContext: FakeAudioContext });
+  assert.equal(FakeAudioContext.instances.length, 0);
+
+  sound.playStep(2, 10);
+  const audio = FakeAudioContext.instances[0];
+  assert.equal(audio.oscillators.length, 0, "suspended context plays nothing");
+
+  sound.unlock();
+  sound.unlock();
+  assert.equal(FakeAudioContext.instances.length, 1);
+  assert.equal(audio.resumes, 1);
+  sound.playTick();
+  assert.equal(audio.oscillators.length, 1);
+});
+
+test("the master gain follows volume and mute, and muted or silent engines play nothing", () => {
+  const { sound, audio, master } = createUnlockedSound({ volume: 0.6, muted: true });
+  assert.equal(master.target, audio.destination);
+  assert.equal(master.gain.value, 0);
+
+  sound.playCashout();
+  assert.equal(audio.oscillators.length, 0);
+
+  sound.setMuted(false);
+  assert.equal(master.gain.value, 0.6);
+  sound.setVolume(0.25);
+  assert.equal(master.gain.value, 0.25);
+
+  sound.setVolume(0);
+  sound.playStep(2, 10);
+  assert.equal(audio.oscillators.length, 0);
+});
+
+test("a step plays a rising tone with an octave overtone, pitched to the multiplier", () => {
+  const { sound, audio, master } = createUnlockedSound();
+  sound.playStep(4, 16);
+
+  const frequency = getStepFrequency(4, 16);
+  const [tone, overtone] = audio.oscillators;
+  assert.equal(audio.oscillators.length, 2);
+  assert.deepEqual(tone.frequency.events, [["set", frequency, 10], ["ramp", frequency * 1.5, 10.18]]);
+  assert.deepEqual(overtone.frequency.events, [["set", frequency * 2, 10.03]]);
+  assert.equal(tone.startTime, 10);
+  assert.ok(audio.oscillators.every((oscillator) => oscillator.target.target === master));
+});
+
+test("fail is a noise burst over a thump, cashout a three-note chime; auto mode plays them quieter", () => {
+  const { sound, audio } = createUnlockedSound();
+  sound.playFail();
+  sound.playFail({ quiet: true });
+  assert.equal(audio.sources.length, 2);
+  assert.equal(audio.buffers, 1, "noise is built once");
+  assert.deepEqual(audio.oscillators.map((oscillator) => oscillator.frequency.events[0][1]), [120, 120]);
+
+  const loud = createUnlockedSound();
+  loud.sound.playCashout();
+  const quiet = createUnlockedSound();
+  quiet.sound.playCashout({ quiet: true });
+
+  const notes = loud.audio.oscillators.filter((oscillator) => oscillator.type === "sine");
+  assert.deepEqual(notes.map((oscillator) => oscillator.frequency.events[0][1]), SOUND_CONFIG.chimeFrequencies);
+  assert.deepEqual(notes.map((oscillator) => +(oscillator.startTime - 10).toFixed(2)), [0, 0.07, 0.14]);
+  peakGains(quiet.audio).forEach((gain, i) => {
+    assert.ok(Math.abs(gain - peakGains(loud.audio)[i] * SOUND_CONFIG.quietGain) < 1e-12);
+  });
+});
+
+test("an auto-mode tick is one short click", () => {
+  const { sound, audio } = createUnlockedSound();
+  sound.playTick();
+  const [click] = audio.oscillators;
+  assert.equal(audio.oscillators.length, 1);
+  assert.equal(click.type, "square");
+  assert.ok(click.stopTime - click.startTime < 0.1);
+});
@@ -0,0 +1,142 @@
+// test/storage.test.js
+// Stores and what survives a reload. Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const DotsStorage = require("../storage.js");
+const { createLocalTransport } = require("../transport.js");
+const ProvablyFair = require("../fair.js");
+
+/**
+ * localStorage stand-in that outlives the stores built on it, like a browser across reloads
+ */
+function createBacking() {
+  const items = {};
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: (key) => { delete items[key]; }
+  };
+}
+
+test("wallet, settings, ledger, round in play and seeds round-trip", () => {
+  const backing = createBacking();
+  const store = DotsStorage.createLocalStore(backing);
+  store.saveWallet({ balance: 12.34 });
+  store.saveSettings({ bet: 2, gridSize: 5 });
+  const first = store.appendRound({ bet: 1, status: "active" });
+  store.appendRound({ bet: 2, status: "fail" });
+  store.updateRound(first.id, { status: "cashout", payout: 1.5 });
+  store.saveActiveRound({ ledgerId: 2 });
+  store.saveSeeds({ serverSeed: "s", nonce: 3 });
+
+  const reloaded = DotsStorage.createLocalStore(backing);
+  assert.deepEqual(reloaded.loadWallet(), { balance: 12.34 });
+  assert.deepEqual(reloaded.loadSettings(), { bet: 2, gridSize: 5 });
+  assert.deepEqual(reloaded.getRounds(), [
+    { bet: 1, status: "cashout", payout: 1.5, id: 1 },
+    { bet: 2, status: "fail", id: 2 }
+  ]);
+  assert.deepEqual(reloaded.loadActiveRound(), { ledgerId: 2 });
+  assert.deepEqual(reloaded.loadSeeds(), { serverSeed: "s", nonce: 3 });
+
+  reloaded.saveActiveRound(null);
+  assert.equal(reloaded.loadActiveRound(), null);
+  reloaded.clear();
+  assert.deepEqual(backing.items, {});
+});
+
+test("the ledger keeps its newest rounds and skips a corrupt value", () => {
+  const backing = createBacking();
+  const store = DotsStorage.createLocalStore(backing, { maxRounds: 2 });
+  [1, 2, 3].forEach((bet) => store.appendRound({ bet }));
+  assert.deepEqual(store.getRounds().map((round) => round.id), [2, 3]);
+
+  backing.items["connectDots.wallet"] = "{";
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(store.loadWallet(), null);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test("a batch update patches every matching round in one write", () => {
+  const backing = createBacking();
+  const store = DotsStorage.createLocalStore(backing);
+  [["a", null], ["b", null], ["a", null], ["a", "known"]].forEach(([serverSeedHash, serverSeed]) => {
+    store.appendRound({ serverSeedHash, serverSeed });
+  });
+
+  let writes = 0;
+  const setItem = backing.setItem;
+  backing.setItem = (key, value) => {
+    writes++;
+    setItem(key, value);
+  };
+  const updated = store.updateRounds((round) => round.serverSeedHash === "a" && !round.serverSeed, { serverSeed: "revealed" });
+
+  assert.equal(writes, 1);
+  assert.deepEqual(updated.map((round) => round.id), [1, 3]);
+  assert.deepEqual(store.getRounds().map((round) => round.serverSeed), ["revealed", null, "revealed", "known"]);
+
+  assert.deepEqual(store.updateRounds(() => false, { serverSeed: "x" }), []);
+  assert.equal(writes, 1, "nothing to update, nothing written");
+});
+
+test("a round played before a reload can be verified after it", async () => {
+  const backing = createBacking();
+  const engineOptions = { balance: 100, gridSize: 4 };
+
+  // First visit: play a round under the committed server seed
+  const first = createLocalTransport(engineOptions, { store: DotsStorage.createLocalStore(backing) });
+  await first.connect();
+  const committed = first.engine.getSeedInfo();
+  await first.placeBet(1);
+  const nonce = first.engine.roundNonce;
+  const stopPointIds = first.engine.stopPointIds.slice();
+  const startNode = [0, 1, 2].find((id) => !stopPointIds.includes(id));
+  await first.step(startNode);
+  await first.cashout();
+
+  // Reload: the same commitment, with the nonce where the first visit left it
+  const second = createLocalTransport(engineOptions, { store: DotsStorage.createLocalStore(backing) });
+  assert.notEqual(second.engine.getSeedInfo().serverSeedHash, committed.serverSeedHash);
+  await second.connect();
+  assert.equal(second.engine.getSeedInfo().serverSeedHash, committed.serverSeedHash);
+  assert.equal(second.engine.getSeedInfo().nonce, nonce + 1);
+
+  // Rotating reveals the seed, and the earlier round's layout follows from it
+  await second.rotateSeeds();
+  const { previous } = second.engine.getSeedInfo();
+  assert.equal(previous.serverSeedHash, committed.serverSeedHash);
+  assert.equal(ProvablyFair.sha256Hex(previous.serverSeed), committed.serverSeedHash);
+  assert.deepEqual(ProvablyFair.deriveStopPoints(previous.serverSeed, previous.clientSeed, nonce, 16, stopPointIds.length), stopPointIds);
+
+  // The new commitment is saved for the next visit
+  const third = createLocalTransport(engineOptions, { store: DotsStorage.createLocalStore(backing) });
+  await third.connect();
+  assert.deepEqual(third.engine.getSeedInfo(), second.engine.getSeedInfo());
+});
+
+test("saved seeds that do not match their hash are replaced", async () => {
+  const backing = createBacking();
+  const store = DotsStorage.createLocalStore(backing);
+  const transport = createLocalTransport({ balance: 100 }, { store });
+  await transport.connect();
+  store.saveSeeds({ ...store.loadSeeds(), serverSeed: "tampered" });
+
+  const warn = console.warn;
+  console.warn = () => {};
+  const reloaded = createLocalTransport({ balance: 100 }, { store });
+  try {
+    await reloaded.connect();
+  } finally {
+    console.warn = warn;
+  }
+  const saved = store.loadSeeds();
+  assert.equal(ProvablyFair.sha256Hex(saved.serverSeed), saved.serverSeedHash);
+  assert.equal(saved.serverSeedHash, reloaded.engine.getSeedInfo().serverSeedHash);
+});
@@ -0,0 +1,91 @@
+// test/sweep.test.js
+// Parameter sweep: parsing the ranges, building combinations, running and sorting them.
+// Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GameMath } = require("../engine.js");
+const { runSimulation } = require("../simulation.js");
+const { parseNumberList, parseStepList, buildSweepCombos, startSweepJob, sortSweepRows } = require("../sweep.js");
+
+const BASE = { rounds: 500, startBalance: 1000, seed: "sweep" };
+
+test("number lists keep valid, positive, unique values in input order", () => {
+  assert.deepEqual(parseNumberList("5, 1, 25"), [5, 1, 25]);
+  assert.deepEqual(parseNumberList("0.97, abc, -1, 0, 0.97, 0.9"), [0.97, 0.9]);
+  assert.deepEqual(parseNumberList(""), []);
+});
+
+test("step lists take ranges and single steps; blank or 'all' means every step", () => {
+  assert.deepEqual(parseStepList("1-3, 8, 2"), [1, 2, 3, 8]);
+  assert.deepEqual(parseStepList("5-2"), [5]);
+  assert.deepEqual(parseStepList("0, x, 4"), [4]);
+  assert.equal(parseStepList(""), null);
+  assert.equal(parseStepList(" All "), null);
+});
+
+test("combinations cover every grid, RTP, bet and step up to each grid's max", () => {
+  const combos = buildSweepCombos({ gridSizes: [3, 4], steps: [1, 7, 8], rtps: [0.9, 0.97], bets: [1, 5] });
+
+  // 3x3 stops at step 7, 4x4 goes further
+  assert.equal(combos.length, 2 * 2 * 2 + 3 * 2 * 2);
+  assert.ok(combos.every((combo) => combo.stopPoints === GameMath.getGridConfig(combo.gridSize).stopPoints));
+  assert.ok(!combos.some((combo) => combo.gridSize === 3 && combo.targetStep === 8));
+
+  const combo = combos.find((c) => c.gridSize === 4 && c.profileRtp === 0.9);
+  assert.equal(combo.profile.rtp, 0.9);
+  assert.equal(combo.profile.name, "RTP 0.9");
+  assert.deepEqual(combo.profile.grids, {});
+
+  const every = buildSweepCombos({ gridSizes: [3], steps: null, rtps: [0.97], bets: [1] });
+  assert.deepEqual(every.map((c) => c.targetStep), [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test("a sweep runs each combination on the shared seed", async () => {
+  const combos = buildSweepCombos({ gridSizes: [3], steps: [1, 3], rtps: [0.97], bets: [1, 10] });
+  const results = [];
+  const progress = [];
+  const job = startSweepJob(combos, BASE, {
+    onResult: (row, index) => results.push(index),
+    onProgress: (fraction) => progress.push(fraction)
+  });
+  const { rows, cancelled, seed } = await job.promise;
+
+  assert.equal(cancelled, false);
+  assert.equal(seed, "sweep");
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(progress.at(-1), 1);
+  rows.forEach((row, index) => {
+    const stats = runSimulation({ ...BASE, ...combos[index] });
+    assert.equal(row.totalRounds, stats.totalRounds);
+    assert.equal(row.rtp, stats.rtp);
+    assert.equal(row.winRate, stats.winRate);
+    assert.equal(row.longestLosingStreak, stats.longestLosingStreak);
+    assert.equal(row.multiplier, GameMath.getMultiplierForStep(row.targetStep, 3, 1, row.profile, row.bet));
+  });
+
+  const again = await startSweepJob(combos, BASE).promise;
+  assert.deepEqual(again.rows.map((row) => row.rtp), rows.map((row) => row.rtp));
+});
+
+test("a sweep without a seed picks one and reports it", async () => {
+  const combos = buildSweepCombos({ gridSizes: [3], steps: [2], rtps: [0.97], bets: [1] });
+  const { seed } = await startSweepJob(combos, { ...BASE, seed: "" }).promise;
+  assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 0x100000000);
+});
+
+test("a cancelled sweep keeps the rows it finished", async () => {
+  const combos = buildSweepCombos({ gridSizes: [3], steps: [1, 2, 3], rtps: [0.97], bets: [1] });
+  let job;
+  job = startSweepJob(combos, BASE, { onResult: (row, index) => index === 0 && job.cancel() });
+  const { rows, cancelled } = await job.promise;
+  assert.equal(cancelled, true);
+  assert.equal(rows.length, 1);
+});
+
+test("rows sort by any column in either direction without touching the input", () => {
+  const rows = [{ rtp: 0.95 }, { rtp: 0.99 }, { rtp: 0.9 }];
+  assert.deepEqual(sortSweepRows(rows, "rtp", 1).map((row) => row.rtp), [0.9, 0.95, 0.99]);
+  assert.deepEqual(sortSweepRows(rows, "rtp", -1).map((row) => row.rtp), [0.99, 0.95, 0.9]);
+  assert.deepEqual(rows.map((row) => row.rtp), [0.95, 0.99, 0.9]);
+});
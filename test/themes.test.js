@@ -0,0 +1,126 @@
+// test/themes.test.js
+// Skins: partial themes over Neon, the built-in presets, validation and the page palette.
+// Run every check with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  NEON_THEME, THEME_PRESETS, createTheme, getThemePreset, toRgbChannels, validateTheme, getThemeChoices, applyThemeToDocument
+} = require("../themes.js");
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Dotted paths of every value in a theme, e.g. "nodes.idle.center"
+ */
+function getLeafPaths(theme, prefix = "") {
+  return Object.keys(theme).flatMap((key) => isPlainObject(theme[key])
+    ? getLeafPaths(theme[key], `${prefix}${key}.`)
+    : [`${prefix}${key}`]);
+}
+
+const getValue = (theme, leafPath) => leafPath.split(".").reduce((value, key) => value && value[key], theme);
+
+test("a theme without overrides is a copy of Neon that does not share its objects", () => {
+  const theme = createTheme();
+  assert.deepEqual(theme, NEON_THEME);
+  theme.nodes.idle.center = "#000000";
+  theme.palette.accent = "#000000";
+  assert.equal(NEON_THEME.nodes.idle.center, "#a855f7");
+  assert.equal(NEON_THEME.palette.accent, "#a855f7");
+});
+
+test("overrides merge key by key; lists and plain values are replaced whole", () => {
+  const theme = createTheme({
+    name: "Operator",
+    nodes: { shape: "square", idle: { center: "#123456" } },
+    board: { background: ["#111111", "#222222", "#333333"] },
+    particles: { sparks: [] }
+  });
+
+  assert.equal(theme.name, "Operator");
+  assert.equal(theme.nodes.shape, "square");
+  assert.deepEqual(theme.nodes.idle, { ...NEON_THEME.nodes.idle, center: "#123456" });
+  assert.deepEqual(theme.nodes.path, NEON_THEME.nodes.path);
+  assert.deepEqual(theme.board.background, ["#111111", "#222222", "#333333"]);
+  assert.equal(theme.board.gridLine, NEON_THEME.board.gridLine);
+  assert.deepEqual(theme.particles.sparks, []);
+  assert.deepEqual(theme.palette, NEON_THEME.palette);
+});
+
+test("every built-in theme and the shipped theme.json are valid and only name known values", () => {
+  const neonPaths = getLeafPaths(NEON_THEME);
+  const operator = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "theme.json"), "utf8"));
+
+  [...Object.values(THEME_PRESETS), operator].forEach((overrides) => {
+    getLeafPaths(overrides).forEach((leafPath) => assert.ok(neonPaths.includes(leafPath), `${overrides.name}: ${leafPath}`));
+    assert.deepEqual(validateTheme(createTheme(overrides)), [], overrides.name);
+  });
+  assert.deepEqual(validateTheme(NEON_THEME), []);
+  assert.equal(getThemePreset("neon").name, "Neon");
+  assert.equal(getThemePreset("light").name, "Light");
+  assert.equal(getThemePreset("nope"), null);
+});
+
+test("theme.json ships only values it changes from Neon", () => {
+  const operator = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "theme.json"), "utf8"));
+  const repeated = getLeafPaths(operator)
+    .filter((leafPath) => leafPath !== "name")
+    .filter((leafPath) => JSON.stringify(getValue(operator, leafPath)) === JSON.stringify(getValue(NEON_THEME, leafPath)));
+  assert.deepEqual(repeated, []);
+});
+
+test("broken themes report every problem", () => {
+  const theme = createTheme({
+    name: " ",
+    palette: { accent: "purple", sparkle: "#ffffff" },
+    nodes: { shape: "star" },
+    stopPoint: { icon: "skull", tip: ["#000000"] },
+    line: { widthScale: 0 },
+    board: { textureSpacing: -1, glows: "none" },
+    particles: { sparks: "none" }
+  });
+
+  assert.deepEqual(validateTheme(theme), [
+    "name must be a non-empty string",
+    'palette.accent must be a "#rrggbb" color',
+    "palette.sparkle is not a palette color",
+    "nodes.shape must be one of circle, square, diamond",
+    "stopPoint.icon must be one of bomb, cross",
+    "line.widthScale must be positive",
+    "board.textureSpacing must be 0 or more",
+    "board.glows must list 2 colors",
+    "stopPoint.tip must list 2 colors",
+    "particles.sparks must be a list of colors"
+  ]);
+});
+
+test("palette colors convert to rgb channels for style.css", () => {
+  assert.equal(toRgbChannels("#a855f7"), "168, 85, 247");
+  assert.equal(toRgbChannels("#FFF"), "255, 255, 255");
+  assert.equal(toRgbChannels("#000000"), "0, 0, 0");
+  assert.equal(toRgbChannels("a855f7"), null);
+  assert.equal(toRgbChannels("#a855f"), null);
+  assert.equal(toRgbChannels("rgb(1, 2, 3)"), null);
+});
+
+test("the operator's theme is the default choice, next to every preset", () => {
+  const operator = createTheme({ name: "Casino Royale" });
+  const choices = getThemeChoices(operator);
+  assert.deepEqual(Object.keys(choices), ["default", ...Object.keys(THEME_PRESETS)]);
+  assert.equal(choices.default, operator);
+  assert.deepEqual(getThemeChoices(null).default, NEON_THEME);
+});
+
+test("the palette becomes CSS custom properties, with rgb channels for each color", () => {
+  const properties = {};
+  const root = { style: { setProperty: (name, value) => { properties[name] = value; } } };
+  applyThemeToDocument(createTheme({ palette: { accent: "#123456" } }), root);
+
+  assert.equal(Object.keys(properties).length, Object.keys(NEON_THEME.palette).length * 2);
+  assert.equal(properties["--color-accent"], "#123456");
+  assert.equal(properties["--color-accent-rgb"], "18, 52, 86");
+  assert.equal(properties["--color-control-hover-deep"], NEON_THEME.palette.controlHoverDeep);
+});
@@ -0,0 +1,526 @@
+// themes.js
+// Skins: the page palette (style.css custom properties) and how the board is drawn
+//
+// A deployment brands the game by shipping theme.json next to index.html; the page loads it
+// on startup and offers it as the default skin, next to the built-in Light and High contrast
+// themes. A theme file only needs the values it changes: the rest comes from the Neon theme.
+//
+//   name       → shown in the theme picker
+//   palette    → "#rrggbb" colors; each becomes --color-<name> and --color-<name>-rgb in style.css
+//   board      → canvas background, texture and grid lines
+//   line       → the player's path, its preview and the auto route
+//   nodes      → dot shape ("circle" | "square" | "diamond") and colors per state
+//   particles  → flame at the tip of an animating line, floating multipliers
+//   stopPoint  → stop-point icon ("bomb" | "cross") and its colors
+// Board colors are any CSS color (canvas fill and stroke styles).
+
+const THEME_URL = "theme.json";
+
+const NODE_SHAPES = ["circle", "square", "diamond"];
+const STOP_POINT_ICONS = ["bomb", "cross"];
+
+// Complete theme: the look the game shipped with, and the base every other theme extends
+const NEON_THEME = {
+  name: "Neon",
+  palette: {
+    pageCenter: "#0a0e1a",
+    page: "#050510",
+    pageEdge: "#000000",
+    ambientCool: "#00bfff",
+    ambientWarm: "#ff1493",
+    panel: "#0f1525",
+    panelDeep: "#050a15",
+    field: "#0a0f1a",
+    fieldDeep: "#050810",
+    control: "#1a1f35",
+    controlDeep: "#0f1420",
+    controlHover: "#252a40",
+    controlHoverDeep: "#1a1f30",
+    inset: "#05050f",
+    border: "#8a2be2",
+    accent: "#a855f7",
+    accentAlt: "#ec4899",
+    accentShade: "#581c87",
+    accentText: "#d8b4fe",
+    accentLink: "#c084fc",
+    highlight: "#f59e0b",
+    highlightShade: "#d97706",
+    highlightDeep: "#b45309",
+    notice: "#fbbf24",
+    success: "#10b981",
+    successShade: "#059669",
+    successDeep: "#047857",
+    successText: "#6ee7b7",
+    danger: "#ef4444",
+    dangerShade: "#dc2626",
+    dangerDeep: "#b91c1c",
+    text: "#ffffff",
+    textBody: "#f5f7ff",
+    textSoft: "#d1d5db",
+    textRow: "#e5e7eb",
+    textMuted: "#9ca3af",
+    textControl: "#9fb4cd",
+    onAccent: "#ffffff",
+    overlay: "#ffffff",
+    shadow: "#000000"
+  },
+  board: {
+    background: ["#0f1525", "#0a0f1a", "#050810"], // Radial gradient, center to edge
+    glows: ["rgba(168, 85, 247, 0.15)", "rgba(236, 72, 153, 0.1)"], // Top-left and bottom-right
+    texture: "rgba(168, 85, 247, 0.08)",
+    textureSpacing: 40, // 0 for no texture
+    gridLine: "rgba(168, 85, 247, 0.25)",
+    gridGlow: "rgba(168, 85, 247, 0.3)",
+    gridLineWidth: 2
+  },
+  line: {
+    color: "#a855f7",
+    glow: "rgba(168, 85, 247, 0.8)",
+    glowBlur: 9,
+    widthScale: 1, // Relative to the board's default line width
+    failColor: "#ef4444", // The segment into a stop-point fades to this
+    failGlow: "rgba(239, 68, 68, 0.8)",
+    preview: "rgba(168, 85, 247, 0.5)",
+    previewGlow: "rgba(168, 85, 247, 0.4)",
+    previewIllegal: "rgba(239, 68, 68, 0.45)",
+    previewIllegalGlow: "rgba(239, 68, 68, 0.3)",
+    route: "rgba(216, 180, 254, 0.18)",
+    routeDraft: "rgba(16, 185, 129, 0.6)"
+  },
+  nodes: {
+    shape: "circle",
+    backdrop: "rgba(5, 8, 16, 0.9)",
+    shine: "#ffffff",
+    idle: { base: "#d8b4fe", center: "#a855f7", glow: "#7c3aed", halo: "rgba(168, 85, 247, 0.2)" },
+    path: {
+      base: "#f3e8ff",
+      center: "#c084fc",
+      glow: "#a855f7",
+      halo: "rgba(168, 85, 247, 0.9)",
+      border: "rgba(255, 255, 255, 0.8)",
+      spot: "rgba(255, 255, 255, 0.5)"
+    },
+    start: { center: "#10b981", glow: "#059669", halo: "rgba(16, 185, 129, 0.9)", border: "rgba(16, 185, 129, 0.8)" },
+    legal: "rgba(16, 185, 129, 0.7)",
+    legalGlow: "rgba(16, 185, 129, 0.6)",
+    highlight: "rgba(16, 185, 129, 0.9)",
+    highlightGlow: "rgba(16, 185, 129, 0.7)",
+    highlightBlocked: "rgba(255, 255, 255, 0.45)",
+    highlightBlockedGlow: "rgba(255, 255, 255, 0.3)",
+    focus: "#fbbf24",
+    focusOutline: "rgba(5, 8, 16, 0.95)"
+  },
+  particles: {
+    flame: ["rgba(255, 255, 255, 1)", "rgba(255, 200, 100, 0.9)", "rgba(255, 150, 50, 0.7)", "rgba(255, 100, 0, 0)"],
+    sparks: ["rgba(255, 200, 100, 0.8)", "rgba(255, 220, 130, 0.8)", "rgba(255, 240, 160, 0.8)"], // One spark each; [] for none
+    sparkFade: "rgba(255, 100, 0, 0)",
+    multiplierText: ["#a8ffa8", "#7fff7f", "#5aff5a"],
+    multiplierShadow: "rgba(0, 0, 0, 0.8)"
+  },
+  stopPoint: {
+    icon: "bomb",
+    halo: ["rgba(255, 100, 0, 0.6)", "rgba(255, 50, 0, 0.3)", "rgba(255, 0, 0, 0)"],
+    backdrop: "rgba(10, 4, 14, 0.9)",
+    spike: ["#1a1a1a", "#2a2a2a", "#4a2a1a"],
+    spikeEdge: "rgba(100, 50, 0, 0.4)",
+    body: ["#2a1a1a", "#1a0a0a", "#0a0000"],
+    core: ["rgba(255, 150, 50, 1)", "rgba(255, 100, 0, 0.8)", "rgba(255, 50, 0, 0.4)", "rgba(255, 0, 0, 0)"],
+    center: "rgba(255, 200, 100, 0.9)",
+    glow: "rgba(255, 100, 0, 0.8)",
+    tip: ["rgba(255, 150, 50, 0.6)", "rgba(255, 50, 0, 0)"],
+    mark: "#ff6400", // "cross" icon
+    markOutline: "#000000"
+  }
+};
+
+// Built-in themes the player can switch to; each extends NEON_THEME
+const THEME_PRESETS = {
+  light: {
+    name: "Light",
+    palette: {
+      pageCenter: "#ffffff",
+      page: "#f3f0fa",
+      pageEdge: "#e4dcf3",
+      ambientCool: "#7dd3fc",
+      ambientWarm: "#f9a8d4",
+      panel: "#ffffff",
+      panelDeep: "#f5f2fb",
+      field: "#ffffff",
+      fieldDeep: "#f3effa",
+      control: "#f1ebfb",
+      controlDeep: "#e6dcf7",
+      controlHover: "#e9dffa",
+      controlHoverDeep: "#dccdf5",
+      inset: "#efe9f8",
+      border: "#8a2be2",
+      accent: "#7c3aed",
+      accentAlt: "#db2777",
+      accentShade: "#5b21b6",
+      accentText: "#6d28d9",
+      accentLink: "#7c3aed",
+      highlight: "#d97706",
+      highlightShade: "#b45309",
+      highlightDeep: "#92400e",
+      notice: "#b45309",
+      success: "#059669",
+      successShade: "#047857",
+      successDeep: "#065f46",
+      successText: "#047857",
+      danger: "#dc2626",
+      dangerShade: "#b91c1c",
+      dangerDeep: "#991b1b",
+      text: "#1f1637",
+      textBody: "#1f1637",
+      textSoft: "#3f3a52",
+      textRow: "#2e2845",
+      textMuted: "#6b6880",
+      textControl: "#5b5775",
+      onAccent: "#ffffff",
+      overlay: "#1f1637",
+      shadow: "#8b7fa8"
+    },
+    board: {
+      background: ["#ffffff", "#f7f3fd", "#ece4f8"],
+      glows: ["rgba(124, 58, 237, 0.08)", "rgba(219, 39, 119, 0.06)"],
+      texture: "rgba(124, 58, 237, 0.07)",
+      gridLine: "rgba(124, 58, 237, 0.3)",
+      gridGlow: "rgba(124, 58, 237, 0)"
+    },
+    line: {
+      color: "#7c3aed",
+      glow: "rgba(124, 58, 237, 0.35)",
+      failColor: "#dc2626",
+      failGlow: "rgba(220, 38, 38, 0.35)",
+      preview: "rgba(124, 58, 237, 0.5)",
+      previewGlow: "rgba(124, 58, 237, 0)",
+      previewIllegal: "rgba(220, 38, 38, 0.5)",
+      previewIllegalGlow: "rgba(220, 38, 38, 0)",
+      route: "rgba(124, 58, 237, 0.2)",
+      routeDraft: "rgba(5, 150, 105, 0.7)"
+    },
+    nodes: {
+      backdrop: "rgba(91, 33, 182, 0.12)",
+      idle: { base: "#ede9fe", center: "#a78bfa", glow: "#8b5cf6", halo: "rgba(124, 58, 237, 0.15)" },
+      path: {
+        base: "#ddd6fe",
+        center: "#7c3aed",
+        glow: "#6d28d9",
+        halo: "rgba(124, 58, 237, 0.5)",
+        border: "rgba(255, 255, 255, 0.9)",
+        spot: "rgba(255, 255, 255, 0.5)"
+      },
+      start: { center: "#059669", glow: "#047857", halo: "rgba(5, 150, 105, 0.5)", border: "rgba(5, 150, 105, 0.9)" },
+      legal: "rgba(5, 150, 105, 0.8)",
+      legalGlow: "rgba(5, 150, 105, 0.3)",
+      highlight: "rgba(5, 150, 105, 0.9)",
+      highlightGlow: "rgba(5, 150, 105, 0.4)",
+      highlightBlocked: "rgba(31, 22, 55, 0.35)",
+      highlightBlockedGlow: "rgba(31, 22, 55, 0)",
+      focus: "#d97706",
+      focusOutline: "rgba(255, 255, 255, 0.95)"
+    },
+    particles: {
+      flame: ["rgba(255, 255, 255, 1)", "rgba(251, 191, 36, 0.9)", "rgba(245, 158, 11, 0.7)", "rgba(217, 119, 6, 0)"],
+      sparks: ["rgba(245, 158, 11, 0.8)", "rgba(251, 191, 36, 0.8)", "rgba(253, 224, 71, 0.8)"],
+      sparkFade: "rgba(217, 119, 6, 0)",
+      multiplierText: ["#059669", "#047857", "#065f46"],
+      multiplierShadow: "rgba(255, 255, 255, 0.9)"
+    },
+    stopPoint: {
+      backdrop: "rgba(254, 226, 226, 0.9)"
+    }
+  },
+
+  // Black background, white and Okabe-Ito colors (distinguishable with color-blindness); stop-points
+  // are marked with a cross, so they do not rely on color alone
+  highContrast: {
+    name: "High contrast",
+    palette: {
+      pageCenter: "#000000",
+      page: "#000000",
+      pageEdge: "#000000",
+      ambientCool: "#000000",
+      ambientWarm: "#000000",
+      panel: "#000000",
+      panelDeep: "#000000",
+      field: "#000000",
+      fieldDeep: "#000000",
+      control: "#1a1a1a",
+      controlDeep: "#000000",
+      controlHover: "#333333",
+      controlHoverDeep: "#1a1a1a",
+      inset: "#000000",
+      border: "#ffffff",
+      accent: "#56b4e9",
+      accentAlt: "#56b4e9",
+      accentShade: "#0072b2",
+      accentText: "#ffffff",
+      accentLink: "#56b4e9",
+      highlight: "#f0e442",
+      highlightShade: "#f0e442",
+      highlightDeep: "#d8cc2a",
+      notice: "#f0e442",
+      success: "#009e73",
+      successShade: "#009e73",
+      successDeep: "#007a59",
+      successText: "#56b4e9",
+      danger: "#d55e00",
+      dangerShade: "#d55e00",
+      dangerDeep: "#b34f00",
+      text: "#ffffff",
+      textBody: "#ffffff",
+      textSoft: "#ffffff",
+      textRow: "#ffffff",
+      textMuted: "#e0e0e0",
+      textControl: "#ffffff",
+      onAccent: "#000000",
+      overlay: "#ffffff",
+      shadow: "#000000"
+    },
+    board: {
+      background: ["#000000", "#000000", "#000000"],
+      glows: ["rgba(0, 0, 0, 0)", "rgba(0, 0, 0, 0)"],
+      textureSpacing: 0,
+      gridLine: "rgba(255, 255, 255, 0.6)",
+      gridGlow: "rgba(0, 0, 0, 0)"
+    },
+    line: {
+      color: "#56b4e9",
+      glow: "rgba(0, 0, 0, 0)",
+      glowBlur: 0,
+      widthScale: 1.25,
+      failColor: "#d55e00",
+      failGlow: "rgba(0, 0, 0, 0)",
+      preview: "rgba(86, 180, 233, 0.8)",
+      previewGlow: "rgba(0, 0, 0, 0)",
+      previewIllegal: "rgba(213, 94, 0, 0.8)",
+      previewIllegalGlow: "rgba(0, 0, 0, 0)",
+      route: "rgba(255, 255, 255, 0.35)",
+      routeDraft: "rgba(240, 228, 66, 0.8)"
+    },
+    nodes: {
+      backdrop: "rgba(255, 255, 255, 1)",
+      shine: "#ffffff",
+      idle: { base: "#ffffff", center: "#000000", glow: "#ffffff", halo: "rgba(0, 0, 0, 0)" },
+      path: {
+        base: "#56b4e9",
+        center: "#56b4e9",
+        glow: "#0072b2",
+        halo: "rgba(0, 0, 0, 0)",
+        border: "rgba(255, 255, 255, 1)",
+        spot: "rgba(255, 255, 255, 0)"
+      },
+      start: { center: "#009e73", glow: "#007a59", halo: "rgba(0, 0, 0, 0)", border: "rgba(255, 255, 255, 1)" },
+      legal: "rgba(240, 228, 66, 1)",
+      legalGlow: "rgba(0, 0, 0, 0)",
+      highlight: "rgba(240, 228, 66, 1)",
+      highlightGlow: "rgba(0, 0, 0, 0)",
+      highlightBlocked: "rgba(255, 255, 255, 0.8)",
+      highlightBlockedGlow: "rgba(0, 0, 0, 0)",
+      focus: "#f0e442",
+      focusOutline: "rgba(0, 0, 0, 1)"
+    },
+    particles: {
+      flame: ["rgba(255, 255, 255, 1)", "rgba(240, 228, 66, 1)", "rgba(240, 228, 66, 0.6)", "rgba(240, 228, 66, 0)"],
+      sparks: [],
+      multiplierText: ["#f0e442", "#f0e442", "#f0e442"],
+      multiplierShadow: "rgba(0, 0, 0, 1)"
+    },
+    stopPoint: {
+      icon: "cross",
+      halo: ["rgba(213, 94, 0, 0.7)", "rgba(213, 94, 0, 0.3)", "rgba(213, 94, 0, 0)"],
+      backdrop: "rgba(255, 255, 255, 1)",
+      mark: "#d55e00",
+      markOutline: "#000000"
+    }
+  }
+};
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for plain objects (not arrays or null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Copy of base with overrides applied: objects merge key by key, anything else is replaced
+ * @param {Object} base
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+function mergeTheme(base, overrides) {
+  const merged = {};
+  Object.keys(base).forEach((key) => {
+    merged[key] = isPlainObject(base[key]) ? mergeTheme(base[key], {}) : base[key];
+  });
+  Object.keys(overrides || {}).forEach((key) => {
+    merged[key] = isPlainObject(base[key]) && isPlainObject(overrides[key])
+      ? mergeTheme(base[key], overrides[key])
+      : overrides[key];
+  });
+  return merged;
+}
+
+/**
+ * Complete theme from a partial one (missing values come from the Neon theme)
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function createTheme(overrides = {}) {
+  return mergeTheme(NEON_THEME, overrides);
+}
+
+/**
+ * Complete theme of a preset
+ * @param {string} key - "neon" or a key of THEME_PRESETS
+ * @returns {Object|null}
+ */
+function getThemePreset(key) {
+  if (key === "neon") return createTheme();
+  return THEME_PRESETS[key] ? createTheme(THEME_PRESETS[key]) : null;
+}
+
+/**
+ * "r, g, b" of a palette color, for rgba() in style.css
+ * @param {string} hex - "#rrggbb" or "#rgb"
+ * @returns {string|null} Null when hex is not such a color
+ */
+function toRgbChannels(hex) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex);
+  if (!match) return null;
+  const digits = match[1].length === 3
+    ? match[1].split("").map((digit) => digit + digit).join("")
+    : match[1];
+  return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16)).join(", ");
+}
+
+/**
+ * Check a complete theme (see createTheme)
+ * @param {Object} theme
+ * @returns {string[]} Problems found, empty when the theme is usable
+ */
+function validateTheme(theme) {
+  const errors = [];
+  if (typeof theme.name !== "string" || theme.name.trim() === "") {
+    errors.push("name must be a non-empty string");
+  }
+  Object.keys(theme.palette || {}).forEach((key) => {
+    if (!(key in NEON_THEME.palette)) {
+      errors.push(`palette.${key} is not a palette color`);
+    } else if (!toRgbChannels(theme.palette[key])) {
+      errors.push(`palette.${key} must be a "#rrggbb" color`);
+    }
+  });
+  if (!NODE_SHAPES.includes(theme.nodes.shape)) {
+    errors.push(`nodes.shape must be one of ${NODE_SHAPES.join(", ")}`);
+  }
+  if (!STOP_POINT_ICONS.includes(theme.stopPoint.icon)) {
+    errors.push(`stopPoint.icon must be one of ${STOP_POINT_ICONS.join(", ")}`);
+  }
+  if (!(theme.line.widthScale > 0)) {
+    errors.push("line.widthScale must be positive");
+  }
+  if (!(theme.board.textureSpacing >= 0)) {
+    errors.push("board.textureSpacing must be 0 or more");
+  }
+  [
+    ["board.background", theme.board.background, 3],
+    ["board.glows", theme.board.glows, 2],
+    ["particles.flame", theme.particles.flame, 4],
+    ["particles.multiplierText", theme.particles.multiplierText, 3],
+    ["stopPoint.halo", theme.stopPoint.halo, 3],
+    ["stopPoint.spike", theme.stopPoint.spike, 3],
+    ["stopPoint.body", theme.stopPoint.body, 3],
+    ["stopPoint.core", theme.stopPoint.core, 4],
+    ["stopPoint.tip", theme.stopPoint.tip, 2]
+  ].forEach(([path, stops, count]) => {
+    if (!Array.isArray(stops) || stops.length !== count) {
+      errors.push(`${path} must list ${count} colors`);
+    }
+  });
+  if (!Array.isArray(theme.particles.sparks)) {
+    errors.push("particles.sparks must be a list of colors");
+  }
+  return errors;
+}
+
+/**
+ * Skins the player can pick: the operator's theme (or Neon) as "default", then the presets
+ * @param {Object|null} operatorTheme - From loadTheme()
+ * @returns {Object} key → complete theme
+ */
+function getThemeChoices(operatorTheme) {
+  const choices = { default: operatorTheme || createTheme() };
+  Object.keys(THEME_PRESETS).forEach((key) => {
+    choices[key] = getThemePreset(key);
+  });
+  return choices;
+}
+
+/**
+ * Set the palette's CSS custom properties (--color-<name> and --color-<name>-rgb)
+ * @param {Object} theme
+ * @param {HTMLElement} [root] - Defaults to the document's <html>
+ */
+function applyThemeToDocument(theme, root = document.documentElement) {
+  Object.keys(theme.palette).forEach((key) => {
+    const name = "--color-" + key.replace(/[A-Z]/g, (letter) => "-" + letter.toLowerCase());
+    root.style.setProperty(name, theme.palette[key]);
+    root.style.setProperty(name + "-rgb", toRgbChannels(theme.palette[key]));
+  });
+}
+
+/**
+ * Load the operator's theme (browser only).
+ * Resolves with the complete theme, or null when there is none: a missing file is expected,
+ * an invalid one is reported and ignored.
+ *
+ * @param {string} [url]
+ * @returns {Promise<Object|null>}
+ */
+function loadTheme(url = THEME_URL) {
+  // Pages opened from file:// cannot fetch
+  if (typeof fetch === "undefined" || window.location.protocol === "file:") {
+    return Promise.resolve(null);
+  }
+
+  return fetch(url, { cache: "no-cache" })
+    .then((response) => {
+      if (!response.ok) return null;
+      return response.json().then((overrides) => {
+        const theme = createTheme(overrides);
+        const errors = validateTheme(theme);
+        if (errors.length > 0) {
+          throw new Error(errors.join("; "));
+        }
+        return theme;
+      });
+    })
+    .catch((error) => {
+      console.error(`Theme ${url} rejected, using the built-in themes:`, error.message);
+      return null;
+    });
+}
+
+const DotsThemes = {
+  THEME_URL,
+  NODE_SHAPES,
+  STOP_POINT_ICONS,
+  NEON_THEME,
+  THEME_PRESETS,
+  createTheme,
+  getThemePreset,
+  toRgbChannels,
+  validateTheme,
+  getThemeChoices,
+  applyThemeToDocument,
+  loadTheme
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DotsThemes;
+} else {
+  window.DotsThemes = DotsThemes;
+}
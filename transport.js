@@ -0,0 +1,302 @@
+// transport.js
+// How game.js plays rounds: against the in-page engine, or against a server that owns
+// the balance and the stop-point layout.
+//
+// Every transport implements the same interface (calls resolve once `engine` has applied
+// the outcome, so game.js keeps listening to the usual engine events):
+//   transport.kind               → "local" | "remote"
+//   transport.engine             → DotsEngine (remote: a mirror of the server's round)
+//   transport.busy               → true while a request is in flight
+//   transport.connect()          → Promise, resolves once balance and seeds are known. Local: the
+//                                  seeds the store saved (so earlier rounds stay verifiable)
+//   transport.placeBet(bet)      → Promise
+//   transport.step(nodeId)       → Promise<result of engine.step>
+//   transport.cashout()          → Promise<result of engine.cashout>
+//   transport.rotateSeeds()      → Promise
+//   transport.resumeRound(saved) → Promise<boolean>, true once the player's unfinished round is
+//                                  back in play on engine. Local: saved is the engine.getRoundSnapshot()
+//                                  the page kept; remote: the server's round in play (saved is ignored)
+//
+// Round protocol (remote). JSON bodies; the player is named by the X-Player-Id header.
+// Errors answer { error } with status 400 (invalid request), 404 (no such round)
+// or 409 (a round is already in progress).
+//   POST /round/start   { bet, gridSize, stopPoints, connectionRule, noCrossing, clientSeed }
+//                       → { roundId, bet, nonce, balance, seeds }
+//   POST /round/step    { roundId, nodeId }
+//                       → { roundId, success, stepIndex, multiplier, deadEnd, capped, ended,
+//                           balance, payout?, reason?, stopPointIds? }
+//   POST /round/cashout { roundId }
+//                       → { roundId, payout, multiplier, stepIndex, reason, stopPointIds, balance }
+//   GET  /balance       → { balance, seeds, activeRound }
+//                       activeRound: null, or { roundId, bet, gridSize, stopPoints, connectionRule,
+//                       noCrossing, nonce, pathNodeIds, stepIndex, multiplier } of the round in play
+//   POST /seeds/rotate  → { seeds }  (reveals the old server seed in seeds.previous)
+// stopPointIds are only sent once the round has ended. seeds is engine.getSeedInfo():
+// the unrevealed server seed never leaves the server. server.js is a reference implementation.
+
+// Browser: engine.js is loaded by a <script> tag. Node: require it.
+const TransportDeps = typeof module !== "undefined" && module.exports
+  ? require("./engine.js")
+  : window;
+
+/**
+ * Client-side copy of a round played on the server. Path rules, multipliers and
+ * events come from DotsEngine; the layout is unknown until the server reveals it.
+ */
+class RemoteEngine extends TransportDeps.DotsEngine {
+  constructor(options = {}) {
+    super(options);
+    this.serverRound = null; // { roundId, nonce } of the round in play
+  }
+
+  /**
+   * The server placed the layout: start the round without one
+   */
+  placeStopPoints() {
+    this.stopPointIds = [];
+    this.roundNonce = this.serverRound ? this.serverRound.nonce : null;
+  }
+
+  /**
+   * Seeds live on the server (transport.rotateSeeds); the mirror only shows them
+   */
+  rotateSeeds() {}
+
+  /**
+   * Mirror the server's round in play (its layout stays on the server)
+   * @param {Object} round - activeRound from GET /balance
+   */
+  restoreRound(round) {
+    super.restoreRound({ ...round, seeds: null });
+    this.serverRound = { roundId: round.roundId, nonce: round.nonce };
+  }
+
+  /**
+   * The server checked and keeps the layout: resume without one
+   */
+  restoreStopPoints(round) {
+    this.stopPointIds = [];
+    this.roundNonce = round.nonce ?? null;
+  }
+
+  /**
+   * @param {Object} info - Public seed info from the server (see getSeedInfo)
+   */
+  setSeedInfo({ serverSeedHash, clientSeed, nonce, previous }) {
+    this.seeds = { ...this.seeds, serverSeed: null, serverSeedHash, clientSeed, nonce, previous };
+    this.emit("seedsChanged", this.getSeedInfo());
+  }
+
+  /**
+   * Match the server's balance after a request
+   * @param {number} balance
+   */
+  syncBalance(balance) {
+    if (typeof balance === "number" && balance !== this.balance) {
+      this.setBalance(balance);
+    }
+  }
+}
+
+/**
+ * Offline transport: the in-page engine decides every round (demos, development)
+ *
+ * @param {Object} engineOptions - DotsEngine options
+ * @param {Object} options
+ * @param {Object} options.store - Store (storage.js) keeping the engine's seeds across sessions;
+ *   without one every session commits to a fresh server seed
+ * @returns {Object} Transport
+ */
+function createLocalTransport(engineOptions, { store = null } = {}) {
+  const engine = new TransportDeps.DotsEngine(engineOptions);
+  // Runs the engine call right away, so events fire before the promise resolves;
+  // engine errors become rejections
+  const run = (action) => new Promise((resolve) => resolve(action()));
+
+  return {
+    kind: "local",
+    engine,
+    busy: false,
+
+    connect() {
+      return run(() => {
+        if (!store) return;
+        const saved = store.loadSeeds();
+        if (saved) {
+          try {
+            engine.restoreSeeds(saved);
+          } catch (error) {
+            console.warn("Ignoring saved seeds, committing to new ones", error);
+          }
+        }
+        store.saveSeeds(engine.getSeedSnapshot());
+        engine.on("seedsChanged", () => store.saveSeeds(engine.getSeedSnapshot()));
+      });
+    },
+
+    placeBet(bet) {
+      return run(() => engine.placeBet(bet));
+    },
+
+    step(nodeId) {
+      return run(() => engine.step(nodeId));
+    },
+
+    cashout() {
+      return run(() => engine.cashout());
+    },
+
+    rotateSeeds() {
+      return run(() => engine.rotateSeeds());
+    },
+
+    resumeRound(saved) {
+      return run(() => {
+        if (!saved) return false;
+        engine.restoreRound(saved);
+        return true;
+      });
+    }
+  };
+}
+
+/**
+ * Transport for a server implementing the round protocol (see the file header)
+ *
+ * @param {Object} engineOptions - DotsEngine options for the mirror (balance comes from the server)
+ * @param {Object} options
+ * @param {string} options.apiUrl - Server base URL; "" for the page's own origin
+ * @param {string} options.playerId - Sent as X-Player-Id
+ * @param {Function} options.fetch - Defaults to the global fetch
+ * @returns {Object} Transport
+ */
+function createRemoteTransport(engineOptions, { apiUrl = "", playerId = "demo", fetch: fetchFn = null } = {}) {
+  const engine = new RemoteEngine(engineOptions);
+  const baseUrl = apiUrl.replace(/\/+$/, "");
+
+  const transport = {
+    kind: "remote",
+    engine,
+    busy: false,
+
+    connect() {
+      return request("GET", "/balance").then((data) => {
+        engine.syncBalance(data.balance);
+        engine.setSeedInfo(data.seeds);
+        return data;
+      });
+    },
+
+    placeBet(bet) {
+      if (engine.active) {
+        return Promise.reject(new Error("A round is already in progress"));
+      }
+      return request("POST", "/round/start", {
+        bet,
+        gridSize: engine.gridSize,
+        stopPoints: engine.stopPointCount,
+        connectionRule: engine.connectionRule,
+        noCrossing: engine.noCrossing,
+        clientSeed: engine.getSeedInfo().clientSeed
+      }).then((data) => {
+        engine.serverRound = { roundId: data.roundId, nonce: data.nonce };
+        engine.placeBet(bet);
+        engine.setSeedInfo(data.seeds);
+        engine.syncBalance(data.balance);
+      });
+    },
+
+    step(nodeId) {
+      return requestRound("/round/step", { nodeId }).then((data) => {
+        // The revealed layout (round over) lets the mirror reach the server's outcome itself
+        engine.stopPointIds = data.stopPointIds || [];
+        const result = engine.step(nodeId);
+        if (data.ended && engine.active) {
+          engine.cashout(data.reason);
+        }
+        endRoundIfOver(data);
+        return result;
+      });
+    },
+
+    cashout() {
+      return requestRound("/round/cashout", {}).then((data) => {
+        engine.stopPointIds = data.stopPointIds;
+        const result = engine.cashout(data.reason);
+        endRoundIfOver(data);
+        return result;
+      });
+    },
+
+    rotateSeeds() {
+      if (engine.active) {
+        return Promise.reject(new Error("Cannot rotate seeds during a round"));
+      }
+      return request("POST", "/seeds/rotate").then((data) => engine.setSeedInfo(data.seeds));
+    },
+
+    resumeRound() {
+      if (engine.active) {
+        return Promise.reject(new Error("A round is already in progress"));
+      }
+      return request("GET", "/balance").then((data) => {
+        engine.syncBalance(data.balance);
+        if (!data.activeRound) return false;
+        engine.restoreRound(data.activeRound);
+        return true;
+      });
+    }
+  };
+
+  function endRoundIfOver(data) {
+    if (!engine.active) {
+      engine.serverRound = null;
+    }
+    engine.syncBalance(data.balance);
+  }
+
+  function requestRound(path, body) {
+    if (!engine.active || !engine.serverRound) {
+      return Promise.reject(new Error("No round in progress"));
+    }
+    return request("POST", path, { ...body, roundId: engine.serverRound.roundId });
+  }
+
+  /**
+   * @returns {Promise<Object>} Response JSON; rejects with the server's error message
+   */
+  function request(method, path, body) {
+    transport.busy = true;
+    return (fetchFn || fetch)(baseUrl + path, {
+      method,
+      headers: { "Content-Type": "application/json", "X-Player-Id": playerId },
+      body: body ? JSON.stringify(body) : undefined
+    })
+      .catch((error) => {
+        throw new Error(`Round server unreachable (${error.message})`);
+      })
+      .then((response) => response.json().catch(() => ({})).then((data) => {
+        if (!response.ok) {
+          throw new Error(data.error || `Server error (HTTP ${response.status})`);
+        }
+        return data;
+      }))
+      .finally(() => {
+        transport.busy = false;
+      });
+  }
+
+  return transport;
+}
+
+const DotsTransport = {
+  RemoteEngine,
+  createLocalTransport,
+  createRemoteTransport
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DotsTransport;
+} else {
+  window.DotsTransport = DotsTransport;
+}